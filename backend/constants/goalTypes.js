@@ -0,0 +1,18 @@
+// Learning goal types; progress for each is computed in services/learningGoalService.js
+const GOAL_TYPES = {
+    HOURS_PER_WEEK: 'hours_per_week',
+    COURSES_COMPLETED: 'courses_completed',
+    MODULES_PER_WEEK: 'modules_per_week',
+    QUIZ_AVERAGE: 'quiz_average'
+};
+
+// Weekly goals are measured again each week until the deadline
+const WEEKLY_GOAL_TYPES = [GOAL_TYPES.HOURS_PER_WEEK, GOAL_TYPES.MODULES_PER_WEEK];
+
+const GOAL_STATUSES = ['met', 'on-track', 'at-risk', 'missed'];
+
+module.exports = {
+    GOAL_TYPES,
+    WEEKLY_GOAL_TYPES,
+    GOAL_STATUSES
+};
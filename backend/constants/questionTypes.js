@@ -0,0 +1,22 @@
+// Question types a quiz can contain; each has a grader in services/questionGraders.js
+const QUESTION_TYPES = ['multiple_choice', 'multiple_select', 'true_false', 'short_answer', 'numeric', 'essay'];
+
+// Spellings used elsewhere (module quiz content, older quiz payloads)
+const QUESTION_TYPE_ALIASES = {
+    'multiple-choice': 'multiple_choice',
+    'multiple-select': 'multiple_select',
+    'true-false': 'true_false',
+    'short-answer': 'short_answer',
+    text: 'short_answer'
+};
+
+const normalizeQuestionType = (type) => {
+    if (!type) return 'multiple_choice';
+    return QUESTION_TYPE_ALIASES[type] || type;
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    QUESTION_TYPE_ALIASES,
+    normalizeQuestionType
+};
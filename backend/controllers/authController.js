@@ -3,6 +3,7 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { isValidTimezone } = require('../services/learningActivityService');
 
 const generateToken = (id) => {
     return jwt.sign({ id }, process.env.JWT_SECRET, { 
@@ -154,7 +155,11 @@ const updateUserProfile = async (req, res) => {
         const user = await User.findById(req.user.id);
         if (!user) return res.status(404).json({ message: 'User not found' });
 
-        const { name, email, university, address } = req.body;
+        const { name, email, university, address, timezone } = req.body;
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({ message: 'Timezone must be an IANA zone such as Europe/Berlin' });
+        }
+        user.timezone = timezone || user.timezone;
         user.name = name || user.name;
         user.email = email || user.email;
         user.university = university || user.university;
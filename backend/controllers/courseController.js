@@ -16,7 +16,35 @@
 
 const Course = require('../models/Course');
 const LearningProgress = require('../models/LearningProgress');
+const Review = require('../models/Review');
+const EnrollmentRequest = require('../models/EnrollmentRequest');
+const LearningPath = require('../models/LearningPath');
 const User = require('../models/User'); // Add this import for unenroll function
+const {
+    mergeGradingSettings,
+    validateGradingSettings,
+    getCourseGradebook: buildCourseGradebook
+} = require('../services/gradebookService');
+const {
+    mergeEnrollmentSettings,
+    validateEnrollmentSettings,
+    getEnrollmentWindow,
+    getSeatInfo,
+    enrollStudent,
+    admitOrWaitlist,
+    promoteFromWaitlist,
+    unenrollStudent,
+    getEnrollmentQueue
+} = require('../services/enrollmentService');
+const {
+    checkCoursePrerequisites,
+    validatePrerequisiteCourses
+} = require('../services/prerequisiteService');
+const { cloneCourse: cloneCourseOffering } = require('../services/courseCloneService');
+const { exportCoursePackage, importCoursePackage } = require('../services/coursePackageService');
+const { importContentPackage: importContentPackageZip } = require('../services/contentPackageService');
+
+const COURSE_STATUSES = ['draft', 'published', 'archived'];
 
 /**
  * STRATEGY PATTERN + REPOSITORY PATTERN IMPLEMENTATION
@@ -94,7 +122,8 @@ const getCourses = async (req, res) => {
 const getCourse = async (req, res) => {
     try {
         const course = await Course.findById(req.params.id)
-            .populate('instructor.id', 'name email');
+            .populate('instructor.id', 'name email')
+            .populate('prerequisiteCourses.courseId', 'title difficulty');
         
         if (!course) {
             return res.status(404).json({ message: 'Course not found' });
@@ -124,11 +153,33 @@ const createCourse = async (req, res) => {
             duration,
             estimatedCompletionTime,
             prerequisites,
+            prerequisiteCourses,
             learningObjectives,
             syllabus,
+            grading,
+            enrollmentSettings,
             instructorId  // Admin can specify instructor
         } = req.body;
 
+        const gradingSettings = mergeGradingSettings({}, grading);
+        const gradingError = validateGradingSettings(gradingSettings);
+        if (gradingError) {
+            return res.status(400).json({ message: gradingError });
+        }
+
+        const enrollment = mergeEnrollmentSettings({}, enrollmentSettings);
+        const enrollmentError = validateEnrollmentSettings(enrollment);
+        if (enrollmentError) {
+            return res.status(400).json({ message: enrollmentError });
+        }
+
+        if (prerequisiteCourses) {
+            const prerequisiteError = await validatePrerequisiteCourses(prerequisiteCourses);
+            if (prerequisiteError) {
+                return res.status(400).json({ message: prerequisiteError });
+            }
+        }
+
         let instructorData;
 
         // *** FACTORY PATTERN + STRATEGY PATTERN IMPLEMENTATION ***
@@ -170,8 +221,11 @@ const createCourse = async (req, res) => {
             duration,
             estimatedCompletionTime,
             prerequisites: prerequisites || [],
+            prerequisiteCourses: prerequisiteCourses || [],
             learningObjectives: learningObjectives || [],
-            syllabus: syllabus || []
+            syllabus: syllabus || [],
+            grading: gradingSettings,
+            enrollmentSettings: enrollment
         });
 
         res.status(201).json(course);
@@ -202,12 +256,46 @@ const updateCourse = async (req, res) => {
             duration,
             estimatedCompletionTime,
             prerequisites,
+            prerequisiteCourses,
             learningObjectives,
             syllabus,
             isActive,
+            status,
+            grading,
+            enrollmentSettings,
             instructorId  // Admin can reassign instructor
         } = req.body;
 
+        if (status !== undefined && !COURSE_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${COURSE_STATUSES.join(', ')}` });
+        }
+
+        if (grading) {
+            const gradingSettings = mergeGradingSettings(course.toObject().grading, grading);
+            const gradingError = validateGradingSettings(gradingSettings);
+            if (gradingError) {
+                return res.status(400).json({ message: gradingError });
+            }
+            course.grading = gradingSettings;
+        }
+
+        if (enrollmentSettings) {
+            const enrollment = mergeEnrollmentSettings(course.toObject().enrollmentSettings, enrollmentSettings);
+            const enrollmentError = validateEnrollmentSettings(enrollment);
+            if (enrollmentError) {
+                return res.status(400).json({ message: enrollmentError });
+            }
+            course.enrollmentSettings = enrollment;
+        }
+
+        if (prerequisiteCourses) {
+            const prerequisiteError = await validatePrerequisiteCourses(prerequisiteCourses, course._id);
+            if (prerequisiteError) {
+                return res.status(400).json({ message: prerequisiteError });
+            }
+            course.prerequisiteCourses = prerequisiteCourses;
+        }
+
         course.title = title || course.title;
         course.description = description || course.description;
         course.category = category || course.category;
@@ -218,6 +306,7 @@ const updateCourse = async (req, res) => {
         course.learningObjectives = learningObjectives || course.learningObjectives;
         course.syllabus = syllabus || course.syllabus;
         course.isActive = isActive !== undefined ? isActive : course.isActive;
+        course.status = status || course.status;
 
         // Admin can reassign instructor
         if (req.user.role === 'admin' && instructorId) {
@@ -235,7 +324,16 @@ const updateCourse = async (req, res) => {
             };
         }
 
-        const updatedCourse = await course.save();
+        let updatedCourse = await course.save();
+
+        // More seats (or unlimited) may let waitlisted students in
+        if (enrollmentSettings) {
+            const promoted = await promoteFromWaitlist(course._id);
+            if (promoted.length > 0) {
+                updatedCourse = await Course.findById(course._id);
+            }
+        }
+
         res.json(updatedCourse);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -256,6 +354,12 @@ const deleteCourse = async (req, res) => {
         }
 
         await course.remove();
+        await Review.deleteMany({ courseId: course._id });
+        await EnrollmentRequest.deleteMany({ courseId: course._id });
+        await LearningPath.updateMany(
+            { 'courses.courseId': course._id },
+            { $pull: { courses: { courseId: course._id } } }
+        );
         res.json({ message: 'Course deleted successfully' });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -268,8 +372,11 @@ const deleteCourse = async (req, res) => {
  * 
  * FACADE PATTERN: Hides complex enrollment workflow behind simple function
  * OBSERVER PATTERN: Enrollment triggers progress tracking (implicit)
- * ABSTRACTION: Client doesn't need to know about progress creation, counters, etc.
+ * ABSTRACTION: Client doesn't need to know about seats, approvals, waitlists, etc.
  * ENCAPSULATION: All enrollment logic contained within this function
+ *
+ * Responds 201 when enrolled, or 202 with status 'pending' (awaiting approval)
+ * or 'waitlisted' (course full) and the waitlist position.
  */
 const enrollInCourse = async (req, res) => {
     try {
@@ -282,6 +389,10 @@ const enrollInCourse = async (req, res) => {
         // *** FACADE PATTERN STEPS - Complex process simplified ***
         
         // STEP 1: Business rule validation (ENCAPSULATION)
+        if (course.status && course.status !== 'published') {
+            return res.status(400).json({ message: 'This course is not open for enrollment yet' });
+        }
+
         const existingProgress = await LearningProgress.findOne({
             userId: req.user.id,
             courseId: req.params.id
@@ -291,27 +402,111 @@ const enrollInCourse = async (req, res) => {
             return res.status(400).json({ message: 'Already enrolled in this course' });
         }
 
-        // STEP 2: Create progress tracking (OBSERVER PATTERN foundation)
-        // This could trigger notifications, analytics, etc. (not shown)
-        const progress = await LearningProgress.create({
-            userId: req.user.id,
-            courseId: req.params.id
-        });
+        const openRequest = await EnrollmentRequest.findOpen(course._id, req.user.id);
+        if (openRequest) {
+            return res.status(400).json({
+                message: openRequest.status === 'pending'
+                    ? 'Your enrollment request is waiting for approval'
+                    : 'You are already on the waitlist for this course'
+            });
+        }
+
+        const enrollmentWindow = getEnrollmentWindow(course);
+        if (!enrollmentWindow.isOpen) {
+            return res.status(400).json({ message: enrollmentWindow.reason });
+        }
+
+        // Prerequisite courses must be completed (with the minimum grade, if any)
+        const prerequisiteCheck = await checkCoursePrerequisites(course, req.user.id);
+        if (!prerequisiteCheck.met) {
+            return res.status(403).json({
+                message: 'You have not met the prerequisites for this course',
+                missing: prerequisiteCheck.missing
+            });
+        }
+
+        // STEP 2: Approval gate - the instructor decides later
+        if (course.enrollmentSettings?.requiresApproval) {
+            const request = await EnrollmentRequest.create({ courseId: course._id, userId: req.user.id });
+            return res.status(202).json({
+                message: 'Enrollment requested. The instructor will review your request.',
+                status: 'pending',
+                request
+            });
+        }
 
-        // STEP 3: Update course statistics (ENCAPSULATION)
-        // Business logic for maintaining enrollment count
-        course.enrollmentCount += 1;
-        await course.save();
+        // STEP 3: Claim a seat and create progress tracking (OBSERVER PATTERN foundation)
+        // Seat counting lives in enrollmentService so the last seat can't be taken twice
+        const result = await admitOrWaitlist(course, req.user.id);
+
+        // STEP 4: Full courses put the student on the waitlist, if there is one
+        if (result.status === 'full') {
+            return res.status(400).json({ message: 'This course is full' });
+        }
+        if (result.status === 'waitlisted') {
+            return res.status(202).json({
+                message: `This course is full. You are number ${result.position} on the waitlist.`,
+                ...result
+            });
+        }
 
         res.status(201).json({ 
             message: 'Successfully enrolled in course',
-            progress 
+            ...result
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Already enrolled in this course' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Get the current user's enrollment state for a course: enrolled, pending or waitlisted
+const getEnrollmentStatus = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        const [enrolled, request, prerequisiteCheck] = await Promise.all([
+            LearningProgress.exists({ courseId: course._id, userId: req.user.id }),
+            EnrollmentRequest.findOpen(course._id, req.user.id),
+            checkCoursePrerequisites(course, req.user.id)
+        ]);
+
+        res.json({
+            status: enrolled ? 'enrolled' : request ? request.status : 'none',
+            position: request ? await EnrollmentRequest.getWaitlistPosition(request) : null,
+            seats: getSeatInfo(course),
+            window: getEnrollmentWindow(course),
+            requiresApproval: !!course.enrollmentSettings?.requiresApproval,
+            waitlistEnabled: course.enrollmentSettings?.waitlistEnabled !== false,
+            prerequisites: prerequisiteCheck
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
+// Withdraw your own pending request or leave the waitlist
+const cancelEnrollmentRequest = async (req, res) => {
+    try {
+        const request = await EnrollmentRequest.findOpen(req.params.id, req.user.id);
+        if (!request) {
+            return res.status(404).json({ message: 'You have no open enrollment request for this course' });
+        }
+
+        request.close('cancelled');
+        await request.save();
+
+        res.json({ message: request.waitlistedAt ? 'You left the waitlist' : 'Enrollment request withdrawn' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 // Get user's enrolled courses
 const getEnrolledCourses = async (req, res) => {
     try {
@@ -327,7 +522,7 @@ const getEnrolledCourses = async (req, res) => {
     }
 };
 
-// Unenroll from course
+// Unenroll from course - the freed seat goes to the first student on the waitlist
 const unenrollFromCourse = async (req, res) => {
     try {
         const { id } = req.params;
@@ -339,28 +534,12 @@ const unenrollFromCourse = async (req, res) => {
             return res.status(404).json({ message: 'Course not found' });
         }
 
-        // Check if user is enrolled in the course
-        const existingProgress = await LearningProgress.findOne({
-            userId: userId,
-            courseId: id
-        });
-
-        if (!existingProgress) {
+        // Remove the learning progress record, release the seat and promote from the waitlist
+        const result = await unenrollStudent(id, userId);
+        if (!result) {
             return res.status(400).json({ message: 'You are not enrolled in this course' });
         }
 
-        // Remove the learning progress record
-        await LearningProgress.findOneAndDelete({
-            userId: userId,
-            courseId: id
-        });
-
-        // Decrement enrollment count
-        if (course.enrollmentCount > 0) {
-            course.enrollmentCount -= 1;
-            await course.save();
-        }
-
         res.status(200).json({ 
             message: 'Successfully unenrolled from course',
             courseId: id
@@ -373,9 +552,11 @@ const unenrollFromCourse = async (req, res) => {
 };
 
 // Admin/Instructor: Enroll student in course
+// Skips the approval step and enrollment window; a full course needs overrideCapacity,
+// and a student without the prerequisites needs a prerequisiteOverrideReason
 const enrollStudentInCourse = async (req, res) => {
     try {
-        const { courseId, studentId } = req.body;
+        const { courseId, studentId, overrideCapacity, prerequisiteOverrideReason } = req.body;
 
         // Only admin and instructors can enroll students
         if (req.user.role !== 'admin' && req.user.role !== 'instructor') {
@@ -407,15 +588,32 @@ const enrollStudentInCourse = async (req, res) => {
             return res.status(400).json({ message: 'Student already enrolled in this course' });
         }
 
-        // Create learning progress record
-        const progress = await LearningProgress.create({
-            userId: studentId,
-            courseId: courseId
-        });
+        // Missing prerequisites can be overridden, but only with a reason on record
+        const prerequisiteCheck = await checkCoursePrerequisites(course, studentId);
+        const overrideReason = typeof prerequisiteOverrideReason === 'string' ? prerequisiteOverrideReason.trim() : '';
+        if (!prerequisiteCheck.met && !overrideReason) {
+            return res.status(400).json({
+                message: 'Student has not met the prerequisites for this course. Give a reason to enroll them anyway.',
+                missing: prerequisiteCheck.missing
+            });
+        }
 
-        // Increment enrollment count
-        course.enrollmentCount += 1;
-        await course.save();
+        // Create learning progress record in a free seat
+        const progress = await enrollStudent(course._id, studentId, {
+            ignoreCapacity: overrideCapacity === true,
+            prerequisiteOverride: prerequisiteCheck.met ? undefined : {
+                reason: overrideReason,
+                overriddenBy: req.user.id,
+                overriddenAt: new Date(),
+                missing: prerequisiteCheck.missing.map(entry => entry.message)
+            }
+        });
+        if (!progress) {
+            return res.status(409).json({
+                message: 'This course is full. Enroll anyway with overrideCapacity, or add the student to the waitlist.',
+                seats: getSeatInfo(course)
+            });
+        }
 
         res.status(201).json({
             message: 'Student enrolled successfully',
@@ -446,37 +644,23 @@ const unenrollStudentFromCourse = async (req, res) => {
             return res.status(403).json({ message: 'You can only unenroll students from your assigned courses' });
         }
 
-        const existingProgress = await LearningProgress.findOne({
-            userId: studentId,
-            courseId: courseId
-        });
-
-        if (!existingProgress) {
+        // Remove the learning progress record, release the seat and promote from the waitlist
+        const result = await unenrollStudent(courseId, studentId);
+        if (!result) {
             return res.status(400).json({ message: 'Student not enrolled in this course' });
         }
 
-        // Remove the learning progress record
-        await LearningProgress.findOneAndDelete({
-            userId: studentId,
-            courseId: courseId
-        });
-
-        // Decrement enrollment count
-        if (course.enrollmentCount > 0) {
-            course.enrollmentCount -= 1;
-            await course.save();
-        }
-
         res.status(200).json({
             message: 'Student unenrolled successfully',
-            courseId: courseId
+            courseId: courseId,
+            promoted: result.promoted.map(request => request.userId)
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-// Get course enrollments (admin/instructor)
+// Get course enrollments (admin/instructor), with pending requests, the waitlist and seat counts
 const getCourseEnrollments = async (req, res) => {
     try {
         const courseId = req.params.id;
@@ -491,14 +675,283 @@ const getCourseEnrollments = async (req, res) => {
             return res.status(403).json({ message: 'You can only view enrollments for your assigned courses' });
         }
 
-        const enrollments = await LearningProgress.find({ courseId })
-            .populate('userId', 'name email role')
-            .sort({ enrollmentDate: -1 });
+        const [enrollments, queue] = await Promise.all([
+            LearningProgress.find({ courseId })
+                .populate('userId', 'name email role')
+                .sort({ enrollmentDate: -1 }),
+            getEnrollmentQueue(courseId)
+        ]);
 
         res.json({
             success: true,
             count: enrollments.length,
-            data: enrollments
+            data: enrollments,
+            pending: queue.pending,
+            waitlist: queue.waitlist,
+            seats: getSeatInfo(course),
+            window: getEnrollmentWindow(course),
+            settings: course.enrollmentSettings
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROXY PATTERN + FACADE PATTERN
+ * Approve or reject an enrollment request (admin/instructor)
+ *
+ * Approving enrolls the student when a seat is free, otherwise it moves them to
+ * the waitlist. Rejecting also works for waitlisted students.
+ */
+const decideEnrollmentRequest = async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({ message: 'Decision must be approve or reject' });
+        }
+
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (req.user.role === 'instructor' && course.instructor.id.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'You can only manage enrollment for your assigned courses' });
+        }
+
+        const request = await EnrollmentRequest.findOne({ _id: req.params.requestId, courseId: course._id });
+        if (!request || !request.isOpen) {
+            return res.status(404).json({ message: 'Open enrollment request not found' });
+        }
+
+        if (decision === 'reject') {
+            request.close('rejected', { decidedBy: req.user.id, note });
+            await request.save();
+            return res.json({ message: 'Enrollment request rejected', request });
+        }
+
+        if (request.status === 'waitlisted') {
+            return res.status(400).json({ message: 'Student is already approved and waiting for a seat' });
+        }
+
+        request.decidedBy = req.user.id;
+        if (note !== undefined) request.note = note;
+        const result = await admitOrWaitlist(course, request.userId, request);
+        if (result.status === 'full') {
+            return res.status(409).json({ message: 'This course is full and has no waitlist. Raise the seat limit first.' });
+        }
+
+        res.json({
+            message: result.status === 'enrolled'
+                ? 'Request approved - student enrolled'
+                : `Request approved - the course is full, so the student is number ${result.position} on the waitlist`,
+            ...result
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Student already enrolled in this course' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * STRATEGY PATTERN + FACADE PATTERN IMPLEMENTATION
+ * Get the course gradebook (admin/instructor)
+ *
+ * STRATEGY PATTERN: The course's grading scheme selects the GradingStrategy
+ * FACADE PATTERN: Module progress, quiz attempts and enrollments combined into one table
+ */
+const getCourseGradebook = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (req.user.role === 'instructor' && course.instructor.id.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'You can only view the gradebook for your assigned courses' });
+        }
+
+        const gradebook = await buildCourseGradebook(course);
+        res.json(gradebook);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROTOTYPE PATTERN IMPLEMENTATION
+ * Clone a course as a new offering (course instructor/admin)
+ *
+ * PROTOTYPE PATTERN: The existing course is the prototype - modules, quizzes and the
+ * question bank are deep-copied (see CoursePrototype.clone() in patterns/prototype.js)
+ * The copy starts in draft with no enrollments; dates move by offsetDays.
+ */
+const cloneCourse = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (req.user.role === 'instructor' && course.instructor.id.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'You can only clone your assigned courses' });
+        }
+
+        const { title, offsetDays = 0 } = req.body;
+        if (!Number.isInteger(offsetDays)) {
+            return res.status(400).json({ message: 'offsetDays must be a whole number of days' });
+        }
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ message: 'Title cannot be empty' });
+        }
+
+        // An instructor runs their own copy; an admin's copy keeps the original instructor
+        const instructor = req.user.role === 'instructor'
+            ? { id: req.user.id, name: req.user.name, email: req.user.email }
+            : undefined;
+
+        const { course: clone, counts } = await cloneCourseOffering(course, {
+            title: title && title.trim(),
+            instructor,
+            offsetDays,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Course cloned as a draft',
+            course: clone,
+            counts
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * MEMENTO PATTERN IMPLEMENTATION
+ * Export a course as a portable JSON package (course instructor/admin)
+ *
+ * MEMENTO PATTERN: The package captures the course, modules, contents, quizzes and
+ * question bank with ids replaced by refs, so it can be restored on any instance.
+ */
+const exportCourse = async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (req.user.role === 'instructor' && course.instructor.id.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'You can only export your assigned courses' });
+        }
+
+        const coursePackage = await exportCoursePackage(course);
+        const fileName = course.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'course';
+
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+        res.json(coursePackage);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * MEMENTO PATTERN IMPLEMENTATION
+ * Import a course package as a new draft course (instructor/admin)
+ *
+ * The package is validated before anything is written; ids are regenerated and the
+ * importing instructor (or, for admins, instructorId) becomes the course instructor.
+ * dryRun reports what would be imported and any conflicts without saving.
+ */
+const importCourse = async (req, res) => {
+    try {
+        const { package: coursePackage, instructorId, title, dryRun = false } = req.body;
+        if (!coursePackage) {
+            return res.status(400).json({ message: 'A course package is required' });
+        }
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ message: 'Title cannot be empty' });
+        }
+
+        let instructor = { id: req.user.id, name: req.user.name, email: req.user.email };
+        if (instructorId && req.user.role === 'admin') {
+            const assigned = await User.findById(instructorId).select('name email role');
+            if (!assigned || !['instructor', 'admin'].includes(assigned.role)) {
+                return res.status(400).json({ message: 'instructorId must belong to an instructor' });
+            }
+            instructor = { id: assigned._id, name: assigned.name, email: assigned.email };
+        }
+
+        const result = await importCoursePackage(coursePackage, {
+            instructor,
+            userId: req.user.id,
+            title: title && title.trim(),
+            dryRun: dryRun === true
+        });
+
+        if (result.errors) {
+            return res.status(400).json({ message: 'The course package is not valid', errors: result.errors });
+        }
+
+        if (dryRun === true) {
+            return res.json({ dryRun: true, counts: result.counts, conflicts: result.conflicts });
+        }
+
+        res.status(201).json({
+            message: 'Course imported as a draft',
+            course: result.course,
+            counts: result.counts,
+            conflicts: result.conflicts
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * ADAPTER PATTERN IMPLEMENTATION
+ * Import a SCORM 1.2 or IMS Common Cartridge zip as a new draft course (instructor/admin)
+ *
+ * ADAPTER PATTERN: each package type is adapted to our course package format
+ * (see ExternalCourseAdapter in patterns/adapter.js and services/contentPackageService.js);
+ * the report lists the items and features that could not be imported.
+ */
+const importContentPackage = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Upload the package zip in the "file" field' });
+        }
+
+        const { title } = req.body;
+        const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+        if (title !== undefined && !title.trim()) {
+            return res.status(400).json({ message: 'Title cannot be empty' });
+        }
+
+        const result = await importContentPackageZip(req.file.buffer, {
+            instructor: { id: req.user.id, name: req.user.name, email: req.user.email },
+            userId: req.user.id,
+            title: title && title.trim(),
+            dryRun
+        });
+
+        if (result.errors) {
+            return res.status(400).json({ message: 'The package could not be imported', errors: result.errors, report: result.report });
+        }
+
+        if (dryRun) {
+            return res.json({ dryRun: true, counts: result.counts, conflicts: result.conflicts, report: result.report });
+        }
+
+        res.status(201).json({
+            message: 'Package imported as a draft course',
+            course: result.course,
+            counts: result.counts,
+            conflicts: result.conflicts,
+            report: result.report
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -512,9 +965,17 @@ module.exports = {
     updateCourse,
     deleteCourse,
     enrollInCourse,
+    getEnrollmentStatus,
+    cancelEnrollmentRequest,
     unenrollFromCourse,
     getEnrolledCourses,
     enrollStudentInCourse,
     unenrollStudentFromCourse,
-    getCourseEnrollments
+    getCourseEnrollments,
+    decideEnrollmentRequest,
+    getCourseGradebook,
+    cloneCourse,
+    exportCourse,
+    importCourse,
+    importContentPackage
 };
\ No newline at end of file
@@ -0,0 +1,387 @@
+/**
+ * GradingController - Manual grading queue for instructors
+ *
+ * DESIGN PATTERNS IMPLEMENTED:
+ * 1. FACADE PATTERN - One queue over assignment submissions and essay answers
+ * 2. STATE PATTERN - Submissions move submitted -> grading -> graded -> returned
+ *
+ * OOP CONCEPTS DEMONSTRATED:
+ * 1. ENCAPSULATION - Score and completion recalculation kept in ModuleProgress
+ * 2. ABSTRACTION - Rubric validation hidden behind the grading service
+ */
+
+const path = require('path');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const {
+    OPEN_SUBMISSION_STATUSES,
+    getGradableCourseIds,
+    canGradeCourse,
+    getSubmissionQueue,
+    getQuizEssayQueue,
+    buildGrade,
+    updateModuleAssessment,
+    loadSubmissionForGrading,
+    isClaimedByOther
+} = require('../services/gradingService');
+const { gradeManualAnswer } = require('../services/quizAttemptService');
+const { SUBMISSION_UPLOAD_DIR } = require('../services/submissionService');
+const { resolveBankQuestions } = require('../services/questionBankService');
+const { updateStudentCourseGrade } = require('../services/gradebookService');
+
+const sendLoadError = (res, loaded) => res.status(loaded.status).json({
+    success: false,
+    message: loaded.message
+});
+
+/**
+ * FACADE PATTERN
+ * Get the grading queue - ungraded submissions and essays across the instructor's courses
+ * Query: courseId, kind (assignment|essay), status (submitted|grading|graded)
+ */
+const getGradingQueue = async (req, res) => {
+    try {
+        const { courseId, kind, status } = req.query;
+        const courseIds = await getGradableCourseIds(req.user);
+        const statuses = status ? status.split(',') : OPEN_SUBMISSION_STATUSES;
+
+        const [submissions, essays] = await Promise.all([
+            kind === 'essay' ? [] : getSubmissionQueue({ courseIds, courseId, statuses }),
+            kind === 'assignment' ? [] : getQuizEssayQueue({ courseIds, courseId })
+        ]);
+
+        const items = [...submissions, ...essays]
+            .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+        res.status(200).json({
+            success: true,
+            count: items.length,
+            data: items
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching grading queue',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * STATE PATTERN
+ * Claim a submission so other graders skip it (submitted -> grading)
+ */
+const claimSubmission = async (req, res) => {
+    try {
+        const loaded = await loadSubmissionForGrading(req.params.submissionId, req.user);
+        if (loaded.status) return sendLoadError(res, loaded);
+
+        const { moduleProgress, submission } = loaded;
+
+        if (isClaimedByOther(submission, req.user)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Submission is already being graded by another instructor'
+            });
+        }
+
+        if (!OPEN_SUBMISSION_STATUSES.includes(submission.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Submission is already ${submission.status}`
+            });
+        }
+
+        submission.status = 'grading';
+        submission.claimedBy = req.user.id;
+        submission.claimedAt = new Date();
+        await moduleProgress.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Submission claimed',
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while claiming submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download the file attached to a file-format submission
+ */
+const downloadSubmissionFile = async (req, res) => {
+    try {
+        const loaded = await loadSubmissionForGrading(req.params.submissionId, req.user);
+        if (loaded.status) return sendLoadError(res, loaded);
+
+        const data = loaded.submission.submissionData;
+        if (!data || !data.storagePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission has no file'
+            });
+        }
+
+        // Always an attachment of opaque bytes, never rendered by the browser
+        res.download(path.join(SUBMISSION_UPLOAD_DIR, data.storagePath), data.originalName, {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'X-Content-Type-Options': 'nosniff'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * STATE PATTERN
+ * Release a claim so the submission goes back to the queue (grading -> submitted)
+ */
+const releaseSubmission = async (req, res) => {
+    try {
+        const loaded = await loadSubmissionForGrading(req.params.submissionId, req.user);
+        if (loaded.status) return sendLoadError(res, loaded);
+
+        const { moduleProgress, submission } = loaded;
+
+        if (submission.status !== 'grading') {
+            return res.status(400).json({
+                success: false,
+                message: 'Submission is not claimed'
+            });
+        }
+
+        if (isClaimedByOther(submission, req.user)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only the claiming instructor can release this submission'
+            });
+        }
+
+        submission.status = 'submitted';
+        submission.claimedBy = undefined;
+        submission.claimedAt = undefined;
+        await moduleProgress.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Submission released',
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while releasing submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * STATE PATTERN + ENCAPSULATION
+ * Grade a submission with rubric scores (or a single score when there is no rubric).
+ * The content's best score and the module completion are recalculated;
+ * pass `returnToStudent: true` to return it in the same step.
+ */
+const gradeSubmission = async (req, res) => {
+    try {
+        const loaded = await loadSubmissionForGrading(req.params.submissionId, req.user);
+        if (loaded.status) return sendLoadError(res, loaded);
+
+        const { moduleProgress, module, content, contentProgress, submission } = loaded;
+
+        if (isClaimedByOther(submission, req.user)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Submission is being graded by another instructor'
+            });
+        }
+
+        const grade = buildGrade(content, req.body);
+        if (grade.error) {
+            return res.status(400).json({
+                success: false,
+                message: grade.error
+            });
+        }
+
+        moduleProgress.applySubmissionGrade(contentProgress, submission, {
+            ...grade,
+            feedback: req.body.feedback,
+            gradedBy: req.user.id
+        }, content.contentData.passingScore);
+        updateModuleAssessment(moduleProgress, module, contentProgress);
+
+        if (req.body.returnToStudent) {
+            submission.status = 'returned';
+            submission.returnedAt = new Date();
+        }
+
+        await moduleProgress.save();
+        await updateStudentCourseGrade(moduleProgress.userId, moduleProgress.courseId);
+
+        res.status(200).json({
+            success: true,
+            message: req.body.returnToStudent ? 'Submission graded and returned' : 'Submission graded',
+            data: {
+                submission,
+                bestScore: contentProgress.bestScore,
+                contentStatus: contentProgress.status,
+                moduleStatus: moduleProgress.status,
+                completionPercentage: moduleProgress.completionPercentage
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while grading submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * STATE PATTERN
+ * Return a graded submission to the student (graded -> returned)
+ */
+const returnSubmission = async (req, res) => {
+    try {
+        const loaded = await loadSubmissionForGrading(req.params.submissionId, req.user);
+        if (loaded.status) return sendLoadError(res, loaded);
+
+        const { moduleProgress, submission } = loaded;
+
+        if (submission.status !== 'graded') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only graded submissions can be returned'
+            });
+        }
+
+        if (req.body.feedback !== undefined) {
+            submission.feedback = req.body.feedback;
+        }
+        submission.status = 'returned';
+        submission.returnedAt = new Date();
+        await moduleProgress.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Submission returned to student',
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while returning submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * ENCAPSULATION
+ * Score an essay answer on a quiz attempt and re-total the attempt
+ */
+const gradeQuizAnswer = async (req, res) => {
+    try {
+        const { attemptId, questionId } = req.params;
+        const { pointsEarned, feedback } = req.body;
+
+        if (typeof pointsEarned !== 'number' || pointsEarned < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'pointsEarned must be a non-negative number'
+            });
+        }
+
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
+
+        if (!(await canGradeCourse(req.user, attempt.courseId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only grade attempts in your own courses'
+            });
+        }
+
+        if (!attempt.isCompleted()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only submitted attempts can be graded'
+            });
+        }
+
+        const answer = attempt.answers.find(entry => entry.questionId === questionId);
+        if (answer && !answer.pendingReview) {
+            return res.status(400).json({
+                success: false,
+                message: 'This answer is not waiting for manual grading'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        await resolveBankQuestions(quiz, attempt);
+
+        const graded = await gradeManualAnswer(attempt, quiz, questionId, {
+            pointsEarned,
+            feedback,
+            gradedBy: req.user.id
+        });
+        if (!graded) {
+            return res.status(404).json({
+                success: false,
+                message: 'Answer not found on this attempt'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Answer graded',
+            data: {
+                attemptId: graded._id,
+                pointsEarned: graded.pointsEarned,
+                percentage: graded.percentage,
+                passed: graded.passed,
+                needsManualGrading: graded.needsManualGrading
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while grading answer',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getGradingQueue,
+    claimSubmission,
+    releaseSubmission,
+    downloadSubmissionFile,
+    gradeSubmission,
+    returnSubmission,
+    gradeQuizAnswer
+};
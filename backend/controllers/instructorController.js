@@ -19,6 +19,15 @@ const User = require('../models/User');
 const LearningProgress = require('../models/LearningProgress');
 const Task = require('../models/Task');
 const { USER_ROLES } = require('../constants/roles');
+const {
+    mergeGradingSettings,
+    validateGradeUpdate,
+    applyGradeUpdate,
+    getCourseGradebook,
+    updateStudentCourseGrade
+} = require('../services/gradebookService');
+const { buildGradebookCsv, planGradeImport } = require('../services/gradebookCsvService');
+const { refreshCourseRisk } = require('../services/riskScoringService');
 
 /**
  * REPOSITORY PATTERN + SPECIALIZATION
@@ -286,10 +295,11 @@ const updateStudentGrade = async (req, res) => {
         const { courseId, studentId } = req.params;
         const { grade, notes } = req.body;
 
-        if (grade !== undefined && (grade < 0 || grade > 100)) {
+        const validationError = validateGradeUpdate({ grade, notes });
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Grade must be between 0 and 100'
+                message: validationError
             });
         }
 
@@ -308,16 +318,7 @@ const updateStudentGrade = async (req, res) => {
             });
         }
 
-        const updateData = {};
-        if (grade !== undefined) updateData.grade = grade;
-        if (notes !== undefined) updateData.notes = notes;
-
-        const progress = await LearningProgress.findOneAndUpdate(
-            { userId: studentId, courseId },
-            updateData,
-            { new: true }
-        ).populate('userId', 'name email');
-
+        const progress = await LearningProgress.findOne({ userId: studentId, courseId });
         if (!progress) {
             return res.status(404).json({
                 success: false,
@@ -325,6 +326,14 @@ const updateStudentGrade = async (req, res) => {
             });
         }
 
+        // An explicit grade overrides the gradebook; grade: null hands it back
+        applyGradeUpdate(progress, mergeGradingSettings(course.grading), { grade, notes });
+        await progress.save();
+        if (grade === null) {
+            await updateStudentCourseGrade(studentId, courseId, progress);
+        }
+        await progress.populate('userId', 'name email');
+
         res.status(200).json({
             success: true,
             message: 'Student grade updated successfully',
@@ -474,6 +483,179 @@ const getMyStudents = async (req, res) => {
     }
 };
 
+/**
+ * FACADE PATTERN
+ * Download the course gradebook as CSV - one row per student
+ */
+const exportGradebookCsv = async (req, res) => {
+    try {
+        const course = req.course || await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const gradebook = await getCourseGradebook(course);
+        const filename = `${course.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-gradebook.csv`;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(buildGradebookCsv(gradebook));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting gradebook',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * FACADE PATTERN + ENCAPSULATION
+ * Import grades and notes from a gradebook CSV ({ csv, dryRun }).
+ * Dry run is the default and only reports what would change; with
+ * dryRun: false the grades are saved, but only when no row has errors.
+ */
+const importGradebookCsv = async (req, res) => {
+    try {
+        const { csv } = req.body;
+        const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+
+        if (!csv || typeof csv !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV text is required'
+            });
+        }
+
+        const course = req.course || await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const enrollments = await LearningProgress.find({ courseId: course._id })
+            .populate('userId', 'name email');
+        const plan = planGradeImport(csv, enrollments);
+
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                message: `Dry run: ${plan.summary.updates} students would be updated, ${plan.summary.errors} rows have errors`,
+                dryRun: true,
+                data: plan
+            });
+        }
+
+        if (plan.summary.errors > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Fix the rows with errors before importing',
+                dryRun: false,
+                data: plan
+            });
+        }
+
+        const grading = mergeGradingSettings(course.grading);
+        const byStudent = new Map(enrollments.map(enrollment => [enrollment.userId._id.toString(), enrollment]));
+
+        for (const row of plan.rows.filter(entry => entry.status === 'update')) {
+            const progress = byStudent.get(row.studentId);
+            applyGradeUpdate(progress, grading, {
+                grade: row.changes.grade ? row.changes.grade.to : undefined,
+                notes: row.changes.notes ? row.changes.notes.to : undefined
+            });
+            await progress.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Updated ${plan.summary.updates} students`,
+            dryRun: false,
+            data: plan
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while importing grades',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * REPOSITORY PATTERN + OBSERVER PATTERN
+ * Students flagged by the risk scoring job (medium or high risk), highest
+ * risk first, with reasons and struggling modules. Scores are computed now
+ * when the course has never been scored or with ?refresh=true.
+ */
+const getAtRiskStudents = async (req, res) => {
+    try {
+        const course = req.course || await Course.findById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const unscored = await LearningProgress.exists({
+            courseId: course._id,
+            isCompleted: { $ne: true },
+            'risk.assessedAt': { $exists: false }
+        });
+        if (unscored || req.query.refresh === 'true') {
+            await refreshCourseRisk(course);
+        }
+
+        const flagged = await LearningProgress.find({
+            courseId: course._id,
+            isCompleted: { $ne: true },
+            'risk.level': { $in: ['medium', 'high'] }
+        })
+            .populate('userId', 'name email')
+            .populate('moduleProgress.strugglingModules.moduleId', 'title moduleNumber')
+            .sort({ 'risk.score': -1 });
+
+        const students = flagged
+            .filter(progress => progress.userId)
+            .map(progress => ({
+                student: {
+                    _id: progress.userId._id,
+                    name: progress.userId.name,
+                    email: progress.userId.email
+                },
+                completionPercentage: progress.completionPercentage,
+                lastAccessDate: progress.lastAccessDate,
+                risk: progress.risk,
+                strugglingModules: progress.moduleProgress.strugglingModules
+            }));
+
+        res.status(200).json({
+            success: true,
+            count: students.length,
+            data: students
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching at-risk students',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     getMyCourses,
     createCourse,
@@ -483,5 +665,8 @@ module.exports = {
     getStudentProgress,
     updateStudentGrade,
     getCourseAnalytics,
-    getMyStudents
+    getMyStudents,
+    exportGradebookCsv,
+    importGradebookCsv,
+    getAtRiskStudents
 };
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * LearningPathController - Demonstrates PROTOTYPE, FACADE and OBSERVER PATTERNS
+ *
+ * DESIGN PATTERNS IMPLEMENTED:
+ * 1. PROTOTYPE PATTERN - LearningPath persists the shape of LearningPathPrototype
+ *    (ordered courses, prerequisites, settings)
+ * 2. FACADE PATTERN - One call enrolls a student in a path and its first course
+ * 3. OBSERVER PATTERN - Completing a course unlocks the next one (LearningProgress hook)
+ *
+ * OOP CONCEPTS DEMONSTRATED:
+ * 1. ENCAPSULATION - Unlocking and path progress live in learningPathService
+ * 2. ABSTRACTION - Students see one program instead of separate course enrollments
+ */
+
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const {
+    syncPathEnrollment,
+    enrollInPath,
+    validatePathCourses,
+    normalizePathCourses
+} = require('../services/learningPathService');
+
+const COURSE_FIELDS = 'title description difficulty category estimatedCompletionTime';
+
+const canManagePath = (path, user) =>
+    user.role === 'admin' || path.createdBy.toString() === user.id;
+
+// Validate title and settings; returns an error message or null
+const validatePathInput = ({ title, settings, estimatedTime }, { partial = false } = {}) => {
+    if (!partial || title !== undefined) {
+        if (typeof title !== 'string' || !title.trim()) {
+            return 'Title is required';
+        }
+    }
+    if (estimatedTime !== undefined && (typeof estimatedTime !== 'number' || estimatedTime < 0)) {
+        return 'Estimated time must be a non-negative number of hours';
+    }
+    if (settings !== undefined) {
+        for (const key of ['sequentialOrder', 'autoEnroll', 'certificateAwarded']) {
+            if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+                return `${key} must be true or false`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * REPOSITORY PATTERN
+ * Get active learning paths with the current user's enrollment in each
+ */
+const getLearningPaths = async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' && req.user.role !== 'student'
+            ? {}
+            : { isActive: true };
+
+        const [paths, enrollments] = await Promise.all([
+            LearningPath.find(filter)
+                .populate('courses.courseId', COURSE_FIELDS)
+                .populate('createdBy', 'name')
+                .sort({ createdAt: -1 }),
+            PathEnrollment.find({ userId: req.user.id, status: { $ne: 'withdrawn' } })
+        ]);
+
+        const enrollmentByPath = {};
+        enrollments.forEach(enrollment => {
+            enrollmentByPath[enrollment.pathId.toString()] = enrollment;
+        });
+
+        res.json(paths.map(path => ({
+            ...path.toObject(),
+            courses: path.getOrderedCourses(),
+            myEnrollment: enrollmentByPath[path._id.toString()] || null
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * FACADE PATTERN
+ * Get a path with the current user's up-to-date progress through it
+ */
+const getLearningPath = async (req, res) => {
+    try {
+        const path = await LearningPath.findById(req.params.id)
+            .populate('courses.courseId', COURSE_FIELDS)
+            .populate('createdBy', 'name');
+        if (!path) {
+            return res.status(404).json({ message: 'Learning path not found' });
+        }
+
+        let enrollment = await PathEnrollment.findOne({ pathId: path._id, userId: req.user.id });
+        if (enrollment && enrollment.status !== 'withdrawn') {
+            enrollment = await syncPathEnrollment(enrollment, path);
+        }
+
+        res.json({
+            ...path.toObject(),
+            courses: path.getOrderedCourses(),
+            myEnrollment: enrollment
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Get the current user's learning paths with progress
+const getMyLearningPaths = async (req, res) => {
+    try {
+        const enrollments = await PathEnrollment.find({ userId: req.user.id, status: { $ne: 'withdrawn' } })
+            .sort({ enrolledAt: -1 });
+        const paths = await LearningPath.find({ _id: { $in: enrollments.map(enrollment => enrollment.pathId) } })
+            .populate('courses.courseId', COURSE_FIELDS);
+
+        const results = [];
+        for (const enrollment of enrollments) {
+            const path = paths.find(candidate => candidate._id.equals(enrollment.pathId));
+            if (!path) continue;
+            results.push({
+                path: { ...path.toObject(), courses: path.getOrderedCourses() },
+                enrollment: await syncPathEnrollment(enrollment, path)
+            });
+        }
+
+        res.json(results);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROTOTYPE PATTERN
+ * Create a learning path (instructor/admin). Courses are taken in the order given.
+ */
+const createLearningPath = async (req, res) => {
+    try {
+        const { title, description, courses, prerequisites, estimatedTime, settings } = req.body;
+
+        const inputError = validatePathInput({ title, settings, estimatedTime })
+            || await validatePathCourses(courses);
+        if (inputError) {
+            return res.status(400).json({ message: inputError });
+        }
+
+        const path = await LearningPath.create({
+            title,
+            description,
+            courses: normalizePathCourses(courses),
+            prerequisites: prerequisites || [],
+            estimatedTime,
+            settings,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json(path);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * OBSERVER PATTERN
+ * Update a learning path (its creator or an admin); enrolled students are re-synced
+ */
+const updateLearningPath = async (req, res) => {
+    try {
+        const path = await LearningPath.findById(req.params.id);
+        if (!path) {
+            return res.status(404).json({ message: 'Learning path not found' });
+        }
+
+        if (!canManagePath(path, req.user)) {
+            return res.status(403).json({ message: 'Not authorized to update this learning path' });
+        }
+
+        const { title, description, courses, prerequisites, estimatedTime, settings, isActive } = req.body;
+
+        const inputError = validatePathInput({ title, settings, estimatedTime }, { partial: true })
+            || (courses !== undefined ? await validatePathCourses(courses) : null);
+        if (inputError) {
+            return res.status(400).json({ message: inputError });
+        }
+
+        if (title !== undefined) path.title = title;
+        if (description !== undefined) path.description = description;
+        if (courses !== undefined) path.courses = normalizePathCourses(courses);
+        if (prerequisites !== undefined) path.prerequisites = prerequisites;
+        if (estimatedTime !== undefined) path.estimatedTime = estimatedTime;
+        if (settings !== undefined) path.settings = { ...path.toObject().settings, ...settings };
+        if (isActive !== undefined) path.isActive = isActive;
+        await path.save();
+
+        // OBSERVER: Course or order changes can unlock (or relock) courses for enrolled students
+        if (courses !== undefined || settings !== undefined) {
+            const enrollments = await PathEnrollment.find({ pathId: path._id, status: { $ne: 'withdrawn' } });
+            for (const enrollment of enrollments) {
+                await syncPathEnrollment(enrollment, path);
+            }
+        }
+
+        res.json(path);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Delete a learning path (its creator or an admin); course enrollments are kept
+const deleteLearningPath = async (req, res) => {
+    try {
+        const path = await LearningPath.findById(req.params.id);
+        if (!path) {
+            return res.status(404).json({ message: 'Learning path not found' });
+        }
+
+        if (!canManagePath(path, req.user)) {
+            return res.status(403).json({ message: 'Not authorized to delete this learning path' });
+        }
+
+        await path.deleteOne();
+        await PathEnrollment.deleteMany({ pathId: path._id });
+
+        res.json({ message: 'Learning path deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * FACADE PATTERN + OBSERVER PATTERN
+ * Enroll in a learning path - the first course is unlocked and, with autoEnroll,
+ * joined straight away
+ */
+const enrollInLearningPath = async (req, res) => {
+    try {
+        const path = await LearningPath.findById(req.params.id).populate('courses.courseId', COURSE_FIELDS);
+        if (!path || !path.isActive) {
+            return res.status(404).json({ message: 'Learning path not found' });
+        }
+
+        const { enrollment, alreadyEnrolled } = await enrollInPath(path, req.user.id);
+        if (alreadyEnrolled) {
+            return res.status(400).json({ message: 'Already enrolled in this learning path' });
+        }
+
+        res.status(201).json({
+            message: 'Enrolled in learning path',
+            enrollment
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Leave a learning path; course enrollments and progress are kept
+const withdrawFromLearningPath = async (req, res) => {
+    try {
+        const enrollment = await PathEnrollment.findOne({ pathId: req.params.id, userId: req.user.id });
+        if (!enrollment || enrollment.status === 'withdrawn') {
+            return res.status(400).json({ message: 'You are not enrolled in this learning path' });
+        }
+
+        enrollment.status = 'withdrawn';
+        await enrollment.save();
+
+        res.json({ message: 'Left the learning path. Your course progress is kept.' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Students in a path with their progress (path creator or admin)
+const getLearningPathEnrollments = async (req, res) => {
+    try {
+        const path = await LearningPath.findById(req.params.id);
+        if (!path) {
+            return res.status(404).json({ message: 'Learning path not found' });
+        }
+
+        if (!canManagePath(path, req.user)) {
+            return res.status(403).json({ message: 'Not authorized to view this learning path' });
+        }
+
+        const enrollments = await PathEnrollment.find({ pathId: path._id })
+            .populate('userId', 'name email')
+            .sort({ enrolledAt: -1 });
+
+        res.json({
+            count: enrollments.length,
+            enrollments
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getLearningPaths,
+    getLearningPath,
+    getMyLearningPaths,
+    createLearningPath,
+    updateLearningPath,
+    deleteLearningPath,
+    enrollInLearningPath,
+    withdrawFromLearningPath,
+    getLearningPathEnrollments
+};
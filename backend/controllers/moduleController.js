@@ -18,6 +18,37 @@ const Module = require('../models/Module');
 const ModuleProgress = require('../models/ModuleProgress');
 const Course = require('../models/Course');
 const LearningProgress = require('../models/LearningProgress');
+const { resolveModuleQuizContent } = require('../services/questionBankService');
+const { validateRubric } = require('../services/rubricScoring');
+const { updateStudentCourseGrade } = require('../services/gradebookService');
+const {
+    WORKFLOW_FIELDS,
+    isModuleVisibleToStudents,
+    checkTransition,
+    applyTransition,
+    getAvailableActions,
+    getEditResetUpdate,
+    getChangesRequested
+} = require('../services/modulePublishingService');
+const ModuleRevision = require('../models/ModuleRevision');
+const { recordModuleCompletion } = require('../services/xapiService');
+const { recordLearningActivity } = require('../services/learningActivityService');
+const { refreshModuleAnalytics } = require('../services/moduleAnalyticsService');
+const {
+    VERSIONED_FIELDS,
+    BUMP_LEVELS,
+    buildSnapshot,
+    diffSnapshots,
+    getBumpLevel,
+    recordInitialRevision,
+    recordRevision
+} = require('../services/moduleRevisionService');
+const {
+    GradeCalculator,
+    WeightedAverageStrategy,
+    PassFailStrategy,
+    CompetencyBasedStrategy
+} = require('../patterns/strategy');
 
 // Remove references to external archive
 // External progress sync service removed for standalone operation
@@ -71,29 +102,8 @@ const CachingProxy = class {
 
 /**
  * STRATEGY PATTERN - Grade Calculation Strategy
- * Different grading algorithms can be plugged in
+ * Grading strategies come from patterns/strategy.js and can be swapped at runtime
  */
-const GradeCalculator = class {
-  constructor(strategy) {
-    this.strategy = strategy;
-  }
-  calculate(grades, weights) { 
-    if (this.strategy && this.strategy.calculate) {
-      return this.strategy.calculate(grades, weights);
-    }
-    return grades.reduce((sum, g) => sum + g, 0) / grades.length; 
-  }
-};
-
-const WeightedAverageStrategy = class {
-  calculate(grades, weights) {
-    if (!weights || weights.length === 0) {
-      return grades.reduce((sum, g) => sum + g, 0) / grades.length;
-    }
-    return grades.reduce((sum, g, i) => sum + g * (weights[i] || 1), 0) / 
-           weights.reduce((sum, w) => sum + w, 0);
-  }
-};
 
 /**
  * Module Controller with Design Pattern Integration
@@ -104,12 +114,36 @@ const WeightedAverageStrategy = class {
 const progressTracker = new LearningProgressTracker();
 const gradeCalculator = new GradeCalculator(new WeightedAverageStrategy());
 
+// First rubric problem in a list of module contents, or null
+const findInvalidRubric = (contents) => {
+    for (const content of contents) {
+        const rubric = content.contentData && content.contentData.rubric;
+        const error = rubric && rubric.length > 0 ? validateRubric(rubric) : null;
+        if (error) return `${content.title || 'Content'}: ${error}`;
+    }
+    return null;
+};
+
+// Save a new revision's version on the module; content edits send a module in review back
+// to draft and a published one back to review. Returns the module's status afterwards.
+const saveRevisionVersion = async (moduleId, previousStatus, revision, userId) => {
+    const reset = getEditResetUpdate(previousStatus, userId);
+    await Module.updateOne({ _id: moduleId }, {
+        $set: { version: revision.version, lastModifiedBy: userId, ...(reset ? reset.$set : {}) },
+        ...(reset ? { $unset: reset.$unset, $push: reset.$push } : {})
+    });
+    return reset ? reset.$set.status : previousStatus;
+};
+
 // Create a new module using Factory Pattern
 const createModule = async (req, res) => {
     try {
         const { courseId, contents = [], ...moduleData } = req.body;
         const userId = req.user.id;
 
+        // New modules start in draft; status only changes through the publishing workflow
+        WORKFLOW_FIELDS.forEach(field => delete moduleData[field]);
+
         // Verify course exists and user has permission
         const course = await Course.findById(courseId);
         if (!course) {
@@ -120,6 +154,11 @@ const createModule = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to create modules for this course' });
         }
 
+        const rubricError = findInvalidRubric(contents);
+        if (rubricError) {
+            return res.status(400).json({ message: rubricError });
+        }
+
         // Use Factory Pattern to create content items
         const processedContents = [];
         for (const contentData of contents) {
@@ -184,6 +223,9 @@ const createModule = async (req, res) => {
 
         await module.save();
 
+        // First entry of the module's version history
+        await recordInitialRevision(module, { userId });
+
         // Update course module settings
         await Course.findByIdAndUpdate(courseId, {
             'moduleSettings.hasModules': true,
@@ -231,9 +273,10 @@ const getCourseModules = async (req, res) => {
         const userId = req.user.id;
         const userRole = req.user.role;
 
-        // Get modules using the static method
+        // Get modules using the static method - students only see published modules
         const modules = await Module.getByCourse(courseId, {
             includeInactive: includeInactive === 'true',
+            publishedOnly: userRole === 'student',
             populateContents: true
         });
 
@@ -269,6 +312,12 @@ const getCourseModules = async (req, res) => {
                     isLocked: false
                 };
 
+                // Staff see where the module is in the publishing workflow
+                if (userRole !== 'student') {
+                    processedModule.availableActions = getAvailableActions(module, userRole);
+                    processedModule.changesRequested = getChangesRequested(module);
+                }
+
                 // Remove any potential circular references or complex objects
                 if (processedModule.nextModule) {
                     processedModule.nextModule = {
@@ -328,7 +377,7 @@ const getModule = async (req, res) => {
             .populate('createdBy', 'name email')
             .populate('courseId', 'title instructor');
 
-        if (!module) {
+        if (!module || (req.user.role === 'student' && !isModuleVisibleToStudents(module))) {
             console.log('❌ Module not found:', moduleId);
             return res.status(404).json({ message: 'Module not found' });
         }
@@ -375,6 +424,9 @@ const getModule = async (req, res) => {
             moduleData.contents = [];
         }
 
+        // Quiz content linked to the course question bank shows the current version
+        await resolveModuleQuizContent(moduleData);
+
         // Log content structure for debugging
         console.log('📊 Module contents structure:', moduleData.contents.map(c => ({
             contentId: c.contentId,
@@ -413,9 +465,13 @@ const getModule = async (req, res) => {
 const updateModule = async (req, res) => {
     try {
         const { moduleId } = req.params;
-        const { contents = [], ...moduleData } = req.body;
+        const { contents = [], changeNote, versionBump, ...moduleData } = req.body;
         const userId = req.user.id;
 
+        // Status only changes through the publishing workflow, the version through revisions
+        WORKFLOW_FIELDS.forEach(field => delete moduleData[field]);
+        delete moduleData.version;
+
         // Find the module and verify permissions
         const module = await Module.findById(moduleId).populate('courseId');
         if (!module) {
@@ -427,6 +483,11 @@ const updateModule = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to update this module' });
         }
 
+        const rubricError = findInvalidRubric(contents);
+        if (rubricError) {
+            return res.status(400).json({ message: rubricError });
+        }
+
         // Process updated contents using Factory Pattern
         const processedContents = [];
         for (const contentData of contents) {
@@ -519,6 +580,14 @@ const updateModule = async (req, res) => {
             };
         }
 
+        if (versionBump !== undefined && !BUMP_LEVELS.includes(versionBump)) {
+            return res.status(400).json({ message: `versionBump must be one of: ${BUMP_LEVELS.join(', ')}` });
+        }
+
+        // Modules from before version history get their current content as the first revision
+        await recordInitialRevision(module);
+        const previousSnapshot = buildSnapshot(module);
+
         // Update module data
         const updatedModule = await Module.findByIdAndUpdate(
             moduleId,
@@ -531,6 +600,17 @@ const updateModule = async (req, res) => {
             { new: true, runValidators: true }
         ).populate('courseId', 'title description');
 
+        // Snapshot the new content with a version bump; content under review has to be reviewed again
+        const revision = await recordRevision(updatedModule, previousSnapshot, {
+            userId,
+            changeNote,
+            level: versionBump
+        });
+        if (revision) {
+            updatedModule.status = await saveRevisionVersion(moduleId, module.status, revision, userId);
+            updatedModule.version = revision.version;
+        }
+
         console.log('Module updated successfully:', updatedModule._id, 'Contents:', processedContents.length);
 
         // Notify progress tracker using Observer Pattern
@@ -551,7 +631,8 @@ const updateModule = async (req, res) => {
         res.json({
             message: 'Module updated successfully',
             module: updatedModule,
-            contentCount: processedContents.length
+            contentCount: processedContents.length,
+            revision: revision ? { version: revision.version, changeType: revision.changeType, changedFields: revision.changedFields } : null
         });
 
     } catch (error) {
@@ -580,8 +661,9 @@ const deleteModule = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to delete this module' });
         }
 
-        // Delete associated progress records
+        // Delete associated progress records and version history
         await ModuleProgress.deleteMany({ moduleId });
+        await ModuleRevision.deleteMany({ moduleId });
 
         // Remove module from course's modules array
         if (module.courseId && module.courseId._id) {
@@ -755,23 +837,23 @@ const calculateModuleGrade = async (req, res) => {
             scores.finalExam = moduleProgress.moduleAssessment.bestScorePercentage;
         }
 
-        // Apply grading strategy (simplified for standalone operation)
+        // Apply grading strategy
         let gradingStrategyInstance;
         switch (gradingStrategy) {
             case 'pass-fail':
-                // Simple pass-fail implementation
-                gradingStrategyInstance = { passThreshold: 70 };
+                gradingStrategyInstance = new PassFailStrategy(70);
                 break;
-            case 'competency':
-                // Simple competency-based implementation
+            case 'competency': {
                 // Define competencies based on learning objectives
-                const competencies = moduleProgress.moduleId.learningObjectives.map((obj, index) => ({
+                const module = await Module.findById(moduleId).select('learningObjectives');
+                const competencies = (module ? module.learningObjectives : []).map((obj, index) => ({
                     id: `competency_${index}`,
                     name: obj,
                     masteryThreshold: 75
                 }));
                 gradingStrategyInstance = new CompetencyBasedStrategy(competencies);
                 break;
+            }
             default:
                 gradingStrategyInstance = new WeightedAverageStrategy();
         }
@@ -779,12 +861,12 @@ const calculateModuleGrade = async (req, res) => {
         gradeCalculator.setStrategy(gradingStrategyInstance);
         const gradeResult = gradeCalculator.calculateStudentGrade(scores);
 
-        // Update module progress with grade
-        moduleProgress.moduleAssessment.bestScore = gradeResult.finalGrade;
-        moduleProgress.moduleAssessment.bestScorePercentage = 
-            typeof gradeResult.finalGrade === 'number' ? gradeResult.finalGrade : 0;
-        
-        await moduleProgress.save();
+        // Update module progress with grade (numeric strategies only)
+        if (typeof gradeResult.finalGrade === 'number') {
+            moduleProgress.moduleAssessment.bestScore = gradeResult.finalGrade;
+            moduleProgress.moduleAssessment.bestScorePercentage = gradeResult.finalGrade;
+            await moduleProgress.save();
+        }
 
         res.json({
             message: 'Module grade calculated successfully',
@@ -839,6 +921,7 @@ const updateCourseProgress = async (userId, courseId) => {
             }
 
             await learningProgress.save();
+            await updateStudentCourseGrade(userId, courseId);
         }
     } catch (error) {
         console.error('Error updating course progress:', error);
@@ -931,51 +1014,26 @@ const getModuleAnalytics = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized for this module' });
         }
 
-        // Get all progress records for this module
+        // Stored aggregates come from the scheduled job; compute them now if they
+        // were never computed or the caller asks for fresh numbers (?refresh=true)
+        let storedAnalytics = module.analytics && module.analytics.lastComputedAt
+            ? module.toObject().analytics
+            : null;
+        if (!storedAnalytics || req.query.refresh === 'true') {
+            storedAnalytics = await refreshModuleAnalytics(moduleId);
+        }
+
+        // Per-student lists are still built per request
         const allProgress = await ModuleProgress.find({ moduleId })
             .populate('userId', 'name email');
 
-        // Calculate analytics
         const analytics = {
-            totalEnrollments: allProgress.length,
-            completionRate: allProgress.filter(p => p.isCompleted).length / allProgress.length * 100,
-            averageCompletionTime: 0,
-            averageScore: 0,
-            contentAnalytics: {},
+            ...storedAnalytics,
             strugglingStudents: [],
             topPerformers: []
         };
 
         if (allProgress.length > 0) {
-            // Average completion time
-            const completedProgress = allProgress.filter(p => p.isCompleted && p.totalTimeSpent > 0);
-            if (completedProgress.length > 0) {
-                analytics.averageCompletionTime = completedProgress
-                    .reduce((sum, p) => sum + p.totalTimeSpent, 0) / completedProgress.length;
-            }
-
-            // Average score
-            const scoredProgress = allProgress.filter(p => p.averageScore > 0);
-            if (scoredProgress.length > 0) {
-                analytics.averageScore = scoredProgress
-                    .reduce((sum, p) => sum + p.averageScore, 0) / scoredProgress.length;
-            }
-
-            // Content analytics
-            module.contents.forEach(content => {
-                const contentProgress = allProgress.map(p => 
-                    p.contentProgress.find(cp => cp.contentId === content.contentId)
-                ).filter(Boolean);
-
-                analytics.contentAnalytics[content.contentId] = {
-                    title: content.title,
-                    type: content.type,
-                    completionRate: contentProgress.filter(cp => cp.isCompleted).length / allProgress.length * 100,
-                    averageTimeSpent: contentProgress.reduce((sum, cp) => sum + (cp.timeSpent || 0), 0) / contentProgress.length,
-                    averageAttempts: contentProgress.reduce((sum, cp) => sum + (cp.attempts || 0), 0) / contentProgress.length
-                };
-            });
-
             // Struggling students (bottom 20% by completion rate and score)
             analytics.strugglingStudents = allProgress
                 .filter(p => p.completionPercentage < 50 || p.averageScore < 60)
@@ -1043,6 +1101,8 @@ const completeModule = async (req, res) => {
             courseId: module.courseId
         });
         
+        let firstCompletion = true;
+
         // Update if found
         if (updatedLearningProgress) {
             // Mark module as completed in modulesCompleted array
@@ -1060,6 +1120,7 @@ const completeModule = async (req, res) => {
             
             if (existingIndex >= 0) {
                 // Update existing completion
+                firstCompletion = false;
                 updatedLearningProgress.modulesCompleted[existingIndex] = moduleCompleted;
             } else {
                 // Add new completion
@@ -1081,6 +1142,18 @@ const completeModule = async (req, res) => {
             await updatedLearningProgress.save();
         }
 
+        // xAPI "passed"/"failed"/"completed" statement for the module
+        recordModuleCompletion(req.user, module, { score, timeSpent });
+
+        // Daily activity log (timeSpent is in minutes here)
+        recordLearningActivity(userId, {
+            minutes: timeSpent,
+            items: { modulesCompleted: firstCompletion ? 1 : 0 },
+            courseId: module.courseId
+        }).catch(error => {
+            console.error('Error recording learning activity:', error.message);
+        });
+
         // Get updated module progress
         const moduleProgress = await ModuleProgress.findOne({ userId, moduleId });
 
@@ -1171,6 +1244,250 @@ const syncAllUsersInCourse = async (req, res) => {
     }
 };
 
+/**
+ * STATE PATTERN - Module publishing workflow
+ * POST /api/modules/:moduleId/:action - submit, approve, reject, publish, archive or restore
+ * The course instructor submits and publishes; admins approve and reject (with a comment)
+ */
+const transitionModule = async (req, res) => {
+    try {
+        const { moduleId, action } = req.params;
+        const { comment } = req.body;
+        const userId = req.user.id;
+
+        const module = await Module.findById(moduleId).populate('courseId', 'title instructor');
+        if (!module) {
+            return res.status(404).json({ message: 'Module not found' });
+        }
+
+        if (req.user.role === 'instructor' && module.courseId?.instructor?.id?.toString() !== userId) {
+            return res.status(403).json({ message: 'Not authorized to manage this module' });
+        }
+
+        const transitionError = checkTransition(module, action, { role: req.user.role, comment });
+        if (transitionError) {
+            return res.status(transitionError.status).json({ message: transitionError.message });
+        }
+
+        applyTransition(module, action, { userId, comment });
+        module.lastModifiedBy = userId;
+        await module.save();
+
+        progressTracker.notify({
+            event: 'moduleStatusChanged',
+            moduleId: module._id,
+            action,
+            status: module.status,
+            changedBy: userId,
+            timestamp: new Date()
+        });
+
+        res.json({
+            message: `Module ${module.status === 'review' ? 'submitted for review' : module.status}`,
+            module,
+            availableActions: getAvailableActions(module, req.user.role)
+        });
+
+    } catch (error) {
+        console.error('Error changing module status:', error);
+        res.status(500).json({ 
+            message: 'Failed to change module status', 
+            error: error.message 
+        });
+    }
+};
+
+// Review inbox: admins get every module awaiting review; instructors get their
+// modules in review, approved and ready to publish, or sent back with comments
+const getReviewInbox = async (req, res) => {
+    try {
+        const courseFilter = {};
+        if (req.user.role === 'instructor') {
+            const courses = await Course.find({ 'instructor.id': req.user.id }).select('_id');
+            courseFilter.courseId = { $in: courses.map(course => course._id) };
+        }
+
+        const modules = await Module.find({ ...courseFilter, status: { $in: ['draft', 'review', 'approved'] } })
+            .select('title moduleNumber courseId status submittedBy submittedAt approvedBy approvedAt reviewHistory updatedAt')
+            .populate('courseId', 'title')
+            .populate('submittedBy', 'name email')
+            .populate('reviewHistory.by', 'name')
+            .sort({ submittedAt: 1, updatedAt: -1 });
+
+        const withActions = module => ({
+            ...module.toObject(),
+            availableActions: getAvailableActions(module, req.user.role),
+            changesRequested: getChangesRequested(module)
+        });
+
+        const awaitingReview = modules.filter(module => module.status === 'review').map(withActions);
+        if (req.user.role === 'admin') {
+            return res.json({ awaitingReview, count: awaitingReview.length });
+        }
+
+        const readyToPublish = modules.filter(module => module.status === 'approved').map(withActions);
+        const changesRequested = modules.filter(module => getChangesRequested(module)).map(withActions);
+
+        res.json({
+            awaitingReview,
+            readyToPublish,
+            changesRequested,
+            count: awaitingReview.length + readyToPublish.length + changesRequested.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching module review inbox:', error);
+        res.status(500).json({ 
+            message: 'Failed to fetch review inbox', 
+            error: error.message 
+        });
+    }
+};
+
+// Module is looked up with its course; responds and returns null when missing or not allowed
+const findManagedModule = async (req, res) => {
+    const module = await Module.findById(req.params.moduleId).populate('courseId', 'title instructor');
+    if (!module) {
+        res.status(404).json({ message: 'Module not found' });
+        return null;
+    }
+    if (req.user.role !== 'admin' && module.courseId?.instructor?.id?.toString() !== req.user.id) {
+        res.status(403).json({ message: 'Not authorized for this module' });
+        return null;
+    }
+    return module;
+};
+
+// Version history of a module, newest first (snapshots left out)
+const getModuleRevisions = async (req, res) => {
+    try {
+        const module = await findManagedModule(req, res);
+        if (!module) return;
+
+        const revisions = await ModuleRevision.find({ moduleId: module._id })
+            .select('-snapshot')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1, _id: -1 });
+
+        res.json({
+            currentVersion: module.version,
+            revisions
+        });
+
+    } catch (error) {
+        console.error('Error fetching module revisions:', error);
+        res.status(500).json({ 
+            message: 'Failed to fetch module revisions', 
+            error: error.message 
+        });
+    }
+};
+
+// One revision with its full snapshot, e.g. the version a student completed
+const getModuleRevision = async (req, res) => {
+    try {
+        const module = await findManagedModule(req, res);
+        if (!module) return;
+
+        const revision = await ModuleRevision.findOne({ moduleId: module._id, version: req.params.version })
+            .populate('createdBy', 'name email');
+        if (!revision) {
+            return res.status(404).json({ message: `Version ${req.params.version} not found` });
+        }
+
+        res.json({ revision });
+
+    } catch (error) {
+        console.error('Error fetching module revision:', error);
+        res.status(500).json({ 
+            message: 'Failed to fetch module revision', 
+            error: error.message 
+        });
+    }
+};
+
+// Field-level diff between two versions: ?from=1.0.0&to=1.1.0 (to defaults to the current version)
+const getModuleRevisionDiff = async (req, res) => {
+    try {
+        const module = await findManagedModule(req, res);
+        if (!module) return;
+
+        const { from, to = module.version } = req.query;
+        if (!from) {
+            return res.status(400).json({ message: 'Give the version to compare from (?from=)' });
+        }
+
+        const revisions = await ModuleRevision.find({ moduleId: module._id, version: { $in: [from, to] } });
+        const fromRevision = revisions.find(revision => revision.version === from);
+        const toRevision = revisions.find(revision => revision.version === to);
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ message: `Version ${!fromRevision ? from : to} not found` });
+        }
+
+        const diff = diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+        res.json({
+            from,
+            to,
+            changeType: getBumpLevel(diff),
+            ...diff
+        });
+
+    } catch (error) {
+        console.error('Error comparing module revisions:', error);
+        res.status(500).json({ 
+            message: 'Failed to compare module revisions', 
+            error: error.message 
+        });
+    }
+};
+
+// Restore an earlier version's content as a new version (history is kept)
+const rollbackModule = async (req, res) => {
+    try {
+        const module = await findManagedModule(req, res);
+        if (!module) return;
+
+        const { version } = req.params;
+        const userId = req.user.id;
+
+        const target = await ModuleRevision.findOne({ moduleId: module._id, version });
+        if (!target) {
+            return res.status(404).json({ message: `Version ${version} not found` });
+        }
+
+        const previousStatus = module.status;
+        const previousSnapshot = buildSnapshot(module);
+        VERSIONED_FIELDS.forEach(field => {
+            module.set(field, target.snapshot[field] ?? undefined);
+        });
+        await module.save();
+
+        const revision = await recordRevision(module, previousSnapshot, {
+            userId,
+            changeNote: req.body.changeNote || `Rolled back to version ${version}`,
+            restoredFrom: version
+        });
+        if (!revision) {
+            return res.status(400).json({ message: `The module already matches version ${version}` });
+        }
+
+        await saveRevisionVersion(module._id, previousStatus, revision, userId);
+
+        res.json({
+            message: `Rolled back to version ${version} as version ${revision.version}`,
+            module: await Module.findById(module._id),
+            revision
+        });
+
+    } catch (error) {
+        console.error('Error rolling back module:', error);
+        res.status(500).json({ 
+            message: 'Failed to roll back module', 
+            error: error.message 
+        });
+    }
+};
+
 module.exports = {
     createModule,
     getCourseModules,
@@ -1182,5 +1499,11 @@ module.exports = {
     getModuleAnalytics,
     completeModule,
     getProgressSyncReport,
-    syncAllUsersInCourse
+    syncAllUsersInCourse,
+    transitionModule,
+    getReviewInbox,
+    getModuleRevisions,
+    getModuleRevision,
+    getModuleRevisionDiff,
+    rollbackModule
 };
\ No newline at end of file
@@ -15,7 +15,17 @@
 const LearningProgress = require('../models/LearningProgress');
 const Course = require('../models/Course');
 const User = require('../models/User');
-// Removed problematic import
+const LearningGoal = require('../models/LearningGoal');
+const {
+  isValidTimezone,
+  localDate,
+  timezoneOf,
+  recordLearningActivity,
+  getStreakSummary,
+  getActivityHeatmap,
+  getActivitySeries
+} = require('../services/learningActivityService');
+const { validateGoalInput, getGoalsWithProgress } = require('../services/learningGoalService');
 
 // Get user's learning analytics
 const getLearningAnalytics = async (req, res) => {
@@ -163,6 +173,15 @@ const updateModuleCompletion = async (req, res) => {
     }
 
     await progress.save();
+
+    recordLearningActivity(userId, {
+      minutes: timeSpent,
+      items: { modulesCompleted: existingCompletion ? 0 : 1 },
+      courseId
+    }).catch(error => {
+      console.error('Error recording learning activity:', error.message);
+    });
+
     res.json(progress);
   } catch (error) {
     console.error('Error updating module completion:', error);
@@ -190,88 +209,194 @@ const getCourseProgress = async (req, res) => {
   }
 };
 
-// Get learning streaks and habits
+// Store the browser's timezone when the client sends one (?timezone=Europe/Berlin)
+const applyTimezone = async (user, timezone) => {
+  if (timezone && timezone !== user.timezone && isValidTimezone(timezone)) {
+    user.timezone = timezone;
+    await User.updateOne({ _id: user._id }, { $set: { timezone } });
+  }
+};
+
+// Get learning streaks and habits from the daily activity log
 const getLearningStreaks = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get progress records to analyze learning patterns
-    const progressRecords = await LearningProgress.find({ userId })
-      .sort({ lastAccessDate: -1 });
+    await applyTimezone(user, req.query.timezone);
+    const summary = await getStreakSummary(user);
 
-    // Calculate current streak
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    let currentStreak = 0;
-    let checkDate = new Date(today);
-
-    // Check each day backwards to find streak
-    for (let i = 0; i < 365; i++) { // Check up to a year
-      const dayProgress = progressRecords.find(p => {
-        const progressDate = new Date(p.lastAccessDate);
-        progressDate.setHours(0, 0, 0, 0);
-        return progressDate.getTime() === checkDate.getTime();
-      });
+    res.json({
+      ...summary,
+      totalLearningHours: user.totalLearningHours
+    });
+  } catch (error) {
+    console.error('Error fetching learning streaks:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-      if (dayProgress) {
-        currentStreak++;
-        checkDate.setDate(checkDate.getDate() - 1);
-      } else {
-        break;
-      }
+// Get daily minutes and completed items for an activity heatmap
+const getLearningActivity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update user's current streak
-    user.currentStreak = currentStreak;
-    if (currentStreak > user.longestStreak) {
-      user.longestStreak = currentStreak;
+    await applyTimezone(user, req.query.timezone);
+    const heatmap = await getActivityHeatmap(user, { from: req.query.from, to: req.query.to });
+    if (heatmap.errors) {
+      return res.status(400).json({ message: 'Invalid date range', errors: heatmap.errors });
     }
-    await user.save();
 
-    // Calculate weekly active days (last 7 days)
-    const weekStart = new Date();
-    weekStart.setDate(weekStart.getDate() - 7);
-    const weeklyActiveDays = progressRecords.filter(p => p.lastAccessDate >= weekStart).length;
+    res.json(heatmap);
+  } catch (error) {
+    console.error('Error fetching learning activity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get daily and weekly series of minutes, completed content and quiz scores for charts
+const getLearningActivitySeries = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
 
-    res.json({
-      currentStreak: user.currentStreak,
-      longestStreak: user.longestStreak,
-      lastActiveDate: user.lastLearningDate,
-      weeklyActiveDays,
-      learningGoals: user.learningGoals
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await applyTimezone(user, req.query.timezone);
+    const series = await getActivitySeries(user, { from: req.query.from, to: req.query.to });
+    if (series.errors) {
+      return res.status(400).json({ message: 'Invalid date range', errors: series.errors });
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error('Error fetching learning activity series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the user's goals with progress and met/on-track/at-risk/missed status
+const getLearningGoals = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await applyTimezone(user, req.query.timezone);
+    const goals = await getGoalsWithProgress(user);
+
+    res.json({ goals, legacyGoals: user.learningGoals || [], timezone: timezoneOf(user) });
+  } catch (error) {
+    console.error('Error fetching learning goals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Course-scoped goals are only allowed for courses the user is enrolled in
+const checkGoalCourse = async (userId, courseId) => {
+  if (!courseId) return true;
+  return Boolean(await LearningProgress.exists({ userId, courseId }));
+};
+
+// Create a learning goal
+const createLearningGoal = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const today = localDate(new Date(), timezoneOf(user));
+    const { type, target, deadline, courseId, title } = req.body;
+    const errors = validateGoalInput({ type, target, deadline, courseId, title }, { today });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid learning goal', errors });
+    }
+    if (!(await checkGoalCourse(user._id, courseId))) {
+      return res.status(400).json({ message: 'You are not enrolled in this course' });
+    }
+
+    const goal = await LearningGoal.create({
+      userId: user._id,
+      type,
+      target,
+      deadline,
+      courseId: courseId || undefined,
+      title,
+      startDate: today
     });
+
+    res.status(201).json({ message: 'Learning goal created successfully', goal });
   } catch (error) {
-    console.error('Error fetching learning streaks:', error);
+    console.error('Error creating learning goal:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// Update learning goals
-const updateLearningGoals = async (req, res) => {
+// Update a learning goal's target, deadline, course or title
+const updateLearningGoal = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { dailyGoal, weeklyGoal, monthlyGoal } = req.body;
+    const [user, goal] = await Promise.all([
+      User.findById(req.user.id),
+      LearningGoal.findOne({ _id: req.params.goalId, userId: req.user.id })
+    ]);
 
-    const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (!goal) {
+      return res.status(404).json({ message: 'Learning goal not found' });
+    }
 
-    user.learningGoals = {
-      dailyGoal: dailyGoal || user.learningGoals?.dailyGoal || 30,
-      weeklyGoal: weeklyGoal || user.learningGoals?.weeklyGoal || 300,
-      monthlyGoal: monthlyGoal || user.learningGoals?.monthlyGoal || 1200
-    };
+    const { target, deadline, courseId, title } = req.body;
+    const today = localDate(new Date(), timezoneOf(user));
+    const errors = validateGoalInput(
+      { type: goal.type, target, deadline, courseId, title },
+      { partial: true, today }
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid learning goal', errors });
+    }
+    if (courseId && !(await checkGoalCourse(user._id, courseId))) {
+      return res.status(400).json({ message: 'You are not enrolled in this course' });
+    }
+
+    if (target !== undefined) goal.target = target;
+    if (deadline !== undefined) goal.deadline = deadline;
+    if (courseId !== undefined) goal.courseId = courseId || undefined;
+    if (title !== undefined) goal.title = title;
+    await goal.save();
+
+    res.json({ message: 'Learning goal updated successfully', goal });
+  } catch (error) {
+    console.error('Error updating learning goal:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Delete a learning goal
+const deleteLearningGoal = async (req, res) => {
+  try {
+    const goal = await LearningGoal.findOneAndDelete({ _id: req.params.goalId, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Learning goal not found' });
+    }
 
-    await user.save();
-    res.json({ message: 'Learning goals updated successfully', learningGoals: user.learningGoals });
+    res.json({ message: 'Learning goal deleted successfully' });
   } catch (error) {
-    console.error('Error updating learning goals:', error);
+    console.error('Error deleting learning goal:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -347,7 +472,12 @@ module.exports = {
   updateModuleCompletion,
   getCourseProgress,
   getLearningStreaks,
-  updateLearningGoals,
+  getLearningActivity,
+  getLearningActivitySeries,
+  getLearningGoals,
+  createLearningGoal,
+  updateLearningGoal,
+  deleteLearningGoal,
   syncProgress,
   getDetailedProgressReport
 };
@@ -0,0 +1,291 @@
+/**
+ * QuestionBankController - Course-scoped question bank
+ *
+ * Instructors keep reusable questions per course, tagged by topic, difficulty
+ * and learning objective. Quizzes and module quiz content reference them by id;
+ * content edits create a new version so past attempts keep what they showed.
+ */
+
+const Question = require('../models/Question');
+const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
+const Module = require('../models/Module');
+const { QUESTION_TYPES, normalizeQuestionType } = require('../constants/questionTypes');
+
+// Only the course instructor or an admin may manage a course's bank
+const canManageCourseBank = async (user, courseId) => {
+  if (user.role === 'admin') return true;
+
+  const course = await Course.findById(courseId).select('instructor');
+  return !!course && course.instructor.id.toString() === user.id;
+};
+
+// Normalize authored fields; option ids default to a, b, c...
+const buildQuestionFields = (body) => {
+  const fields = {};
+
+  if (body.type !== undefined) fields.type = normalizeQuestionType(body.type);
+  if (body.question !== undefined) fields.question = body.question;
+  if (body.options !== undefined) {
+    fields.options = (body.options || [])
+      .filter(option => option.text && option.text.trim() !== '')
+      .map((option, index) => ({
+        id: option.id || String.fromCharCode(97 + index),
+        text: option.text.trim(),
+        isCorrect: !!option.isCorrect
+      }));
+  }
+
+  ['correctAnswer', 'matchMode', 'tolerance', 'partialCredit', 'points', 'explanation', 'difficulty']
+    .forEach(field => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+
+  ['tags', 'learningObjectives'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = (body[field] || []).map(value => String(value).trim()).filter(Boolean);
+    }
+  });
+
+  return fields;
+};
+
+const validateQuestionFields = (fields) => {
+  if (fields.type && !QUESTION_TYPES.includes(fields.type)) {
+    return `Unsupported question type: ${fields.type}`;
+  }
+
+  if (['multiple_choice', 'multiple_select'].includes(fields.type) &&
+    (!fields.options || !fields.options.some(option => option.isCorrect))) {
+    return 'Choice questions need at least one correct option';
+  }
+
+  return null;
+};
+
+// List a course's bank questions, filtered by tag, difficulty, objective, type or text
+const getCourseQuestions = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { tag, difficulty, objective, type, search, includeArchived } = req.query;
+
+    if (!(await canManageCourseBank(req.user, courseId))) {
+      return res.status(403).json({ message: 'You can only view the question bank of your own courses' });
+    }
+
+    const filter = { courseId };
+    if (includeArchived !== 'true') filter.isArchived = false;
+    if (tag) filter.tags = { $in: tag.split(',').map(value => value.trim()) };
+    if (difficulty) filter.difficulty = Number(difficulty);
+    if (objective) filter.learningObjectives = objective;
+    if (type) filter.type = normalizeQuestionType(type);
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.question = { $regex: escaped, $options: 'i' };
+    }
+
+    const questions = await Question.find(filter)
+      .select('-revisions')
+      .sort({ updatedAt: -1 });
+
+    res.json({ count: questions.length, questions });
+  } catch (error) {
+    console.error('Error fetching question bank:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Add a question to a course's bank
+const createQuestion = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await Course.findById(courseId).select('_id');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, courseId))) {
+      return res.status(403).json({ message: 'You can only add questions to your own courses' });
+    }
+
+    const fields = buildQuestionFields(req.body);
+    fields.type = fields.type || 'multiple_choice';
+
+    if (!fields.question || !fields.question.trim()) {
+      return res.status(400).json({ message: 'Question text is required' });
+    }
+
+    const invalid = validateQuestionFields(fields);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const question = await Question.create({
+      ...fields,
+      courseId,
+      createdBy: req.user.id,
+      changeNote: req.body.changeNote
+    });
+
+    res.status(201).json({ message: 'Question added to bank', question });
+  } catch (error) {
+    console.error('Error creating bank question:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get a bank question with its version history
+const getQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, question.courseId))) {
+      return res.status(403).json({ message: 'You can only view questions from your own courses' });
+    }
+
+    res.json(question);
+  } catch (error) {
+    console.error('Error fetching bank question:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Edit a bank question; content changes create a new version
+const updateQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, question.courseId))) {
+      return res.status(403).json({ message: 'You can only edit questions from your own courses' });
+    }
+
+    const fields = buildQuestionFields(req.body);
+    const invalid = validateQuestionFields({
+      type: fields.type || question.type,
+      options: fields.options || question.options
+    });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const versioned = question.applyEdit(fields, req.user.id, req.body.changeNote);
+    await question.save();
+
+    res.json({
+      message: versioned ? `Question updated to version ${question.version}` : 'Question updated',
+      versioned,
+      question
+    });
+  } catch (error) {
+    console.error('Error updating bank question:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Remove a bank question; questions still in use are archived instead
+const deleteQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, question.courseId))) {
+      return res.status(403).json({ message: 'You can only delete questions from your own courses' });
+    }
+
+    const [quizUses, moduleUses] = await Promise.all([
+      Quiz.countDocuments({ 'questions.bankQuestionId': question._id }),
+      Module.countDocuments({ 'contents.contentData.questions.bankQuestionId': question._id })
+    ]);
+
+    if (quizUses + moduleUses > 0) {
+      question.isArchived = true;
+      question.lastModifiedBy = req.user.id;
+      await question.save();
+
+      return res.json({
+        message: 'Question is in use and was archived instead of deleted',
+        archived: true,
+        usage: { quizzes: quizUses, modules: moduleUses }
+      });
+    }
+
+    await question.deleteOne();
+    res.json({ message: 'Question deleted', archived: false });
+  } catch (error) {
+    console.error('Error deleting bank question:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// List every version of a bank question, newest first
+const getQuestionVersions = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, question.courseId))) {
+      return res.status(403).json({ message: 'You can only view questions from your own courses' });
+    }
+
+    const current = {
+      ...question.getContent(),
+      editedBy: question.lastModifiedBy || question.createdBy,
+      editedAt: question.updatedAt,
+      changeNote: question.changeNote
+    };
+
+    res.json({
+      questionId: question._id,
+      currentVersion: question.version,
+      versions: [current, ...question.revisions.map(revision => revision.toObject()).reverse()]
+    });
+  } catch (error) {
+    console.error('Error fetching question versions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get one version of a bank question (what an attempt saw)
+const getQuestionVersion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!(await canManageCourseBank(req.user, question.courseId))) {
+      return res.status(403).json({ message: 'You can only view questions from your own courses' });
+    }
+
+    const version = question.getVersion(Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ message: `Version ${req.params.version} not found` });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching question version:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getCourseQuestions,
+  createQuestion,
+  getQuestion,
+  updateQuestion,
+  deleteQuestion,
+  getQuestionVersions,
+  getQuestionVersion
+};
@@ -15,9 +15,19 @@
  */
 
 const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
 const Course = require('../models/Course');
 const LearningProgress = require('../models/LearningProgress');
 const User = require('../models/User');
+const {
+  recordAnswers,
+  finalizeAttempt,
+  submitAttempt
+} = require('../services/quizAttemptService');
+const { buildAttemptLayout, getAttemptTotalPoints, matchesPool } = require('../services/quizRandomizer');
+const { linkBankQuestions, resolveBankQuestions, getBankVersions } = require('../services/questionBankService');
+const { getGradableCourseIds, getQuizEssayQueue } = require('../services/gradingService');
+const { QUESTION_TYPES, normalizeQuestionType } = require('../constants/questionTypes');
 
 /**
  * DECORATOR PATTERN + ACCESS CONTROL
@@ -72,60 +82,376 @@ const getCourseQuizzes = async (req, res) => {
   }
 };
 
+// Check that a user may take a quiz: available, enrolled and all modules completed
+const checkQuizAccess = async (quizId, userId) => {
+  const quiz = await Quiz.findById(quizId).populate('courseId', 'title syllabus');
+  if (!quiz) {
+    return { status: 404, error: { message: 'Quiz not found' } };
+  }
+
+  if (!quiz.isAvailable()) {
+    return { status: 403, error: { message: 'Quiz is not currently available' } };
+  }
+
+  // Check if user has completed all modules before allowing quiz access
+  const course = quiz.courseId;
+  const progress = await LearningProgress.findOne({ userId, courseId: course._id });
+
+  if (!progress) {
+    return {
+      status: 403,
+      error: { message: 'You must enroll in the course before taking the quiz' }
+    };
+  }
+
+  const totalModules = course.syllabus ? course.syllabus.length : 0;
+  const completedModules = progress.modulesCompleted ? progress.modulesCompleted.length : 0;
+
+  // Check if course has at least one module
+  if (totalModules === 0) {
+    return {
+      status: 403,
+      error: { message: 'Quiz is not available. This course does not have any modules yet.' }
+    };
+  }
+
+  // Check if all modules are completed
+  if (completedModules < totalModules) {
+    return {
+      status: 403,
+      error: {
+        message: `Quiz is only available after completing all course modules. You have completed ${completedModules} out of ${totalModules} modules.`,
+        requiredModules: totalModules,
+        completedModules: completedModules
+      }
+    };
+  }
+
+  return { quiz };
+};
+
+// Session state the quiz player needs to continue an attempt
+const buildAttemptSession = (attempt, quiz) => ({
+  attemptId: attempt._id,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  timeLimit: attempt.timeLimit || null,
+  timeRemaining: attempt.getRemainingTime(),
+  currentQuestion: attempt.currentQuestion,
+  answers: attempt.answers.map(answer => ({
+    questionId: answer.questionId,
+    selectedAnswer: answer.selectedAnswer
+  })),
+  answeredQuestions: attempt.quizState.answeredQuestions,
+  pausesRemaining: attempt.timeLimit
+    ? Math.max(0, (attempt.maxPauses ?? quiz.maxPauses) - (attempt.pauseCount || 0))
+    : null,
+  // Questions drawn for this attempt, in the attempt's order; hidden while the clock is stopped
+  questions: attempt.status === 'paused' ? [] : quiz.getStudentView(attempt).questions
+});
+
+// Graded outcome of a finished attempt
+const buildAttemptResults = (quiz, attempt) => ({
+  results: {
+    passed: attempt.passed,
+    percentage: attempt.percentage,
+    pointsEarned: attempt.pointsEarned,
+    totalPoints: attempt.totalPoints,
+    needsManualGrading: attempt.needsManualGrading,
+    answers: attempt.answers
+  },
+  attempt: {
+    id: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    maxAttempts: quiz.maxAttempts || null,
+    attemptsRemaining: quiz.maxAttempts ? Math.max(0, quiz.maxAttempts - attempt.attemptNumber) : null
+  }
+});
+
+// Load an attempt owned by the requesting user together with its quiz
+const loadOwnAttempt = async (attemptId, userId) => {
+  const attempt = await QuizAttempt.findById(attemptId);
+  if (!attempt || attempt.userId.toString() !== String(userId)) {
+    return { status: 404, error: { message: 'Quiz attempt not found' } };
+  }
+
+  const quiz = await Quiz.findById(attempt.quizId);
+  if (!quiz) {
+    return { status: 404, error: { message: 'Quiz not found' } };
+  }
+
+  // Grade and display the question versions this attempt was given
+  await resolveBankQuestions(quiz, attempt);
+
+  return { attempt, quiz };
+};
+
 // Get a specific quiz for taking
 const getQuiz = async (req, res) => {
   try {
     const { quizId } = req.params;
     const userId = req.user.id;
 
-    const quiz = await Quiz.findById(quizId).populate('courseId', 'title syllabus');
-    if (!quiz) {
-      return res.status(404).json({ message: 'Quiz not found' });
+    const access = await checkQuizAccess(quizId, userId);
+    if (access.error) {
+      return res.status(access.status).json(access.error);
     }
 
-    if (!quiz.isAvailable()) {
-      return res.status(403).json({ message: 'Quiz is not currently available' });
+    // Let the player offer to resume an unfinished attempt after a refresh
+    const activeAttempt = await QuizAttempt.findActiveAttempt(quizId, userId);
+    await resolveBankQuestions(access.quiz, activeAttempt);
+    const studentQuiz = access.quiz.getStudentView(activeAttempt);
+
+    studentQuiz.activeAttempt = activeAttempt ? {
+      id: activeAttempt._id,
+      status: activeAttempt.status,
+      timeRemaining: activeAttempt.getRemainingTime()
+    } : null;
+
+    res.json(studentQuiz);
+  } catch (error) {
+    console.error('Error fetching quiz:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Start a quiz attempt, or resume the user's unfinished one
+const startQuizAttempt = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const userId = req.user.id;
+
+    const access = await checkQuizAccess(quizId, userId);
+    if (access.error) {
+      return res.status(access.status).json(access.error);
     }
 
-    // Check if user has completed all modules before allowing quiz access
-    const course = quiz.courseId;
-    const progress = await LearningProgress.findOne({ userId, courseId: course._id });
+    const quiz = await Quiz.findById(quizId);
+    const activeAttempt = await QuizAttempt.findActiveAttempt(quizId, userId);
+    await resolveBankQuestions(quiz, activeAttempt);
+
+    if (activeAttempt) {
+      if (activeAttempt.isTimeExpired()) {
+        await finalizeAttempt(activeAttempt, quiz, 'auto_submitted');
+        return res.json({
+          message: 'Time limit reached. Your saved answers were submitted automatically.',
+          ...buildAttemptResults(quiz, activeAttempt)
+        });
+      }
+
+      if (activeAttempt.status === 'paused') {
+        activeAttempt.resume();
+        await activeAttempt.save();
+      }
+
+      return res.json({ resumed: true, ...buildAttemptSession(activeAttempt, quiz) });
+    }
 
-    if (!progress) {
+    // Enforce the per-quiz attempt limit before opening a new attempt
+    const attemptCount = await QuizAttempt.getUserAttemptCount(quizId, userId);
+    if (quiz.maxAttempts && attemptCount >= quiz.maxAttempts) {
       return res.status(403).json({
-        message: 'You must enroll in the course before taking the quiz'
+        message: `You have used all ${quiz.maxAttempts} attempts for this quiz`,
+        attemptCount,
+        maxAttempts: quiz.maxAttempts
       });
     }
 
-    const totalModules = course.syllabus ? course.syllabus.length : 0;
-    const completedModules = progress.modulesCompleted ? progress.modulesCompleted.length : 0;
+    const attempt = new QuizAttempt({
+      quizId,
+      userId,
+      courseId: quiz.courseId,
+      attemptNumber: attemptCount + 1,
+      status: 'in_progress',
+      timeLimit: quiz.timeLimit,
+      maxPauses: quiz.maxPauses,
+      maxPauseSeconds: quiz.maxPauseSeconds,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      // Seeded draw and shuffle, kept so a resumed attempt shows the same layout
+      ...buildAttemptLayout(quiz),
+      questionVersions: getBankVersions(quiz)
+    });
+    attempt.totalPoints = getAttemptTotalPoints(quiz, attempt);
+    attempt.updateTimeRemaining();
+    await attempt.save();
 
-    // Check if course has at least one module
-    if (totalModules === 0) {
-      return res.status(403).json({
-        message: 'Quiz is not available. This course does not have any modules yet.'
+    res.status(201).json({ resumed: false, ...buildAttemptSession(attempt, quiz) });
+  } catch (error) {
+    // Duplicate attempt number means another start request for this user won the race
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An attempt for this quiz is already being started' });
+    }
+    console.error('Error starting quiz attempt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get the current state of one of the user's attempts
+const getQuizAttemptSession = async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req.params.attemptId, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+    const { attempt, quiz } = loaded;
+
+    if (attempt.isActive() && attempt.isTimeExpired()) {
+      await finalizeAttempt(attempt, quiz, 'auto_submitted');
+    }
+
+    if (attempt.isCompleted()) {
+      return res.json(buildAttemptResults(quiz, attempt));
+    }
+
+    res.json(buildAttemptSession(attempt, quiz));
+  } catch (error) {
+    console.error('Error fetching quiz attempt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Save answers and position for an in-progress attempt without submitting
+const saveQuizAttemptAnswers = async (req, res) => {
+  try {
+    const { answers, timeSpentPerQuestion, currentQuestion } = req.body;
+
+    const loaded = await loadOwnAttempt(req.params.attemptId, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+    const { attempt, quiz } = loaded;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ message: `Answers cannot be saved while the attempt is ${attempt.status}` });
+    }
+
+    if (attempt.isTimeExpired()) {
+      await finalizeAttempt(attempt, quiz, 'auto_submitted');
+      return res.status(409).json({
+        message: 'Time limit reached. Your saved answers were submitted automatically.',
+        ...buildAttemptResults(quiz, attempt)
       });
     }
 
-    // Check if all modules are completed
-    if (completedModules < totalModules) {
-      return res.status(403).json({
-        message: `Quiz is only available after completing all course modules. You have completed ${completedModules} out of ${totalModules} modules.`,
-        requiredModules: totalModules,
-        completedModules: completedModules
+    recordAnswers(attempt, quiz, answers, { timeSpentPerQuestion, currentQuestion });
+    await attempt.save();
+
+    res.json({
+      message: 'Answers saved',
+      timeRemaining: attempt.timeRemaining,
+      answeredQuestions: attempt.quizState.answeredQuestions
+    });
+  } catch (error) {
+    console.error('Error saving quiz answers:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Pause an in-progress attempt, stopping its clock
+const pauseQuizAttempt = async (req, res) => {
+  try {
+    const { answers, timeSpentPerQuestion, currentQuestion } = req.body;
+
+    const loaded = await loadOwnAttempt(req.params.attemptId, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+    const { attempt, quiz } = loaded;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ message: `Cannot pause an attempt that is ${attempt.status}` });
+    }
+
+    if (attempt.isTimeExpired()) {
+      await finalizeAttempt(attempt, quiz, 'auto_submitted');
+      return res.status(409).json({
+        message: 'Time limit reached. Your saved answers were submitted automatically.',
+        ...buildAttemptResults(quiz, attempt)
       });
     }
 
-    const studentQuiz = quiz.getStudentView();
+    recordAnswers(attempt, quiz, answers, { timeSpentPerQuestion, currentQuestion });
+    if (!attempt.canPause()) {
+      await attempt.save();
+      return res.status(409).json({
+        message: 'No pauses left for this attempt. The timer keeps running.',
+        ...buildAttemptSession(attempt, quiz)
+      });
+    }
+    attempt.pause();
+    await attempt.save();
 
-    res.json(studentQuiz);
+    res.json({ message: 'Quiz paused', ...buildAttemptSession(attempt, quiz) });
   } catch (error) {
-    console.error('Error fetching quiz:', error);
+    console.error('Error pausing quiz attempt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Resume a paused attempt, restarting its clock
+const resumeQuizAttempt = async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req.params.attemptId, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+    const { attempt, quiz } = loaded;
+
+    if (attempt.status !== 'paused') {
+      return res.status(409).json({ message: `Cannot resume an attempt that is ${attempt.status}` });
+    }
+
+    // Pausing past the allowance keeps the clock running, so the time may be up
+    if (attempt.isTimeExpired()) {
+      await finalizeAttempt(attempt, quiz, 'auto_submitted');
+      return res.status(409).json({
+        message: 'Time limit reached. Your saved answers were submitted automatically.',
+        ...buildAttemptResults(quiz, attempt)
+      });
+    }
+
+    attempt.resume();
+    await attempt.save();
+
+    res.json({ message: 'Quiz resumed', ...buildAttemptSession(attempt, quiz) });
+  } catch (error) {
+    console.error('Error resuming quiz attempt:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Submit a started attempt for grading
+const submitStartedQuizAttempt = async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req.params.attemptId, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+    const { attempt, quiz } = loaded;
 
+    if (!attempt.isActive()) {
+      return res.status(409).json({
+        message: 'This attempt has already been submitted',
+        ...buildAttemptResults(quiz, attempt)
+      });
+    }
+
+    await submitAttempt(attempt, quiz, req.body.answers);
+
+    res.json({
+      message: attempt.status === 'auto_submitted'
+        ? 'Time limit reached. Your quiz was submitted automatically.'
+        : 'Quiz submitted successfully',
+      ...buildAttemptResults(quiz, attempt)
+    });
+  } catch (error) {
+    console.error('Error submitting quiz attempt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
 const submitQuizAttempt = async (req, res) => {
   try {
@@ -133,100 +459,275 @@ const submitQuizAttempt = async (req, res) => {
     const { answers } = req.body;
     const userId = req.user.id;
 
+    // Same availability, enrollment and module checks as starting the quiz
+    const access = await checkQuizAccess(quizId, userId);
+    if (access.error) {
+      return res.status(access.status).json(access.error);
+    }
+
     const quiz = await Quiz.findById(quizId);
-    if (!quiz) {
-      return res.status(404).json({ message: 'Quiz not found' });
+
+    // Submissions go into the attempt opened by /start when there is one
+    const activeAttempt = await QuizAttempt.findActiveAttempt(quizId, userId);
+    await resolveBankQuestions(quiz, activeAttempt);
+    if (activeAttempt) {
+      await submitAttempt(activeAttempt, quiz, answers);
+      return res.json({
+        message: 'Quiz submitted successfully',
+        ...buildAttemptResults(quiz, activeAttempt)
+      });
     }
 
-    const processedAnswers = [];
-    let totalPointsEarned = 0;
+    // Timed quizzes are only enforceable when the clock was started on the server,
+    // and pooled quizzes need the draw made when the attempt started
+    if (quiz.timeLimit || quiz.questionPools.length > 0) {
+      return res.status(400).json({ message: 'Start this quiz before submitting answers' });
+    }
+
+    // Enforce the per-quiz attempt limit before grading
+    const attemptCount = await QuizAttempt.getUserAttemptCount(quizId, userId);
+    if (quiz.maxAttempts && attemptCount >= quiz.maxAttempts) {
+      return res.status(403).json({
+        message: `You have used all ${quiz.maxAttempts} attempts for this quiz`,
+        attemptCount,
+        maxAttempts: quiz.maxAttempts
+      });
+    }
 
-    for (const [questionId, userAnswer] of Object.entries(answers || {})) {
-      const question = quiz.questions.find(q => q.id === questionId);
-      if (!question) continue;
+    // Persist the submission so attempt history and best score can be reported
+    const attempt = new QuizAttempt({
+      quizId,
+      userId,
+      courseId: quiz.courseId,
+      attemptNumber: attemptCount + 1,
+      questionVersions: getBankVersions(quiz),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    recordAnswers(attempt, quiz, answers);
 
-      let isCorrect = false;
-      let pointsEarned = 0;
+    await finalizeAttempt(attempt, quiz, 'submitted', {
+      timeSpentMinutes: req.body.timeSpent || 10 // Default 10 minutes if not provided
+    });
 
-      const correctOption = question.options.find(opt => opt.isCorrect);
-      isCorrect = correctOption && correctOption.id === userAnswer;
+    res.json({
+      message: 'Quiz submitted successfully',
+      ...buildAttemptResults(quiz, attempt)
+    });
+  } catch (error) {
+    // Duplicate attempt number means another submission for this user won the race
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another submission for this quiz is already being processed' });
+    }
+    console.error('Error submitting quiz:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
-      if (isCorrect) {
-        pointsEarned = question.points || 1;
-        totalPointsEarned += pointsEarned;
-      }
 
-      processedAnswers.push({
-        questionId,
-        selectedAnswer: userAnswer,
-        isCorrect,
-        pointsEarned
-      });
+// Summarise a user's attempts at a quiz for history views
+const buildAttemptHistory = (quiz, attempts, bestScore) => ({
+  quiz: {
+    id: quiz._id,
+    title: quiz.title,
+    passingScore: quiz.passingScore,
+    maxAttempts: quiz.maxAttempts || null
+  },
+  attemptCount: attempts.length,
+  attemptsRemaining: quiz.maxAttempts ? Math.max(0, quiz.maxAttempts - attempts.length) : null,
+  bestScore,
+  hasPassed: attempts.some(attempt => attempt.passed),
+  attempts: attempts.map(attempt => ({
+    id: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    submittedAt: attempt.submittedAt,
+    pointsEarned: attempt.pointsEarned,
+    totalPoints: attempt.totalPoints,
+    percentage: attempt.percentage,
+    passed: attempt.passed,
+    answers: attempt.answers,
+    // Enough to replay the layout the student saw
+    seed: attempt.seed,
+    questionOrder: attempt.questionOrder,
+    optionOrder: attempt.optionOrder
+  }))
+});
+
+// Only the course instructor or an admin may review other users' attempts
+const canReviewQuizAttempts = async (user, quiz) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'instructor') return false;
+
+  const course = await Course.findById(quiz.courseId).select('instructor');
+  return !!course && course.instructor.id.toString() === user.id;
+};
+
+// Student: Get own attempt history and best score for a quiz
+const getMyQuizAttempts = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const userId = req.user.id;
+
+    const quiz = await Quiz.findById(quizId).select('title passingScore maxAttempts courseId');
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
     }
 
-    const percentage = Math.round((totalPointsEarned / quiz.totalPoints) * 100);
-    const passed = percentage >= quiz.passingScore;
+    const attempts = await QuizAttempt.find({ quizId, userId }).sort({ attemptNumber: -1 });
+    const bestScore = await QuizAttempt.getUserBestScore(quizId, userId);
 
-    if (passed) {
-      const progress = await LearningProgress.findOne({
-        userId,
-        courseId: quiz.courseId
-      });
+    res.json(buildAttemptHistory(quiz, attempts, bestScore));
+  } catch (error) {
+    console.error('Error fetching quiz attempts:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
-      if (progress) {
-        // Update time tracking and last access date for analytics
-        const quizTimeSpent = req.body.timeSpent || 10; // Default 10 minutes if not provided
-        progress.totalTimeSpent = (progress.totalTimeSpent || 0) + quizTimeSpent;
-        progress.lastAccessDate = new Date();
-
-        if (!progress.isCompleted) {
-          const course = await Course.findById(quiz.courseId);
-          const totalModules = course.syllabus ? course.syllabus.length : 0;
-          const completedModules = progress.modulesCompleted ? progress.modulesCompleted.length : 0;
-
-          if (totalModules > 0 && completedModules >= totalModules) {
-            progress.isCompleted = true;
-            progress.completionDate = new Date();
-            progress.completionPercentage = 100;
-
-            const hasCompletionAchievement = progress.achievements.some(a => a.type === 'course_completed');
-            if (!hasCompletionAchievement) {
-              progress.achievements.push({
-                type: 'course_completed',
-                description: `Completed ${course.title} with quiz score of ${percentage}%`
-              });
-            }
-          }
-        }
+// Instructor/Admin: Get attempt counts and best scores for every student who took a quiz
+const getQuizAttemptSummary = async (req, res) => {
+  try {
+    const { quizId } = req.params;
 
-        await progress.save();
+    const quiz = await Quiz.findById(quizId).select('title passingScore maxAttempts courseId');
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!(await canReviewQuizAttempts(req.user, quiz))) {
+      return res.status(403).json({ message: 'You can only view attempts for quizzes in your own courses' });
+    }
 
-        // Update user's total learning hours and streak
-        const user = await User.findById(userId);
-        if (user) {
-          user.totalLearningHours = (user.totalLearningHours || 0) + (quizTimeSpent / 60);
-          user.lastLearningDate = new Date();
-          await user.save();
+    const summary = await QuizAttempt.aggregate([
+      { $match: { quizId: quiz._id } },
+      {
+        $group: {
+          _id: '$userId',
+          attemptCount: { $sum: 1 },
+          bestScore: { $max: '$percentage' },
+          lastAttemptAt: { $max: '$submittedAt' },
+          passed: { $max: '$passed' }
         }
-      }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $sort: { 'user.name': 1 } }
+    ]);
+
+    res.json({
+      quiz: {
+        id: quiz._id,
+        title: quiz.title,
+        passingScore: quiz.passingScore,
+        maxAttempts: quiz.maxAttempts || null
+      },
+      students: summary.map(entry => ({
+        student: { _id: entry._id, name: entry.user.name, email: entry.user.email },
+        attemptCount: entry.attemptCount,
+        attemptsRemaining: quiz.maxAttempts ? Math.max(0, quiz.maxAttempts - entry.attemptCount) : null,
+        bestScore: entry.bestScore,
+        passed: entry.passed,
+        lastAttemptAt: entry.lastAttemptAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching quiz attempt summary:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Instructor/Admin: Get one student's full attempt history, including answers
+const getStudentQuizAttempts = async (req, res) => {
+  try {
+    const { quizId, studentId } = req.params;
+
+    const quiz = await Quiz.findById(quizId).select('title passingScore maxAttempts courseId');
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!(await canReviewQuizAttempts(req.user, quiz))) {
+      return res.status(403).json({ message: 'You can only view attempts for quizzes in your own courses' });
     }
 
+    const student = await User.findById(studentId).select('name email');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const attempts = await QuizAttempt.find({ quizId, userId: studentId }).sort({ attemptNumber: -1 });
+    const bestScore = await QuizAttempt.getUserBestScore(quizId, studentId);
+
     res.json({
-      message: 'Quiz submitted successfully',
-      results: {
-        passed,
-        percentage,
-        pointsEarned: totalPointsEarned,
-        totalPoints: quiz.totalPoints,
-        answers: processedAnswers
-      }
+      student,
+      ...buildAttemptHistory(quiz, attempts, bestScore)
     });
   } catch (error) {
-    console.error('Error submitting quiz:', error);
+    console.error('Error fetching student quiz attempts:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Essay answers awaiting manual grading in the reviewer's courses
+const getManualGradingQueue = async (req, res) => {
+  try {
+    const courseIds = await getGradableCourseIds(req.user);
+    const queue = await getQuizEssayQueue({ courseIds });
+
+    res.json({ count: queue.length, items: queue });
+  } catch (error) {
+    console.error('Error fetching manual grading queue:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Normalize an authored question into the stored shape for its type
+const buildQuizQuestion = (question, index) => {
+  const type = normalizeQuestionType(question.type);
+  const usesOptions = ['multiple_choice', 'multiple_select'].includes(type);
+
+  return {
+    id: question.id || `q${index + 1}`,
+    type,
+    question: question.question,
+    options: usesOptions
+      ? (question.options || []).filter(opt => opt.text && opt.text.trim() !== '')
+      : [],
+    correctAnswer: type === 'short_answer' && Array.isArray(question.correctAnswer)
+      ? question.correctAnswer.map(answer => String(answer).trim()).filter(Boolean)
+      : question.correctAnswer,
+    matchMode: question.matchMode,
+    tolerance: question.tolerance,
+    partialCredit: question.partialCredit,
+    points: question.points || 1,
+    explanation: question.explanation,
+    tags: question.tags,
+    difficulty: question.difficulty,
+    bankQuestionId: question.bankQuestionId,
+    bankVersion: question.bankVersion
+  };
+};
+
+// Each pool must be able to fill its draw from the quiz's questions
+const findInvalidQuestionPool = (questions, pools) => {
+  for (const pool of pools || []) {
+    if (!Number.isInteger(pool.count) || pool.count < 1) {
+      return 'Each question pool needs a draw count of at least 1';
+    }
+
+    const available = (questions || []).filter(question => matchesPool(question, pool)).length;
+    if (available < pool.count) {
+      return `Question pool "${pool.name || (pool.tags || []).join(', ') || 'untitled'}" draws ${pool.count} questions but only ${available} match`;
+    }
+  }
+  return null;
+};
+
+const findInvalidQuestionType = (questions) => {
+  const invalid = (questions || []).find(question => !QUESTION_TYPES.includes(normalizeQuestionType(question.type)));
+  return invalid ? invalid.type : null;
+};
 
 // Admin: Create a new quiz
 const createQuiz = async (req, res) => {
@@ -239,6 +740,12 @@ const createQuiz = async (req, res) => {
       questions,
       timeLimit,
       passingScore,
+      maxAttempts,
+      maxPauses,
+      maxPauseSeconds,
+      randomizeQuestions,
+      randomizeOptions,
+      questionPools,
       difficulty,
       status = 'draft'
     } = req.body;
@@ -264,6 +771,21 @@ const createQuiz = async (req, res) => {
       return res.status(400).json({ message: 'Quiz cannot have more than 10 questions' });
     }
 
+    const invalidType = findInvalidQuestionType(questions);
+    if (invalidType) {
+      return res.status(400).json({ message: `Unsupported question type: ${invalidType}` });
+    }
+
+    const linked = await linkBankQuestions(courseId, questions);
+    if (linked.error) {
+      return res.status(400).json({ message: linked.error });
+    }
+
+    const invalidPool = findInvalidQuestionPool(linked.questions, questionPools);
+    if (invalidPool) {
+      return res.status(400).json({ message: invalidPool });
+    }
+
     const totalPoints = questions.reduce((sum, question) => sum + (question.points || 1), 0);
 
     // Convert 'active' to 'published' for status
@@ -278,15 +800,14 @@ const createQuiz = async (req, res) => {
       status: quizStatus,
       timeLimit,
       passingScore: passingScore || 70,
+      maxAttempts: maxAttempts || undefined,
+      maxPauses,
+      maxPauseSeconds,
+      randomizeQuestions: !!randomizeQuestions,
+      randomizeOptions: !!randomizeOptions,
+      questionPools: questionPools || [],
       difficulty: difficulty || 1,
-      questions: questions.map((question, index) => ({
-        id: question.id || `q${index + 1}`,
-        question: question.question,
-        options: (question.options || []).filter(opt => opt.text && opt.text.trim() !== ''),
-        correctAnswer: question.correctAnswer,
-        points: question.points || 1,
-        explanation: question.explanation
-      })),
+      questions: linked.questions.map(buildQuizQuestion),
       totalPoints
     });
 
@@ -326,8 +847,30 @@ const updateQuiz = async (req, res) => {
       return res.status(400).json({ message: 'Quiz cannot have more than 10 questions' });
     }
 
+    const invalidType = findInvalidQuestionType(updateData.questions);
+    if (invalidType) {
+      return res.status(400).json({ message: `Unsupported question type: ${invalidType}` });
+    }
+
+    if (updateData.questions) {
+      const linked = await linkBankQuestions(quiz.courseId._id || quiz.courseId, updateData.questions);
+      if (linked.error) {
+        return res.status(400).json({ message: linked.error });
+      }
+      updateData.questions = linked.questions;
+    }
+
+    const invalidPool = findInvalidQuestionPool(
+      updateData.questions || quiz.questions,
+      updateData.questionPools || quiz.questionPools
+    );
+    if (invalidPool) {
+      return res.status(400).json({ message: invalidPool });
+    }
+
     // Recalculate total points if questions are updated
     if (updateData.questions) {
+      updateData.questions = updateData.questions.map(buildQuizQuestion);
       updateData.totalPoints = updateData.questions.reduce((sum, question) => sum + (question.points || 1), 0);
     }
 
@@ -416,6 +959,7 @@ const getAllQuizzes = async (req, res) => {
       totalPoints: quiz.totalPoints,
       timeLimit: quiz.timeLimit,
       passingScore: quiz.passingScore,
+      maxAttempts: quiz.maxAttempts,
       createdBy: quiz.createdBy,
       createdAt: quiz.createdAt
     }));
@@ -466,6 +1010,7 @@ const getInstructorQuizzes = async (req, res) => {
       totalPoints: quiz.totalPoints,
       timeLimit: quiz.timeLimit,
       passingScore: quiz.passingScore,
+      maxAttempts: quiz.maxAttempts,
       createdBy: quiz.createdBy,
       createdAt: quiz.createdAt
     }));
@@ -488,6 +1033,12 @@ const createInstructorQuiz = async (req, res) => {
       questions,
       timeLimit,
       passingScore,
+      maxAttempts,
+      maxPauses,
+      maxPauseSeconds,
+      randomizeQuestions,
+      randomizeOptions,
+      questionPools,
       difficulty,
       status = 'draft'
     } = req.body;
@@ -517,6 +1068,21 @@ const createInstructorQuiz = async (req, res) => {
       return res.status(400).json({ message: 'Quiz cannot have more than 10 questions' });
     }
 
+    const invalidType = findInvalidQuestionType(questions);
+    if (invalidType) {
+      return res.status(400).json({ message: `Unsupported question type: ${invalidType}` });
+    }
+
+    const linked = await linkBankQuestions(courseId, questions);
+    if (linked.error) {
+      return res.status(400).json({ message: linked.error });
+    }
+
+    const invalidPool = findInvalidQuestionPool(linked.questions, questionPools);
+    if (invalidPool) {
+      return res.status(400).json({ message: invalidPool });
+    }
+
     const totalPoints = questions.reduce((sum, question) => sum + (question.points || 1), 0);
 
     // Convert 'active' to 'published' for status
@@ -531,15 +1097,14 @@ const createInstructorQuiz = async (req, res) => {
       status: quizStatus,
       timeLimit,
       passingScore: passingScore || 70,
+      maxAttempts: maxAttempts || undefined,
+      maxPauses,
+      maxPauseSeconds,
+      randomizeQuestions: !!randomizeQuestions,
+      randomizeOptions: !!randomizeOptions,
+      questionPools: questionPools || [],
       difficulty: difficulty || 1,
-      questions: questions.map((question, index) => ({
-        id: question.id || `q${index + 1}`,
-        question: question.question,
-        options: (question.options || []).filter(opt => opt.text && opt.text.trim() !== ''),
-        correctAnswer: question.correctAnswer,
-        points: question.points || 1,
-        explanation: question.explanation
-      })),
+      questions: linked.questions.map(buildQuizQuestion),
       totalPoints
     });
 
@@ -584,8 +1149,30 @@ const updateInstructorQuiz = async (req, res) => {
       return res.status(400).json({ message: 'Quiz cannot have more than 10 questions' });
     }
 
+    const invalidType = findInvalidQuestionType(updateData.questions);
+    if (invalidType) {
+      return res.status(400).json({ message: `Unsupported question type: ${invalidType}` });
+    }
+
+    if (updateData.questions) {
+      const linked = await linkBankQuestions(quiz.courseId._id || quiz.courseId, updateData.questions);
+      if (linked.error) {
+        return res.status(400).json({ message: linked.error });
+      }
+      updateData.questions = linked.questions;
+    }
+
+    const invalidPool = findInvalidQuestionPool(
+      updateData.questions || quiz.questions,
+      updateData.questionPools || quiz.questionPools
+    );
+    if (invalidPool) {
+      return res.status(400).json({ message: invalidPool });
+    }
+
     // Recalculate total points if questions are updated
     if (updateData.questions) {
+      updateData.questions = updateData.questions.map(buildQuizQuestion);
       updateData.totalPoints = updateData.questions.reduce((sum, question) => sum + (question.points || 1), 0);
     }
 
@@ -670,7 +1257,17 @@ const getAllCoursesForAdmin = async (req, res) => {
 module.exports = {
   getCourseQuizzes,
   getQuiz,
+  startQuizAttempt,
+  getQuizAttemptSession,
+  saveQuizAttemptAnswers,
+  pauseQuizAttempt,
+  resumeQuizAttempt,
+  submitStartedQuizAttempt,
   submitQuizAttempt,
+  getMyQuizAttempts,
+  getQuizAttemptSummary,
+  getStudentQuizAttempts,
+  getManualGradingQueue,
   createQuiz,
   updateQuiz,
   deleteQuiz,
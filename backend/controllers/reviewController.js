@@ -0,0 +1,411 @@
+/**
+ * ReviewController - Demonstrates REPOSITORY, OBSERVER and PROXY PATTERNS
+ *
+ * DESIGN PATTERNS IMPLEMENTED:
+ * 1. REPOSITORY PATTERN - Review queries with sorting, filtering and pagination
+ * 2. OBSERVER PATTERN - Review changes trigger Course.rating recomputation
+ * 3. PROXY PATTERN - Enrollment, ownership and role checks guard each action
+ *
+ * OOP CONCEPTS DEMONSTRATED:
+ * 1. ENCAPSULATION - Voting, reporting and rating aggregation live in the Review model
+ * 2. ABSTRACTION - Clients see one review API for students, instructors and admins
+ */
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+const LearningProgress = require('../models/LearningProgress');
+
+const SORT_OPTIONS = {
+    recent: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+};
+
+// Validate review input; returns an error message or null
+const validateReviewInput = ({ rating, title, text }, { partial = false } = {}) => {
+    if (rating === undefined && !partial) {
+        return 'Rating is required';
+    }
+    if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+        return 'Rating must be a whole number from 1 to 5';
+    }
+    if (title !== undefined && (typeof title !== 'string' || title.length > 120)) {
+        return 'Title must be text of at most 120 characters';
+    }
+    if (text !== undefined && (typeof text !== 'string' || text.length > 2000)) {
+        return 'Review text must be at most 2000 characters';
+    }
+    return null;
+};
+
+const isCourseInstructor = (course, user) =>
+    !!course && course.instructor.id.toString() === user.id;
+
+// Shape a review for the client; voters and reporters stay private
+const toClientReview = (review, user) => {
+    const data = review.toObject ? review.toObject() : review;
+    const { helpfulVotes = [], reports = [], ...rest } = data;
+    const canModerate = user.role === 'admin';
+
+    return {
+        ...rest,
+        votedHelpful: helpfulVotes.some(id => id.toString() === user.id),
+        isMine: (data.userId._id || data.userId).toString() === user.id,
+        ...(canModerate ? { reports } : { reportCount: reports.length })
+    };
+};
+
+/**
+ * REPOSITORY PATTERN
+ * Get published reviews for a course with the rating summary
+ * Query: sort (recent|helpful|highest|lowest), rating, page, limit
+ */
+const getCourseReviews = async (req, res) => {
+    try {
+        const courseId = req.params.id;
+        const ratingFilter = req.query.rating === undefined || req.query.rating === '' ? undefined : Number(req.query.rating);
+        if (ratingFilter !== undefined && (!Number.isInteger(ratingFilter) || ratingFilter < 1 || ratingFilter > 5)) {
+            return res.status(400).json({ message: 'Rating filter must be a whole number from 1 to 5' });
+        }
+
+        const course = await Course.findById(courseId).select('rating ratingCount instructor');
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+        const filter = { courseId, status: 'published' };
+        if (ratingFilter !== undefined) filter.rating = ratingFilter;
+
+        const [reviews, total, distribution, myReview, enrollment] = await Promise.all([
+            Review.find(filter)
+                .populate('userId', 'name')
+                .populate('instructorReply.repliedBy', 'name')
+                .sort(SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.recent)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(filter),
+            Review.getRatingDistribution(courseId),
+            Review.findOne({ courseId, userId: req.user.id }),
+            LearningProgress.exists({ courseId, userId: req.user.id })
+        ]);
+
+        res.json({
+            summary: {
+                rating: course.rating,
+                ratingCount: course.ratingCount,
+                distribution
+            },
+            reviews: reviews.map(review => toClientReview(review, req.user)),
+            myReview: myReview ? toClientReview(myReview, req.user) : null,
+            canReview: !!enrollment && !myReview,
+            canReply: isCourseInstructor(course, req.user) || req.user.role === 'admin',
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROXY PATTERN + OBSERVER PATTERN
+ * Review a course - enrolled students only, once per course
+ */
+const createReview = async (req, res) => {
+    try {
+        const courseId = req.params.id;
+        const { rating, title, text } = req.body;
+
+        const validationError = validateReviewInput({ rating, title, text });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const course = await Course.findById(courseId).select('_id');
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        // PROXY: Only enrolled students may review
+        const enrollment = await LearningProgress.exists({ courseId, userId: req.user.id });
+        if (req.user.role !== 'student' || !enrollment) {
+            return res.status(403).json({ message: 'Only students enrolled in this course can review it' });
+        }
+
+        const existing = await Review.findOne({ courseId, userId: req.user.id });
+        if (existing) {
+            return res.status(409).json({ message: 'You have already reviewed this course. Edit your review instead.' });
+        }
+
+        const review = await Review.create({
+            courseId,
+            userId: req.user.id,
+            rating,
+            title,
+            text
+        });
+
+        // OBSERVER: Keep the course aggregate in step
+        const summary = await Review.recalculateCourseRating(courseId);
+
+        res.status(201).json({
+            message: 'Review posted',
+            review: toClientReview(review, req.user),
+            summary
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'You have already reviewed this course. Edit your review instead.' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROXY PATTERN + OBSERVER PATTERN
+ * Edit your own review
+ */
+const updateReview = async (req, res) => {
+    try {
+        const { rating, title, text } = req.body;
+
+        const validationError = validateReviewInput({ rating, title, text }, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const review = await Review.findById(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.userId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'You can only edit your own review' });
+        }
+
+        if (rating !== undefined) review.rating = rating;
+        if (title !== undefined) review.title = title;
+        if (text !== undefined) review.text = text;
+        await review.save();
+
+        const summary = await Review.recalculateCourseRating(review.courseId);
+
+        res.json({
+            message: 'Review updated',
+            review: toClientReview(review, req.user),
+            summary
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROXY PATTERN + OBSERVER PATTERN
+ * Delete a review - its author or an admin
+ */
+const deleteReview = async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not authorized to delete this review' });
+        }
+
+        await review.deleteOne();
+        const summary = await Review.recalculateCourseRating(review.courseId);
+
+        res.json({ message: 'Review deleted', summary });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * ENCAPSULATION
+ * Toggle a helpful vote on someone else's review
+ */
+const voteHelpful = async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.reviewId);
+        if (!review || review.status !== 'published') {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.userId.toString() === req.user.id) {
+            return res.status(400).json({ message: 'You cannot vote on your own review' });
+        }
+
+        const votedHelpful = review.toggleHelpful(req.user.id);
+        await review.save();
+
+        res.json({
+            message: votedHelpful ? 'Marked as helpful' : 'Helpful vote removed',
+            helpfulCount: review.helpfulCount,
+            votedHelpful
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * PROXY PATTERN
+ * Reply to a review - the course instructor or an admin. An empty reply removes it.
+ */
+const replyToReview = async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (text !== undefined && (typeof text !== 'string' || text.length > 2000)) {
+            return res.status(400).json({ message: 'Reply must be at most 2000 characters' });
+        }
+
+        const review = await Review.findById(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        const course = await Course.findById(review.courseId).select('instructor');
+        if (!isCourseInstructor(course, req.user) && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Only the course instructor can reply to reviews' });
+        }
+
+        if (text && text.trim()) {
+            review.instructorReply = { text, repliedBy: req.user.id, repliedAt: new Date() };
+        } else {
+            review.instructorReply = undefined;
+        }
+        await review.save();
+        await review.populate('instructorReply.repliedBy', 'name');
+
+        res.json({
+            message: text && text.trim() ? 'Reply posted' : 'Reply removed',
+            review: toClientReview(review, req.user)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * OBSERVER PATTERN
+ * Report a review for moderation; enough reports flag it automatically
+ */
+const reportReview = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+            return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+        }
+
+        const review = await Review.findById(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        const wasPublished = review.status === 'published';
+        if (!review.addReport(req.user.id, reason)) {
+            return res.status(400).json({ message: 'You have already reported this review' });
+        }
+        await review.save();
+
+        if (wasPublished && review.status !== 'published') {
+            await Review.recalculateCourseRating(review.courseId);
+        }
+
+        res.json({ message: 'Review reported. An admin will look at it.' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * REPOSITORY PATTERN (admin)
+ * Reviews needing moderation: flagged by default, or ?status=hidden|published|reported
+ */
+const getModerationQueue = async (req, res) => {
+    try {
+        const { status = 'flagged', courseId } = req.query;
+        const statuses = [...Review.schema.path('status').enumValues, 'reported'];
+        if (!statuses.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${statuses.join(', ')}` });
+        }
+        if (courseId !== undefined && (typeof courseId !== 'string' || !mongoose.Types.ObjectId.isValid(courseId))) {
+            return res.status(400).json({ message: 'Invalid courseId format' });
+        }
+
+        const filter = status === 'reported'
+            ? { 'reports.0': { $exists: true } }
+            : { status };
+        if (courseId) filter.courseId = courseId;
+
+        const reviews = await Review.find(filter)
+            .populate('userId', 'name email')
+            .populate('courseId', 'title')
+            .sort({ updatedAt: -1 })
+            .limit(100);
+
+        res.json({
+            count: reviews.length,
+            reviews: reviews.map(review => toClientReview(review, req.user))
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+/**
+ * OBSERVER PATTERN (admin)
+ * Publish or hide a review; clearReports dismisses the reports against it
+ */
+const moderateReview = async (req, res) => {
+    try {
+        const { status, reason, clearReports } = req.body;
+        if (!['published', 'hidden'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be published or hidden' });
+        }
+
+        const review = await Review.findById(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        review.status = status;
+        review.moderation = { moderatedBy: req.user.id, moderatedAt: new Date(), reason };
+        if (clearReports) review.reports = [];
+        await review.save();
+
+        const summary = await Review.recalculateCourseRating(review.courseId);
+
+        res.json({
+            message: status === 'hidden' ? 'Review hidden' : 'Review published',
+            review: toClientReview(review, req.user),
+            summary
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getCourseReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    voteHelpful,
+    replyToReview,
+    reportReview,
+    getModerationQueue,
+    moderateReview
+};
@@ -19,6 +19,8 @@ const LearningProgress = require('../models/LearningProgress');
 const User = require('../models/User');
 const Task = require('../models/Task');
 const { USER_ROLES } = require('../constants/roles');
+const { recordLearningActivity } = require('../services/learningActivityService');
+const { getGoalsWithProgress } = require('../services/learningGoalService');
 
 /**
  * FACADE PATTERN + COMPOSITE PATTERN IMPLEMENTATION
@@ -75,6 +77,9 @@ const getDashboard = async (req, res) => {
             totalAchievements: 0
         };
 
+        // Goals need the user's timezone, so they're computed after the user is loaded
+        const learningGoals = await getGoalsWithProgress(user);
+
         const upcomingDeadlines = recentTasks.filter(task =>
             !task.completed && task.deadline && new Date(task.deadline) > new Date()
         );
@@ -87,7 +92,7 @@ const getDashboard = async (req, res) => {
                     currentStreak: user.currentStreak || 0,
                     longestStreak: user.longestStreak || 0,
                     totalLearningHours: Math.round(stats.totalTimeSpent / 60) || 0,
-                    learningGoals: user.learningGoals || {}
+                    learningGoals
                 },
                 stats: {
                     totalCourses: stats.totalCourses,
@@ -231,6 +236,7 @@ const updateProgress = async (req, res) => {
             });
         }
 
+        let moduleCompletedNow = false;
         if (moduleIndex !== undefined) {
             if (moduleIndex >= course.syllabus.length) {
                 return res.status(400).json({
@@ -242,6 +248,7 @@ const updateProgress = async (req, res) => {
             const existingCompletion = progress.modulesCompleted.find(m => m.moduleIndex === moduleIndex);
 
             if (!existingCompletion) {
+                moduleCompletedNow = true;
                 progress.modulesCompleted.push({
                     moduleIndex,
                     completedAt: new Date(),
@@ -291,10 +298,13 @@ const updateProgress = async (req, res) => {
 
         await progress.save();
 
-        const user = await User.findById(userId);
-        user.totalLearningHours = (user.totalLearningHours || 0) + (timeSpent / 60);
-        user.lastLearningDate = new Date();
-        await user.save();
+        recordLearningActivity(userId, {
+            minutes: timeSpent,
+            items: { modulesCompleted: moduleCompletedNow ? 1 : 0 },
+            courseId
+        }).catch(error => {
+            console.error('Error recording learning activity:', error.message);
+        });
 
         res.status(200).json({
             success: true,
@@ -426,41 +436,6 @@ const getAchievements = async (req, res) => {
     }
 };
 
-const updateLearningGoals = async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { dailyGoal, weeklyGoal, monthlyGoal } = req.body;
-
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
-        }
-
-        user.learningGoals = {
-            dailyGoal: dailyGoal || user.learningGoals?.dailyGoal || 30,
-            weeklyGoal: weeklyGoal || user.learningGoals?.weeklyGoal || 300,
-            monthlyGoal: monthlyGoal || user.learningGoals?.monthlyGoal || 1200
-        };
-
-        await user.save();
-
-        res.status(200).json({
-            success: true,
-            message: 'Learning goals updated successfully',
-            data: user.learningGoals
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Server error while updating learning goals',
-            error: error.message
-        });
-    }
-};
-
 const getRecommendations = async (req, res) => {
     try {
         const userId = req.user.id;
@@ -515,6 +490,5 @@ module.exports = {
     addBookmark,
     removeBookmark,
     getAchievements,
-    updateLearningGoals,
     getRecommendations
 };
\ No newline at end of file
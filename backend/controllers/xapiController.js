@@ -0,0 +1,162 @@
+/**
+ * XapiController - Demonstrates ADAPTER and PROXY PATTERNS
+ *
+ * DESIGN PATTERNS IMPLEMENTED:
+ * 1. ADAPTER PATTERN - Exposes the statements collection through the xAPI 1.0.3 /statements resource
+ * 2. PROXY PATTERN - Students only see and send their own statements, instructors see their courses
+ *
+ * OOP CONCEPTS DEMONSTRATED:
+ * 1. ENCAPSULATION - Statement validation, storage and querying live in xapiService
+ * 2. ABSTRACTION - Analytics tools read our learner events like any other Learning Record Store
+ */
+
+const Course = require('../models/Course');
+const XapiStatement = require('../models/XapiStatement');
+const {
+    XAPI_VERSION,
+    agentFor,
+    actorKey,
+    saveStatements,
+    parseStatementQuery,
+    findStatements
+} = require('../services/xapiService');
+
+const isStaff = (user) => ['instructor', 'admin'].includes(user.role);
+
+/**
+ * PROXY PATTERN
+ * Statements the user may read: admins all, instructors those about their
+ * courses, students their own.
+ */
+const getScopeFilter = async (user) => {
+    if (user.role === 'admin') {
+        return {};
+    }
+    if (user.role === 'instructor') {
+        const courses = await Course.find({ 'instructor.id': user.id }).select('_id');
+        return { courseId: { $in: courses.map(course => course._id) } };
+    }
+    return { actorKey: actorKey(agentFor(user)) };
+};
+
+// Students may only send statements about themselves
+const isOwnStatement = (statement, user) =>
+    !!statement && typeof statement === 'object' && actorKey(statement.actor) === actorKey(agentFor(user));
+
+/**
+ * ADAPTER PATTERN
+ * GET /statements - One statement by statementId/voidedStatementId, or a
+ * filtered page of statements with a "more" link
+ */
+const getStatements = async (req, res) => {
+    try {
+        const scope = await getScopeFilter(req.user);
+        const { statementId, voidedStatementId } = req.query;
+
+        if (statementId !== undefined || voidedStatementId !== undefined) {
+            if (statementId !== undefined && voidedStatementId !== undefined) {
+                return res.status(400).json({ message: 'Use either statementId or voidedStatementId, not both' });
+            }
+            const doc = await XapiStatement.findOne({
+                ...scope,
+                statementId: statementId !== undefined ? statementId : voidedStatementId,
+                voided: voidedStatementId !== undefined
+            });
+            if (!doc) {
+                return res.status(404).json({ message: 'Statement not found' });
+            }
+            return res.json(doc.statement);
+        }
+
+        const parsed = parseStatementQuery(req.query);
+        if (parsed.errors) {
+            return res.status(400).json({ message: 'Invalid statement query', errors: parsed.errors });
+        }
+
+        const { statements, more } = await findStatements(
+            { ...parsed, filter: { ...parsed.filter, ...scope } },
+            req.query
+        );
+        res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+        res.json({
+            statements,
+            more: more ? `${req.baseUrl}/statements?${more}` : ''
+        });
+    } catch (error) {
+        console.error('Error fetching xAPI statements:', error);
+        res.status(500).json({ message: 'Failed to fetch statements', error: error.message });
+    }
+};
+
+// Store statements from the request body (one statement or an array)
+const storeStatements = async (req, res, statements) => {
+    const list = Array.isArray(statements) ? statements : [statements];
+    if (!isStaff(req.user) && !list.every(statement => isOwnStatement(statement, req.user))) {
+        res.status(403).json({ message: 'You can only send statements about yourself' });
+        return null;
+    }
+
+    // Instructors may only send statements about (and void statements in) their own courses
+    const scope = await getScopeFilter(req.user);
+    const result = await saveStatements(statements, { authority: agentFor(req.user), scope });
+    if (result.errors) {
+        res.status(result.status).json({ message: 'Statements not stored', errors: result.errors });
+        return null;
+    }
+    return result.ids;
+};
+
+/**
+ * ADAPTER PATTERN
+ * POST /statements - Store one or more statements and return their ids
+ */
+const postStatements = async (req, res) => {
+    try {
+        const ids = await storeStatements(req, res, req.body);
+        if (ids) {
+            res.json(ids);
+        }
+    } catch (error) {
+        console.error('Error storing xAPI statements:', error);
+        res.status(500).json({ message: 'Failed to store statements', error: error.message });
+    }
+};
+
+/**
+ * ADAPTER PATTERN
+ * PUT /statements?statementId=<uuid> - Store one statement under the given id
+ */
+const putStatement = async (req, res) => {
+    try {
+        const { statementId } = req.query;
+        if (!statementId) {
+            return res.status(400).json({ message: 'statementId is required' });
+        }
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ message: 'Send a single statement' });
+        }
+        if (req.body.id !== undefined && req.body.id !== statementId) {
+            return res.status(400).json({ message: 'The statement id does not match statementId' });
+        }
+
+        const ids = await storeStatements(req, res, { ...req.body, id: statementId });
+        if (ids) {
+            res.status(204).end();
+        }
+    } catch (error) {
+        console.error('Error storing xAPI statement:', error);
+        res.status(500).json({ message: 'Failed to store statement', error: error.message });
+    }
+};
+
+// GET /about - xAPI versions this LRS supports
+const getAbout = (req, res) => {
+    res.json({ version: [XAPI_VERSION] });
+};
+
+module.exports = {
+    getStatements,
+    postStatements,
+    putStatement,
+    getAbout
+};
@@ -51,7 +51,10 @@ const protect = async (req, res, next) => {
             if (!req.user) {
                 return res.status(401).json({ message: 'User not found' });
             }
-            
+
+            // Lean documents have no `id` virtual; controllers rely on req.user.id
+            req.user.id = req.user._id.toString();
+
             console.log(`✅ Auth middleware completed in ${Date.now() - authStart}ms`);
             
             // STEP 4: Continue chain (CHAIN OF RESPONSIBILITY)
@@ -1,8 +1,10 @@
 const Course = require('../models/Course');
 const LearningProgress = require('../models/LearningProgress');
+const Module = require('../models/Module');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const { hasPermission, canManageUser, USER_ROLES } = require('../utils/rbac');
+const { isModuleVisibleToStudents } = require('../services/modulePublishingService');
 
 const validateResourceOwnership = (resourceType) => {
     return async (req, res, next) => {
@@ -175,6 +177,68 @@ const requireCourseEnrollment = async (req, res, next) => {
     }
 };
 
+// Progress and submissions only make sense for modules students can see
+const requirePublishedModule = async (req, res, next) => {
+    try {
+        const module = await Module.findById(req.params.moduleId);
+        if (!module) {
+            return res.status(404).json({
+                success: false,
+                message: 'Module not found'
+            });
+        }
+
+        if (!isModuleVisibleToStudents(module)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This module is not published'
+            });
+        }
+
+        req.module = module;
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error during module validation',
+            error: error.message
+        });
+    }
+};
+
+// Runs after requirePublishedModule: only students enrolled in the module's course
+const requireModuleEnrollment = async (req, res, next) => {
+    try {
+        if (req.user.role !== USER_ROLES.STUDENT) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only enrolled students can do this'
+            });
+        }
+
+        const enrollment = await LearningProgress.findOne({
+            userId: req.user.id,
+            courseId: req.module.courseId
+        });
+
+        if (!enrollment) {
+            return res.status(403).json({
+                success: false,
+                message: 'You must be enrolled in this course to access this resource'
+            });
+        }
+
+        req.enrollment = enrollment;
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Server error during enrollment validation',
+            error: error.message
+        });
+    }
+};
+
 const requireCourseInstructor = async (req, res, next) => {
     try {
         const userId = req.user.id;
@@ -272,6 +336,8 @@ module.exports = {
     validateResourceOwnership,
     requireOwnResourceOrRole,
     requireCourseEnrollment,
+    requirePublishedModule,
+    requireModuleEnrollment,
     requireCourseInstructor,
     validateApiAccess,
     requireSelfOrRole,
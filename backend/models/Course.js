@@ -23,7 +23,13 @@ const courseSchema = new mongoose.Schema({
         hoursPerWeek: { type: Number, required: true }
     },
     estimatedCompletionTime: { type: Number, required: true }, // in hours
-    prerequisites: [{ type: String }],
+    prerequisites: [{ type: String }], // free-text, shown to students
+    // Courses a student must have completed before enrolling (see services/prerequisiteService.js)
+    prerequisiteCourses: [{
+        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+        // Final course grade needed, if any
+        minimumGrade: { type: Number, min: 0, max: 100, default: null }
+    }],
     learningObjectives: [{ type: String }],
     // Updated syllabus structure to reference modules
     syllabus: [{
@@ -45,7 +51,45 @@ const courseSchema = new mongoose.Schema({
         allowModuleSkipping: { type: Boolean, default: false },
         moduleCompletionRequired: { type: Boolean, default: true }
     },
+
+    // Gradebook configuration - scheme maps to a GradingStrategy (see services/gradebookService.js)
+    grading: {
+        scheme: {
+            type: String,
+            enum: ['weighted', 'pass-fail', 'competency'],
+            default: 'weighted'
+        },
+        // Percentage of the final grade per category (module assessments are further
+        // split by Module.assessment.weightInCourse)
+        weights: {
+            quizzes: { type: Number, default: 30, min: 0 },
+            assignments: { type: Number, default: 40, min: 0 },
+            moduleAssessments: { type: Number, default: 30, min: 0 }
+        },
+        passingThreshold: { type: Number, default: 70, min: 0, max: 100 }
+    },
+
+    // Enrollment rules - see services/enrollmentService.js
+    enrollmentSettings: {
+        // null means unlimited seats
+        maxSeats: { type: Number, default: null, min: 1 },
+        // Self-enrollment is only accepted between these dates (either may be left open)
+        opensAt: { type: Date, default: null },
+        closesAt: { type: Date, default: null },
+        // Students request a seat and the instructor approves it
+        requiresApproval: { type: Boolean, default: false },
+        // When full, students join a waitlist instead of being turned away
+        waitlistEnabled: { type: Boolean, default: true }
+    },
     isActive: { type: Boolean, default: true },
+    // Draft courses are still being prepared and can't be self-enrolled (clones start as drafts)
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'archived'],
+        default: 'published'
+    },
+    // Course this offering was cloned from (see services/courseCloneService.js)
+    clonedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', default: null },
     enrollmentCount: { type: Number, default: 0 },
     rating: { type: Number, default: 0, min: 0, max: 5 },
     ratingCount: { type: Number, default: 0 },
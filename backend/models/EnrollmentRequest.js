@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Requests that have not turned into an enrollment yet
+const OPEN_STATUSES = ['pending', 'waitlisted'];
+
+const enrollmentRequestSchema = new mongoose.Schema({
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    // pending: waiting for instructor approval
+    // waitlisted: approved (or no approval needed) but the course is full
+    // enrolled / rejected / cancelled: closed
+    status: {
+        type: String,
+        enum: ['pending', 'waitlisted', 'enrolled', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    // Waitlist order - the earliest waitlistedAt gets the next free seat
+    waitlistedAt: { type: Date },
+
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 500 }
+}, {
+    timestamps: true
+});
+
+enrollmentRequestSchema.index({ courseId: 1, status: 1, waitlistedAt: 1 });
+enrollmentRequestSchema.index({ courseId: 1, userId: 1, status: 1 });
+
+enrollmentRequestSchema.virtual('isOpen').get(function() {
+    return OPEN_STATUSES.includes(this.status);
+});
+
+// Method to move the request to the back of the waitlist
+enrollmentRequestSchema.methods.waitlist = function() {
+    this.status = 'waitlisted';
+    this.waitlistedAt = new Date();
+};
+
+// Method to close the request with a decision
+enrollmentRequestSchema.methods.close = function(status, { decidedBy, note } = {}) {
+    this.status = status;
+    this.decidedAt = new Date();
+    if (decidedBy) this.decidedBy = decidedBy;
+    if (note !== undefined) this.note = note;
+};
+
+// Static method to find a student's open request for a course
+enrollmentRequestSchema.statics.findOpen = function(courseId, userId) {
+    return this.findOne({ courseId, userId, status: { $in: OPEN_STATUSES } });
+};
+
+// Static method to get a waitlisted request's 1-based place in line
+enrollmentRequestSchema.statics.getWaitlistPosition = async function(request) {
+    if (request.status !== 'waitlisted') return null;
+    const ahead = await this.countDocuments({
+        courseId: request.courseId,
+        status: 'waitlisted',
+        waitlistedAt: { $lt: request.waitlistedAt }
+    });
+    return ahead + 1;
+};
+
+module.exports = mongoose.model('EnrollmentRequest', enrollmentRequestSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One row per user per local day: what they did and for how long (see services/learningActivityService.js)
+const learningActivitySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: String, required: true }, // local calendar day, YYYY-MM-DD
+    timezone: { type: String, default: 'UTC' }, // IANA zone the day was computed in
+
+    minutes: { type: Number, default: 0 }, // time on task
+    items: {
+        contentCompleted: { type: Number, default: 0 },
+        quizzesSubmitted: { type: Number, default: 0 },
+        modulesCompleted: { type: Number, default: 0 }
+    },
+    courseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+    courseMinutes: { type: Map, of: Number, default: {} }, // minutes by course id, when the event had a course
+
+    firstActivityAt: { type: Date },
+    lastActivityAt: { type: Date }
+}, { timestamps: true });
+
+learningActivitySchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('LearningActivity', learningActivitySchema);
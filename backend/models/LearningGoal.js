@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { GOAL_TYPES } = require('../constants/goalTypes');
+
+// A student's SMART goal; progress and status are computed on read (see services/learningGoalService.js)
+const learningGoalSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: Object.values(GOAL_TYPES), required: true },
+    target: { type: Number, required: true, min: 0 }, // hours, courses, modules or a quiz percentage
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' }, // optional course scope
+    title: { type: String, trim: true, maxlength: 120 },
+
+    // Local calendar days (YYYY-MM-DD) in the user's timezone, like LearningActivity.date
+    startDate: { type: String, required: true },
+    deadline: { type: String, required: true }
+}, { timestamps: true });
+
+learningGoalSchema.index({ userId: 1, deadline: 1 });
+
+module.exports = mongoose.model('LearningGoal', learningGoalSchema);
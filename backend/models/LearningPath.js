@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Persisted counterpart of LearningPathPrototype (patterns/prototype.js):
+// an ordered program of courses that students enroll in as a whole
+const learningPathSchema = new mongoose.Schema({
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    courses: [{
+        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+        order: { type: Number, required: true }
+    }],
+    prerequisites: [{ type: String }], // free-text, shown to students
+    estimatedTime: { type: Number, default: 0 }, // in hours
+    settings: {
+        // Each course unlocks when the one before it is completed
+        sequentialOrder: { type: Boolean, default: true },
+        // Enroll students in a course as soon as it unlocks
+        autoEnroll: { type: Boolean, default: true },
+        certificateAwarded: { type: Boolean, default: false }
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    isActive: { type: Boolean, default: true },
+    enrollmentCount: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+learningPathSchema.index({ isActive: 1, createdAt: -1 });
+learningPathSchema.index({ 'courses.courseId': 1 });
+
+// Courses in path order
+learningPathSchema.methods.getOrderedCourses = function() {
+    return [...this.courses].sort((a, b) => a.order - b.order);
+};
+
+// Method to check whether a course belongs to the path
+learningPathSchema.methods.includesCourse = function(courseId) {
+    return this.courses.some(entry => (entry.courseId._id || entry.courseId).toString() === courseId.toString());
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
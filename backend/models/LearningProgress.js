@@ -22,17 +22,34 @@ const learningProgressSchema = new mongoose.Schema({
         completedModules: { type: Number, default: 0 },
         currentModuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module' },
         averageModuleScore: { type: Number, default: 0 },
+        // Filled by the risk scoring job (services/riskScoringService.js)
         strugglingModules: [{ 
             moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module' },
             reason: { type: String },
             detectedAt: { type: Date, default: Date.now }
         }]
     },
+    // Early-warning assessment from the risk scoring job; 0-100, higher is more likely to drop out
+    risk: {
+        score: { type: Number, default: 0 },
+        level: { type: String, enum: ['low', 'medium', 'high'], default: 'low' },
+        reasons: [{ type: String }],
+        assessedAt: { type: Date }
+    },
     totalTimeSpent: { type: Number, default: 0 }, // in minutes
     lastAccessDate: { type: Date, default: Date.now },
     isCompleted: { type: Boolean, default: false },
     completionDate: { type: Date },
-    grade: { type: Number, min: 0, max: 100 },
+    grade: { type: Number, min: 0, max: 100 }, // computed from the course gradebook
+    letterGrade: { type: String },
+    gradeOverridden: { type: Boolean, default: false }, // set by an instructor; not recomputed
+    // Set when an instructor or admin enrolled the student without the course prerequisites
+    prerequisiteOverride: {
+        reason: { type: String },
+        overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        overriddenAt: { type: Date },
+        missing: { type: [String], default: undefined } // what was missing at the time
+    },
     certificateIssued: { type: Boolean, default: false },
     certificateId: { type: String },
     notes: { type: String },
@@ -72,6 +89,25 @@ learningProgressSchema.virtual('moduleCompletionRate').get(function() {
     return (this.moduleProgress.completedModules / this.moduleProgress.totalModules) * 100;
 });
 
+// OBSERVER: finishing a course unlocks the next course in the student's learning paths
+learningProgressSchema.pre('save', function(next) {
+    const completed = this.isCompleted || this.completionPercentage >= 100;
+    this.$locals.justCompleted = completed && (this.isModified('isCompleted') || this.isModified('completionPercentage'));
+    next();
+});
+
+learningProgressSchema.post('save', function(doc) {
+    if (!doc.$locals.justCompleted) return;
+    // Required here to avoid a circular import with the service's models
+    const { handleCourseProgress } = require('../services/learningPathService');
+    handleCourseProgress(doc.userId, doc.courseId).catch(error => {
+        console.error('Error updating learning paths:', error.message);
+    });
+
+    // xAPI "completed" statement for the course (recorded once)
+    const { recordCourseCompletion } = require('../services/xapiService');
+    recordCourseCompletion(doc);
+});
 
 module.exports = mongoose.model('LearningProgress', learningProgressSchema);
 
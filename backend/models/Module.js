@@ -38,7 +38,8 @@ const contentSchema = new mongoose.Schema({
         // Quiz/Assessment content
         questions: [{
             questionId: { type: String },
-            type: { type: String, enum: ['multiple-choice', 'true-false', 'short-answer', 'essay'] },
+            bankQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' }, // content comes from the course question bank
+            type: { type: String, enum: ['multiple-choice', 'multiple-select', 'true-false', 'short-answer', 'numeric', 'essay'] },
             question: { type: String },
             options: [{ type: String }],
             correctAnswer: { type: mongoose.Schema.Types.Mixed },
@@ -54,8 +55,14 @@ const contentSchema = new mongoose.Schema({
         submissionFormat: { type: String, enum: ['text', 'file', 'url', 'code'] },
         rubric: [{
             criterion: { type: String },
-            maxPoints: { type: Number },
-            description: { type: String }
+            maxPoints: { type: Number }, // defaults to the highest level's points
+            description: { type: String },
+            weight: { type: Number, default: 1 }, // relative weight in the rolled-up percentage
+            levels: [{
+                level: { type: String }, // e.g. Excellent, Good, Satisfactory
+                points: { type: Number },
+                description: { type: String }
+            }]
         }],
         dueDate: { type: Date },
         
@@ -138,16 +145,25 @@ const moduleSchema = new mongoose.Schema({
         availableUntil: { type: Date }
     },
     
-    // Analytics and tracking
+    // Analytics and tracking, filled by the scheduled aggregation in services/moduleAnalyticsService.js
     analytics: {
         totalEnrollments: { type: Number, default: 0 },
         completionRate: { type: Number, default: 0 },
-        averageTimeSpent: { type: Number, default: 0 },
+        averageTimeSpent: { type: Number, default: 0 }, // minutes per learner
         averageScore: { type: Number, default: 0 },
+        // Per-content funnel in module order: who started, completed or stopped at each item
         dropoffPoints: [{ 
             contentId: String, 
+            title: String,
+            type: { type: String },
+            order: Number,
+            reached: Number,
+            started: Number,
+            completed: Number,
+            stopped: Number,
             dropoffRate: Number 
-        }]
+        }],
+        lastComputedAt: { type: Date }
     },
     
     // Tags and categorization
@@ -176,7 +192,23 @@ const moduleSchema = new mongoose.Schema({
         default: 'draft'
     },
     approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    approvedAt: { type: Date }
+    approvedAt: { type: Date },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: { type: Date },
+    // Every transition, with the reviewer's comment (see services/modulePublishingService.js)
+    reviewHistory: [{
+        action: {
+            type: String,
+            enum: ['submit', 'approve', 'reject', 'publish', 'archive', 'restore', 'edit']
+        },
+        fromStatus: String,
+        toStatus: String,
+        comment: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now }
+    }],
+    // Missing on modules stored before the workflow existed (see migrateLegacyModules)
+    publishingWorkflow: { type: Boolean, default: true }
     
 }, { 
     timestamps: true,
@@ -225,6 +257,7 @@ moduleSchema.pre('save', function(next) {
 moduleSchema.statics.getByCourse = function(courseId, options = {}) {
     const {
         includeInactive = false,
+        publishedOnly = false,
         populateContents = true,
         sortBy = 'moduleNumber'
     } = options;
@@ -233,6 +266,9 @@ moduleSchema.statics.getByCourse = function(courseId, options = {}) {
     if (!includeInactive) {
         query['settings.isActive'] = true;
     }
+    if (publishedOnly) {
+        query.status = 'published';
+    }
     
     let moduleQuery = this.find(query).sort({ [sortBy]: 1 });
     
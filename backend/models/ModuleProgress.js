@@ -79,14 +79,36 @@ const contentProgressSchema = new mongoose.Schema({
         // Assignment submissions
         submissions: [{
             submissionId: { type: String },
+            attempt: { type: Number },
             submittedAt: { type: Date },
+            isLate: { type: Boolean, default: false },
+            lateByMinutes: { type: Number, default: 0 },
             submissionType: { type: String },
             submissionData: { type: mongoose.Schema.Types.Mixed },
             status: { 
                 type: String, 
                 enum: ['submitted', 'grading', 'graded', 'returned'], 
                 default: 'submitted' 
-            }
+            },
+
+            // Manual grading workflow
+            claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            claimedAt: { type: Date },
+            rubricScores: [{
+                criterion: { type: String },
+                level: { type: String }, // performance level awarded, when the rubric has levels
+                points: { type: Number },
+                maxPoints: { type: Number },
+                weight: { type: Number },
+                comment: { type: String }
+            }],
+            score: { type: Number },
+            maxScore: { type: Number },
+            percentage: { type: Number },
+            feedback: { type: String },
+            gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            gradedAt: { type: Date },
+            returnedAt: { type: Date }
         }],
         
         // Interactive content
@@ -119,6 +141,8 @@ const contentProgressSchema = new mongoose.Schema({
     isMandatory: { type: Boolean, default: true },
     isCompleted: { type: Boolean, default: false },
     needsReview: { type: Boolean, default: false },
+    // Module version (ModuleRevision) this content was completed on
+    completedVersion: { type: String },
     
 }, { _id: false });
 
@@ -138,6 +162,9 @@ const moduleProgressSchema = new mongoose.Schema({
     startedAt: { type: Date },
     completedAt: { type: Date },
     lastAccessedAt: { type: Date, default: Date.now },
+    // Module versions the student started and completed, so later edits don't change what was graded
+    startedVersion: { type: String },
+    completedVersion: { type: String },
     totalTimeSpent: { type: Number, default: 0 }, // in seconds
     
     // Progress metrics
@@ -254,6 +281,8 @@ moduleProgressSchema.index({ courseId: 1, userId: 1 });
 moduleProgressSchema.index({ status: 1, lastAccessedAt: -1 });
 moduleProgressSchema.index({ 'contentProgress.contentId': 1 });
 moduleProgressSchema.index({ completionPercentage: 1 });
+moduleProgressSchema.index({ courseId: 1, 'contentProgress.progressData.submissions.status': 1 });
+moduleProgressSchema.index({ 'contentProgress.progressData.submissions.submissionId': 1 });
 
 // Virtual for overall completion status
 moduleProgressSchema.virtual('isCompleted').get(function() {
@@ -294,6 +323,10 @@ moduleProgressSchema.pre('save', function(next) {
     if (this.completionPercentage >= 100 && this.status !== 'completed') {
         this.status = 'completed';
         this.completedAt = new Date();
+    } else if (this.completionPercentage < 100 && this.status === 'completed') {
+        // A regraded submission can take back a completion
+        this.status = 'in-progress';
+        this.completedAt = undefined;
     } else if (this.completionPercentage > 0 && this.status === 'not-started') {
         this.status = 'in-progress';
         this.startedAt = this.startedAt || new Date();
@@ -313,6 +346,35 @@ moduleProgressSchema.pre('save', function(next) {
     next();
 });
 
+// Pre-save middleware to record the module version content was started and completed on
+moduleProgressSchema.pre('save', async function() {
+    if (this.status !== 'completed') {
+        this.completedVersion = undefined;
+    }
+    this.contentProgress.forEach(cp => {
+        if (!cp.isCompleted) cp.completedVersion = undefined;
+    });
+
+    const pendingContent = this.contentProgress.filter(cp => cp.isCompleted && !cp.completedVersion);
+    const needsVersion = pendingContent.length > 0 ||
+        (this.status !== 'not-started' && !this.startedVersion) ||
+        (this.status === 'completed' && !this.completedVersion);
+    if (!needsVersion) return;
+
+    const module = await mongoose.model('Module').findById(this.moduleId).select('version');
+    if (!module) return;
+
+    pendingContent.forEach(cp => {
+        cp.completedVersion = module.version;
+    });
+    if (this.status !== 'not-started' && !this.startedVersion) {
+        this.startedVersion = module.version;
+    }
+    if (this.status === 'completed' && !this.completedVersion) {
+        this.completedVersion = module.version;
+    }
+});
+
 // Post-save hook to update course progress when module progress changes
 moduleProgressSchema.post('save', async function() {
     try {
@@ -419,6 +481,79 @@ moduleProgressSchema.methods.updateContentProgress = function(contentId, progres
     return this.save();
 };
 
+// Instance method to find a submission by id along with its content progress
+moduleProgressSchema.methods.findSubmission = function(submissionId) {
+    for (const contentProgress of this.contentProgress) {
+        const submissions = (contentProgress.progressData && contentProgress.progressData.submissions) || [];
+        const submission = submissions.find(entry => entry.submissionId === submissionId);
+        if (submission) {
+            return { contentProgress, submission };
+        }
+    }
+    return null;
+};
+
+// Instance method to record a manual grade for a submission and
+// recompute the content's best score and completion
+moduleProgressSchema.methods.applySubmissionGrade = function(contentProgress, submission, grade, passingScore = 70) {
+    // Weighted rubrics supply their own percentage
+    const percentage = grade.percentage !== undefined
+        ? grade.percentage
+        : (grade.maxScore > 0 ? Math.round((grade.score / grade.maxScore) * 100) : 0);
+    const gradedAt = new Date();
+
+    Object.assign(submission, {
+        rubricScores: grade.rubricScores || [],
+        score: grade.score,
+        maxScore: grade.maxScore,
+        percentage,
+        feedback: grade.feedback,
+        gradedBy: grade.gradedBy,
+        gradedAt,
+        status: 'graded'
+    });
+
+    // A regrade replaces the earlier score for the same attempt
+    const scoreEntry = {
+        attempt: submission.attempt,
+        score: grade.score,
+        maxScore: grade.maxScore,
+        percentage,
+        submittedAt: submission.submittedAt,
+        feedback: grade.feedback,
+        gradedBy: grade.gradedBy,
+        gradedAt
+    };
+    const existing = contentProgress.scores.find(entry => entry.attempt === submission.attempt);
+    if (existing) {
+        Object.assign(existing, scoreEntry);
+    } else {
+        contentProgress.scores.push(scoreEntry);
+    }
+
+    const best = contentProgress.scores.reduce((top, entry) =>
+        (!top || entry.percentage > top.percentage ? entry : top), null);
+    contentProgress.bestScore = {
+        score: best.score,
+        percentage: best.percentage,
+        achievedAt: best.gradedAt
+    };
+
+    if (best.percentage >= passingScore) {
+        contentProgress.status = 'completed';
+        contentProgress.isCompleted = true;
+        contentProgress.completedAt = contentProgress.completedAt || gradedAt;
+    } else {
+        const attemptsLeft = contentProgress.attempts < contentProgress.maxAttempts;
+        contentProgress.status = attemptsLeft ? 'in-progress' : 'failed';
+        contentProgress.isCompleted = false;
+        contentProgress.completedAt = undefined;
+    }
+    contentProgress.needsReview = false;
+
+    return submission;
+};
+
 // Instance method to calculate learning velocity
 moduleProgressSchema.methods.calculateLearningVelocity = function() {
     if (this.totalTimeSpent === 0) return 0;
@@ -428,24 +563,27 @@ moduleProgressSchema.methods.calculateLearningVelocity = function() {
 };
 
 // Instance method to get struggling areas
-moduleProgressSchema.methods.getStrugglingAreas = function() {
+moduleProgressSchema.methods.getStrugglingAreas = function(contents = []) {
+    // Expected minutes per content item, when the module's contents are passed in
+    const durations = new Map(contents.map(content => [content.contentId, content.duration]));
+
     return this.contentProgress
-        .filter(cp => {
-            // Consider struggling if: low scores, many attempts, or long time spent
-            const hasLowScore = cp.bestScore.percentage < 60;
-            const tooManyAttempts = cp.attempts > 2;
-            const tookTooLong = cp.timeSpent > (cp.estimatedDuration * 2);
-            
-            return hasLowScore || tooManyAttempts || tookTooLong;
+        .map(cp => {
+            // Only scored attempts say anything about scores
+            const scored = cp.scores && cp.scores.length > 0;
+            const expectedSeconds = (durations.get(cp.contentId) || 0) * 60;
+            return {
+                contentId: cp.contentId,
+                reasons: {
+                    lowScore: scored && cp.bestScore.percentage < 60,
+                    manyAttempts: cp.attempts > 2,
+                    repeatedFailures: scored && cp.scores.filter(score => score.percentage < 60).length >= 2,
+                    longDuration: expectedSeconds > 0 && cp.timeSpent > expectedSeconds * 2
+                }
+            };
         })
-        .map(cp => ({
-            contentId: cp.contentId,
-            reasons: {
-                lowScore: cp.bestScore.percentage < 60,
-                manyAttempts: cp.attempts > 2,
-                longDuration: cp.timeSpent > (cp.estimatedDuration * 2)
-            }
-        }));
+        // Consider struggling if: low scores, many or failed attempts, or long time spent
+        .filter(area => Object.values(area.reasons).some(Boolean));
 };
 
 // Instance method to generate personalized recommendations
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a module's content at one version (see services/moduleRevisionService.js)
+const moduleRevisionSchema = new mongoose.Schema({
+    moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    version: { type: String, required: true },
+    previousVersion: { type: String },
+    // How big the change was; 'initial' is the first snapshot of a module
+    changeType: {
+        type: String,
+        enum: ['initial', 'major', 'minor', 'patch'],
+        required: true
+    },
+    changedFields: [{ type: String }],
+    changeNote: { type: String, trim: true, maxlength: 500 },
+    // Version this revision restored, when it was a rollback
+    restoredFrom: { type: String },
+    // Versioned module fields as they were saved
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+moduleRevisionSchema.index({ moduleId: 1, version: 1 }, { unique: true });
+moduleRevisionSchema.index({ moduleId: 1, createdAt: -1 });
+
+// Newest revision of a module
+moduleRevisionSchema.statics.findLatest = function(moduleId) {
+    return this.findOne({ moduleId }).sort({ createdAt: -1, _id: -1 });
+};
+
+module.exports = mongoose.model('ModuleRevision', moduleRevisionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A student's enrollment in a LearningPath. Course-level progress stays in
+// LearningProgress; this keeps the path-level summary (see services/learningPathService.js).
+const pathEnrollmentSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    pathId: { type: mongoose.Schema.Types.ObjectId, ref: 'LearningPath', required: true },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'withdrawn'],
+        default: 'active'
+    },
+    enrolledAt: { type: Date, default: Date.now },
+    completedAt: { type: Date },
+
+    courses: [{
+        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+        // locked | available | pending | waitlisted | in-progress | completed
+        status: { type: String, default: 'locked' },
+        completionPercentage: { type: Number, default: 0 },
+        unlockedAt: { type: Date },
+        completedAt: { type: Date }
+    }],
+    currentCourseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+    completedCourses: { type: Number, default: 0 },
+    completionPercentage: { type: Number, default: 0, min: 0, max: 100 },
+    lastSyncedAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+// One enrollment per student per path
+pathEnrollmentSchema.index({ userId: 1, pathId: 1 }, { unique: true });
+pathEnrollmentSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('PathEnrollment', pathEnrollmentSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { QUESTION_TYPES } = require('../constants/questionTypes');
+
+// Fields that change what a student sees or how an answer is graded;
+// editing any of them creates a new version of the question
+const CONTENT_FIELDS = ['type', 'question', 'options', 'correctAnswer', 'matchMode', 'tolerance', 'partialCredit', 'points', 'explanation'];
+
+const optionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  text: { type: String, required: true },
+  isCorrect: { type: Boolean, default: false }
+}, { _id: false });
+
+const contentDefinition = {
+  type: { type: String, enum: QUESTION_TYPES, default: 'multiple_choice' },
+  question: { type: String, required: true },
+  options: [optionSchema],
+  correctAnswer: { type: mongoose.Schema.Types.Mixed },
+  matchMode: { type: String, enum: ['normalized', 'exact', 'regex', 'regex-partial'], default: 'normalized' },
+  tolerance: { type: Number, min: 0, default: 0 },
+  partialCredit: { type: Boolean, default: true },
+  points: { type: Number, default: 1 },
+  explanation: { type: String }
+};
+
+// Snapshot of an earlier version, kept so past attempts can show what was asked
+const revisionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  ...contentDefinition,
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  editedAt: { type: Date, default: Date.now },
+  changeNote: { type: String } // why this version was created
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  ...contentDefinition,
+
+  // Bank metadata (not versioned)
+  tags: [{ type: String, trim: true }],
+  difficulty: { type: Number, min: 1, max: 5, default: 1 },
+  learningObjectives: [{ type: String, trim: true }],
+
+  // Versioning
+  version: { type: Number, default: 1 },
+  changeNote: { type: String }, // why the current version was created
+  revisions: [revisionSchema], // previous versions, oldest first
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastModifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isArchived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+questionSchema.index({ courseId: 1, isArchived: 1 });
+questionSchema.index({ courseId: 1, tags: 1 });
+
+// Method to get the versioned content of the current version
+questionSchema.methods.getContent = function() {
+  const content = { version: this.version };
+  CONTENT_FIELDS.forEach(field => {
+    const value = this[field];
+    content[field] = value && value.toObject ? value.toObject() : value;
+  });
+  return content;
+};
+
+// Method to get the content of a given version (current when omitted)
+questionSchema.methods.getVersion = function(version) {
+  if (!version || version === this.version) return this.getContent();
+
+  const revision = this.revisions.find(entry => entry.version === version);
+  return revision ? revision.toObject() : null;
+};
+
+// Method to apply an edit; content changes archive the current version first
+questionSchema.methods.applyEdit = function(changes, userId, changeNote) {
+  const contentChanged = CONTENT_FIELDS.some(field =>
+    changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(this.getContent()[field])
+  );
+
+  if (contentChanged) {
+    this.revisions.push({
+      ...this.getContent(),
+      editedBy: this.lastModifiedBy || this.createdBy,
+      editedAt: this.updatedAt || this.createdAt,
+      changeNote: this.changeNote
+    });
+    this.version += 1;
+    this.changeNote = changeNote;
+  }
+
+  [...CONTENT_FIELDS, 'tags', 'difficulty', 'learningObjectives'].forEach(field => {
+    if (changes[field] !== undefined) this[field] = changes[field];
+  });
+  this.lastModifiedBy = userId;
+
+  return contentChanged;
+};
+
+questionSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { QUESTION_TYPES } = require('../constants/questionTypes');
 
 const optionSchema = new mongoose.Schema({
   id: { type: String, required: true },
@@ -8,13 +9,30 @@ const optionSchema = new mongoose.Schema({
 
 const questionSchema = new mongoose.Schema({
   id: { type: String, required: true },
+  // Set when the question comes from the course question bank
+  bankQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+  bankVersion: { type: Number },
+  type: { type: String, enum: QUESTION_TYPES, default: 'multiple_choice' },
   question: { type: String, required: true },
   options: [optionSchema],
-  correctAnswer: { type: mongoose.Schema.Types.Mixed },
+  correctAnswer: { type: mongoose.Schema.Types.Mixed }, // boolean, number or accepted text answer(s) for non-option types
+  matchMode: { type: String, enum: ['normalized', 'exact', 'regex', 'regex-partial'], default: 'normalized' }, // short answer
+  tolerance: { type: Number, min: 0, default: 0 }, // numeric, +/- accepted
+  partialCredit: { type: Boolean, default: true }, // multiple select
   points: { type: Number, default: 1 },
-  explanation: { type: String }
+  explanation: { type: String },
+  tags: [{ type: String, trim: true }], // used by question pools
+  difficulty: { type: Number, min: 1, max: 5 }
 });
 
+// Draws `count` random questions matching the tags (any of) and/or difficulty
+const questionPoolSchema = new mongoose.Schema({
+  name: { type: String },
+  tags: [{ type: String, trim: true }],
+  difficulty: { type: Number, min: 1, max: 5 },
+  count: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
 const quizSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String },
@@ -25,10 +43,15 @@ const quizSchema = new mongoose.Schema({
   // Quiz settings
   timeLimit: { type: Number }, // in minutes
   passingScore: { type: Number, default: 70 }, // percentage
+  maxAttempts: { type: Number, min: 1 }, // unlimited when not set
+  // Timed quizzes only: pauses per attempt and total seconds the clock may stop for
+  maxPauses: { type: Number, min: 0, default: 3 },
+  maxPauseSeconds: { type: Number, min: 0, default: 300 },
   showResults: { type: Boolean, default: false },
   showCorrectAnswers: { type: Boolean, default: false },
   randomizeQuestions: { type: Boolean, default: false },
   randomizeOptions: { type: Boolean, default: false },
+  questionPools: [questionPoolSchema], // when set, each attempt draws its questions from these pools
 
   // Quiz content
   questions: [questionSchema],
@@ -77,20 +100,47 @@ quizSchema.methods.isOverdue = function() {
   return this.dueDate && new Date() > this.dueDate;
 };
 
+// Method to get how many questions each attempt is given
+quizSchema.methods.getAttemptQuestionCount = function() {
+  if (!this.questionPools || this.questionPools.length === 0) return this.questions.length;
+  return Math.min(this.questions.length, this.questionPools.reduce((sum, pool) => sum + pool.count, 0));
+};
+
 // Method to get quiz for student (without correct answers)
-quizSchema.methods.getStudentView = function() {
+// An attempt layout ({ questionOrder, optionOrder }) selects and orders what the student sees
+quizSchema.methods.getStudentView = function(layout) {
   const quiz = this.toObject();
+  let questions = quiz.questions;
+
+  if (layout && layout.questionOrder && layout.questionOrder.length > 0) {
+    questions = layout.questionOrder
+      .map(questionId => quiz.questions.find(question => question.id === questionId))
+      .filter(Boolean);
+  } else if (quiz.questionPools && quiz.questionPools.length > 0) {
+    // Pooled questions stay hidden until an attempt draws them
+    questions = [];
+  }
+
+  const optionOrder = layout && layout.optionOrder;
+  quiz.questionCount = this.getAttemptQuestionCount();
 
   // Remove correct answers and explanations from questions
-  quiz.questions = quiz.questions.map(question => {
+  quiz.questions = questions.map(question => {
     const studentQuestion = {
       id: question.id,
+      type: question.type,
       question: question.question,
       points: question.points
     };
 
     if (question.options && question.options.length > 0) {
-      studentQuestion.options = question.options.map(option => ({
+      let options = question.options;
+      const order = optionOrder && (optionOrder.get ? optionOrder.get(question.id) : optionOrder[question.id]);
+      if (order) {
+        options = order.map(optionId => question.options.find(option => option.id === optionId)).filter(Boolean);
+      }
+
+      studentQuestion.options = options.map(option => ({
         id: option.id,
         text: option.text
       }));
@@ -5,7 +5,11 @@ const answerSchema = new mongoose.Schema({
   selectedAnswer: { type: mongoose.Schema.Types.Mixed }, // Can be string, array, or boolean
   isCorrect: { type: Boolean },
   pointsEarned: { type: Number, default: 0 },
-  timeSpent: { type: Number } // in seconds
+  timeSpent: { type: Number }, // in seconds
+  pendingReview: { type: Boolean, default: false }, // essay awaiting manual grading
+  feedback: { type: String },
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  gradedAt: { type: Date }
 });
 
 const quizAttemptSchema = new mongoose.Schema({
@@ -28,12 +32,26 @@ const quizAttemptSchema = new mongoose.Schema({
   timeRemaining: { type: Number }, // in seconds
   currentQuestion: { type: Number, default: 0 },
 
+  // Layout shown to the student (seeded draw/shuffle, stored so it can be replayed)
+  seed: { type: Number },
+  questionOrder: [{ type: String }], // question ids drawn for this attempt, in display order
+  optionOrder: { type: Map, of: [String] }, // questionId -> option ids in display order
+  questionVersions: { type: Map, of: Number }, // questionId -> question bank version shown
+
+  pausedAt: { type: Date }, // set while the attempt is paused
+  pausedDuration: { type: Number, default: 0 }, // seconds of pause credited to the clock so far
+  pauseCount: { type: Number, default: 0 },
+  // Pause limits copied from the quiz at start; past them the clock runs while paused
+  maxPauses: { type: Number },
+  maxPauseSeconds: { type: Number },
+
   // Answers and scoring
   answers: [answerSchema],
   totalPoints: { type: Number, default: 0 },
   pointsEarned: { type: Number, default: 0 },
   percentage: { type: Number, default: 0 },
   passed: { type: Boolean, default: false },
+  needsManualGrading: { type: Boolean, default: false }, // score is provisional until essays are graded
 
   // Quiz state (for pause/resume)
   quizState: {
@@ -49,9 +67,12 @@ const quizAttemptSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Index for efficient queries
-quizAttemptSchema.index({ quizId: 1, userId: 1, attemptNumber: 1 });
+// Unique so concurrent submissions cannot claim the same attempt number
+quizAttemptSchema.index({ quizId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
 quizAttemptSchema.index({ userId: 1, courseId: 1 });
 quizAttemptSchema.index({ quizId: 1, status: 1 });
+quizAttemptSchema.index({ status: 1, startedAt: 1 }); // expired-attempt sweep
+quizAttemptSchema.index({ courseId: 1, needsManualGrading: 1 }); // manual-grading queue
 
 // Method to calculate score
 quizAttemptSchema.methods.calculateScore = function() {
@@ -70,24 +91,70 @@ quizAttemptSchema.methods.isCompleted = function() {
   return ['completed', 'submitted', 'auto_submitted'].includes(this.status);
 };
 
-// Method to check if time limit exceeded
-quizAttemptSchema.methods.isTimeExpired = function() {
+// Defaults for attempts started before pause limits were copied from the quiz
+const DEFAULT_MAX_PAUSES = 3;
+const DEFAULT_MAX_PAUSE_SECONDS = 300;
+
+// Method to get the pause seconds a timed attempt may still stop its clock for
+quizAttemptSchema.methods.getPauseAllowance = function() {
+  if (!this.timeLimit) return Infinity;
+  const limit = this.maxPauseSeconds ?? DEFAULT_MAX_PAUSE_SECONDS;
+  return Math.max(0, limit - (this.pausedDuration || 0));
+};
+
+// Method to get the seconds of the current pause that stop the clock
+quizAttemptSchema.methods.getCurrentPauseCredit = function(now = Date.now()) {
+  if (this.status !== 'paused' || !this.pausedAt) return 0;
+  const paused = Math.max(0, (now - this.pausedAt.getTime()) / 1000);
+  return Math.min(paused, this.getPauseAllowance());
+};
+
+// Method to get seconds spent working on the attempt, excluding credited pauses
+quizAttemptSchema.methods.getElapsedSeconds = function(now = Date.now()) {
+  if (!this.startedAt) return 0;
+
+  const elapsed = (now - this.startedAt.getTime()) / 1000 - (this.pausedDuration || 0) - this.getCurrentPauseCredit(now);
+  return Math.max(0, elapsed);
+};
+
+// Method to check if time limit exceeded (optionally allowing a grace period in seconds)
+quizAttemptSchema.methods.isTimeExpired = function(graceSeconds = 0, now = Date.now()) {
   if (!this.timeLimit || !this.startedAt) return false;
-  const timeElapsed = (Date.now() - this.startedAt.getTime()) / 1000 / 60; // in minutes
-  return timeElapsed >= this.timeLimit;
+  return this.getElapsedSeconds(now) >= this.timeLimit * 60 + graceSeconds;
 };
 
 // Method to get remaining time in seconds
-quizAttemptSchema.methods.getRemainingTime = function() {
+quizAttemptSchema.methods.getRemainingTime = function(now = Date.now()) {
   if (!this.timeLimit || !this.startedAt) return null;
 
-  const timeElapsed = (Date.now() - this.startedAt.getTime()) / 1000; // in seconds
   const totalTimeAllowed = this.timeLimit * 60; // convert minutes to seconds
-  const remaining = totalTimeAllowed - timeElapsed;
+  const remaining = totalTimeAllowed - this.getElapsedSeconds(now);
 
   return Math.max(0, Math.floor(remaining));
 };
 
+// Method to check whether a timed attempt has pauses and pause time left
+quizAttemptSchema.methods.canPause = function() {
+  if (!this.timeLimit) return true;
+  return (this.pauseCount || 0) < (this.maxPauses ?? DEFAULT_MAX_PAUSES) && this.getPauseAllowance() > 0;
+};
+
+// Method to pause the attempt clock
+quizAttemptSchema.methods.pause = function() {
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  this.pauseCount = (this.pauseCount || 0) + 1;
+  this.updateTimeRemaining();
+};
+
+// Method to resume the attempt clock, crediting the paused interval up to the allowance
+quizAttemptSchema.methods.resume = function() {
+  this.pausedDuration = (this.pausedDuration || 0) + this.getCurrentPauseCredit();
+  this.status = 'in_progress';
+  this.pausedAt = undefined;
+  this.updateTimeRemaining();
+};
+
 // Method to update time remaining
 quizAttemptSchema.methods.updateTimeRemaining = function() {
   this.timeRemaining = this.getRemainingTime();
@@ -109,6 +176,11 @@ quizAttemptSchema.statics.getUserBestScore = async function(quizId, userId) {
   return result.length > 0 ? result[0].bestScore : 0;
 };
 
+// Static method to get the user's unfinished attempt for a quiz, if any
+quizAttemptSchema.statics.findActiveAttempt = async function(quizId, userId) {
+  return await this.findOne({ quizId, userId, status: { $in: ['in_progress', 'paused'] } }).sort({ attemptNumber: -1 });
+};
+
 // Static method to get user's latest attempt for a quiz
 quizAttemptSchema.statics.getUserLatestAttempt = async function(quizId, userId) {
   return await this.findOne({ quizId, userId }).sort({ attemptNumber: -1 });
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Reports at which a review is taken out of the public list until an admin looks at it
+const AUTO_FLAG_REPORTS = 3;
+
+const reviewSchema = new mongoose.Schema({
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: { validator: Number.isInteger, message: 'Rating must be a whole number of stars' }
+    },
+    title: { type: String, trim: true, maxlength: 120 },
+    text: { type: String, trim: true, maxlength: 2000 },
+
+    // Students who found the review helpful (one vote each)
+    helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    helpfulCount: { type: Number, default: 0 },
+
+    // Course instructor's public reply
+    instructorReply: {
+        text: { type: String, trim: true, maxlength: 2000 },
+        repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        repliedAt: { type: Date }
+    },
+
+    // Moderation: only published reviews are listed and counted in Course.rating
+    status: {
+        type: String,
+        enum: ['published', 'flagged', 'hidden'],
+        default: 'published'
+    },
+    reports: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, trim: true, maxlength: 500 },
+        reportedAt: { type: Date, default: Date.now }
+    }],
+    moderation: {
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        moderatedAt: { type: Date },
+        reason: { type: String }
+    }
+}, {
+    timestamps: true
+});
+
+// One review per student per course
+reviewSchema.index({ courseId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ courseId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1 });
+
+// Method to toggle a helpful vote; returns whether the user now has a vote
+reviewSchema.methods.toggleHelpful = function(userId) {
+    const index = this.helpfulVotes.findIndex(id => id.toString() === userId.toString());
+    if (index >= 0) {
+        this.helpfulVotes.splice(index, 1);
+    } else {
+        this.helpfulVotes.push(userId);
+    }
+    this.helpfulCount = this.helpfulVotes.length;
+    return index < 0;
+};
+
+// Method to record a report; enough reports flag a published review for moderation
+reviewSchema.methods.addReport = function(userId, reason) {
+    if (this.reports.some(report => report.userId.toString() === userId.toString())) {
+        return false;
+    }
+    this.reports.push({ userId, reason });
+    if (this.status === 'published' && this.reports.length >= AUTO_FLAG_REPORTS) {
+        this.status = 'flagged';
+    }
+    return true;
+};
+
+// Static method to recompute Course.rating and ratingCount from published reviews
+reviewSchema.statics.recalculateCourseRating = async function(courseId) {
+    const [stats] = await this.aggregate([
+        { $match: { courseId: new mongoose.Types.ObjectId(courseId), status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+    const ratingCount = stats ? stats.count : 0;
+    await mongoose.model('Course').updateOne({ _id: courseId }, { rating, ratingCount });
+
+    return { rating, ratingCount };
+};
+
+// Static method to count published reviews per star rating
+reviewSchema.statics.getRatingDistribution = async function(courseId) {
+    const counts = await this.aggregate([
+        { $match: { courseId: new mongoose.Types.ObjectId(courseId), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    counts.forEach(entry => {
+        distribution[entry._id] = entry.count;
+    });
+    return distribution;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
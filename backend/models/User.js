@@ -44,6 +44,7 @@ const userSchema = new mongoose.Schema({
     },
     
     // ENCAPSULATION: Learning-specific data grouped together
+    // Free-text goals from before LearningGoal; kept read-only so students can set them up again
     learningGoals: [{ type: String }],
     skillTags: [{ type: String }],
     
@@ -53,10 +54,12 @@ const userSchema = new mongoose.Schema({
         learningPace: { type: String, enum: ['slow', 'medium', 'fast'], default: 'medium' },
         notificationsEnabled: { type: Boolean, default: true }
     },
+    // Derived from the LearningActivity log (services/learningActivityService.js)
     totalLearningHours: { type: Number, default: 0 },
     currentStreak: { type: Number, default: 0 },
     longestStreak: { type: Number, default: 0 },
     lastLearningDate: { type: Date },
+    timezone: { type: String, default: 'UTC' }, // IANA zone for daily activity, e.g. "Asia/Kolkata"
     joinDate: { type: Date, default: Date.now },
 
     resetPasswordToken: { type: String },
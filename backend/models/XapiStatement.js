@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// An xAPI statement in the local Learning Record Store (see services/xapiService.js)
+const xapiStatementSchema = new mongoose.Schema({
+    statementId: { type: String, required: true, unique: true }, // the statement's UUID
+    // The statement as stored, including id, timestamp, stored, authority and version
+    statement: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // Query fields copied out of the statement
+    actorKey: { type: String, required: true }, // inverse functional identifier, e.g. "account:<homePage>|<name>"
+    verbId: { type: String, required: true },
+    activityId: { type: String }, // object id when the object is an activity
+    relatedActivityIds: [{ type: String }], // object and context activities
+    registration: { type: String },
+    // Local user and course the statement is about, when it can tell
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+
+    timestamp: { type: Date, required: true },
+    stored: { type: Date, required: true },
+    voided: { type: Boolean, default: false },
+    isVoiding: { type: Boolean, default: false }
+});
+
+xapiStatementSchema.index({ stored: -1 });
+xapiStatementSchema.index({ actorKey: 1, stored: -1 });
+xapiStatementSchema.index({ verbId: 1, stored: -1 });
+xapiStatementSchema.index({ activityId: 1, stored: -1 });
+xapiStatementSchema.index({ relatedActivityIds: 1 });
+xapiStatementSchema.index({ courseId: 1, stored: -1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
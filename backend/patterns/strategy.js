@@ -3,9 +3,10 @@
  * Use case: Different grading strategies, content delivery methods, assessment types
  */
 
-// Strategy interface
+// Strategy interface. `scores` holds category scores; per-competency scores
+// (competency id -> score) travel separately for strategies that use them.
 class GradingStrategy {
-  calculateGrade(scores) {
+  calculateGrade(scores, competencyScores) {
     throw new Error('calculateGrade() method must be implemented');
   }
 
@@ -14,8 +15,32 @@ class GradingStrategy {
   }
 }
 
+// Score entries are plain numbers or { score, weight } (e.g. module assessments
+// weighted by their share of the course grade)
+const scoreOf = (entry) => (typeof entry === 'number' ? entry : entry.score);
+const weightOf = (entry) => (typeof entry === 'number' || entry.weight === undefined ? 1 : entry.weight);
+
+const averageScore = (entries) => {
+  if (entries.length === 0) return 0;
+
+  const totalWeight = entries.reduce((sum, entry) => sum + weightOf(entry), 0);
+  if (totalWeight === 0) {
+    return entries.reduce((sum, entry) => sum + scoreOf(entry), 0) / entries.length;
+  }
+  return entries.reduce((sum, entry) => sum + scoreOf(entry) * weightOf(entry), 0) / totalWeight;
+};
+
+const CATEGORY_LABELS = {
+  assignments: 'Assignments',
+  quizzes: 'Quizzes',
+  finalExam: 'Final',
+  moduleAssessments: 'Module Assessments'
+};
+
 // Concrete grading strategies
 class WeightedAverageStrategy extends GradingStrategy {
+  // weights: category -> fraction of the final grade; a category's scores are
+  // either a list (averaged) or a single number (e.g. finalExam)
   constructor(weights = {}) {
     super();
     this.weights = {
@@ -27,29 +52,25 @@ class WeightedAverageStrategy extends GradingStrategy {
   }
 
   calculateGrade(scores) {
-    const { assignments = [], quizzes = [], finalExam = 0 } = scores;
-    
-    const avgAssignments = assignments.length > 0 
-      ? assignments.reduce((sum, score) => sum + score, 0) / assignments.length 
-      : 0;
-    
-    const avgQuizzes = quizzes.length > 0 
-      ? quizzes.reduce((sum, score) => sum + score, 0) / quizzes.length 
-      : 0;
-    
-    const weightedGrade = 
-      (avgAssignments * this.weights.assignments) +
-      (avgQuizzes * this.weights.quizzes) +
-      (finalExam * this.weights.finalExam);
+    const breakdown = {};
+    let weightedGrade = 0;
+
+    Object.entries(this.weights).forEach(([category, weight]) => {
+      const value = scores[category];
+      if (typeof value === 'number') {
+        breakdown[category] = { score: value, weight };
+        weightedGrade += value * weight;
+      } else {
+        const average = averageScore(value || []);
+        breakdown[category] = { average, weight };
+        weightedGrade += average * weight;
+      }
+    });
     
     return {
       finalGrade: Math.round(weightedGrade * 100) / 100,
       letterGrade: this.getLetterGrade(weightedGrade),
-      breakdown: {
-        assignments: { average: avgAssignments, weight: this.weights.assignments },
-        quizzes: { average: avgQuizzes, weight: this.weights.quizzes },
-        finalExam: { score: finalExam, weight: this.weights.finalExam }
-      }
+      breakdown
     };
   }
 
@@ -62,7 +83,10 @@ class WeightedAverageStrategy extends GradingStrategy {
   }
 
   getDescription() {
-    return `Weighted Average (Assignments: ${this.weights.assignments * 100}%, Quizzes: ${this.weights.quizzes * 100}%, Final: ${this.weights.finalExam * 100}%)`;
+    const parts = Object.entries(this.weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([category, weight]) => `${CATEGORY_LABELS[category] || category}: ${Math.round(weight * 10000) / 100}%`);
+    return `Weighted Average (${parts.join(', ')})`;
   }
 }
 
@@ -72,10 +96,11 @@ class PassFailStrategy extends GradingStrategy {
     this.passingThreshold = passingThreshold;
   }
 
+  // Every score passed in was graded, so a 0 counts against the average
   calculateGrade(scores) {
-    const { assignments = [], quizzes = [], finalExam = 0 } = scores;
-    
-    const allScores = [...assignments, ...quizzes, finalExam].filter(score => score > 0);
+    const allScores = Object.values(scores)
+      .flatMap(value => (Array.isArray(value) ? value.map(scoreOf) : [value]))
+      .filter(score => typeof score === 'number');
     const average = allScores.length > 0 
       ? allScores.reduce((sum, score) => sum + score, 0) / allScores.length 
       : 0;
@@ -105,9 +130,7 @@ class CompetencyBasedStrategy extends GradingStrategy {
     this.competencies = competencies; // Array of competency requirements
   }
 
-  calculateGrade(scores) {
-    const { competencyScores = {} } = scores;
-    
+  calculateGrade(scores, competencyScores = {}) {
     const results = this.competencies.map(competency => {
       const score = competencyScores[competency.id] || 0;
       const mastered = score >= competency.masteryThreshold;
@@ -381,9 +404,9 @@ class GradeCalculator {
     console.log(`📊 Grading strategy changed to: ${strategy.getDescription()}`);
   }
 
-  calculateStudentGrade(studentScores) {
+  calculateStudentGrade(studentScores, competencyScores) {
     console.log(`🎓 Calculating grade using: ${this.strategy.getDescription()}`);
-    return this.strategy.calculateGrade(studentScores);
+    return this.strategy.calculateGrade(studentScores, competencyScores);
   }
 }
 
@@ -427,13 +450,13 @@ function demonstrateStrategy() {
   const studentScores = {
     assignments: [85, 92, 78, 88],
     quizzes: [90, 85, 95],
-    finalExam: 87,
-    competencyScores: {
-      'js-basics': 95,
-      'react-fundamentals': 80,
-      'node-backend': 75,
-      'database-design': 85
-    }
+    finalExam: 87
+  };
+  const competencyScores = {
+    'js-basics': 95,
+    'react-fundamentals': 80,
+    'node-backend': 75,
+    'database-design': 85
   };
 
   const competencies = [
@@ -448,17 +471,17 @@ function demonstrateStrategy() {
   const gradeCalculator = new GradeCalculator(new WeightedAverageStrategy());
   
   // Weighted average grading
-  let result = gradeCalculator.calculateStudentGrade(studentScores);
+  let result = gradeCalculator.calculateStudentGrade(studentScores, competencyScores);
   console.log('Weighted Average Result:', result);
 
   // Change to pass/fail
   gradeCalculator.setStrategy(new PassFailStrategy(75));
-  result = gradeCalculator.calculateStudentGrade(studentScores);
+  result = gradeCalculator.calculateStudentGrade(studentScores, competencyScores);
   console.log('Pass/Fail Result:', result);
 
   // Change to competency-based
   gradeCalculator.setStrategy(new CompetencyBasedStrategy(competencies));
-  result = gradeCalculator.calculateStudentGrade(studentScores);
+  result = gradeCalculator.calculateStudentGrade(studentScores, competencyScores);
   console.log('Competency-Based Result:', result);
 
   console.log('\n2. Content Delivery Strategies:');
@@ -565,7 +588,7 @@ function demonstrateStrategy() {
   courses.forEach((course, index) => {
     const strategy = selectGradingStrategy(course.type, course.level);
     gradeCalculator.setStrategy(strategy);
-    const grade = gradeCalculator.calculateStudentGrade(studentScores);
+    const grade = gradeCalculator.calculateStudentGrade(studentScores, competencyScores);
     console.log(`Course ${index + 1} (${course.type}, ${course.level}):`, {
       strategy: strategy.getDescription(),
       finalGrade: grade.finalGrade,
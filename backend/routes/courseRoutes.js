@@ -20,14 +20,24 @@ const {
     updateCourse,      // FACADE: Complex update operations
     deleteCourse,      // FACADE: Complex deletion with cleanup
     enrollInCourse,    // FACADE: Multi-step enrollment process
+    getEnrollmentStatus,
+    cancelEnrollmentRequest,
     unenrollFromCourse,
     getEnrolledCourses,
     enrollStudentInCourse,
     unenrollStudentFromCourse,
-    getCourseEnrollments
+    getCourseEnrollments,
+    decideEnrollmentRequest, // PROXY: Instructor approves or rejects seat requests
+    getCourseGradebook, // STRATEGY: Course grading scheme picks the calculation
+    cloneCourse,       // PROTOTYPE: Deep copy of a course as a new offering
+    exportCourse,      // MEMENTO: Portable package of a course
+    importCourse,      // MEMENTO: Restore a package as a new course
+    importContentPackage // ADAPTER: SCORM / Common Cartridge zip as a new course
 } = require('../controllers/courseController');
+const { getCourseReviews, createReview } = require('../controllers/reviewController');
 const { protect, requireAnyRole, requirePermission, adminOnly } = require('../middleware/authMiddleware');
-const { validateObjectId } = require('../middleware/validateObjectId');
+const { validateObjectId, validateObjectIds } = require('../middleware/validateObjectId');
+const { uploadContentPackage } = require('../services/contentPackageService');
 const router = express.Router();
 
 // *** DECORATOR PATTERN EXAMPLES ***
@@ -46,15 +56,39 @@ router.get('/enrolled/my', protect, getEnrolledCourses);
 // CHAIN OF RESPONSIBILITY: Each middleware can stop or continue
 router.post('/', protect, requireAnyRole(['instructor', 'admin']), createCourse);
 
+// POST /api/courses/import - Import a course package as a new draft course (instructor/admin)
+router.post('/import', protect, requireAnyRole(['instructor', 'admin']), importCourse);
+
+// POST /api/courses/import/content-package - Import a SCORM 1.2 / Common Cartridge zip (multipart "file") as a draft course
+router.post('/import/content-package', protect, requireAnyRole(['instructor', 'admin']), uploadContentPackage, importContentPackage);
+
 // GET /api/courses/:id - Get single course details
 router.get('/:id', protect, validateObjectId('id'), getCourse);
 
 // GET /api/courses/:id/enrollments - Get course enrollments (admin/instructor)
 router.get('/:id/enrollments', protect, validateObjectId('id'), requireAnyRole(['instructor', 'admin']), getCourseEnrollments);
 
+// GET /api/courses/:id/gradebook - Computed grades per student (admin/instructor)
+router.get('/:id/gradebook', protect, validateObjectId('id'), requireAnyRole(['instructor', 'admin']), getCourseGradebook);
+
+// GET /api/courses/:id/reviews - Published reviews with the rating summary
+router.get('/:id/reviews', protect, validateObjectId('id'), getCourseReviews);
+
+// POST /api/courses/:id/reviews - Review a course (enrolled students, once per course)
+router.post('/:id/reviews', protect, validateObjectId('id'), createReview);
+
 // POST /api/courses/:id/enroll - Enroll in a course (self-enrollment for students)
 router.post('/:id/enroll', protect, validateObjectId('id'), enrollInCourse);
 
+// GET /api/courses/:id/enrollment-status - Your enrollment, pending request or waitlist place
+router.get('/:id/enrollment-status', protect, validateObjectId('id'), getEnrollmentStatus);
+
+// DELETE /api/courses/:id/enrollment-request - Withdraw your request or leave the waitlist
+router.delete('/:id/enrollment-request', protect, validateObjectId('id'), cancelEnrollmentRequest);
+
+// PUT /api/courses/:id/enrollment-requests/:requestId - Approve or reject a request (admin/instructor)
+router.put('/:id/enrollment-requests/:requestId', protect, validateObjectIds('id', 'requestId'), requireAnyRole(['instructor', 'admin']), decideEnrollmentRequest);
+
 // POST /api/courses/:id/unenroll - Unenroll from a course
 router.post('/:id/unenroll', protect, validateObjectId('id'), unenrollFromCourse);
 
@@ -64,6 +98,12 @@ router.post('/enroll-student', protect, requireAnyRole(['instructor', 'admin']),
 // POST /api/courses/unenroll-student - Admin/Instructor unenroll student
 router.post('/unenroll-student', protect, requireAnyRole(['instructor', 'admin']), unenrollStudentFromCourse);
 
+// POST /api/courses/:id/clone - Copy a course with its modules and quizzes as a draft (instructor/admin)
+router.post('/:id/clone', protect, validateObjectId('id'), requireAnyRole(['instructor', 'admin']), cloneCourse);
+
+// GET /api/courses/:id/export - Download the course as a JSON package (instructor/admin)
+router.get('/:id/export', protect, validateObjectId('id'), requireAnyRole(['instructor', 'admin']), exportCourse);
+
 // PUT /api/courses/:id - Update a course (instructor/admin only)
 router.put('/:id', protect, validateObjectId('id'), requireAnyRole(['instructor', 'admin']), updateCourse);
 
@@ -8,19 +8,33 @@ const {
     getStudentProgress,
     updateStudentGrade,
     getCourseAnalytics,
-    getMyStudents
+    getMyStudents,
+    exportGradebookCsv,
+    importGradebookCsv,
+    getAtRiskStudents
 } = require('../controllers/instructorController');
-const { protect, requireInstructorOrAdmin, requirePermission } = require('../middleware/authMiddleware');
+const {
+    getGradingQueue,
+    claimSubmission,
+    releaseSubmission,
+    downloadSubmissionFile,
+    gradeSubmission,
+    returnSubmission,
+    gradeQuizAnswer
+} = require('../controllers/gradingController');
+const { protect, requireAnyRole, requirePermission } = require('../middleware/authMiddleware');
 const {
     logApiAccess,
     requireCourseInstructor,
     requireOwnResourceOrRole
 } = require('../middleware/permissionMiddleware');
 
+const { validateObjectId } = require('../middleware/validateObjectId');
+
 const router = express.Router();
 
 router.use(protect);
-router.use(requireInstructorOrAdmin);
+router.use(requireAnyRole(['instructor', 'admin']));
 router.use(logApiAccess);
 
 router.route('/courses')
@@ -35,12 +49,36 @@ router.get('/courses/:id/students', requirePermission('students:read'), requireC
 
 router.get('/courses/:id/analytics', requirePermission('analytics:view'), requireCourseInstructor, getCourseAnalytics);
 
+// Gradebook spreadsheet: export, and import of grades/notes (dry run unless dryRun: false)
+router.get('/courses/:id/gradebook.csv', requirePermission('students:progress:view'), validateObjectId('id'), requireCourseInstructor, exportGradebookCsv);
+router.post('/courses/:id/gradebook/import', requirePermission('progress:write'), validateObjectId('id'), requireCourseInstructor, importGradebookCsv);
+
+// Early warning: students flagged by the risk scoring job (?refresh=true rescores the course now)
+router.get('/courses/:id/at-risk', requirePermission('students:progress:view'), validateObjectId('id'), requireCourseInstructor, getAtRiskStudents);
+
 router.route('/courses/:courseId/students/:studentId')
     .get(requirePermission('students:progress:view'), requireCourseInstructor, getStudentProgress)
     .put(requirePermission('progress:write'), requireCourseInstructor, updateStudentGrade);
 
 router.get('/students', requirePermission('students:read'), getMyStudents);
 
+// Manual grading queue: assignment submissions and essay answers
+router.get('/grading/queue', requirePermission('quiz:grade'), getGradingQueue);
+
+router.route('/grading/submissions/:submissionId/claim')
+    .post(requirePermission('quiz:grade'), claimSubmission)
+    .delete(requirePermission('quiz:grade'), releaseSubmission);
+
+router.get('/grading/submissions/:submissionId/file', requirePermission('quiz:grade'), downloadSubmissionFile);
+router.post('/grading/submissions/:submissionId/grade', requirePermission('quiz:grade'), gradeSubmission);
+router.post('/grading/submissions/:submissionId/return', requirePermission('quiz:grade'), returnSubmission);
+
+router.post('/grading/quiz-attempts/:attemptId/answers/:questionId/grade',
+    requirePermission('quiz:grade'),
+    validateObjectId('attemptId'),
+    gradeQuizAnswer
+);
+
 // Student enrollment management routes - TODO: Implement these controllers
 // router.get('/available-students', requirePermission('students:read'), getAvailableStudents);
 // router.post('/courses/:courseId/enroll', requirePermission('enrollment:write'), requireCourseInstructor, enrollStudent);
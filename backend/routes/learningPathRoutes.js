@@ -0,0 +1,51 @@
+/**
+ * LearningPathRoutes - Multi-course programs and path enrollment
+ * Course-level enrollment and progress stay under /api/courses and /api/progress
+ */
+
+const express = require('express');
+const {
+    getLearningPaths,
+    getLearningPath,
+    getMyLearningPaths,
+    createLearningPath,
+    updateLearningPath,
+    deleteLearningPath,
+    enrollInLearningPath,
+    withdrawFromLearningPath,
+    getLearningPathEnrollments
+} = require('../controllers/learningPathController');
+const { protect, requireAnyRole } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
+const router = express.Router();
+
+router.use(protect);
+
+// GET /api/learning-paths - Active paths with your enrollment in each
+router.get('/', getLearningPaths);
+
+// GET /api/learning-paths/my - Your paths with up-to-date progress
+router.get('/my', getMyLearningPaths);
+
+// POST /api/learning-paths - Create a path (instructor/admin)
+router.post('/', requireAnyRole(['instructor', 'admin']), createLearningPath);
+
+// GET /api/learning-paths/:id - Path details with your progress
+router.get('/:id', validateObjectId('id'), getLearningPath);
+
+// PUT /api/learning-paths/:id - Update a path (its creator or an admin)
+router.put('/:id', validateObjectId('id'), requireAnyRole(['instructor', 'admin']), updateLearningPath);
+
+// DELETE /api/learning-paths/:id - Delete a path (its creator or an admin)
+router.delete('/:id', validateObjectId('id'), requireAnyRole(['instructor', 'admin']), deleteLearningPath);
+
+// POST /api/learning-paths/:id/enroll - Enroll in a path (unlocks the first course)
+router.post('/:id/enroll', validateObjectId('id'), enrollInLearningPath);
+
+// DELETE /api/learning-paths/:id/enroll - Leave a path (course progress is kept)
+router.delete('/:id/enroll', validateObjectId('id'), withdrawFromLearningPath);
+
+// GET /api/learning-paths/:id/enrollments - Students and their path progress (creator/admin)
+router.get('/:id/enrollments', validateObjectId('id'), requireAnyRole(['instructor', 'admin']), getLearningPathEnrollments);
+
+module.exports = router;
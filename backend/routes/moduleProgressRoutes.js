@@ -1,8 +1,63 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const ModuleProgress = require('../models/ModuleProgress');
 const Module = require('../models/Module');
 const { protect: auth } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
+const { requirePublishedModule, requireModuleEnrollment } = require('../middleware/permissionMiddleware');
+const {
+    uploadSubmissionFile,
+    removeUploadedFile,
+    buildSubmissionData,
+    getLateInfo
+} = require('../services/submissionService');
+const { recordContentEvent } = require('../services/xapiService');
+const { recordLearningActivity } = require('../services/learningActivityService');
+
+// xAPI verb for a content status change: "attempted" when it is first started, "completed" once
+const contentEventVerb = (previousStatus, status) => {
+    if (status === 'completed' && previousStatus !== 'completed') return 'completed';
+    if (status === 'in-progress' && (!previousStatus || previousStatus === 'not-started')) return 'attempted';
+    return null;
+};
+
+const contentProgressOf = (moduleProgress, contentId) =>
+    moduleProgress.contentProgress.find(c => c.contentId === contentId) || null;
+
+const contentStatusOf = (moduleProgress, contentId) => {
+    const entry = contentProgressOf(moduleProgress, contentId);
+    return entry ? entry.status : null;
+};
+
+// Start tracking a module for a user who opens it without starting it first
+const createModuleProgress = async (userId, module) => {
+    const contents = module.contents || [];
+    const requiredContents = contents.filter(c => c.isRequired !== false);
+
+    const moduleProgress = new ModuleProgress({
+        userId,
+        courseId: module.courseId,
+        moduleId: module._id,
+        startedAt: new Date(),
+        lastAccessedAt: new Date(),
+        status: 'in-progress',
+        totalContentCount: contents.length,
+        totalRequiredContentCount: requiredContents.length,
+        completionPercentage: 0,
+        contentProgress: contents.map(content => ({
+            contentId: content.contentId,
+            contentType: content.type || 'text',
+            status: 'not-started',
+            isMandatory: content.isRequired !== false,
+            startedAt: null,
+            timeSpent: 0
+        }))
+    });
+
+    await moduleProgress.save();
+    return moduleProgress;
+};
 
 /**
  * @route   GET /api/module-progress/course/:courseId
@@ -51,7 +106,7 @@ router.get('/:moduleId', auth, async (req, res) => {
  * @desc    Start a module (create initial progress)
  * @access  Private
  */
-router.post('/:moduleId/start', auth, async (req, res) => {
+router.post('/:moduleId/start', auth, validateObjectId('moduleId'), requirePublishedModule, async (req, res) => {
     try {
         // Validate moduleId
         if (!req.params.moduleId || !req.params.moduleId.match(/^[0-9a-fA-F]{24}$/)) {
@@ -194,7 +249,7 @@ router.post('/:moduleId/start', auth, async (req, res) => {
  * @desc    Update progress for specific content
  * @access  Private
  */
-router.put('/:moduleId/content/:contentId', auth, async (req, res) => {
+router.put('/:moduleId/content/:contentId', auth, validateObjectId('moduleId'), requirePublishedModule, async (req, res) => {
     try {
         const { status, timeSpent, score, response, submittedAt, ...otherData } = req.body;
 
@@ -223,8 +278,26 @@ router.put('/:moduleId/content/:contentId', auth, async (req, res) => {
             progressData.submittedAt = submittedAt;
         }
 
+        const previous = contentProgressOf(moduleProgress, req.params.contentId);
+        const previousStatus = previous ? previous.status : null;
+        const previousSeconds = previous ? previous.timeSpent || 0 : 0;
         await moduleProgress.updateContentProgress(req.params.contentId, progressData);
 
+        const verb = contentEventVerb(previousStatus, status);
+        if (verb) {
+            recordContentEvent(req.user, req.params.moduleId, req.params.contentId, verb, { timeSpent, score });
+        }
+
+        // Content timeSpent is a running total in seconds; the daily log gets the increase
+        const addedSeconds = Number(timeSpent) > previousSeconds ? Number(timeSpent) - previousSeconds : 0;
+        recordLearningActivity(req.user.id, {
+            minutes: addedSeconds / 60,
+            items: { contentCompleted: verb === 'completed' ? 1 : 0 },
+            courseId: moduleProgress.courseId
+        }).catch(error => {
+            console.error('Error recording learning activity:', error.message);
+        });
+
         res.json({ 
             message: 'Content progress updated', 
             moduleProgress 
@@ -240,7 +313,7 @@ router.put('/:moduleId/content/:contentId', auth, async (req, res) => {
  * @desc    Update content progress with actions (for frontend compatibility)
  * @access  Private
  */
-router.post('/:moduleId/content/:contentId', auth, async (req, res) => {
+router.post('/:moduleId/content/:contentId', auth, validateObjectId('moduleId'), requirePublishedModule, async (req, res) => {
     try {
         const { action } = req.body;
         const { moduleId, contentId } = req.params;
@@ -268,30 +341,7 @@ router.post('/:moduleId/content/:contentId', auth, async (req, res) => {
                 return res.status(404).json({ message: 'Module not found' });
             }
 
-            const contents = module.contents || [];
-            const requiredContents = contents.filter(c => c.isRequired !== false);
-
-            moduleProgress = new ModuleProgress({
-                userId,
-                courseId: module.courseId,
-                moduleId,
-                startedAt: new Date(),
-                lastAccessedAt: new Date(),
-                status: 'in-progress',
-                totalContentCount: contents.length,
-                totalRequiredContentCount: requiredContents.length,
-                completionPercentage: 0,
-                contentProgress: contents.map(content => ({
-                    contentId: content.contentId,
-                    contentType: content.type || 'text',
-                    status: 'not-started',
-                    isMandatory: content.isRequired !== false,
-                    startedAt: null,
-                    timeSpent: 0
-                }))
-            });
-
-            await moduleProgress.save();
+            moduleProgress = await createModuleProgress(userId, module);
             console.log('✅ Auto-created module progress for user:', userId);
         }
 
@@ -323,6 +373,7 @@ router.post('/:moduleId/content/:contentId', auth, async (req, res) => {
         }
 
         // Update the content progress
+        const previousStatus = contentStatusOf(moduleProgress, contentId);
         try {
             await moduleProgress.updateContentProgress(contentId, progressData);
             console.log('✅ updateContentProgress completed successfully');
@@ -331,6 +382,19 @@ router.post('/:moduleId/content/:contentId', auth, async (req, res) => {
             throw updateError;
         }
 
+        const verb = contentEventVerb(previousStatus, progressData.status);
+        if (verb) {
+            recordContentEvent(req.user, moduleId, contentId, verb);
+        }
+        if (verb === 'completed') {
+            recordLearningActivity(userId, {
+                items: { contentCompleted: 1 },
+                courseId: moduleProgress.courseId
+            }).catch(error => {
+                console.error('Error recording learning activity:', error.message);
+            });
+        }
+
         // Refresh the module progress to get updated values
         await moduleProgress.populate('moduleId');
         
@@ -365,4 +429,149 @@ router.post('/:moduleId/content/:contentId', auth, async (req, res) => {
     }
 });
 
+// Own submissions for a piece of assignment content, newest first
+const toStudentSubmission = (submission) => ({
+    submissionId: submission.submissionId,
+    attempt: submission.attempt,
+    submittedAt: submission.submittedAt,
+    isLate: submission.isLate,
+    lateByMinutes: submission.lateByMinutes,
+    submissionType: submission.submissionType,
+    submissionData: submission.submissionData,
+    status: submission.status,
+    // Scores and feedback are visible once the submission is returned
+    ...(submission.status === 'returned' ? {
+        score: submission.score,
+        maxScore: submission.maxScore,
+        percentage: submission.percentage,
+        rubricScores: submission.rubricScores,
+        feedback: submission.feedback,
+        returnedAt: submission.returnedAt
+    } : {})
+});
+
+/**
+ * @route   GET /api/module-progress/:moduleId/content/:contentId/submissions
+ * @desc    List the current user's submissions for assignment content
+ * @access  Private
+ */
+router.get('/:moduleId/content/:contentId/submissions', auth, validateObjectId('moduleId'), async (req, res) => {
+    try {
+        const module = await Module.findById(req.params.moduleId);
+        const content = module && module.contents.find(c => c.contentId === req.params.contentId);
+        if (!content) {
+            return res.status(404).json({ message: 'Content not found' });
+        }
+
+        const moduleProgress = await ModuleProgress.findOne({
+            userId: req.user.id,
+            moduleId: req.params.moduleId
+        });
+        const contentProgress = moduleProgress &&
+            moduleProgress.contentProgress.find(cp => cp.contentId === req.params.contentId);
+        const submissions = (contentProgress && contentProgress.progressData.submissions) || [];
+        const maxAttempts = module.settings.maxAttempts;
+
+        res.json({
+            submissionFormat: content.contentData.submissionFormat || 'text',
+            dueDate: content.contentData.dueDate,
+            maxAttempts,
+            attemptsRemaining: Math.max(0, maxAttempts - submissions.length),
+            submissions: submissions.map(toStudentSubmission).reverse()
+        });
+    } catch (error) {
+        console.error('Error fetching submissions:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/module-progress/:moduleId/content/:contentId/submissions
+ * @desc    Submit work for assignment content (multipart `file`, or `text`, `url`, `code`)
+ * @access  Private (enrolled students)
+ */
+router.post('/:moduleId/content/:contentId/submissions', auth, validateObjectId('moduleId'), requirePublishedModule, requireModuleEnrollment, uploadSubmissionFile, async (req, res) => {
+    try {
+        const { moduleId, contentId } = req.params;
+        const userId = req.user.id;
+
+        // Loaded by requirePublishedModule before the upload was accepted
+        const module = req.module;
+        const content = module.contents.find(c => c.contentId === contentId);
+        if (!content || content.type !== 'assignment') {
+            removeUploadedFile(req.file);
+            return res.status(400).json({ message: 'Submissions are only accepted for assignment content' });
+        }
+
+        const format = content.contentData.submissionFormat || 'text';
+        const built = buildSubmissionData(format, req.body, req.file);
+        if (built.error) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({ message: built.error });
+        }
+
+        let moduleProgress = await ModuleProgress.findOne({ userId, moduleId });
+        if (!moduleProgress) {
+            moduleProgress = await createModuleProgress(userId, module);
+        }
+
+        let contentProgress = moduleProgress.contentProgress.find(cp => cp.contentId === contentId);
+        if (!contentProgress) {
+            moduleProgress.contentProgress.push({
+                contentId,
+                contentType: 'assignment',
+                isMandatory: content.isRequired !== false
+            });
+            contentProgress = moduleProgress.contentProgress[moduleProgress.contentProgress.length - 1];
+        }
+
+        const submissions = contentProgress.progressData.submissions;
+        const maxAttempts = module.settings.maxAttempts;
+        if (submissions.length >= maxAttempts) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({
+                message: `You have used all ${maxAttempts} submission attempts for this assignment`
+            });
+        }
+
+        const submittedAt = new Date();
+        const attempt = submissions.length + 1;
+        submissions.push({
+            submissionId: new mongoose.Types.ObjectId().toString(),
+            attempt,
+            submittedAt,
+            ...getLateInfo(content.contentData.dueDate, submittedAt),
+            submissionType: format,
+            submissionData: built.data,
+            status: 'submitted'
+        });
+
+        contentProgress.attempts = attempt;
+        contentProgress.maxAttempts = maxAttempts;
+        contentProgress.status = 'in-progress';
+        contentProgress.startedAt = contentProgress.startedAt || submittedAt;
+        contentProgress.lastAccessedAt = submittedAt;
+        contentProgress.needsReview = true;
+
+        // Save only if nobody else changed the record since it was read, so two
+        // concurrent submissions can't both pass the attempt check above
+        moduleProgress.increment();
+        await moduleProgress.save();
+
+        const submission = submissions[submissions.length - 1];
+        res.status(201).json({
+            message: submission.isLate ? 'Submission received after the due date' : 'Submission received',
+            submission: toStudentSubmission(submission),
+            attemptsRemaining: maxAttempts - attempt
+        });
+    } catch (error) {
+        removeUploadedFile(req.file);
+        if (error instanceof mongoose.Error.VersionError || error.code === 11000) {
+            return res.status(409).json({ message: 'Another submission for this assignment is being processed. Please try again.' });
+        }
+        console.error('Error submitting assignment:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -11,10 +11,17 @@ const {
     getModuleAnalytics,
     completeModule,
     getProgressSyncReport,
-    syncAllUsersInCourse
+    syncAllUsersInCourse,
+    transitionModule,
+    getReviewInbox,
+    getModuleRevisions,
+    getModuleRevision,
+    getModuleRevisionDiff,
+    rollbackModule
 } = require('../controllers/moduleController');
-const { protect: authMiddleware } = require('../middleware/authMiddleware');
+const { protect: authMiddleware, requireAnyRole } = require('../middleware/authMiddleware');
 const { validateObjectId, validateObjectIds } = require('../middleware/validateObjectId');
+const { requirePublishedModule } = require('../middleware/permissionMiddleware');
 
 /**
  * Module Routes with Design Pattern Integration
@@ -44,6 +51,14 @@ router.get('/debug', (req, res) => {
     });
 });
 
+// Module review inbox (instructors and admins only)
+router.get('/review/inbox', authMiddleware, async (req, res, next) => {
+    if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied. Instructor or admin role required.' });
+    }
+    next();
+}, getReviewInbox);
+
 // Get all modules for a course
 router.get('/course/:courseId', authMiddleware, validateObjectId('courseId'), getCourseModules);
 
@@ -51,13 +66,13 @@ router.get('/course/:courseId', authMiddleware, validateObjectId('courseId'), ge
 router.get('/:moduleId', authMiddleware, validateObjectId('moduleId'), getModule);
 
 // Update module progress
-router.put('/:moduleId/progress', authMiddleware, validateObjectId('moduleId'), updateModuleProgress);
+router.put('/:moduleId/progress', authMiddleware, validateObjectId('moduleId'), requirePublishedModule, updateModuleProgress);
 
 // Calculate module grade using different strategies
 router.post('/:moduleId/grade', authMiddleware, validateObjectId('moduleId'), calculateModuleGrade);
 
-// Get module analytics (instructors and admins only)
-router.get('/:moduleId/analytics', authMiddleware, async (req, res, next) => {
+// Get module analytics and drop-off funnel (instructors and admins only; ?refresh=true recomputes now)
+router.get('/:moduleId/analytics', authMiddleware, validateObjectId('moduleId'), async (req, res, next) => {
   
     if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
         return res.status(403).json({ message: 'Access denied. Instructor or admin role required.' });
@@ -65,6 +80,20 @@ router.get('/:moduleId/analytics', authMiddleware, async (req, res, next) => {
     next();
 }, getModuleAnalytics);
 
+// Publishing workflow: submit, approve, reject, publish, archive or restore (role rules in the controller)
+router.post('/:moduleId/:action(submit|approve|reject|publish|archive|restore)', authMiddleware, validateObjectId('moduleId'), async (req, res, next) => {
+    if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied. Instructor or admin role required.' });
+    }
+    next();
+}, transitionModule);
+
+// Version history (course instructor and admins): list, diff (?from=&to=), one version, roll back
+router.get('/:moduleId/revisions', authMiddleware, validateObjectId('moduleId'), requireAnyRole(['instructor', 'admin']), getModuleRevisions);
+router.get('/:moduleId/revisions/diff', authMiddleware, validateObjectId('moduleId'), requireAnyRole(['instructor', 'admin']), getModuleRevisionDiff);
+router.get('/:moduleId/revisions/:version', authMiddleware, validateObjectId('moduleId'), requireAnyRole(['instructor', 'admin']), getModuleRevision);
+router.post('/:moduleId/revisions/:version/rollback', authMiddleware, validateObjectId('moduleId'), requireAnyRole(['instructor', 'admin']), rollbackModule);
+
 // Update module (instructors and admins only)
 router.put('/:moduleId', authMiddleware, async (req, res, next) => {
     if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
@@ -82,7 +111,7 @@ router.delete('/:moduleId', authMiddleware, async (req, res, next) => {
 }, deleteModule);
 
 // Update specific content progress within a module (PUT method)
-router.put('/:moduleId/content/:contentId/progress', authMiddleware, async (req, res, next) => {
+router.put('/:moduleId/content/:contentId/progress', authMiddleware, validateObjectId('moduleId'), requirePublishedModule, async (req, res, next) => {
     try {
         // Add contentId to request body for processing
         req.body.contentId = req.params.contentId;
@@ -93,7 +122,7 @@ router.put('/:moduleId/content/:contentId/progress', authMiddleware, async (req,
 });
 
 // Update content progress with actions (POST method for frontend compatibility)
-router.post('/:moduleId/content/:contentId', authMiddleware, validateObjectId('moduleId'), async (req, res) => {
+router.post('/:moduleId/content/:contentId', authMiddleware, validateObjectId('moduleId'), requirePublishedModule, async (req, res) => {
     try {
         const { moduleId, contentId } = req.params;
         const { action } = req.body;
@@ -179,7 +208,7 @@ router.get('/:moduleId/progress/:userId?', authMiddleware, async (req, res) => {
 });
 
 // Bulk update module progress (for offline sync)
-router.post('/:moduleId/progress/bulk', async (req, res) => {
+router.post('/:moduleId/progress/bulk', validateObjectId('moduleId'), requirePublishedModule, async (req, res) => {
     try {
         const { moduleId } = req.params;
         const { progressUpdates } = req.body;
@@ -324,7 +353,7 @@ router.delete('/:moduleId/progress/:userId', async (req, res, next) => {
 });
 
 // Complete a module and sync with course progress
-router.post('/:moduleId/complete', completeModule);
+router.post('/:moduleId/complete', validateObjectId('moduleId'), requirePublishedModule, completeModule);
 
 // Get progress synchronization report for a course
 router.get('/course/:courseId/progress-sync-report', getProgressSyncReport);
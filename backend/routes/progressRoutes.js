@@ -5,11 +5,17 @@ const {
   updateModuleCompletion,
   getCourseProgress,
   getLearningStreaks,
-  updateLearningGoals,
+  getLearningActivity,
+  getLearningActivitySeries,
+  getLearningGoals,
+  createLearningGoal,
+  updateLearningGoal,
+  deleteLearningGoal,
   syncProgress,
   getDetailedProgressReport
 } = require('../controllers/progressController');
 const { protect } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
 
 // All routes require authentication
 router.use(protect);
@@ -30,83 +36,39 @@ router.put('/module', updateModuleCompletion);
 router.get('/course/:courseId', getCourseProgress);
 
 // @route   GET /api/progress/streaks
-// @desc    Get learning streaks and habits
+// @desc    Get learning streaks and habits (?timezone= stores the browser's timezone)
 // @access  Private
 router.get('/streaks', getLearningStreaks);
 
+// @route   GET /api/progress/activity
+// @desc    Get daily learning minutes and items for a heatmap (?from=&to= as YYYY-MM-DD)
+// @access  Private
+router.get('/activity', getLearningActivity);
+
+// @route   GET /api/progress/activity/series
+// @desc    Get daily and weekly minutes, completed content and quiz scores (?from=&to=, last 90 days by default)
+// @access  Private
+router.get('/activity/series', getLearningActivitySeries);
+
 // @route   GET /api/progress/learning-goals
-// @desc    Get learning goals progress
+// @desc    Get learning goals with computed progress and status
+// @access  Private
+router.get('/learning-goals', getLearningGoals);
+
+// @route   POST /api/progress/learning-goals
+// @desc    Create a learning goal (type, target, deadline, optional courseId)
+// @access  Private
+router.post('/learning-goals', createLearningGoal);
+
+// @route   PUT /api/progress/learning-goals/:goalId
+// @desc    Update a learning goal
 // @access  Private
-router.get('/learning-goals', async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const LearningProgress = require('../models/LearningProgress');
-    
-    // Calculate time periods
-    const today = new Date();
-    const dayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const weekStart = new Date(dayStart);
-    weekStart.setDate(dayStart.getDate() - dayStart.getDay());
-    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-    
-    // Get user's learning progress for different time periods
-    const [dailyProgress, weeklyProgress, monthlyProgress] = await Promise.all([
-      LearningProgress.find({ 
-        userId, 
-        lastAccessDate: { $gte: dayStart } 
-      }),
-      LearningProgress.find({ 
-        userId, 
-        lastAccessDate: { $gte: weekStart } 
-      }),
-      LearningProgress.find({ 
-        userId, 
-        lastAccessDate: { $gte: monthStart } 
-      })
-    ]);
-    
-    // Calculate actual time spent
-    const dailyCompleted = dailyProgress.reduce((total, p) => {
-      // Calculate time spent today only
-      const lastAccess = new Date(p.lastAccessDate);
-      if (lastAccess >= dayStart) {
-        return total + (p.totalTimeSpent || 0);
-      }
-      return total;
-    }, 0);
-    
-    const weeklyCompleted = weeklyProgress.reduce((total, p) => total + (p.totalTimeSpent || 0), 0);
-    const monthlyCompleted = monthlyProgress.reduce((total, p) => total + (p.totalTimeSpent || 0), 0);
-    
-    const learningGoals = {
-      daily: {
-        target: 30, // 30 minutes
-        completed: Math.round(dailyCompleted),
-        percentage: Math.min(100, Math.round((dailyCompleted / 30) * 100))
-      },
-      weekly: {
-        target: 300, // 5 hours
-        completed: Math.round(weeklyCompleted),
-        percentage: Math.min(100, Math.round((weeklyCompleted / 300) * 100))
-      },
-      monthly: {
-        target: 1200, // 20 hours
-        completed: Math.round(monthlyCompleted),
-        percentage: Math.min(100, Math.round((monthlyCompleted / 1200) * 100))
-      }
-    };
-    
-    res.json(learningGoals);
-  } catch (error) {
-    console.error('Error fetching learning goals:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.put('/learning-goals/:goalId', validateObjectId('goalId'), updateLearningGoal);
 
-// @route   PUT /api/progress/goals
-// @desc    Update learning goals
+// @route   DELETE /api/progress/learning-goals/:goalId
+// @desc    Delete a learning goal
 // @access  Private
-router.put('/goals', updateLearningGoals);
+router.delete('/learning-goals/:goalId', validateObjectId('goalId'), deleteLearningGoal);
 
 // @route   POST /api/progress/course/:courseId/sync
 // @desc    Manually sync module progress with course progress
@@ -0,0 +1,60 @@
+const express = require('express');
+const {
+  getCourseQuestions,
+  createQuestion,
+  getQuestion,
+  updateQuestion,
+  deleteQuestion,
+  getQuestionVersions,
+  getQuestionVersion
+} = require('../controllers/questionBankController');
+const { protect, requireAnyRole } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
+
+const router = express.Router();
+
+// Question bank routes are for course instructors and admins
+router.use(protect);
+router.use(requireAnyRole(['instructor', 'admin']));
+
+// List a course's bank questions (filters: tag, difficulty, objective, type, search)
+router.get('/course/:courseId',
+  validateObjectId('courseId'),
+  getCourseQuestions
+);
+
+// Add a question to a course's bank
+router.post('/course/:courseId',
+  validateObjectId('courseId'),
+  createQuestion
+);
+
+// Version history of a bank question
+router.get('/:questionId/versions',
+  validateObjectId('questionId'),
+  getQuestionVersions
+);
+
+// A single version of a bank question
+router.get('/:questionId/versions/:version',
+  validateObjectId('questionId'),
+  getQuestionVersion
+);
+
+// Get, edit or remove a bank question
+router.get('/:questionId',
+  validateObjectId('questionId'),
+  getQuestion
+);
+
+router.put('/:questionId',
+  validateObjectId('questionId'),
+  updateQuestion
+);
+
+router.delete('/:questionId',
+  validateObjectId('questionId'),
+  deleteQuestion
+);
+
+module.exports = router;
@@ -2,7 +2,17 @@ const express = require('express');
 const {
   getCourseQuizzes,
   getQuiz,
+  startQuizAttempt,
+  getQuizAttemptSession,
+  saveQuizAttemptAnswers,
+  pauseQuizAttempt,
+  resumeQuizAttempt,
+  submitStartedQuizAttempt,
   submitQuizAttempt,
+  getMyQuizAttempts,
+  getQuizAttemptSummary,
+  getStudentQuizAttempts,
+  getManualGradingQueue,
   createQuiz,
   updateQuiz,
   deleteQuiz,
@@ -15,7 +25,8 @@ const {
   getInstructorCourses,
   getAllCoursesForAdmin
 } = require('../controllers/quizController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireAnyRole } = require('../middleware/authMiddleware');
+const { validateObjectId, validateObjectIds } = require('../middleware/validateObjectId');
 
 const router = express.Router();
 
@@ -30,18 +41,81 @@ router.get('/course/:courseId',
   getCourseQuizzes
 );
 
+// Essay answers waiting for manual grading (instructor/admin)
+router.get('/grading-queue',
+  requireAnyRole(['instructor', 'admin']),
+  getManualGradingQueue
+);
+
+// ========== TIMED ATTEMPT SESSIONS ==========
+
+// Current state of an attempt (restores the player after a refresh)
+router.get('/attempt/:attemptId',
+  validateObjectId('attemptId'),
+  getQuizAttemptSession
+);
+
+// Save answers and position without submitting
+router.put('/attempt/:attemptId/answers',
+  validateObjectId('attemptId'),
+  saveQuizAttemptAnswers
+);
+
+// Pause and resume the attempt clock
+router.post('/attempt/:attemptId/pause',
+  validateObjectId('attemptId'),
+  pauseQuizAttempt
+);
+
+router.post('/attempt/:attemptId/resume',
+  validateObjectId('attemptId'),
+  resumeQuizAttempt
+);
+
+// Submit a started attempt for grading
+router.post('/attempt/:attemptId/submit',
+  validateObjectId('attemptId'),
+  submitStartedQuizAttempt
+);
+
 router.get('/:quizId',
   
   
   getQuiz
 );
 
+// Start a new attempt or resume the unfinished one
+router.post('/:quizId/start',
+  validateObjectId('quizId'),
+  startQuizAttempt
+);
+
 router.post('/:quizId/submit',
   
   
   submitQuizAttempt
 );
 
+// Current user's attempt history and best score
+router.get('/:quizId/attempts',
+  validateObjectId('quizId'),
+  getMyQuizAttempts
+);
+
+// Attempt counts and best scores per student (instructor/admin)
+router.get('/:quizId/attempts/students',
+  validateObjectId('quizId'),
+  requireAnyRole(['instructor', 'admin']),
+  getQuizAttemptSummary
+);
+
+// A single student's attempt history with answers (instructor/admin)
+router.get('/:quizId/attempts/students/:studentId',
+  validateObjectIds('quizId', 'studentId'),
+  requireAnyRole(['instructor', 'admin']),
+  getStudentQuizAttempts
+);
+
 // ========== ADMIN ROUTES ==========
 
 // Get all courses for admin (no restrictions)
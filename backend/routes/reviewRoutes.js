@@ -0,0 +1,43 @@
+/**
+ * ReviewRoutes - Course reviews, helpful votes, instructor replies and moderation
+ * Listing and posting reviews for a course live under /api/courses/:id/reviews
+ */
+
+const express = require('express');
+const {
+    updateReview,
+    deleteReview,
+    voteHelpful,
+    replyToReview,
+    reportReview,
+    getModerationQueue,
+    moderateReview
+} = require('../controllers/reviewController');
+const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { validateObjectId } = require('../middleware/validateObjectId');
+const router = express.Router();
+
+router.use(protect);
+
+// GET /api/reviews/moderation - Flagged/hidden/reported reviews (admin only)
+router.get('/moderation', adminOnly, getModerationQueue);
+
+// PUT /api/reviews/:reviewId - Edit your own review
+router.put('/:reviewId', validateObjectId('reviewId'), updateReview);
+
+// DELETE /api/reviews/:reviewId - Delete your own review (admins can delete any)
+router.delete('/:reviewId', validateObjectId('reviewId'), deleteReview);
+
+// POST /api/reviews/:reviewId/helpful - Toggle a helpful vote
+router.post('/:reviewId/helpful', validateObjectId('reviewId'), voteHelpful);
+
+// PUT /api/reviews/:reviewId/reply - Course instructor reply (empty text removes it)
+router.put('/:reviewId/reply', validateObjectId('reviewId'), replyToReview);
+
+// POST /api/reviews/:reviewId/report - Report a review to the admins
+router.post('/:reviewId/report', validateObjectId('reviewId'), reportReview);
+
+// PUT /api/reviews/:reviewId/moderation - Publish or hide a review (admin only)
+router.put('/:reviewId/moderation', validateObjectId('reviewId'), adminOnly, moderateReview);
+
+module.exports = router;
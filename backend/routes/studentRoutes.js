@@ -7,7 +7,6 @@ const {
     addBookmark,
     removeBookmark,
     getAchievements,
-    updateLearningGoals,
     getRecommendations
 } = require('../controllers/studentController');
 const { protect, requireAnyRole, requirePermission } = require('../middleware/authMiddleware');
@@ -40,9 +39,6 @@ router.route('/courses/:id/bookmarks/:bookmarkId')
 
 router.get('/achievements', requirePermission('profile:read'), getAchievements);
 
-router.route('/learning-goals')
-    .put(requirePermission('profile:write'), updateLearningGoals);
-
 router.get('/recommendations', requirePermission('courses:read'), getRecommendations);
 
 module.exports = router;
\ No newline at end of file
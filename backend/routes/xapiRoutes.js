@@ -0,0 +1,41 @@
+/**
+ * XapiRoutes - Local Learning Record Store (xAPI 1.0.3 statements resource)
+ * Learner events are recorded by xapiService; these routes let xAPI clients read and send statements
+ */
+
+const express = require('express');
+const {
+    getStatements,
+    postStatements,
+    putStatement,
+    getAbout
+} = require('../controllers/xapiController');
+const { protect } = require('../middleware/authMiddleware');
+const { XAPI_VERSION } = require('../services/xapiService');
+const router = express.Router();
+
+// Every response carries the xAPI version; requests may only ask for 1.0.x
+router.use((req, res, next) => {
+    res.set('X-Experience-API-Version', XAPI_VERSION);
+    const requested = req.get('X-Experience-API-Version');
+    if (requested && !/^1\.0(\.\d+)?$/.test(requested)) {
+        return res.status(400).json({ message: `Unsupported xAPI version ${requested}` });
+    }
+    next();
+});
+
+// GET /api/xapi/about - Supported xAPI versions
+router.get('/about', getAbout);
+
+router.use(protect);
+
+// GET /api/xapi/statements - One statement (statementId/voidedStatementId) or a filtered page
+router.get('/statements', getStatements);
+
+// POST /api/xapi/statements - Store one or more statements
+router.post('/statements', postStatements);
+
+// PUT /api/xapi/statements?statementId=<uuid> - Store a statement with a known id
+router.put('/statements', putStatement);
+
+module.exports = router;
@@ -9,6 +9,10 @@ const connectDB = require('./config/db');
 const performanceMonitor = require('./middleware/performanceMonitor');
 const instructorsRoutes = require('./routes/instructorsRoutes');
 const studentRoutes = require('./routes/studentRoutes');
+const { scheduleExpiredAttemptSweep } = require('./services/quizAttemptService');
+const { scheduleModuleAnalyticsRefresh } = require('./services/moduleAnalyticsService');
+const { scheduleRiskScoring } = require('./services/riskScoringService');
+const { migrateLegacyModules } = require('./services/modulePublishingService');
 
 // Configure dotenv to load from the correct path
 dotenv.config({ path: path.resolve(__dirname, '.env') });
@@ -20,18 +24,31 @@ app.use(compression()); // Enable gzip compression
 app.use(performanceMonitor); // Monitor request performance
 app.use(cors());
 app.use(express.json({ limit: '10mb' })); // Set request size limit
+
+// Files from imported SCORM / Common Cartridge packages; sandboxed so their scripts can't act as this site
+const { CONTENT_PACKAGE_DIR, CONTENT_PACKAGE_URL } = require('./services/contentPackageService');
+app.use(CONTENT_PACKAGE_URL, (req, res, next) => {
+    res.setHeader('Content-Security-Policy', 'sandbox allow-scripts allow-forms allow-popups');
+    next();
+}, express.static(CONTENT_PACKAGE_DIR));
+
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/quiz', require('./routes/quizRoutes'));
+app.use('/api/question-bank', require('./routes/questionBankRoutes'));
 app.use('/api/courses', require('./routes/courseRoutes'));
+app.use('/api/reviews', require('./routes/reviewRoutes'));
+app.use('/api/learning-paths', require('./routes/learningPathRoutes'));
 app.use('/api/progress', require('./routes/progressRoutes'));
 app.use('/api/modules', require('./routes/moduleRoutes'));
 app.use('/api/module-progress', require('./routes/moduleProgressRoutes'));
+app.use('/api/xapi', require('./routes/xapiRoutes'));
 // app.use('/api/oop', require('./routes/oopRoutes'));
 // app.use('/api/patterns', require('./routes/enhancedPatternsRoutes'));
 app.use('/api/test', require('./routes/testRoutes'));
 app.use('/api/populate', require('./routes/populateRoutes'));
 app.use('/api/instructors', instructorsRoutes);
+app.use('/api/instructor', require('./routes/instructorRoutes'));
 app.use('/api/students', studentRoutes);
 
 const startServer = async () => {
@@ -43,11 +60,27 @@ const startServer = async () => {
       console.log(`✅ BookSAN Learning Progress Tracker Server running on port ${PORT}`);
     });
     
-    // Connect to database after server starts (non-blocking)
-    connectDB().catch(err => {
-      console.error('❌ Database connection failed:', err);
-      server.close();
-    });
+    // Connect to database after server starts (non-blocking), publish modules
+    // from before the review workflow, then begin auto-submitting quiz attempts
+    // whose time limit has run out, refreshing the stored module analytics and
+    // scoring dropout risk
+    connectDB()
+      .then(() => {
+        migrateLegacyModules()
+          .then(count => {
+            if (count > 0) {
+              console.log(`🚦 Published ${count} module(s) created before the review workflow`);
+            }
+          })
+          .catch(error => console.error('Error migrating legacy modules:', error));
+        scheduleExpiredAttemptSweep(Number(process.env.QUIZ_SWEEP_INTERVAL_MS) || undefined);
+        scheduleModuleAnalyticsRefresh(Number(process.env.MODULE_ANALYTICS_INTERVAL_MS) || undefined);
+        scheduleRiskScoring(Number(process.env.RISK_SCORING_INTERVAL_MS) || undefined);
+      })
+      .catch(err => {
+        console.error('❌ Database connection failed:', err);
+        server.close();
+      });
     
   } catch (err) {
     console.error('❌ Failed to start server:', err);
@@ -0,0 +1,653 @@
+/**
+ * ContentPackageService - Import of SCORM 1.2 and IMS Common Cartridge zip packages
+ *
+ * ADAPTER PATTERN: like ExternalCourseAdapter in patterns/adapter.js, each package
+ * type has an adapter that presents its imsmanifest.xml through the interface the
+ * importer expects - getInfo() and toCoursePackage(). The result is an ordinary
+ * course package (see coursePackageService.js), so validation, new ids and saving
+ * are shared with JSON imports. Organization items become modules and contents,
+ * QTI items become bank questions behind quiz contents, and the package's files are
+ * served from CONTENT_PACKAGE_DIR. Anything that can't be mapped goes in the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { readZip } = require('../utils/zip');
+const { parseXml, localName, findChildren, findChild, findPath, getAttribute } = require('../utils/xml');
+const { PACKAGE_FORMAT, PACKAGE_VERSION, importCoursePackage } = require('./coursePackageService');
+
+const CONTENT_PACKAGE_DIR = process.env.CONTENT_PACKAGE_DIR ||
+  path.join(__dirname, '..', 'uploads', 'content-packages');
+const CONTENT_PACKAGE_URL = process.env.CONTENT_PACKAGE_URL || '/content-packages';
+const MAX_PACKAGE_SIZE = Number(process.env.CONTENT_PACKAGE_MAX_SIZE) || 100 * 1024 * 1024;
+
+// Minutes given to imported contents; packages rarely say how long anything takes
+const DEFAULT_DURATIONS = { interactive: 15, resource: 10, discussion: 10, quizPerQuestion: 2 };
+
+// Common Cartridge QTI profiles and the question types they become
+const QTI_PROFILES = {
+  'cc.multiple_choice.v0p1': 'multiple_choice',
+  'cc.multiple_response.v0p1': 'multiple_select',
+  'cc.true_false.v0p1': 'true_false',
+  'cc.fib.v0p1': 'short_answer',
+  'cc.essay.v0p1': 'essay'
+};
+
+const HTML_EXTENSIONS = ['.html', '.htm', '.xhtml'];
+
+const generateContentId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const htmlToText = (html) => String(html || '')
+  .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n\s*\n+/g, '\n')
+  .trim();
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Text of a <title> child, or of the LOM title (<title><string>...</string></title>)
+const titleOf = (node) => {
+  const title = findChild(node, 'title');
+  if (!title) return '';
+  const localized = findChild(title, 'string') || findChild(title, 'langstring');
+  return (localized ? localized.text : title.text).trim();
+};
+
+// All descendants with the given local name, in document order
+const findDescendants = (node, name, found = []) => {
+  (node ? node.children : []).forEach(child => {
+    if (localName(child.name) === name) found.push(child);
+    findDescendants(child, name, found);
+  });
+  return found;
+};
+
+const firstMaterialText = (node) => {
+  const mattext = findDescendants(node, 'mattext')[0];
+  if (!mattext) return '';
+  return getAttribute(mattext, 'texttype') === 'text/html' ? htmlToText(mattext.text) : mattext.text.trim();
+};
+
+// Ids/values from <varequal> in the conditions that award points (not those under <not>)
+const correctResponses = (item) => {
+  const values = [];
+  findDescendants(item, 'respcondition').forEach(condition => {
+    const awards = findChildren(condition, 'setvar').some(setvar =>
+      Number(setvar.text) > 0 && (getAttribute(setvar, 'action') || 'Set') !== 'Subtract');
+    if (!awards) return;
+
+    const conditionVar = findChild(condition, 'conditionvar');
+    const collect = (node) => (node ? node.children : []).forEach(child => {
+      const name = localName(child.name);
+      if (name === 'varequal') values.push(child.text.trim());
+      else if (name === 'and' || name === 'or') collect(child);
+    });
+    collect(conditionVar);
+  });
+  return [...new Set(values)];
+};
+
+const qtiMetadata = (item, label) => {
+  const field = findDescendants(item, 'qtimetadatafield')
+    .find(candidate => (findChild(candidate, 'fieldlabel')?.text || '').trim() === label);
+  return field ? (findChild(field, 'fieldentry')?.text || '').trim() : undefined;
+};
+
+/**
+ * Questions from a QTI 1.2 document (an assessment or a question bank). Returns
+ * { title, questions, unsupported } where questions are bank question fields.
+ */
+const parseQti = (xml) => {
+  const root = parseXml(xml);
+  if (localName(root.name) !== 'questestinterop') {
+    throw new Error('Not a QTI 1.2 document');
+  }
+  const container = findChild(root, 'assessment') || findChild(root, 'objectbank') || root;
+  const questions = [];
+  const unsupported = [];
+
+  findDescendants(container, 'item').forEach((item, index) => {
+    const label = getAttribute(item, 'title') || getAttribute(item, 'ident') || `Item ${index + 1}`;
+    const profile = qtiMetadata(item, 'cc_profile');
+    const responseLid = findDescendants(item, 'response_lid')[0];
+    const responseStr = findDescendants(item, 'response_str')[0];
+
+    let type = profile ? QTI_PROFILES[profile] : undefined;
+    if (!profile) {
+      if (responseLid) {
+        type = getAttribute(responseLid, 'rcardinality') === 'Multiple' ? 'multiple_select' : 'multiple_choice';
+      } else if (responseStr) {
+        type = correctResponses(item).length > 0 ? 'short_answer' : 'essay';
+      }
+    }
+    if (!type) {
+      unsupported.push({ title: label, type: profile || 'qti-item', reason: 'Question type is not supported' });
+      return;
+    }
+
+    const question = {
+      type,
+      question: firstMaterialText(findDescendants(item, 'presentation')[0]) || label,
+      points: 1
+    };
+    const correct = correctResponses(item);
+
+    if (['multiple_choice', 'multiple_select', 'true_false'].includes(type)) {
+      question.options = findDescendants(responseLid, 'response_label').map(option => ({
+        id: getAttribute(option, 'ident'),
+        text: firstMaterialText(option),
+        isCorrect: correct.includes(getAttribute(option, 'ident'))
+      }));
+      if (question.options.length < 2 || !question.options.some(option => option.isCorrect)) {
+        unsupported.push({ title: label, type, reason: 'No options or no correct answer could be read' });
+        return;
+      }
+      if (type === 'true_false') {
+        const answer = question.options.find(option => option.isCorrect).text.trim().toLowerCase();
+        question.correctAnswer = answer === 'true';
+      }
+    } else if (type === 'short_answer') {
+      question.correctAnswer = correct;
+    }
+
+    const feedback = findDescendants(item, 'itemfeedback')[0];
+    if (feedback) question.explanation = firstMaterialText(feedback);
+    questions.push(question);
+  });
+
+  return { title: getAttribute(container, 'title') || '', questions, unsupported };
+};
+
+/**
+ * Adapter base: reads the parts of imsmanifest.xml that SCORM 1.2 and Common
+ * Cartridge share (organizations, items, resources). Subclasses decide what a
+ * resource is through classifyResource().
+ */
+class ContentPackageAdapter {
+  constructor(manifest, { files, readFile, manifestPath = 'imsmanifest.xml' }) {
+    this.manifest = manifest;
+    this.files = files;
+    this.readFile = readFile;
+    this.baseDir = path.posix.dirname(manifestPath) === '.' ? '' : path.posix.dirname(manifestPath);
+    this.report = { packageType: this.packageType, unsupported: [], warnings: [] };
+    this.resources = this.readResources();
+  }
+
+  get packageType() {
+    return 'IMS content package';
+  }
+
+  // Same shape as InternalCourse.getInfo() / ExternalCourseAdapter.getInfo()
+  getInfo() {
+    return {
+      id: getAttribute(this.manifest, 'identifier'),
+      name: this.getTitle(),
+      instructor: null,
+      totalLessons: this.getModuleItems().length
+    };
+  }
+
+  getOrganization() {
+    const organizations = findChild(this.manifest, 'organizations');
+    const all = findChildren(organizations, 'organization');
+    const preferred = getAttribute(organizations, 'default');
+    return all.find(organization => getAttribute(organization, 'identifier') === preferred) || all[0] || null;
+  }
+
+  getTitle() {
+    const lomTitle = titleOf(findPath(this.manifest, 'metadata', 'lom', 'general'));
+    return lomTitle || titleOf(this.getOrganization()) || 'Imported course';
+  }
+
+  getDescription() {
+    const description = findPath(this.manifest, 'metadata', 'lom', 'general', 'description');
+    const text = description ? (findChild(description, 'string') || findChild(description, 'langstring') || description).text : '';
+    return text.trim() || `Imported from a ${this.packageType} package`;
+  }
+
+  readResources() {
+    const resourcesNode = findChild(this.manifest, 'resources');
+    const base = getAttribute(resourcesNode, 'base') || '';
+    const resources = new Map();
+    findChildren(resourcesNode, 'resource').forEach(node => {
+      const resourceBase = path.posix.join(base, getAttribute(node, 'base') || '');
+      const resolve = (href) => path.posix.normalize(path.posix.join(this.baseDir, resourceBase, safeDecode(href)));
+      const files = findChildren(node, 'file').map(file => resolve(getAttribute(file, 'href') || ''));
+      const href = getAttribute(node, 'href');
+      resources.set(getAttribute(node, 'identifier'), {
+        identifier: getAttribute(node, 'identifier'),
+        type: getAttribute(node, 'type') || '',
+        node,
+        href: href ? resolve(href.split(/[?#]/)[0]) : files[0],
+        query: href && href.includes('?') ? href.slice(href.indexOf('?')) : '',
+        files
+      });
+    });
+    return resources;
+  }
+
+  // Top-level items become modules; a single untitled wrapper item (Common Cartridge's root) is skipped
+  getModuleItems() {
+    const items = findChildren(this.getOrganization(), 'item');
+    if (items.length === 1 && !getAttribute(items[0], 'identifierref') && findChildren(items[0], 'item').length > 0) {
+      return findChildren(items[0], 'item');
+    }
+    return items;
+  }
+
+  // 'web', 'file', 'weblink', 'discussion', 'assessment', 'question-bank', 'sco', or null when unsupported
+  classifyResource(resource) {
+    throw new Error('classifyResource() method must be implemented');
+  }
+
+  fileUrl(filePath, query = '') {
+    const relative = this.baseDir ? path.posix.relative(this.baseDir, filePath) : filePath;
+    return `${this.assetBaseUrl}/${relative.split('/').map(encodeURIComponent).join('/')}${query}`;
+  }
+
+  readXmlResource(resource) {
+    const data = this.files.has(resource.href) ? this.readFile(resource.href) : null;
+    if (!data) throw new Error(`${resource.href || resource.identifier} is missing from the package`);
+    return data.toString('utf8');
+  }
+
+  unsupported(title, type, reason) {
+    this.report.unsupported.push({ title, type, reason });
+  }
+
+  // Content (and any bank questions) for an item that points at a resource, or null
+  buildContent(item, title, order) {
+    const resource = this.resources.get(getAttribute(item, 'identifierref'));
+    if (!resource) {
+      this.unsupported(title, 'item', `Refers to unknown resource "${getAttribute(item, 'identifierref')}"`);
+      return null;
+    }
+
+    const kind = this.classifyResource(resource);
+    const base = { contentId: generateContentId(), title, order, isRequired: true };
+    if (!kind) {
+      this.unsupported(title, resource.type, 'Resource type is not supported');
+      return null;
+    }
+    if (['web', 'file', 'sco'].includes(kind) && !this.files.has(resource.href)) {
+      this.unsupported(title, resource.type, `${resource.href || 'Its launch file'} is missing from the package`);
+      return null;
+    }
+
+    try {
+      if (kind === 'web' || kind === 'sco') {
+        const parameters = getAttribute(item, 'parameters') || '';
+        return {
+          ...base,
+          type: 'interactive',
+          duration: DEFAULT_DURATIONS.interactive,
+          contentData: {
+            interactionType: kind === 'sco' ? 'scorm-sco' : 'web-content',
+            interactionUrl: this.fileUrl(resource.href, resource.query || parameters)
+          }
+        };
+      }
+      if (kind === 'file') {
+        return {
+          ...base,
+          type: 'resource',
+          duration: DEFAULT_DURATIONS.resource,
+          contentData: {
+            resourceType: resource.href.toLowerCase().endsWith('.pdf') ? 'pdf' : 'download',
+            resourceUrl: this.fileUrl(resource.href),
+            fileSize: this.sizes.get(resource.href)
+          }
+        };
+      }
+      if (kind === 'weblink') {
+        const link = parseXml(this.readXmlResource(resource));
+        const url = getAttribute(findChild(link, 'url'), 'href');
+        if (!isHttpUrl(url)) {
+          this.unsupported(title, resource.type, 'Web link has no http(s) address');
+          return null;
+        }
+        return {
+          ...base,
+          type: 'resource',
+          duration: DEFAULT_DURATIONS.resource,
+          contentData: { resourceType: 'link', resourceUrl: url }
+        };
+      }
+      if (kind === 'discussion') {
+        const topic = parseXml(this.readXmlResource(resource));
+        const text = findChild(topic, 'text');
+        return {
+          ...base,
+          type: 'discussion',
+          duration: DEFAULT_DURATIONS.discussion,
+          contentData: {
+            discussionPrompt: text ? htmlToText(text.text) : titleOf(topic) || title
+          }
+        };
+      }
+      if (kind === 'assessment') {
+        const refs = this.addQuestions(this.readXmlResource(resource), title);
+        if (refs.length === 0) {
+          this.unsupported(title, resource.type, 'The assessment has no supported questions');
+          return null;
+        }
+        return {
+          ...base,
+          type: 'quiz',
+          duration: Math.max(5, refs.length * DEFAULT_DURATIONS.quizPerQuestion),
+          contentData: {
+            questions: refs.map((ref, index) => ({ questionId: `q${index + 1}`, bankQuestionRef: ref, points: 1 })),
+            passingScore: 70
+          }
+        };
+      }
+    } catch (error) {
+      this.unsupported(title, resource.type, `Could not be read: ${error.message}`);
+    }
+    return null;
+  }
+
+  // Add QTI questions to the bank, tagged with where they came from; returns their refs
+  addQuestions(xml, source) {
+    const { title, questions, unsupported } = parseQti(xml);
+    source = source || title || 'Question bank';
+    unsupported.forEach(entry => this.unsupported(`${source}: ${entry.title}`, entry.type, entry.reason));
+    return questions.map(question => {
+      const ref = `question-${this.questions.length + 1}`;
+      this.questions.push({ ref, ...question, tags: [source] });
+      return ref;
+    });
+  }
+
+  // Contents of a module item: its own resource, or its descendants in order (folders are flattened)
+  collectContents(item, contents) {
+    const title = titleOf(item) || getAttribute(item, 'identifier');
+    if (getAttribute(item, 'isvisible') === 'false') {
+      this.report.warnings.push(`"${title}" is hidden in the package and was left out`);
+      return contents;
+    }
+    if (getAttribute(item, 'identifierref')) {
+      const content = this.buildContent(item, title, contents.length + 1);
+      if (content) contents.push(content);
+    }
+    findChildren(item, 'item').forEach(child => this.collectContents(child, contents));
+    return contents;
+  }
+
+  /**
+   * The course package for this manifest, with file links under assetBaseUrl.
+   * Returns { coursePackage, report }.
+   */
+  toCoursePackage({ assetBaseUrl, sizes = new Map() }) {
+    this.assetBaseUrl = assetBaseUrl;
+    this.sizes = sizes;
+    this.questions = [];
+
+    const modules = [];
+    this.getModuleItems().forEach(item => {
+      const title = titleOf(item) || getAttribute(item, 'identifier');
+      if (getAttribute(item, 'isvisible') === 'false') {
+        this.report.warnings.push(`"${title}" is hidden in the package and was left out`);
+        return;
+      }
+      const contents = this.collectContents(item, []);
+      if (contents.length === 0) {
+        this.report.warnings.push(`"${title}" has no importable content and was left out`);
+        return;
+      }
+      const moduleNumber = modules.length + 1;
+      modules.push({
+        ref: `module-${moduleNumber}`,
+        moduleNumber,
+        title,
+        description: `${title} (imported from ${this.packageType})`,
+        estimatedDuration: contents.reduce((total, content) => total + content.duration, 0),
+        difficulty: 'Beginner',
+        contents,
+        prerequisites: { skills: [], moduleRefs: [], courseTitles: [] }
+      });
+    });
+
+    // Question banks not used by any item still belong in the course bank
+    this.resources.forEach(resource => {
+      if (this.classifyResource(resource) !== 'question-bank') return;
+      try {
+        this.addQuestions(this.readXmlResource(resource));
+      } catch (error) {
+        this.unsupported(resource.identifier, resource.type, `Could not be read: ${error.message}`);
+      }
+    });
+
+    const totalMinutes = modules.reduce((total, module) => total + module.estimatedDuration, 0);
+    const weeks = Math.max(1, modules.length);
+    const coursePackage = {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { packageType: this.packageType, identifier: getAttribute(this.manifest, 'identifier') },
+      course: {
+        title: this.getTitle(),
+        description: this.getDescription(),
+        category: 'Other',
+        difficulty: 'Beginner',
+        duration: { weeks, hoursPerWeek: Math.max(1, Math.ceil(totalMinutes / 60 / weeks)) },
+        estimatedCompletionTime: Math.max(1, Math.ceil(totalMinutes / 60)),
+        syllabus: modules.map(module => ({
+          moduleTitle: module.title,
+          topics: module.contents.map(content => content.title),
+          estimatedHours: Math.round(module.estimatedDuration / 6) / 10,
+          moduleRef: module.ref
+        })),
+        moduleSettings: { hasModules: modules.length > 0 }
+      },
+      modules,
+      questions: this.questions,
+      quizzes: []
+    };
+    return { coursePackage, report: this.report };
+  }
+}
+
+// SCORM 1.2: SCOs and assets; sequencing and tracking data are reported, not imported
+class ScormPackageAdapter extends ContentPackageAdapter {
+  get packageType() {
+    return 'SCORM 1.2';
+  }
+
+  classifyResource(resource) {
+    const scormType = (getAttribute(resource.node, 'scormtype') || '').toLowerCase();
+    const isHtml = HTML_EXTENSIONS.includes(path.posix.extname(resource.href || '').toLowerCase());
+    if (scormType === 'sco') return 'sco';
+    if (resource.type !== 'webcontent' || !resource.href) return null;
+    return isHtml ? 'web' : 'file';
+  }
+
+  toCoursePackage(options) {
+    const result = super.toCoursePackage(options);
+    const items = findDescendants(this.getOrganization(), 'item');
+    ['prerequisites', 'masteryscore', 'maxtimeallowed', 'timelimitaction', 'datafromlms'].forEach(name => {
+      const used = items.filter(item => findChildren(item, name).length > 0);
+      if (used.length > 0) {
+        this.report.warnings.push(`adlcp:${name} on ${used.length} item(s) is not supported and was ignored`);
+      }
+    });
+    if ([...this.resources.values()].some(resource => this.classifyResource(resource) === 'sco')) {
+      this.report.warnings.push('SCOs are shown as interactive web content; scores and completion they report through the SCORM API are not tracked');
+    }
+    return result;
+  }
+}
+
+// IMS Common Cartridge 1.x: web content, web links, discussions and QTI assessments
+class CommonCartridgeAdapter extends ContentPackageAdapter {
+  get packageType() {
+    const version = (findPath(this.manifest, 'metadata', 'schemaversion')?.text || '').trim();
+    return `Common Cartridge${version ? ` ${version}` : ''}`;
+  }
+
+  classifyResource(resource) {
+    const { type } = resource;
+    if (type === 'webcontent') {
+      if (!resource.href) return null;
+      return HTML_EXTENSIONS.includes(path.posix.extname(resource.href).toLowerCase()) ? 'web' : 'file';
+    }
+    if (/^imswl_xmlv1p\d$/.test(type)) return 'weblink';
+    if (/^imsdt_xmlv1p\d$/.test(type)) return 'discussion';
+    if (/^imsqti_xmlv1p2\/imscc_xmlv1p\d\/assessment$/.test(type)) return 'assessment';
+    if (/^imsqti_xmlv1p2\/imscc_xmlv1p\d\/question-bank$/.test(type)) return 'question-bank';
+    return null;
+  }
+}
+
+// Pick the adapter for a manifest, or null when it is neither SCORM 1.2 nor Common Cartridge
+const createAdapter = (manifest, options) => {
+  const schema = (findPath(manifest, 'metadata', 'schema')?.text || '').trim();
+  const version = (findPath(manifest, 'metadata', 'schemaversion')?.text || '').trim();
+  if (/common cartridge/i.test(schema)) return new CommonCartridgeAdapter(manifest, options);
+  if (/scorm/i.test(schema) && version.startsWith('1.2')) return new ScormPackageAdapter(manifest, options);
+  if (!schema && Object.keys(manifest.attributes).some(name => /adlcp_rootv1p2/i.test(manifest.attributes[name]))) {
+    return new ScormPackageAdapter(manifest, options);
+  }
+  return null;
+};
+
+/**
+ * Read a zip buffer into an adapter. Returns { adapter, entries } or { errors }.
+ */
+const readContentPackage = (buffer) => {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const manifestEntry = entries
+    .filter(entry => path.posix.basename(entry.name).toLowerCase() === 'imsmanifest.xml')
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+  if (!manifestEntry) {
+    return { errors: ['The package has no imsmanifest.xml'] };
+  }
+
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  let manifest;
+  try {
+    manifest = parseXml(manifestEntry.read().toString('utf8'));
+  } catch (error) {
+    return { errors: [`imsmanifest.xml could not be read: ${error.message}`] };
+  }
+
+  const adapter = createAdapter(manifest, {
+    files: new Set(byName.keys()),
+    readFile: name => (byName.has(name) ? byName.get(name).read() : null),
+    manifestPath: manifestEntry.name
+  });
+  if (!adapter) {
+    return { errors: ['Only SCORM 1.2 and IMS Common Cartridge packages are supported'] };
+  }
+  if (!adapter.getOrganization()) {
+    return { errors: ['The package has no organization to build modules from'] };
+  }
+  return { adapter, entries };
+};
+
+// Write the package files under dir, never outside it
+const extractEntries = async (entries, dir) => {
+  for (const entry of entries) {
+    const target = path.resolve(dir, entry.name);
+    if (!target.startsWith(path.resolve(dir) + path.sep)) continue;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, entry.read());
+  }
+};
+
+/**
+ * Import a SCORM 1.2 or Common Cartridge zip as a new draft course.
+ * Returns { errors } when it can't be imported, otherwise
+ * { course, counts, conflicts, report } (course is null for a dry run).
+ */
+const importContentPackage = async (buffer, { instructor, userId, title, dryRun = false }) => {
+  const { adapter, entries, errors } = readContentPackage(buffer);
+  if (errors) return { errors };
+
+  const storageId = crypto.randomBytes(8).toString('hex');
+  const { coursePackage, report } = adapter.toCoursePackage({
+    assetBaseUrl: `${CONTENT_PACKAGE_URL}/${storageId}`,
+    sizes: new Map(entries.map(entry => [entry.name, entry.size]))
+  });
+  if (coursePackage.modules.length === 0) {
+    return { errors: ['No module in the package has importable content'], report };
+  }
+
+  const preview = await importCoursePackage(coursePackage, { instructor, userId, title, dryRun: true });
+  if (preview.errors || dryRun) return { ...preview, report };
+
+  const dir = path.join(CONTENT_PACKAGE_DIR, storageId);
+  try {
+    await extractEntries(entries, dir);
+    const result = await importCoursePackage(coursePackage, { instructor, userId, title });
+    return { ...result, report };
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PACKAGE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(zip|imscc)$/i.test(file.originalname)) {
+      return cb(new Error('Upload the package as a .zip or .imscc file'));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept the zip in a `file` field; upload errors become 400 responses
+const uploadContentPackage = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Package is larger than the ${Math.round(MAX_PACKAGE_SIZE / (1024 * 1024))} MB limit`
+      : error.message;
+    res.status(400).json({ message });
+  });
+};
+
+module.exports = {
+  CONTENT_PACKAGE_DIR,
+  CONTENT_PACKAGE_URL,
+  ContentPackageAdapter,
+  ScormPackageAdapter,
+  CommonCartridgeAdapter,
+  parseQti,
+  readContentPackage,
+  importContentPackage,
+  uploadContentPackage
+};
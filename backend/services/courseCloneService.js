@@ -0,0 +1,222 @@
+/**
+ * CourseCloneService - Deep copy of a course as a new offering
+ *
+ * The real-data counterpart of CoursePrototype.clone() (patterns/prototype.js).
+ * Copies the Course, its Modules (renumbered 1..n, new contentIds), its Quizzes
+ * and its question bank, and rewires every reference between them to the copies.
+ * Dates move by offsetDays, analytics and enrollment counters start at zero, and
+ * the new course starts in draft with no enrollments or reviews.
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generateContentId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// A date moved by whole days; empty dates stay empty
+const shiftDate = (date, offsetDays = 0) => {
+  if (!date) return date;
+  return new Date(new Date(date).getTime() + offsetDays * DAY_MS);
+};
+
+const mapId = (map, id) => (id ? map.get(id.toString()) || id : id);
+
+// Plain copy of a document without its identity and timestamps
+const stripDocument = (doc) => {
+  const data = doc.toObject ? doc.toObject({ virtuals: false }) : { ...doc };
+  delete data._id;
+  delete data.id;
+  delete data.__v;
+  delete data.createdAt;
+  delete data.updatedAt;
+  return data;
+};
+
+// Course copy: draft, no enrollments or ratings, syllabus pointing at the new modules
+const buildCourseCopy = (course, { title, instructor, offsetDays, moduleIdMap }) => {
+  const data = stripDocument(course);
+  const enrollment = data.enrollmentSettings || {};
+
+  return {
+    ...data,
+    _id: new mongoose.Types.ObjectId(),
+    title: title || `${course.title} (Copy)`,
+    instructor: instructor || data.instructor,
+    syllabus: (data.syllabus || []).map(({ _id, ...entry }) => ({
+      ...entry,
+      moduleId: mapId(moduleIdMap, entry.moduleId)
+    })),
+    enrollmentSettings: {
+      ...enrollment,
+      opensAt: shiftDate(enrollment.opensAt, offsetDays),
+      closesAt: shiftDate(enrollment.closesAt, offsetDays)
+    },
+    status: 'draft',
+    clonedFrom: course._id,
+    enrollmentCount: 0,
+    rating: 0,
+    ratingCount: 0
+  };
+};
+
+// Module copy: new course, number and contentIds; internal references follow the copies
+const buildModuleCopy = (module, { courseId, moduleNumber, newId, moduleIdMap, questionIdMap, offsetDays, userId }) => {
+  const data = stripDocument(module);
+
+  const contentIdMap = new Map();
+  (data.contents || []).forEach(content => {
+    contentIdMap.set(content.contentId, generateContentId());
+  });
+
+  const contents = (data.contents || []).map(content => {
+    const contentData = content.contentData || {};
+    const accessControl = content.accessControl || {};
+    return {
+      ...content,
+      contentId: contentIdMap.get(content.contentId),
+      prerequisites: (content.prerequisites || []).map(contentId => contentIdMap.get(contentId) || contentId),
+      contentData: {
+        ...contentData,
+        questions: (contentData.questions || []).map(({ _id, ...question }) => ({
+          ...question,
+          bankQuestionId: mapId(questionIdMap, question.bankQuestionId)
+        })),
+        dueDate: shiftDate(contentData.dueDate, offsetDays)
+      },
+      accessControl: {
+        ...accessControl,
+        availableFrom: shiftDate(accessControl.availableFrom, offsetDays),
+        availableUntil: shiftDate(accessControl.availableUntil, offsetDays)
+      }
+    };
+  });
+
+  const prerequisites = data.prerequisites || {};
+  const assessment = data.assessment || {};
+  const settings = data.settings || {};
+
+  return {
+    ...data,
+    _id: newId,
+    courseId,
+    moduleNumber,
+    contents,
+    prerequisites: {
+      ...prerequisites,
+      modules: (prerequisites.modules || []).map(id => mapId(moduleIdMap, id))
+    },
+    assessment: {
+      ...assessment,
+      assessmentId: contentIdMap.get(assessment.assessmentId) || assessment.assessmentId
+    },
+    settings: {
+      ...settings,
+      availableFrom: shiftDate(settings.availableFrom, offsetDays),
+      availableUntil: shiftDate(settings.availableUntil, offsetDays)
+    },
+    analytics: undefined, // schema defaults: all zero
+    version: '1.0.0',
+    createdBy: userId,
+    lastModifiedBy: userId,
+    // Same content, so the publishing status and approval carry over; the history does not
+    reviewHistory: []
+  };
+};
+
+// Quiz copy: new course, module and bank references, shifted schedule
+const buildQuizCopy = (quiz, { courseId, moduleIdMap, questionIdMap, offsetDays, userId }) => {
+  const data = stripDocument(quiz);
+
+  return {
+    ...data,
+    courseId,
+    moduleId: data.moduleId ? mapId(moduleIdMap, data.moduleId).toString() : data.moduleId,
+    questions: (data.questions || []).map(({ _id, ...question }) => ({
+      ...question,
+      options: (question.options || []).map(({ _id: optionId, ...option }) => option),
+      bankQuestionId: mapId(questionIdMap, question.bankQuestionId)
+    })),
+    availableFrom: shiftDate(data.availableFrom, offsetDays),
+    availableUntil: shiftDate(data.availableUntil, offsetDays),
+    dueDate: shiftDate(data.dueDate, offsetDays),
+    createdBy: userId,
+    lastModifiedBy: userId
+  };
+};
+
+/**
+ * Clone a course with its modules, quizzes and question bank.
+ * Options: title, instructor ({ id, name, email }), offsetDays, userId.
+ * Everything created is removed again if any step fails.
+ */
+const cloneCourse = async (course, { title, instructor, offsetDays = 0, userId }) => {
+  const [modules, quizzes, questions] = await Promise.all([
+    Module.find({ courseId: course._id }).sort({ moduleNumber: 1 }),
+    Quiz.find({ courseId: course._id }),
+    Question.find({ courseId: course._id })
+  ]);
+
+  // New ids up front so references between copies can be rewired in one pass
+  const moduleIdMap = new Map(modules.map(module => [module._id.toString(), new mongoose.Types.ObjectId()]));
+  const questionIdMap = new Map(questions.map(question => [question._id.toString(), new mongoose.Types.ObjectId()]));
+
+  const courseCopy = buildCourseCopy(course, { title, instructor, offsetDays, moduleIdMap });
+  const courseId = courseCopy._id;
+
+  try {
+    await Course.create(courseCopy);
+
+    if (questions.length > 0) {
+      await Question.insertMany(questions.map(question => ({
+        ...stripDocument(question),
+        _id: questionIdMap.get(question._id.toString()),
+        courseId,
+        createdBy: userId,
+        lastModifiedBy: userId
+      })));
+    }
+
+    // save() per module so the Module pre-save hook recomputes durations
+    for (const [index, module] of modules.entries()) {
+      await new Module(buildModuleCopy(module, {
+        courseId,
+        moduleNumber: index + 1,
+        newId: moduleIdMap.get(module._id.toString()),
+        moduleIdMap,
+        questionIdMap,
+        offsetDays,
+        userId
+      })).save();
+    }
+
+    for (const quiz of quizzes) {
+      await new Quiz(buildQuizCopy(quiz, { courseId, moduleIdMap, questionIdMap, offsetDays, userId })).save();
+    }
+  } catch (error) {
+    await Promise.all([
+      Course.deleteOne({ _id: courseId }),
+      Module.deleteMany({ courseId }),
+      Quiz.deleteMany({ courseId }),
+      Question.deleteMany({ courseId })
+    ]);
+    throw error;
+  }
+
+  return {
+    course: await Course.findById(courseId),
+    counts: { modules: modules.length, quizzes: quizzes.length, questions: questions.length }
+  };
+};
+
+module.exports = {
+  shiftDate,
+  buildCourseCopy,
+  buildModuleCopy,
+  buildQuizCopy,
+  cloneCourse
+};
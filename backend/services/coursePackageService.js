@@ -0,0 +1,399 @@
+/**
+ * CoursePackageService - Portable JSON export/import of a whole course
+ *
+ * A package holds the course, its modules (with contents), quizzes and question
+ * bank, with database ids replaced by stable refs ("module-3", "question-12") and
+ * references to other courses replaced by their titles. Importing validates the
+ * package, gives everything new ids, assigns the chosen instructor and reports
+ * conflicts with what already exists. Environment data - enrollments, ratings,
+ * analytics, publishing workflow, users - is not part of a package, so the
+ * imported course and its modules start as drafts.
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const ModuleRevision = require('../models/ModuleRevision');
+const { recordInitialRevision } = require('./moduleRevisionService');
+
+const PACKAGE_FORMAT = 'booksan-course-package';
+const PACKAGE_VERSION = 1;
+
+// Fields that belong to one instance (ids, people, counters, workflow) and are left out
+const EXCLUDED_FIELDS = {
+  course: ['instructor', 'prerequisiteCourses', 'enrollmentCount', 'rating', 'ratingCount', 'status', 'clonedFrom'],
+  module: ['courseId', 'analytics', 'version', 'lastUpdated', 'createdBy', 'lastModifiedBy', 'status',
+    'approvedBy', 'approvedAt', 'submittedBy', 'submittedAt', 'reviewHistory', 'publishingWorkflow'],
+  quiz: ['courseId', 'moduleId', 'totalPoints', 'createdBy', 'lastModifiedBy'],
+  question: ['courseId', 'createdBy', 'lastModifiedBy']
+};
+const ALWAYS_EXCLUDED = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+const moduleRef = (module) => `module-${module.moduleNumber}`;
+
+// Plain JSON-safe copy without Mongo ids (recursively) or excluded top-level fields
+const toPlain = (doc, excluded = []) => {
+  const data = doc && doc.toObject ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value.toHexString === 'function') return value.toHexString();
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        if (key === '_id' || key === '__v' || value[key] === undefined) return;
+        result[key] = strip(value[key]);
+      });
+      return result;
+    }
+    return value;
+  };
+  const plain = strip(data);
+  [...ALWAYS_EXCLUDED, ...excluded].forEach(field => delete plain[field]);
+  return plain;
+};
+
+// Swap the value under fromKey for toKey using the map; unknown values are kept as they are
+const swapKey = (item, fromKey, toKey, map) => {
+  const { [fromKey]: value, ...rest } = item;
+  if (value === undefined || value === null) return rest;
+  return { ...rest, [toKey]: map.has(String(value)) ? map.get(String(value)) : value };
+};
+
+const mapQuestionLinks = (questions = [], fromKey, toKey, map) =>
+  questions.map(question => swapKey(question, fromKey, toKey, map));
+
+// Copy of imported package data without the fields a package never carries,
+// so a hand-edited package can't set ratings, counters or workflow state
+const withoutExcluded = (data, excluded) => {
+  const copy = { ...data };
+  [...ALWAYS_EXCLUDED, ...excluded].forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Build a package from loaded documents. courseTitles maps ids of other courses
+ * (prerequisites) to their titles.
+ */
+const buildCoursePackage = ({ course, modules = [], quizzes = [], questions = [], courseTitles = new Map() }) => {
+  const sortedModules = [...modules].sort((a, b) => a.moduleNumber - b.moduleNumber);
+  const sortedQuestions = [...questions].sort((a, b) =>
+    (new Date(a.createdAt || 0) - new Date(b.createdAt || 0)) || String(a._id).localeCompare(String(b._id)));
+
+  const moduleRefs = new Map(sortedModules.map(module => [String(module._id), moduleRef(module)]));
+  const questionRefs = new Map(sortedQuestions.map((question, index) => [String(question._id), `question-${index + 1}`]));
+  const titleOf = id => courseTitles.get(String(id)) || String(id);
+
+  const coursePlain = toPlain(course, EXCLUDED_FIELDS.course);
+  coursePlain.syllabus = (coursePlain.syllabus || []).map(entry => swapKey(entry, 'moduleId', 'moduleRef', moduleRefs));
+  coursePlain.prerequisiteCourses = (course.prerequisiteCourses || []).map(prerequisite => ({
+    courseTitle: titleOf(prerequisite.courseId?._id || prerequisite.courseId),
+    minimumGrade: prerequisite.minimumGrade ?? null
+  }));
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { courseId: String(course._id), title: course.title },
+    course: coursePlain,
+    modules: sortedModules.map(module => {
+      const plain = toPlain(module, EXCLUDED_FIELDS.module);
+      const prerequisites = plain.prerequisites || {};
+      return {
+        ref: moduleRef(module),
+        ...plain,
+        contents: (plain.contents || []).map(content => ({
+          ...content,
+          contentData: {
+            ...(content.contentData || {}),
+            questions: mapQuestionLinks(content.contentData?.questions, 'bankQuestionId', 'bankQuestionRef', questionRefs)
+          }
+        })),
+        prerequisites: {
+          skills: prerequisites.skills || [],
+          moduleRefs: (prerequisites.modules || []).map(id => moduleRefs.get(String(id)) || String(id)),
+          courseTitles: (prerequisites.courses || []).map(titleOf)
+        }
+      };
+    }),
+    questions: sortedQuestions.map(question => {
+      const plain = toPlain(question, EXCLUDED_FIELDS.question);
+      return {
+        ref: questionRefs.get(String(question._id)),
+        ...plain,
+        revisions: (plain.revisions || []).map(({ editedBy, ...revision }) => revision)
+      };
+    }),
+    quizzes: quizzes.map(quiz => {
+      const plain = toPlain(quiz, EXCLUDED_FIELDS.quiz);
+      const linked = quiz.moduleId ? moduleRefs.get(String(quiz.moduleId)) : undefined;
+      return {
+        ...(linked ? { moduleRef: linked } : {}),
+        ...plain,
+        questions: mapQuestionLinks(plain.questions, 'bankQuestionId', 'bankQuestionRef', questionRefs)
+      };
+    })
+  };
+};
+
+// Load a course with everything that goes into its package
+const exportCoursePackage = async (course) => {
+  const [modules, quizzes, questions] = await Promise.all([
+    Module.find({ courseId: course._id }).sort({ moduleNumber: 1 }),
+    Quiz.find({ courseId: course._id }).sort({ createdAt: 1, _id: 1 }),
+    Question.find({ courseId: course._id })
+  ]);
+
+  const otherCourseIds = [
+    ...(course.prerequisiteCourses || []).map(prerequisite => prerequisite.courseId),
+    ...modules.flatMap(module => module.prerequisites?.courses || [])
+  ];
+  const otherCourses = otherCourseIds.length > 0
+    ? await Course.find({ _id: { $in: otherCourseIds } }).select('title')
+    : [];
+  const courseTitles = new Map(otherCourses.map(other => [String(other._id), other.title]));
+
+  return buildCoursePackage({ course, modules, quizzes, questions, courseTitles });
+};
+
+// Structural problems in a package (refs, shapes, format), as a list of messages
+const validateCoursePackage = (pkg) => {
+  const errors = [];
+  if (!pkg || typeof pkg !== 'object' || Array.isArray(pkg)) {
+    return ['Package must be a JSON object'];
+  }
+  if (pkg.format !== PACKAGE_FORMAT) {
+    errors.push(`Unknown package format - expected "${PACKAGE_FORMAT}"`);
+  }
+  if (!Number.isInteger(pkg.version) || pkg.version < 1 || pkg.version > PACKAGE_VERSION) {
+    errors.push(`Unsupported package version ${pkg.version} - this server reads up to version ${PACKAGE_VERSION}`);
+  }
+  if (!pkg.course || typeof pkg.course !== 'object') {
+    errors.push('Package has no course');
+  }
+  ['modules', 'quizzes', 'questions'].forEach(key => {
+    if (pkg[key] !== undefined && !Array.isArray(pkg[key])) errors.push(`${key} must be a list`);
+  });
+  if (errors.length > 0) return errors;
+
+  const collectRefs = (items, label) => {
+    const refs = new Set();
+    items.forEach((item, index) => {
+      if (!item || typeof item.ref !== 'string' || !item.ref) {
+        errors.push(`${label} ${index + 1} has no ref`);
+      } else if (refs.has(item.ref)) {
+        errors.push(`${label} ref "${item.ref}" is used twice`);
+      }
+      refs.add(item && item.ref);
+    });
+    return refs;
+  };
+  const modules = pkg.modules || [];
+  const moduleRefs = collectRefs(modules, 'Module');
+  const questionRefs = collectRefs(pkg.questions || [], 'Question');
+
+  const checkRef = (refs, ref, where) => {
+    if (ref !== undefined && ref !== null && !refs.has(ref)) errors.push(`${where} refers to unknown "${ref}"`);
+  };
+  const checkQuestionLinks = (questions, where) => (questions || []).forEach(question => {
+    checkRef(questionRefs, question && question.bankQuestionRef, where);
+  });
+
+  (pkg.course.syllabus || []).forEach((entry, index) => checkRef(moduleRefs, entry && entry.moduleRef, `Syllabus entry ${index + 1}`));
+
+  modules.forEach(module => {
+    const where = `Module "${module.title || module.ref}"`;
+    if (!Array.isArray(module.contents || [])) {
+      errors.push(`${where} contents must be a list`);
+      return;
+    }
+    const contentIds = new Set();
+    (module.contents || []).forEach(content => {
+      if (!content || !content.contentId) {
+        errors.push(`${where} has content without a contentId`);
+      } else if (contentIds.has(content.contentId)) {
+        errors.push(`${where} uses contentId "${content.contentId}" twice`);
+      }
+      contentIds.add(content && content.contentId);
+      checkQuestionLinks(content && content.contentData && content.contentData.questions, `${where} content "${content && content.title}"`);
+    });
+    (module.prerequisites?.moduleRefs || []).forEach(ref => checkRef(moduleRefs, ref, `${where} prerequisite`));
+  });
+
+  (pkg.quizzes || []).forEach((quiz, index) => {
+    const where = `Quiz "${(quiz && quiz.title) || index + 1}"`;
+    checkRef(moduleRefs, quiz && quiz.moduleRef, where);
+    checkQuestionLinks(quiz && quiz.questions, where);
+  });
+
+  return errors;
+};
+
+/**
+ * Documents to insert for a package, with new ids. courseIdsByTitle resolves
+ * prerequisite course titles on this instance; unresolved ones are dropped and
+ * reported in conflicts.
+ */
+const buildImportDocuments = (pkg, { instructor, userId, title, courseIdsByTitle = new Map() }) => {
+  const conflicts = [];
+  const courseId = new mongoose.Types.ObjectId();
+  const moduleIds = new Map((pkg.modules || []).map(module => [module.ref, new mongoose.Types.ObjectId()]));
+  const questionIds = new Map((pkg.questions || []).map(question => [question.ref, new mongoose.Types.ObjectId()]));
+
+  const resolveCourse = (courseTitle, where) => {
+    const id = courseIdsByTitle.get(courseTitle);
+    if (!id) {
+      conflicts.push({ type: 'missing-course', message: `${where}: no course titled "${courseTitle}" here - dropped` });
+    }
+    return id;
+  };
+
+  const { syllabus = [], prerequisiteCourses = [], ...courseData } = pkg.course;
+  const course = {
+    ...withoutExcluded(courseData, EXCLUDED_FIELDS.course),
+    _id: courseId,
+    title: title || courseData.title,
+    instructor,
+    status: 'draft',
+    syllabus: syllabus.map(entry => swapKey(entry, 'moduleRef', 'moduleId', moduleIds)),
+    prerequisiteCourses: prerequisiteCourses
+      .map(prerequisite => ({
+        courseId: resolveCourse(prerequisite.courseTitle, 'Course prerequisite'),
+        minimumGrade: prerequisite.minimumGrade
+      }))
+      .filter(prerequisite => prerequisite.courseId)
+  };
+
+  const modules = (pkg.modules || []).map(({ ref, prerequisites = {}, contents = [], ...module }) => ({
+    ...withoutExcluded(module, EXCLUDED_FIELDS.module),
+    _id: moduleIds.get(ref),
+    courseId,
+    status: 'draft',
+    contents: contents.map(content => ({
+      ...content,
+      contentData: {
+        ...(content.contentData || {}),
+        questions: mapQuestionLinks(content.contentData?.questions, 'bankQuestionRef', 'bankQuestionId', questionIds)
+      }
+    })),
+    prerequisites: {
+      skills: prerequisites.skills || [],
+      modules: (prerequisites.moduleRefs || []).map(moduleRefValue => moduleIds.get(moduleRefValue)),
+      courses: (prerequisites.courseTitles || [])
+        .map(courseTitle => resolveCourse(courseTitle, `Module "${module.title}" prerequisite`))
+        .filter(Boolean)
+    },
+    createdBy: userId,
+    lastModifiedBy: userId
+  }));
+
+  const questions = (pkg.questions || []).map(({ ref, ...question }) => ({
+    ...withoutExcluded(question, EXCLUDED_FIELDS.question),
+    _id: questionIds.get(ref),
+    courseId,
+    createdBy: userId,
+    lastModifiedBy: userId
+  }));
+
+  const quizzes = (pkg.quizzes || []).map(({ moduleRef: linked, ...quiz }) => ({
+    ...withoutExcluded(quiz, EXCLUDED_FIELDS.quiz),
+    courseId,
+    ...(linked ? { moduleId: String(moduleIds.get(linked)) } : {}),
+    questions: mapQuestionLinks(quiz.questions, 'bankQuestionRef', 'bankQuestionId', questionIds),
+    createdBy: userId,
+    lastModifiedBy: userId
+  }));
+
+  return { course, modules, quizzes, questions, conflicts };
+};
+
+// Schema (model validation) errors in the documents, without touching the database
+const validateImportDocuments = ({ course, modules, quizzes, questions }) => {
+  const errors = [];
+  const check = (Model, doc, label) => {
+    const error = new Model(doc).validateSync();
+    if (error) {
+      Object.values(error.errors).forEach(fieldError => errors.push(`${label}: ${fieldError.message}`));
+    }
+  };
+  check(Course, course, `Course "${course.title}"`);
+  modules.forEach(module => check(Module, module, `Module "${module.title}"`));
+  questions.forEach((question, index) => check(Question, question, `Question ${index + 1}`));
+  quizzes.forEach(quiz => check(Quiz, quiz, `Quiz "${quiz.title}"`));
+  return errors;
+};
+
+/**
+ * Validate and (unless dryRun) import a package as a new draft course.
+ * Returns { errors } when the package can't be imported, otherwise
+ * { course, counts, conflicts }. Created documents are removed if a write fails.
+ */
+const importCoursePackage = async (pkg, { instructor, userId, title, dryRun = false }) => {
+  const structuralErrors = validateCoursePackage(pkg);
+  if (structuralErrors.length > 0) return { errors: structuralErrors };
+
+  const wantedTitles = [
+    ...(pkg.course.prerequisiteCourses || []).map(prerequisite => prerequisite.courseTitle),
+    ...(pkg.modules || []).flatMap(module => module.prerequisites?.courseTitles || [])
+  ];
+  const existing = await Course.find({ title: { $in: [title || pkg.course.title, ...wantedTitles] } }).select('title');
+  const courseIdsByTitle = new Map(existing.map(other => [other.title, other._id]));
+
+  const documents = buildImportDocuments(pkg, { instructor, userId, title, courseIdsByTitle });
+  const errors = validateImportDocuments(documents);
+  if (errors.length > 0) return { errors };
+
+  const conflicts = [...documents.conflicts];
+  if (courseIdsByTitle.has(documents.course.title)) {
+    conflicts.unshift({
+      type: 'title-exists',
+      message: `A course titled "${documents.course.title}" already exists - the import is a separate course`
+    });
+  }
+
+  const counts = {
+    modules: documents.modules.length,
+    quizzes: documents.quizzes.length,
+    questions: documents.questions.length
+  };
+  if (dryRun) return { course: null, counts, conflicts };
+
+  const courseId = documents.course._id;
+  try {
+    await Course.create(documents.course);
+    if (documents.questions.length > 0) await Question.insertMany(documents.questions);
+    for (const moduleData of documents.modules) {
+      const module = await new Module(moduleData).save();
+      await recordInitialRevision(module, { userId });
+    }
+    for (const quizData of documents.quizzes) {
+      await new Quiz(quizData).save();
+    }
+  } catch (error) {
+    const moduleIds = documents.modules.map(module => module._id);
+    await Promise.all([
+      Course.deleteOne({ _id: courseId }),
+      Module.deleteMany({ courseId }),
+      Quiz.deleteMany({ courseId }),
+      Question.deleteMany({ courseId }),
+      ModuleRevision.deleteMany({ moduleId: { $in: moduleIds } })
+    ]);
+    throw error;
+  }
+
+  return { course: await Course.findById(courseId), counts, conflicts };
+};
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  buildCoursePackage,
+  exportCoursePackage,
+  validateCoursePackage,
+  buildImportDocuments,
+  validateImportDocuments,
+  importCoursePackage
+};
@@ -0,0 +1,215 @@
+/**
+ * EnrollmentService - Seats, enrollment windows, approvals and waitlists
+ *
+ * Course.enrollmentCount is the number of taken seats. Seats are claimed with a
+ * conditional update so two students can't take the last seat at the same time.
+ * Students who ask to join a full course are waitlisted (EnrollmentRequest) and
+ * promoted in waitlist order whenever a seat frees up.
+ */
+
+const Course = require('../models/Course');
+const LearningProgress = require('../models/LearningProgress');
+const EnrollmentRequest = require('../models/EnrollmentRequest');
+
+const DEFAULT_ENROLLMENT = {
+  maxSeats: null,
+  opensAt: null,
+  closesAt: null,
+  requiresApproval: false,
+  waitlistEnabled: true
+};
+const SETTING_KEYS = Object.keys(DEFAULT_ENROLLMENT);
+
+// Enrollment settings with defaults filled in, plus any updates applied
+const mergeEnrollmentSettings = (current = {}, updates = {}) => {
+  const settings = {};
+  SETTING_KEYS.forEach(key => {
+    if (updates[key] !== undefined) {
+      settings[key] = updates[key];
+    } else if (current[key] !== undefined) {
+      settings[key] = current[key];
+    } else {
+      settings[key] = DEFAULT_ENROLLMENT[key];
+    }
+  });
+  ['opensAt', 'closesAt'].forEach(key => {
+    if (settings[key] === '') settings[key] = null;
+  });
+  if (settings.maxSeats === '') settings.maxSeats = null;
+  return settings;
+};
+
+// Problems with enrollment settings, or null when they are usable
+const validateEnrollmentSettings = (settings) => {
+  if (settings.maxSeats !== null && (!Number.isInteger(settings.maxSeats) || settings.maxSeats < 1)) {
+    return 'Maximum seats must be a whole number of at least 1, or empty for unlimited';
+  }
+
+  for (const key of ['opensAt', 'closesAt']) {
+    if (settings[key] !== null && Number.isNaN(new Date(settings[key]).getTime())) {
+      return `${key === 'opensAt' ? 'Enrollment open' : 'Enrollment close'} date is not a valid date`;
+    }
+  }
+  if (settings.opensAt && settings.closesAt && new Date(settings.closesAt) <= new Date(settings.opensAt)) {
+    return 'Enrollment must close after it opens';
+  }
+
+  for (const key of ['requiresApproval', 'waitlistEnabled']) {
+    if (typeof settings[key] !== 'boolean') {
+      return `${key} must be true or false`;
+    }
+  }
+
+  return null;
+};
+
+// Whether self-enrollment is open right now, and why not when it isn't
+const getEnrollmentWindow = (course, now = new Date()) => {
+  const { opensAt = null, closesAt = null } = course.enrollmentSettings || {};
+  let reason = null;
+
+  if (opensAt && now < new Date(opensAt)) {
+    reason = `Enrollment opens on ${new Date(opensAt).toDateString()}`;
+  } else if (closesAt && now > new Date(closesAt)) {
+    reason = `Enrollment closed on ${new Date(closesAt).toDateString()}`;
+  }
+
+  return { opensAt, closesAt, isOpen: !reason, reason };
+};
+
+// Seat counts for a course; available is null when seats are unlimited
+const getSeatInfo = (course) => {
+  const maxSeats = course.enrollmentSettings?.maxSeats ?? null;
+  const taken = course.enrollmentCount || 0;
+  const available = maxSeats === null ? null : Math.max(maxSeats - taken, 0);
+  return { maxSeats, taken, available, isFull: available === 0 };
+};
+
+// Take a seat if one is free (or always, with ignoreCapacity); returns whether it worked
+const claimSeat = async (courseId, { ignoreCapacity = false } = {}) => {
+  const filter = ignoreCapacity
+    ? { _id: courseId }
+    : {
+      _id: courseId,
+      $or: [
+        { 'enrollmentSettings.maxSeats': null },
+        { $expr: { $lt: ['$enrollmentCount', '$enrollmentSettings.maxSeats'] } }
+      ]
+    };
+  const result = await Course.updateOne(filter, { $inc: { enrollmentCount: 1 } });
+  return result.modifiedCount === 1;
+};
+
+const releaseSeat = (courseId) =>
+  Course.updateOne({ _id: courseId, enrollmentCount: { $gt: 0 } }, { $inc: { enrollmentCount: -1 } });
+
+// Enroll a student into a seat. Returns the new LearningProgress, or null when
+// the course is full. Any open request the student had is closed as enrolled.
+const enrollStudent = async (courseId, userId, { ignoreCapacity = false, prerequisiteOverride } = {}) => {
+  if (!await claimSeat(courseId, { ignoreCapacity })) {
+    return null;
+  }
+
+  let progress;
+  try {
+    progress = await LearningProgress.create({ userId, courseId, prerequisiteOverride });
+  } catch (error) {
+    await releaseSeat(courseId);
+    throw error;
+  }
+
+  await EnrollmentRequest.updateMany(
+    { courseId, userId, status: { $in: ['pending', 'waitlisted'] } },
+    { status: 'enrolled', decidedAt: new Date() }
+  );
+  return progress;
+};
+
+// Enroll an approved student if a seat is free, otherwise waitlist them.
+// Returns { status: 'enrolled', progress }, { status: 'waitlisted', request, position },
+// or { status: 'full' } when the course has no waitlist.
+const admitOrWaitlist = async (course, userId, request) => {
+  const progress = await enrollStudent(course._id, userId);
+  if (progress) {
+    return { status: 'enrolled', progress };
+  }
+  if (course.enrollmentSettings?.waitlistEnabled === false) {
+    return { status: 'full' };
+  }
+
+  const waitlisted = request || new EnrollmentRequest({ courseId: course._id, userId });
+  waitlisted.waitlist();
+  await waitlisted.save();
+  return {
+    status: 'waitlisted',
+    request: waitlisted,
+    position: await EnrollmentRequest.getWaitlistPosition(waitlisted)
+  };
+};
+
+// Fill free seats from the front of the waitlist; returns the promoted requests
+const promoteFromWaitlist = async (courseId) => {
+  const promoted = [];
+
+  for (;;) {
+    const next = await EnrollmentRequest.findOne({ courseId, status: 'waitlisted' }).sort({ waitlistedAt: 1 });
+    if (!next) break;
+
+    if (await LearningProgress.exists({ courseId, userId: next.userId })) {
+      next.close('enrolled');
+      await next.save();
+      continue;
+    }
+
+    const progress = await enrollStudent(courseId, next.userId);
+    if (!progress) break;
+
+    next.status = 'enrolled';
+    next.decidedAt = new Date();
+    promoted.push(next);
+  }
+
+  return promoted;
+};
+
+// Remove a student's enrollment, free their seat and promote from the waitlist
+const unenrollStudent = async (courseId, userId) => {
+  const removed = await LearningProgress.findOneAndDelete({ userId, courseId });
+  if (!removed) {
+    return null;
+  }
+
+  await releaseSeat(courseId);
+  const promoted = await promoteFromWaitlist(courseId);
+  return { removed, promoted };
+};
+
+// Pending requests and the ordered waitlist for a course
+const getEnrollmentQueue = async (courseId) => {
+  const [pending, waitlist] = await Promise.all([
+    EnrollmentRequest.find({ courseId, status: 'pending' })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 }),
+    EnrollmentRequest.find({ courseId, status: 'waitlisted' })
+      .populate('userId', 'name email')
+      .sort({ waitlistedAt: 1 })
+  ]);
+
+  return {
+    pending,
+    waitlist: waitlist.map((request, index) => ({ ...request.toObject(), position: index + 1 }))
+  };
+};
+
+module.exports = {
+  DEFAULT_ENROLLMENT,
+  mergeEnrollmentSettings,
+  validateEnrollmentSettings,
+  getEnrollmentWindow,
+  getSeatInfo,
+  enrollStudent,
+  admitOrWaitlist,
+  promoteFromWaitlist,
+  unenrollStudent,
+  getEnrollmentQueue
+};
@@ -0,0 +1,135 @@
+/**
+ * GradebookCsvService - Spreadsheet export and bulk grade import
+ *
+ * The export has one row per student: a column per graded item, the
+ * computed grade, and the grade and notes stored on the enrollment. The
+ * import reads the Grade and Notes columns back, matching students by
+ * Student ID (or Email), and plans every change before anything is saved.
+ */
+
+const { toCsv, parseCsvRecords, unescapeCsvValue } = require('../utils/csv');
+const { validateGradeUpdate } = require('./gradebookService');
+
+const STUDENT_COLUMNS = ['Student ID', 'Name', 'Email'];
+const GRADE_COLUMN = 'Grade';
+const NOTES_COLUMN = 'Notes';
+
+const itemColumn = (item) => (item.moduleTitle ? `${item.moduleTitle}: ${item.title}` : `Quiz: ${item.title}`);
+
+// CSV text for a gradebook from gradebookService.getCourseGradebook
+const buildGradebookCsv = (gradebook) => {
+  const header = [
+    ...STUDENT_COLUMNS,
+    ...gradebook.items.map(itemColumn),
+    'Computed Grade',
+    'Computed Letter',
+    GRADE_COLUMN,
+    'Letter Grade',
+    NOTES_COLUMN
+  ];
+
+  const rows = gradebook.rows.map(row => [
+    row.student.id.toString(),
+    row.student.name,
+    row.student.email,
+    ...row.items.map(item => item.score),
+    row.numericGrade,
+    row.letterGrade,
+    row.enrollment.grade,
+    row.enrollment.letterGrade,
+    row.enrollment.notes
+  ]);
+
+  return toCsv(header, rows);
+};
+
+// Read the Grade cell: blank leaves the grade alone, anything else must be a number
+const parseGradeCell = (cell) => {
+  const text = (cell || '').trim();
+  if (text === '') return { grade: undefined };
+
+  const grade = Number(text);
+  return Number.isNaN(grade) ? { error: `Grade "${text}" is not a number` } : { grade };
+};
+
+/**
+ * Plan a grade import without saving anything.
+ * `enrollments` are LearningProgress records with userId populated (name, email).
+ * Returns { error } for an unusable file, otherwise a row-by-row report.
+ */
+const planGradeImport = (csvText, enrollments) => {
+  const { columns, records } = parseCsvRecords(csvText || '');
+
+  if (!columns.includes('Student ID') && !columns.includes('Email')) {
+    return { error: 'CSV needs a "Student ID" or "Email" column' };
+  }
+  if (!columns.includes(GRADE_COLUMN) && !columns.includes(NOTES_COLUMN)) {
+    return { error: `CSV needs a "${GRADE_COLUMN}" or "${NOTES_COLUMN}" column` };
+  }
+
+  const byId = new Map();
+  const byEmail = new Map();
+  enrollments.filter(enrollment => enrollment.userId).forEach(enrollment => {
+    byId.set(enrollment.userId._id.toString(), enrollment);
+    byEmail.set((enrollment.userId.email || '').toLowerCase(), enrollment);
+  });
+
+  const seen = new Set();
+  const rows = records.map((record, index) => {
+    const studentId = (record['Student ID'] || '').trim();
+    const email = (record.Email || '').trim();
+    const report = { row: index + 2, studentId, email, status: 'unchanged', errors: [], changes: {} };
+
+    const enrollment = (studentId && byId.get(studentId)) || (email && byEmail.get(email.toLowerCase()));
+    if (!enrollment) {
+      report.errors.push('Student is not enrolled in this course');
+    } else {
+      report.studentId = enrollment.userId._id.toString();
+      report.name = enrollment.userId.name;
+      if (seen.has(report.studentId)) {
+        report.errors.push('Student appears more than once in the file');
+      }
+      seen.add(report.studentId);
+    }
+
+    const { grade, error: gradeError } = columns.includes(GRADE_COLUMN)
+      ? parseGradeCell(record[GRADE_COLUMN])
+      : { grade: undefined };
+    // Notes exported as "-late" come back as "'-late"; drop the guard the export added
+    const notes = columns.includes(NOTES_COLUMN) ? unescapeCsvValue(record[NOTES_COLUMN]) : undefined;
+
+    if (gradeError) report.errors.push(gradeError);
+    const validationError = gradeError ? null : validateGradeUpdate({ grade, notes });
+    if (validationError) report.errors.push(validationError);
+
+    if (report.errors.length > 0) {
+      report.status = 'error';
+      return report;
+    }
+
+    if (grade !== undefined && grade !== enrollment.grade) {
+      report.changes.grade = { from: enrollment.grade, to: grade };
+    }
+    if (notes !== undefined && notes !== (enrollment.notes || '')) {
+      report.changes.notes = { from: enrollment.notes || '', to: notes };
+    }
+    if (Object.keys(report.changes).length > 0) report.status = 'update';
+
+    return report;
+  });
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      updates: rows.filter(row => row.status === 'update').length,
+      unchanged: rows.filter(row => row.status === 'unchanged').length,
+      errors: rows.filter(row => row.status === 'error').length
+    }
+  };
+};
+
+module.exports = {
+  buildGradebookCsv,
+  planGradeImport
+};
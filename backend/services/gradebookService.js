@@ -0,0 +1,365 @@
+/**
+ * GradebookService - Course grades computed from students' graded work
+ *
+ * Each course picks a grading scheme that maps onto a GradingStrategy from
+ * patterns/strategy.js. Graded items are module quizzes and assignments,
+ * module assessments (weighted by Module.assessment.weightInCourse) and
+ * published course quizzes. Items a student has no score for yet are left
+ * out, and the category weights are spread over the categories that remain.
+ */
+
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleProgress = require('../models/ModuleProgress');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const LearningProgress = require('../models/LearningProgress');
+const {
+  WeightedAverageStrategy,
+  PassFailStrategy,
+  CompetencyBasedStrategy
+} = require('../patterns/strategy');
+
+const GRADING_SCHEMES = ['weighted', 'pass-fail', 'competency'];
+const GRADE_CATEGORIES = ['quizzes', 'assignments', 'moduleAssessments'];
+const DEFAULT_GRADING = {
+  scheme: 'weighted',
+  weights: { quizzes: 30, assignments: 40, moduleAssessments: 30 },
+  passingThreshold: 70
+};
+const CONTENT_CATEGORIES = { quiz: 'quizzes', assignment: 'assignments' };
+const FINISHED_ATTEMPT_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Course grading settings with defaults filled in, plus any updates applied
+const mergeGradingSettings = (current = {}, updates = {}) => ({
+  scheme: updates.scheme || current.scheme || DEFAULT_GRADING.scheme,
+  weights: {
+    ...DEFAULT_GRADING.weights,
+    ...(current.weights || {}),
+    ...(updates.weights || {})
+  },
+  passingThreshold: updates.passingThreshold !== undefined
+    ? updates.passingThreshold
+    : current.passingThreshold !== undefined ? current.passingThreshold : DEFAULT_GRADING.passingThreshold
+});
+
+// Problems with grading settings, or null when they are usable
+const validateGradingSettings = (grading) => {
+  if (!GRADING_SCHEMES.includes(grading.scheme)) {
+    return `Grading scheme must be one of: ${GRADING_SCHEMES.join(', ')}`;
+  }
+
+  for (const category of Object.keys(grading.weights)) {
+    if (!GRADE_CATEGORIES.includes(category)) {
+      return `Unknown grade category "${category}"`;
+    }
+    const weight = grading.weights[category];
+    if (typeof weight !== 'number' || weight < 0) {
+      return `Weight for ${category} must be a non-negative number`;
+    }
+  }
+  if (GRADE_CATEGORIES.every(category => grading.weights[category] === 0)) {
+    return 'At least one grade category needs a weight above 0';
+  }
+
+  if (typeof grading.passingThreshold !== 'number' || grading.passingThreshold < 0 || grading.passingThreshold > 100) {
+    return 'Passing threshold must be between 0 and 100';
+  }
+
+  return null;
+};
+
+// Problems with an instructor grade/notes update, or null. A null grade
+// hands the grade back to the gradebook calculation.
+const validateGradeUpdate = ({ grade, notes }) => {
+  if (grade !== undefined && grade !== null && (typeof grade !== 'number' || Number.isNaN(grade) || grade < 0 || grade > 100)) {
+    return 'Grade must be between 0 and 100';
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'Notes must be text';
+  }
+  return null;
+};
+
+// Letter grade for a numeric course grade under the course's scheme
+const letterForGrade = (grading, grade) => {
+  if (grading.scheme === 'pass-fail') return grade >= grading.passingThreshold ? 'P' : 'F';
+  if (grading.scheme === 'competency') return new CompetencyBasedStrategy().getCompetencyGrade(grade);
+  return new WeightedAverageStrategy().getLetterGrade(grade);
+};
+
+// Apply a validated instructor update to a LearningProgress document (not saved)
+const applyGradeUpdate = (learningProgress, grading, { grade, notes }) => {
+  if (grade === null) {
+    learningProgress.gradeOverridden = false;
+  } else if (grade !== undefined) {
+    learningProgress.grade = grade;
+    learningProgress.letterGrade = letterForGrade(grading, grade);
+    learningProgress.gradeOverridden = true;
+  }
+  if (notes !== undefined) learningProgress.notes = notes === null ? undefined : notes;
+};
+
+// Gradebook columns: graded module content followed by course quizzes
+const buildGradebookItems = (modules, quizzes = []) => {
+  const items = [];
+
+  modules.forEach(module => {
+    const assessment = module.assessment || {};
+    (module.contents || []).forEach(content => {
+      const isAssessment = !!assessment.assessmentId && assessment.assessmentId === content.contentId;
+      const category = isAssessment ? 'moduleAssessments' : CONTENT_CATEGORIES[content.type];
+      if (!category) return;
+
+      items.push({
+        itemId: content.contentId,
+        source: 'module',
+        moduleId: module._id.toString(),
+        moduleTitle: module.title,
+        title: content.title,
+        category,
+        weight: isAssessment ? assessment.weightInCourse || 0 : 1,
+        passingScore: isAssessment
+          ? assessment.passingScore
+          : (content.contentData && content.contentData.passingScore) || DEFAULT_GRADING.passingThreshold
+      });
+    });
+  });
+
+  quizzes.forEach(quiz => {
+    items.push({
+      itemId: quiz._id.toString(),
+      source: 'quiz',
+      moduleId: quiz.moduleId,
+      title: quiz.title,
+      category: 'quizzes',
+      weight: 1,
+      passingScore: quiz.passingScore
+    });
+  });
+
+  return items;
+};
+
+// One competency per module: its assessment score, else the mean of its graded items
+const buildCompetencies = (items, scores, passingThreshold) => {
+  const byModule = new Map();
+  items.filter(item => item.moduleId).forEach(item => {
+    if (!byModule.has(item.moduleId)) {
+      byModule.set(item.moduleId, { name: item.moduleTitle || item.title, threshold: passingThreshold, items: [] });
+    }
+    const entry = byModule.get(item.moduleId);
+    if (item.category === 'moduleAssessments') entry.threshold = item.passingScore;
+    entry.items.push(item);
+  });
+
+  const competencies = [];
+  const competencyScores = {};
+  byModule.forEach((entry, moduleId) => {
+    competencies.push({ id: moduleId, name: entry.name, masteryThreshold: entry.threshold });
+
+    const assessment = entry.items.find(item => item.category === 'moduleAssessments' && scores[item.itemId] !== undefined);
+    const graded = entry.items.filter(item => scores[item.itemId] !== undefined);
+    if (assessment) {
+      competencyScores[moduleId] = scores[assessment.itemId];
+    } else if (graded.length > 0) {
+      competencyScores[moduleId] = graded.reduce((sum, item) => sum + scores[item.itemId], 0) / graded.length;
+    }
+  });
+
+  return { competencies, competencyScores };
+};
+
+// STRATEGY PATTERN: the course's scheme picks the GradingStrategy
+const createGradingStrategy = (grading, { categories = GRADE_CATEGORIES, competencies = [] } = {}) => {
+  switch (grading.scheme) {
+    case 'pass-fail':
+      return new PassFailStrategy(grading.passingThreshold);
+    case 'competency':
+      return new CompetencyBasedStrategy(competencies);
+    default: {
+      const total = categories.reduce((sum, category) => sum + (grading.weights[category] || 0), 0);
+      // Only the listed categories count (the strategy's assignment/quiz/final defaults are zeroed)
+      const weights = { assignments: 0, quizzes: 0, finalExam: 0 };
+      categories.forEach(category => {
+        weights[category] = total > 0 ? (grading.weights[category] || 0) / total : 0;
+      });
+      return new WeightedAverageStrategy(weights);
+    }
+  }
+};
+
+/**
+ * Grade one student. `scores` maps itemId -> best percentage for the items
+ * the student has been graded on. Returns null grades when nothing is graded.
+ */
+const gradeStudent = (grading, items, scores) => {
+  const graded = items.filter(item => scores[item.itemId] !== undefined);
+  if (graded.length === 0) {
+    return { finalGrade: null, letterGrade: null, numericGrade: null, gradedItems: 0 };
+  }
+
+  const categoryScores = {};
+  graded.forEach(item => {
+    if (!categoryScores[item.category]) categoryScores[item.category] = [];
+    categoryScores[item.category].push(item.category === 'moduleAssessments'
+      ? { score: scores[item.itemId], weight: item.weight }
+      : scores[item.itemId]);
+  });
+
+  const categories = Object.keys(categoryScores).filter(category => (grading.weights[category] || 0) > 0);
+  if (grading.scheme === 'weighted' && categories.length === 0) {
+    return { finalGrade: null, letterGrade: null, numericGrade: null, gradedItems: graded.length };
+  }
+  const { competencies, competencyScores } = buildCompetencies(items, scores, grading.passingThreshold);
+  const strategy = createGradingStrategy(grading, { categories, competencies });
+  const result = strategy.calculateGrade(categoryScores, competencyScores);
+
+  const numericGrade = grading.scheme === 'pass-fail' ? result.numericScore
+    : grading.scheme === 'competency' ? result.masteryPercentage
+    : result.finalGrade;
+
+  return {
+    finalGrade: result.finalGrade,
+    letterGrade: result.letterGrade,
+    numericGrade: round(numericGrade),
+    breakdown: result.breakdown,
+    gradedItems: graded.length
+  };
+};
+
+// Best percentage per student per item: userId -> { itemId -> percentage }
+const loadStudentScores = async (courseId, userIds) => {
+  const [moduleProgresses, attempts] = await Promise.all([
+    ModuleProgress.find({ courseId, userId: { $in: userIds } })
+      .select('userId contentProgress.contentId contentProgress.scores contentProgress.bestScore')
+      .lean(),
+    QuizAttempt.find({ courseId, userId: { $in: userIds }, status: { $in: FINISHED_ATTEMPT_STATUSES } })
+      .select('userId quizId percentage')
+      .lean()
+  ]);
+
+  const scores = {};
+  const scoresFor = (userId) => {
+    const key = userId.toString();
+    if (!scores[key]) scores[key] = {};
+    return scores[key];
+  };
+
+  moduleProgresses.forEach(progress => {
+    const studentScores = scoresFor(progress.userId);
+    (progress.contentProgress || [])
+      .filter(cp => cp.scores && cp.scores.length > 0)
+      .forEach(cp => {
+        studentScores[cp.contentId] = cp.bestScore.percentage;
+      });
+  });
+
+  attempts.forEach(attempt => {
+    const studentScores = scoresFor(attempt.userId);
+    const quizId = attempt.quizId.toString();
+    if (studentScores[quizId] === undefined || attempt.percentage > studentScores[quizId]) {
+      studentScores[quizId] = attempt.percentage;
+    }
+  });
+
+  return scores;
+};
+
+const loadGradebookItems = async (courseId) => {
+  const [modules, quizzes] = await Promise.all([
+    // Draft, in-review and archived modules aren't part of the course students take
+    Module.find({ courseId, status: 'published' }).sort({ moduleNumber: 1 }).select('title contents assessment').lean(),
+    Quiz.find({ courseId, status: 'published' }).select('title moduleId passingScore').lean()
+  ]);
+  return buildGradebookItems(modules, quizzes);
+};
+
+const describeGrading = (grading, items) => {
+  const categories = GRADE_CATEGORIES.filter(category => items.some(item => item.category === category));
+  const { competencies } = buildCompetencies(items, {}, grading.passingThreshold);
+  return createGradingStrategy(grading, { categories, competencies }).getDescription();
+};
+
+/**
+ * Full gradebook for a course: one row per enrolled student with their
+ * score on each graded item and the final grade under the course's scheme
+ */
+const getCourseGradebook = async (course) => {
+  const grading = mergeGradingSettings(course.grading);
+  const [items, enrollments] = await Promise.all([
+    loadGradebookItems(course._id),
+    LearningProgress.find({ courseId: course._id }).populate('userId', 'name email').lean()
+  ]);
+
+  const students = enrollments.filter(enrollment => enrollment.userId);
+  const scores = await loadStudentScores(course._id, students.map(enrollment => enrollment.userId._id));
+
+  const rows = students.map(enrollment => {
+    const studentScores = scores[enrollment.userId._id.toString()] || {};
+    return {
+      student: {
+        id: enrollment.userId._id,
+        name: enrollment.userId.name,
+        email: enrollment.userId.email
+      },
+      items: items.map(item => ({
+        itemId: item.itemId,
+        score: studentScores[item.itemId] !== undefined ? studentScores[item.itemId] : null
+      })),
+      ...gradeStudent(grading, items, studentScores),
+      // What is stored on the enrollment (an instructor override wins over the computed grade)
+      enrollment: {
+        grade: enrollment.grade,
+        letterGrade: enrollment.letterGrade,
+        gradeOverridden: !!enrollment.gradeOverridden,
+        notes: enrollment.notes
+      }
+    };
+  }).sort((a, b) => (a.student.name || '').localeCompare(b.student.name || ''));
+
+  return {
+    course: { id: course._id, title: course.title },
+    grading: { ...grading, description: describeGrading(grading, items) },
+    items,
+    rows
+  };
+};
+
+// Recompute a student's course grade into LearningProgress after new scores.
+// Pass the LearningProgress document when the caller already has it loaded.
+const updateStudentCourseGrade = async (userId, courseId, loadedProgress) => {
+  const [course, learningProgress] = await Promise.all([
+    Course.findById(courseId).select('grading').lean(),
+    loadedProgress || LearningProgress.findOne({ userId, courseId })
+  ]);
+  if (!course || !learningProgress || learningProgress.gradeOverridden) return null;
+
+  const grading = mergeGradingSettings(course.grading);
+  const items = await loadGradebookItems(courseId);
+  const scores = await loadStudentScores(courseId, [userId]);
+  const result = gradeStudent(grading, items, scores[userId.toString()] || {});
+
+  learningProgress.grade = result.numericGrade === null ? undefined : result.numericGrade;
+  learningProgress.letterGrade = result.letterGrade || undefined;
+  await learningProgress.save();
+
+  return result;
+};
+
+module.exports = {
+  GRADING_SCHEMES,
+  GRADE_CATEGORIES,
+  mergeGradingSettings,
+  validateGradingSettings,
+  validateGradeUpdate,
+  letterForGrade,
+  applyGradeUpdate,
+  buildGradebookItems,
+  createGradingStrategy,
+  gradeStudent,
+  getCourseGradebook,
+  updateStudentCourseGrade
+};
@@ -0,0 +1,203 @@
+/**
+ * GradingService - Manual grading queue for assignments and essay answers
+ *
+ * Assignment submissions live in ModuleProgress (submitted -> grading ->
+ * graded -> returned); essay answers live in QuizAttempt answers that are
+ * pendingReview. Both are listed together so instructors work one queue.
+ */
+
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleProgress = require('../models/ModuleProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+const { resolveBankQuestions } = require('./questionBankService');
+const { normalizeRubric, scoreRubric } = require('./rubricScoring');
+
+const OPEN_SUBMISSION_STATUSES = ['submitted', 'grading'];
+
+// Courses a user may grade; null means every course (admin)
+const getGradableCourseIds = async (user) => {
+  if (user.role === 'admin') return null;
+
+  const courses = await Course.find({ 'instructor.id': user.id }).select('_id');
+  return courses.map(course => course._id);
+};
+
+const canGradeCourse = async (user, courseId) => {
+  if (user.role === 'admin') return true;
+
+  const course = await Course.findById(courseId).select('instructor');
+  return !!course && course.instructor.id.toString() === user.id;
+};
+
+const buildCourseFilter = (courseIds, courseId) => {
+  if (courseId) {
+    if (courseIds && !courseIds.some(id => id.toString() === courseId)) return null;
+    return courseId;
+  }
+  return courseIds ? { $in: courseIds } : undefined;
+};
+
+// Ungraded assignment submissions across the given courses
+const getSubmissionQueue = async ({ courseIds, courseId, statuses = OPEN_SUBMISSION_STATUSES }) => {
+  const courseFilter = buildCourseFilter(courseIds, courseId);
+  if (courseFilter === null) return [];
+
+  const filter = { 'contentProgress.progressData.submissions.status': { $in: statuses } };
+  if (courseFilter) filter.courseId = courseFilter;
+
+  const progresses = await ModuleProgress.find(filter)
+    .populate('userId', 'name email')
+    .populate('courseId', 'title')
+    .populate('moduleId', 'title contents');
+
+  const items = [];
+  progresses.forEach(progress => {
+    if (!progress.moduleId) return;
+
+    progress.contentProgress.forEach(contentProgress => {
+      const content = progress.moduleId.contents.find(entry => entry.contentId === contentProgress.contentId);
+      const submissions = (contentProgress.progressData && contentProgress.progressData.submissions) || [];
+
+      submissions
+        .filter(submission => statuses.includes(submission.status))
+        .forEach(submission => {
+          items.push({
+            kind: 'assignment',
+            submissionId: submission.submissionId,
+            status: submission.status,
+            attempt: submission.attempt,
+            submittedAt: submission.submittedAt,
+            isLate: submission.isLate,
+            submissionType: submission.submissionType,
+            submissionData: submission.submissionData,
+            claimedBy: submission.claimedBy,
+            claimedAt: submission.claimedAt,
+            student: progress.userId,
+            course: progress.courseId,
+            module: { id: progress.moduleId._id, title: progress.moduleId.title },
+            content: {
+              contentId: contentProgress.contentId,
+              title: content ? content.title : null,
+              dueDate: content && content.contentData ? content.contentData.dueDate : null,
+              rubric: content && content.contentData ? normalizeRubric(content.contentData.rubric) : []
+            }
+          });
+        });
+    });
+  });
+
+  return items;
+};
+
+// Essay answers waiting for review across the given courses
+const getQuizEssayQueue = async ({ courseIds, courseId }) => {
+  const courseFilter = buildCourseFilter(courseIds, courseId);
+  if (courseFilter === null) return [];
+
+  const filter = { needsManualGrading: true, status: { $in: ['submitted', 'auto_submitted'] } };
+  if (courseFilter) filter.courseId = courseFilter;
+
+  const attempts = await QuizAttempt.find(filter)
+    .populate('userId', 'name email')
+    .populate('quizId', 'title questions')
+    .sort({ submittedAt: 1 });
+
+  const items = [];
+  for (const attempt of attempts) {
+    if (!attempt.quizId) continue;
+
+    await resolveBankQuestions(attempt.quizId, attempt);
+
+    attempt.answers
+      .filter(answer => answer.pendingReview)
+      .forEach(answer => {
+        const question = attempt.quizId.questions.find(q => q.id === answer.questionId);
+        items.push({
+          kind: 'essay',
+          attemptId: attempt._id,
+          quiz: { id: attempt.quizId._id, title: attempt.quizId.title },
+          student: attempt.userId,
+          courseId: attempt.courseId,
+          submittedAt: attempt.submittedAt,
+          questionId: answer.questionId,
+          question: question ? question.question : null,
+          maxPoints: question ? question.points : null,
+          answer: answer.selectedAnswer
+        });
+      });
+  }
+
+  return items;
+};
+
+// Build a grade from the request: rubric scores (by level or points) when the
+// content has a rubric, otherwise a single score out of maxScore
+const buildGrade = (content, { rubricScores, score, maxScore = 100 }) => {
+  const rubric = (content.contentData && content.contentData.rubric) || [];
+
+  if (rubric.length > 0) {
+    return scoreRubric(rubric, rubricScores || []);
+  }
+
+  if (typeof score !== 'number' || score < 0 || score > maxScore) {
+    return { error: `Score must be a number between 0 and ${maxScore}` };
+  }
+
+  return { rubricScores: [], score, maxScore };
+};
+
+// Keep the module assessment in step when the graded content is the module's assessment
+const updateModuleAssessment = (moduleProgress, module, contentProgress) => {
+  if (!module.assessment || module.assessment.assessmentId !== contentProgress.contentId) return;
+
+  const assessment = moduleProgress.moduleAssessment;
+  assessment.attempts = contentProgress.scores.length;
+  assessment.bestScore = contentProgress.bestScore.score;
+  assessment.bestScorePercentage = contentProgress.bestScore.percentage;
+  assessment.passingScore = module.assessment.passingScore;
+  assessment.hasPassed = contentProgress.bestScore.percentage >= module.assessment.passingScore;
+  assessment.lastAttemptAt = new Date();
+};
+
+// Find a submission and check the user may grade it
+const loadSubmissionForGrading = async (submissionId, user) => {
+  const moduleProgress = await ModuleProgress.findOne({
+    'contentProgress.progressData.submissions.submissionId': submissionId
+  });
+  if (!moduleProgress) {
+    return { status: 404, message: 'Submission not found' };
+  }
+
+  if (!(await canGradeCourse(user, moduleProgress.courseId))) {
+    return { status: 403, message: 'You can only grade submissions in your own courses' };
+  }
+
+  const module = await Module.findById(moduleProgress.moduleId);
+  const { contentProgress, submission } = moduleProgress.findSubmission(submissionId);
+  const content = module && module.contents.find(entry => entry.contentId === contentProgress.contentId);
+  if (!content) {
+    return { status: 404, message: 'Assignment content no longer exists in this module' };
+  }
+
+  return { moduleProgress, module, content, contentProgress, submission };
+};
+
+// True when another grader holds the claim on a submission
+const isClaimedByOther = (submission, user) =>
+  submission.status === 'grading' &&
+  submission.claimedBy &&
+  submission.claimedBy.toString() !== user.id &&
+  user.role !== 'admin';
+
+module.exports = {
+  OPEN_SUBMISSION_STATUSES,
+  getGradableCourseIds,
+  canGradeCourse,
+  getSubmissionQueue,
+  getQuizEssayQueue,
+  buildGrade,
+  updateModuleAssessment,
+  loadSubmissionForGrading,
+  isClaimedByOther
+};
@@ -0,0 +1,337 @@
+/**
+ * LearningActivityService - Daily activity log behind streaks, heatmaps and learning hours
+ *
+ * Content progress updates, quiz submissions and module completions add to the
+ * learner's LearningActivity row for that day. Days are calendar days in the
+ * user's timezone, so studying at 23:30 and again at 00:15 counts as two days
+ * for a streak. Streaks, the activity heatmap and User.totalLearningHours are
+ * all derived from these rows.
+ */
+
+const mongoose = require('mongoose');
+const LearningActivity = require('../models/LearningActivity');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const ITEM_TYPES = ['contentCompleted', 'quizzesSubmitted', 'modulesCompleted'];
+const MAX_RANGE_DAYS = 366;
+const SUBMITTED_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Time on task is partly client-reported: one event credits at most 4 hours, one day at most 24
+const MAX_EVENT_MINUTES = 240;
+const MAX_DAY_MINUTES = 1440;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar day (YYYY-MM-DD) of an instant in a timezone
+const localDate = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(entry => entry.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// Days are plain calendar dates, so day arithmetic runs in UTC
+const dayToTime = (day) => Date.parse(`${day}T00:00:00Z`);
+
+const isValidDay = (day) => typeof day === 'string' && DAY_PATTERN.test(day) &&
+  !Number.isNaN(dayToTime(day)) && new Date(dayToTime(day)).toISOString().startsWith(day);
+
+const addDays = (day, count) => new Date(dayToTime(day) + count * MS_PER_DAY).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((dayToTime(to) - dayToTime(from)) / MS_PER_DAY);
+
+// Monday of the week a day falls in
+const weekStartOf = (day) => addDays(day, -((new Date(dayToTime(day)).getUTCDay() + 6) % 7));
+
+/**
+ * Current and longest streak from the days a user was active. The current
+ * streak still counts when the last active day was yesterday, since today
+ * isn't over yet.
+ */
+const computeStreaks = (days, today) => {
+  const sorted = [...new Set(days)].sort();
+  let longestStreak = 0;
+  let run = 0;
+  sorted.forEach((day, index) => {
+    run = index > 0 && daysBetween(sorted[index - 1], day) === 1 ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  const lastActiveDay = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+  const currentStreak = lastActiveDay && daysBetween(lastActiveDay, today) <= 1 ? run : 0;
+  return { currentStreak, longestStreak, lastActiveDay };
+};
+
+const timezoneOf = (user) => (user && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE);
+
+// Recompute the user's learning hours and streaks from their activity rows
+const syncUserStats = async (userId, timezone) => {
+  const [totals] = await LearningActivity.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, minutes: { $sum: '$minutes' }, lastActivityAt: { $max: '$lastActivityAt' } } }
+  ]);
+  const days = await LearningActivity.distinct('date', { userId });
+  const { currentStreak, longestStreak } = computeStreaks(days, localDate(new Date(), timezone));
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      totalLearningHours: totals ? Math.round((totals.minutes / 60) * 100) / 100 : 0,
+      currentStreak,
+      longestStreak,
+      ...(totals && totals.lastActivityAt ? { lastLearningDate: totals.lastActivityAt } : {})
+    }
+  });
+};
+
+/**
+ * Add minutes and completed items to the user's row for the local day of `at`.
+ * items: { contentCompleted, quizzesSubmitted, modulesCompleted } counts.
+ */
+const recordLearningActivity = async (userId, { minutes = 0, items = {}, courseId, at = new Date() } = {}) => {
+  const addedMinutes = Math.min(Math.max(0, Number(minutes) || 0), MAX_EVENT_MINUTES);
+  const increments = {};
+  if (addedMinutes > 0) {
+    increments.minutes = Math.round(addedMinutes * 100) / 100;
+    if (courseId) increments[`courseMinutes.${courseId}`] = increments.minutes;
+  }
+  ITEM_TYPES.forEach(type => {
+    if (Number(items[type]) > 0) increments[`items.${type}`] = Number(items[type]);
+  });
+  if (Object.keys(increments).length === 0) return null;
+
+  const user = await User.findById(userId).select('timezone');
+  if (!user) return null;
+  const timezone = timezoneOf(user);
+  const date = localDate(at, timezone);
+
+  const update = () => LearningActivity.findOneAndUpdate(
+    { userId, date },
+    {
+      $inc: increments,
+      $max: { lastActivityAt: at },
+      $min: { firstActivityAt: at },
+      $setOnInsert: { timezone },
+      ...(courseId ? { $addToSet: { courseIds: courseId } } : {})
+    },
+    { upsert: true, new: true }
+  );
+
+  let activity;
+  try {
+    activity = await update();
+  } catch (error) {
+    // Two events on a new day can race to insert the row; the loser just updates it
+    if (error.code !== 11000) throw error;
+    activity = await update();
+  }
+
+  // $inc can't stop at a ceiling, so trim a day that went over it afterwards
+  const courseKey = courseId && `courseMinutes.${courseId}`;
+  const overflow = {};
+  if (activity.minutes > MAX_DAY_MINUTES) overflow.minutes = MAX_DAY_MINUTES;
+  if (courseKey && activity.courseMinutes.get(String(courseId)) > MAX_DAY_MINUTES) overflow[courseKey] = MAX_DAY_MINUTES;
+  if (Object.keys(overflow).length > 0) {
+    activity = await LearningActivity.findOneAndUpdate(
+      { _id: activity._id },
+      { $min: overflow },
+      { new: true }
+    );
+  }
+
+  await syncUserStats(userId, timezone);
+  return activity;
+};
+
+/**
+ * Streak summary for the streaks endpoint. Also stores the derived streaks on
+ * the user, since the current streak lapses without any new activity.
+ */
+const getStreakSummary = async (user, { now = new Date() } = {}) => {
+  const timezone = timezoneOf(user);
+  const today = localDate(now, timezone);
+  const days = await LearningActivity.distinct('date', { userId: user._id });
+  const { currentStreak, longestStreak, lastActiveDay } = computeStreaks(days, today);
+  const weekStart = addDays(today, -6);
+
+  if (user.currentStreak !== currentStreak || user.longestStreak !== longestStreak) {
+    await User.updateOne({ _id: user._id }, { $set: { currentStreak, longestStreak } });
+  }
+
+  return {
+    currentStreak,
+    longestStreak,
+    lastActiveDate: lastActiveDay,
+    weeklyActiveDays: days.filter(day => day >= weekStart && day <= today).length,
+    timezone
+  };
+};
+
+/**
+ * Local day range from ?from=&to= (YYYY-MM-DD, inclusive). `to` defaults to
+ * today and `from` to `defaultDays` days back. Returns { start, end, timezone }
+ * or { errors }.
+ */
+const resolveRange = (user, { from, to, now = new Date() }, defaultDays) => {
+  const timezone = timezoneOf(user);
+  const end = to || localDate(now, timezone);
+  if (!from && !isValidDay(end)) return { errors: ['to must be a date (YYYY-MM-DD)'] };
+  const start = from || addDays(end, -(defaultDays - 1));
+
+  const errors = [];
+  if (!isValidDay(start)) errors.push('from must be a date (YYYY-MM-DD)');
+  if (!isValidDay(end)) errors.push('to must be a date (YYYY-MM-DD)');
+  if (errors.length === 0 && start > end) errors.push('from must not be after to');
+  if (errors.length === 0 && daysBetween(start, end) >= MAX_RANGE_DAYS) {
+    errors.push(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+  return errors.length > 0 ? { errors } : { start, end, timezone };
+};
+
+const eachDay = (start, end) => {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+const itemsOf = (row) => ITEM_TYPES.reduce((items, type) => ({ ...items, [type]: row ? row.items[type] || 0 : 0 }), {});
+
+/**
+ * Every day from `from` to `to` (local days, inclusive) with minutes and item
+ * counts; days without activity are zero. Defaults to the last 365 days.
+ * Returns { from, to, timezone, days } or { errors }.
+ */
+const getActivityHeatmap = async (user, options = {}) => {
+  const range = resolveRange(user, options, 365);
+  if (range.errors) return range;
+  const { start, end, timezone } = range;
+
+  const rows = await LearningActivity.find({ userId: user._id, date: { $gte: start, $lte: end } });
+  const byDate = new Map(rows.map(row => [row.date, row]));
+
+  const days = eachDay(start, end).map(day => {
+    const row = byDate.get(day);
+    return { date: day, minutes: row ? row.minutes : 0, items: itemsOf(row) };
+  });
+  return { from: start, to: end, timezone, days };
+};
+
+const roundScore = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : null);
+
+/**
+ * Daily and weekly (Monday-based) series from activity rows and quiz scores
+ * ({ date, percentage }, already on local days). Weeks are clipped to the range.
+ */
+const buildActivitySeries = ({ start, end, activities = [], quizScores = [] }) => {
+  const byDate = new Map(activities.map(row => [row.date, row]));
+  const scoresByDate = new Map();
+  quizScores.forEach(({ date, percentage }) => {
+    scoresByDate.set(date, [...(scoresByDate.get(date) || []), percentage]);
+  });
+
+  const daily = eachDay(start, end).map(day => {
+    const row = byDate.get(day);
+    const scores = scoresByDate.get(day) || [];
+    const scoreTotal = scores.reduce((sum, score) => sum + score, 0);
+    return {
+      date: day,
+      minutes: row ? row.minutes : 0,
+      ...itemsOf(row),
+      quizCount: scores.length,
+      quizAverage: roundScore(scoreTotal, scores.length),
+      scoreTotal
+    };
+  });
+
+  const weeks = new Map();
+  daily.forEach(day => {
+    const key = weekStartOf(day.date);
+    const week = weeks.get(key) || {
+      weekStart: key,
+      from: day.date,
+      to: day.date,
+      minutes: 0,
+      ...itemsOf(null),
+      activeDays: 0,
+      quizCount: 0,
+      scoreTotal: 0
+    };
+    week.to = day.date;
+    week.minutes += day.minutes;
+    ITEM_TYPES.forEach(type => { week[type] += day[type]; });
+    if (day.minutes > 0 || ITEM_TYPES.some(type => day[type] > 0)) week.activeDays += 1;
+    week.quizCount += day.quizCount;
+    week.scoreTotal += day.scoreTotal;
+    weeks.set(key, week);
+  });
+
+  const withoutTotal = ({ scoreTotal, ...entry }) => entry;
+  return {
+    daily: daily.map(withoutTotal),
+    weekly: [...weeks.values()].map(week => withoutTotal({
+      ...week,
+      minutes: Math.round(week.minutes * 100) / 100,
+      quizAverage: roundScore(week.scoreTotal, week.quizCount)
+    }))
+  };
+};
+
+/**
+ * Daily and weekly series of minutes, completed items and quiz scores for a
+ * range (last 90 days by default). Returns { from, to, timezone, daily, weekly }
+ * or { errors }.
+ */
+const getActivitySeries = async (user, options = {}) => {
+  const range = resolveRange(user, options, 90);
+  if (range.errors) return range;
+  const { start, end, timezone } = range;
+
+  // Local days can start up to a day either side of UTC midnight
+  const [activities, attempts] = await Promise.all([
+    LearningActivity.find({ userId: user._id, date: { $gte: start, $lte: end } }),
+    QuizAttempt.find({
+      userId: user._id,
+      status: { $in: SUBMITTED_STATUSES },
+      submittedAt: { $gte: new Date(dayToTime(addDays(start, -1))), $lt: new Date(dayToTime(addDays(end, 2))) }
+    }).select('submittedAt percentage')
+  ]);
+
+  const quizScores = attempts
+    .map(attempt => ({ date: localDate(attempt.submittedAt, timezone), percentage: attempt.percentage || 0 }))
+    .filter(score => score.date >= start && score.date <= end);
+
+  return { from: start, to: end, timezone, ...buildActivitySeries({ start, end, activities, quizScores }) };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MAX_EVENT_MINUTES,
+  MAX_DAY_MINUTES,
+  isValidTimezone,
+  isValidDay,
+  localDate,
+  addDays,
+  daysBetween,
+  weekStartOf,
+  timezoneOf,
+  computeStreaks,
+  recordLearningActivity,
+  getStreakSummary,
+  getActivityHeatmap,
+  buildActivitySeries,
+  getActivitySeries
+};
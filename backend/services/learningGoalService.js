@@ -0,0 +1,207 @@
+/**
+ * LearningGoalService - SMART learning goals and their automatic progress
+ *
+ * A goal has a type, a target, a deadline and optionally a course. Progress is
+ * worked out from the data the platform already records:
+ * - hours_per_week: this week's minutes from the LearningActivity log
+ * - modules_per_week: modules completed this week (LearningProgress.modulesCompleted)
+ * - courses_completed: courses completed between the goal's start and deadline
+ * - quiz_average: average score of quiz attempts submitted between start and deadline
+ * Weeks start on Monday and days are local days in the user's timezone.
+ */
+
+const mongoose = require('mongoose');
+const LearningGoal = require('../models/LearningGoal');
+const LearningActivity = require('../models/LearningActivity');
+const LearningProgress = require('../models/LearningProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+const { GOAL_TYPES, WEEKLY_GOAL_TYPES } = require('../constants/goalTypes');
+const {
+  isValidDay,
+  localDate,
+  addDays,
+  daysBetween,
+  weekStartOf,
+  timezoneOf
+} = require('./learningActivityService');
+
+const SUBMITTED_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+
+const GOAL_UNITS = {
+  [GOAL_TYPES.HOURS_PER_WEEK]: 'hours',
+  [GOAL_TYPES.COURSES_COMPLETED]: 'courses',
+  [GOAL_TYPES.MODULES_PER_WEEK]: 'modules',
+  [GOAL_TYPES.QUIZ_AVERAGE]: 'percent'
+};
+
+/**
+ * Problems with goal input, as a list of messages. With `partial` only the
+ * given fields are checked (for updates).
+ */
+const validateGoalInput = (input, { partial = false, today } = {}) => {
+  const errors = [];
+  const { type, target, deadline, courseId, title } = input || {};
+
+  if (type !== undefined || !partial) {
+    if (!Object.values(GOAL_TYPES).includes(type)) {
+      errors.push(`type must be one of ${Object.values(GOAL_TYPES).join(', ')}`);
+    }
+  }
+  if (target !== undefined || !partial) {
+    if (typeof target !== 'number' || !Number.isFinite(target) || target <= 0) {
+      errors.push('target must be a positive number');
+    } else if (type === GOAL_TYPES.QUIZ_AVERAGE && target > 100) {
+      errors.push('A quiz average target is a percentage of at most 100');
+    } else if ([GOAL_TYPES.COURSES_COMPLETED, GOAL_TYPES.MODULES_PER_WEEK].includes(type) && !Number.isInteger(target)) {
+      errors.push('target must be a whole number of courses or modules');
+    }
+  }
+  if (deadline !== undefined || !partial) {
+    if (!isValidDay(deadline)) {
+      errors.push('deadline must be a date (YYYY-MM-DD)');
+    } else if (today && deadline < today) {
+      errors.push('deadline must not be in the past');
+    }
+  }
+  if (courseId !== undefined && courseId !== null && !mongoose.Types.ObjectId.isValid(courseId)) {
+    errors.push('courseId is not valid');
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > 120)) {
+    errors.push('title must be text of at most 120 characters');
+  }
+  return errors;
+};
+
+const sameCourse = (goal, courseId) => !goal.courseId || (courseId && courseId.toString() === goal.courseId.toString());
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Days a goal is measured over. Weekly goals use the current week, or the
+ * week of the deadline once it has passed; the others run from start to deadline.
+ */
+const goalPeriod = (goal, today) => {
+  if (WEEKLY_GOAL_TYPES.includes(goal.type)) {
+    const from = weekStartOf(today > goal.deadline ? goal.deadline : today);
+    return { from, to: addDays(from, 6) };
+  }
+  return { from: goal.startDate, to: goal.deadline };
+};
+
+const measureGoal = (goal, period, { activities, progressRecords, quizAttempts }, timezone) => {
+  const inPeriod = (date) => {
+    if (!date) return false;
+    const day = localDate(date, timezone);
+    return day >= period.from && day <= period.to;
+  };
+
+  switch (goal.type) {
+    case GOAL_TYPES.HOURS_PER_WEEK: {
+      const minutes = activities
+        .filter(activity => activity.date >= period.from && activity.date <= period.to)
+        .reduce((total, activity) => {
+          if (!goal.courseId) return total + (activity.minutes || 0);
+          const courseMinutes = activity.courseMinutes;
+          const key = goal.courseId.toString();
+          return total + ((courseMinutes instanceof Map ? courseMinutes.get(key) : courseMinutes && courseMinutes[key]) || 0);
+        }, 0);
+      return round(minutes / 60);
+    }
+    case GOAL_TYPES.MODULES_PER_WEEK:
+      return progressRecords
+        .filter(progress => sameCourse(goal, progress.courseId))
+        .reduce((count, progress) => count +
+          (progress.modulesCompleted || []).filter(module => inPeriod(module.completedAt)).length, 0);
+    case GOAL_TYPES.COURSES_COMPLETED:
+      return progressRecords.filter(progress =>
+        sameCourse(goal, progress.courseId) && progress.isCompleted && inPeriod(progress.completionDate)).length;
+    case GOAL_TYPES.QUIZ_AVERAGE: {
+      const scores = quizAttempts
+        .filter(attempt => sameCourse(goal, attempt.courseId) && inPeriod(attempt.submittedAt))
+        .map(attempt => attempt.percentage || 0);
+      return scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length, 1) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Where a goal stands on `today`. Status is one of:
+ * - met: the target is reached (a quiz average only counts once the deadline has passed)
+ * - missed: the deadline has passed without reaching the target
+ * - at-risk: behind the pace needed to reach the target in time
+ * - on-track: otherwise
+ */
+const computeGoalProgress = (goal, data, { today, timezone }) => {
+  const period = goalPeriod(goal, today);
+  const current = measureGoal(goal, period, data, timezone);
+  const value = current || 0;
+  const finished = today > goal.deadline;
+
+  let status;
+  if (goal.type === GOAL_TYPES.QUIZ_AVERAGE) {
+    if (finished) status = current !== null && current >= goal.target ? 'met' : 'missed';
+    else status = current !== null && current < goal.target ? 'at-risk' : 'on-track';
+  } else if (value >= goal.target) {
+    status = 'met';
+  } else if (finished) {
+    status = 'missed';
+  } else {
+    // Share of the period already behind us (today isn't over yet)
+    const totalDays = daysBetween(period.from, period.to) + 1;
+    const elapsed = Math.min(Math.max(daysBetween(period.from, today), 0), totalDays) / totalDays;
+    status = value < goal.target * elapsed ? 'at-risk' : 'on-track';
+  }
+
+  return {
+    current,
+    target: goal.target,
+    unit: GOAL_UNITS[goal.type],
+    percentage: Math.min(100, Math.round((value / goal.target) * 100)),
+    status,
+    period
+  };
+};
+
+/**
+ * The user's goals, each with its computed progress, soonest deadline first.
+ */
+const getGoalsWithProgress = async (user, { now = new Date() } = {}) => {
+  const goals = await LearningGoal.find({ userId: user._id })
+    .populate('courseId', 'title')
+    .sort({ deadline: 1, createdAt: 1 });
+  if (goals.length === 0) return [];
+
+  const timezone = timezoneOf(user);
+  const today = localDate(now, timezone);
+  const periods = goals.map(goal => goalPeriod(goal, today));
+  const earliest = periods.reduce((min, period) => (period.from < min ? period.from : min), today);
+
+  // Submission and completion times can fall a day either side of a local day
+  const since = new Date(Date.parse(`${addDays(earliest, -1)}T00:00:00Z`));
+  const [activities, progressRecords, quizAttempts] = await Promise.all([
+    LearningActivity.find({ userId: user._id, date: { $gte: earliest } }).select('date minutes courseMinutes'),
+    LearningProgress.find({ userId: user._id }).select('courseId isCompleted completionDate modulesCompleted.completedAt'),
+    QuizAttempt.find({ userId: user._id, status: { $in: SUBMITTED_STATUSES }, submittedAt: { $gte: since } })
+      .select('courseId submittedAt percentage')
+  ]);
+
+  const data = { activities, progressRecords, quizAttempts };
+  return goals.map(goal => {
+    const courseId = goal.courseId && goal.courseId._id ? goal.courseId._id : goal.courseId;
+    return {
+      ...goal.toObject(),
+      course: goal.courseId && goal.courseId.title ? { _id: courseId, title: goal.courseId.title } : null,
+      courseId,
+      progress: computeGoalProgress({ ...goal.toObject(), courseId }, data, { today, timezone })
+    };
+  });
+};
+
+module.exports = {
+  GOAL_UNITS,
+  validateGoalInput,
+  computeGoalProgress,
+  getGoalsWithProgress
+};
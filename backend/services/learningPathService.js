@@ -0,0 +1,220 @@
+/**
+ * LearningPathService - Multi-course programs built on LearningProgress
+ *
+ * A path's progress is derived from the student's LearningProgress in each of
+ * its courses. In a sequential path a course unlocks once the course before it
+ * is completed; with autoEnroll the student is then enrolled in it straight away
+ * (or waitlisted when it is full). Path enrollment skips a course's own approval
+ * step, enrollment window and prerequisite check - the path order stands in for them.
+ * Draft and archived courses stay locked until they are published.
+ */
+
+const Course = require('../models/Course');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const LearningProgress = require('../models/LearningProgress');
+const EnrollmentRequest = require('../models/EnrollmentRequest');
+const { admitOrWaitlist } = require('./enrollmentService');
+
+const isCourseCompleted = (progress) => !!progress && (progress.isCompleted || progress.completionPercentage >= 100);
+
+// Path progress from per-course progress and open enrollment requests (both keyed by course id).
+// Courses in `unpublished` (a Set of ids) can't be started, so they stay locked.
+const computePathProgress = (orderedCourses, progressByCourse, requestByCourse = {}, { sequential = true, unpublished = new Set() } = {}) => {
+  let previousCompleted = true;
+
+  const courses = orderedCourses.map(({ courseId, order }) => {
+    const id = (courseId._id || courseId).toString();
+    const progress = progressByCourse[id];
+    const request = requestByCourse[id];
+    const unlocked = (!sequential || previousCompleted) && !unpublished.has(id);
+
+    let status;
+    if (isCourseCompleted(progress)) {
+      status = 'completed';
+    } else if (progress) {
+      status = 'in-progress';
+    } else if (request) {
+      status = request.status;
+    } else {
+      status = unlocked ? 'available' : 'locked';
+    }
+
+    previousCompleted = status === 'completed';
+    return {
+      courseId: id,
+      order,
+      status,
+      completionPercentage: status === 'completed' ? 100 : Math.round(progress?.completionPercentage || 0),
+      completedAt: status === 'completed' ? progress.completionDate : undefined
+    };
+  });
+
+  const completedCourses = courses.filter(course => course.status === 'completed').length;
+  const completionPercentage = courses.length > 0
+    ? Math.round(courses.reduce((sum, course) => sum + course.completionPercentage, 0) / courses.length)
+    : 0;
+  const current = courses.find(course => course.status !== 'completed');
+
+  return {
+    courses,
+    completedCourses,
+    completionPercentage,
+    currentCourseId: current ? current.courseId : null,
+    isCompleted: courses.length > 0 && completedCourses === courses.length
+  };
+};
+
+const loadCourseState = async (userId, courseIds) => {
+  const [progresses, requests] = await Promise.all([
+    LearningProgress.find({ userId, courseId: { $in: courseIds } })
+      .select('courseId isCompleted completionPercentage completionDate'),
+    EnrollmentRequest.find({ userId, courseId: { $in: courseIds }, status: { $in: ['pending', 'waitlisted'] } })
+  ]);
+
+  const progressByCourse = {};
+  progresses.forEach(progress => {
+    progressByCourse[progress.courseId.toString()] = progress;
+  });
+  const requestByCourse = {};
+  requests.forEach(request => {
+    requestByCourse[request.courseId.toString()] = request;
+  });
+  return { progressByCourse, requestByCourse };
+};
+
+// Enroll the student in unlocked courses (autoEnroll paths) and save the path summary
+const syncPathEnrollment = async (enrollment, path) => {
+  if (enrollment.status === 'withdrawn') return enrollment;
+
+  const orderedCourses = path.getOrderedCourses();
+  const courseIds = orderedCourses.map(entry => entry.courseId._id || entry.courseId);
+  const pathCourses = await Course.find({ _id: { $in: courseIds } });
+  const options = {
+    sequential: path.settings?.sequentialOrder !== false,
+    unpublished: new Set(pathCourses
+      .filter(course => course.status && course.status !== 'published')
+      .map(course => course._id.toString()))
+  };
+
+  let state = await loadCourseState(enrollment.userId, courseIds);
+  let progress = computePathProgress(orderedCourses, state.progressByCourse, state.requestByCourse, options);
+
+  if (path.settings?.autoEnroll !== false) {
+    const available = new Set(progress.courses
+      .filter(course => course.status === 'available')
+      .map(course => course.courseId));
+    if (available.size > 0) {
+      for (const course of pathCourses.filter(pathCourse => available.has(pathCourse._id.toString()))) {
+        await admitOrWaitlist(course, enrollment.userId);
+      }
+      state = await loadCourseState(enrollment.userId, courseIds);
+      progress = computePathProgress(orderedCourses, state.progressByCourse, state.requestByCourse, options);
+    }
+  }
+
+  // Keep the first unlock time of each course
+  const previous = {};
+  (enrollment.courses || []).forEach(course => {
+    previous[course.courseId.toString()] = course;
+  });
+  const now = new Date();
+  enrollment.courses = progress.courses.map(course => ({
+    courseId: course.courseId,
+    status: course.status,
+    completionPercentage: course.completionPercentage,
+    unlockedAt: course.status === 'locked' ? undefined : previous[course.courseId]?.unlockedAt || now,
+    completedAt: course.completedAt
+  }));
+  enrollment.currentCourseId = progress.currentCourseId;
+  enrollment.completedCourses = progress.completedCourses;
+  enrollment.completionPercentage = progress.completionPercentage;
+  enrollment.lastSyncedAt = now;
+
+  if (progress.isCompleted && enrollment.status !== 'completed') {
+    enrollment.status = 'completed';
+    enrollment.completedAt = now;
+  } else if (!progress.isCompleted && enrollment.status === 'completed') {
+    // A course was added to the path after the student finished it
+    enrollment.status = 'active';
+    enrollment.completedAt = undefined;
+  }
+
+  await enrollment.save();
+  return enrollment;
+};
+
+// Enroll a student in a path; the first course (or every course, if not sequential) is unlocked
+const enrollInPath = async (path, userId) => {
+  let enrollment = await PathEnrollment.findOne({ pathId: path._id, userId });
+  if (enrollment && enrollment.status !== 'withdrawn') {
+    return { enrollment, alreadyEnrolled: true };
+  }
+
+  if (enrollment) {
+    enrollment.status = 'active';
+    enrollment.enrolledAt = new Date();
+  } else {
+    enrollment = new PathEnrollment({ pathId: path._id, userId });
+    await LearningPath.updateOne({ _id: path._id }, { $inc: { enrollmentCount: 1 } });
+  }
+
+  await syncPathEnrollment(enrollment, path);
+  return { enrollment, alreadyEnrolled: false };
+};
+
+// OBSERVER: a course changed for this student - unlock whatever comes next in their paths
+const handleCourseProgress = async (userId, courseId) => {
+  const paths = await LearningPath.find({ 'courses.courseId': courseId, isActive: true });
+  if (paths.length === 0) return [];
+
+  const enrollments = await PathEnrollment.find({
+    userId,
+    pathId: { $in: paths.map(path => path._id) },
+    status: { $in: ['active', 'completed'] }
+  });
+
+  const synced = [];
+  for (const enrollment of enrollments) {
+    const path = paths.find(candidate => candidate._id.equals(enrollment.pathId));
+    synced.push(await syncPathEnrollment(enrollment, path));
+  }
+  return synced;
+};
+
+// Problems with a path's course list, or null when it is usable
+const validatePathCourses = async (courses) => {
+  if (!Array.isArray(courses) || courses.length === 0) {
+    return 'A learning path needs at least one course';
+  }
+
+  const ids = courses.map(entry => (entry?.courseId || '').toString());
+  if (new Set(ids).size !== ids.length) {
+    return 'Each course can only appear once in a path';
+  }
+
+  try {
+    const found = await Course.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return 'One or more courses do not exist';
+    }
+  } catch (error) {
+    if (error.name === 'CastError') return 'Each course needs a valid courseId';
+    throw error;
+  }
+
+  return null;
+};
+
+// Course list in the order given, with order numbers filled in
+const normalizePathCourses = (courses) =>
+  courses.map((entry, index) => ({ courseId: entry.courseId, order: index + 1 }));
+
+module.exports = {
+  computePathProgress,
+  syncPathEnrollment,
+  enrollInPath,
+  handleCourseProgress,
+  validatePathCourses,
+  normalizePathCourses
+};
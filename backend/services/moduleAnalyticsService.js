@@ -0,0 +1,146 @@
+/**
+ * ModuleAnalyticsService - Scheduled aggregation of Module.analytics
+ *
+ * Rolls ModuleProgress.contentProgress up into each module's completion rate,
+ * average time and score, and a per-content drop-off funnel. The background
+ * job keeps these stored numbers fresh so the instructor view doesn't rebuild
+ * them on every request.
+ */
+
+const Module = require('../models/Module');
+const ModuleProgress = require('../models/ModuleProgress');
+
+// A learner who hasn't opened an unfinished module for this long has abandoned it
+const ABANDON_AFTER_DAYS = 7;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const isModuleCompleted = (progress) => progress.status === 'completed' || progress.completionPercentage >= 100;
+
+const hasStarted = (contentProgress) => Boolean(contentProgress) &&
+  (contentProgress.isCompleted || contentProgress.status !== 'not-started' || contentProgress.timeSpent > 0);
+
+const hasCompleted = (contentProgress) => Boolean(contentProgress) &&
+  (contentProgress.isCompleted || contentProgress.status === 'completed');
+
+// Mean best percentage over the items a learner was scored on (a 0% counts)
+const learnerScore = (progress) => {
+  const scores = (progress.contentProgress || [])
+    .filter(cp => cp.scores && cp.scores.length > 0)
+    .map(cp => cp.bestScore.percentage || 0);
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+};
+
+/**
+ * Per-content funnel over the module's contents in order. For each item:
+ * - reached: learners who started this item or a later one, or finished the module
+ * - started / completed: learners who started or completed this item
+ * - stopped: learners whose furthest item is this one and who abandoned the module
+ * - dropoffRate: stopped as a percentage of reached
+ */
+const buildDropoffFunnel = (contents, progressRecords, { now = new Date() } = {}) => {
+  const ordered = [...contents].sort((a, b) => a.order - b.order);
+  const abandonedBefore = now.getTime() - ABANDON_AFTER_DAYS * 24 * 60 * 60 * 1000;
+
+  const learners = progressRecords.map(progress => {
+    const byContent = new Map((progress.contentProgress || []).map(cp => [cp.contentId, cp]));
+    let furthest = -1;
+    ordered.forEach((content, index) => {
+      if (hasStarted(byContent.get(content.contentId))) furthest = index;
+    });
+    const completed = isModuleCompleted(progress);
+    const lastAccess = progress.lastAccessedAt ? new Date(progress.lastAccessedAt).getTime() : 0;
+    return { byContent, furthest, completed, abandoned: !completed && lastAccess < abandonedBefore };
+  });
+
+  return ordered.map((content, index) => {
+    const reached = learners.filter(learner => learner.completed || learner.furthest >= index).length;
+    const stopped = learners.filter(learner => learner.abandoned && learner.furthest === index).length;
+    return {
+      contentId: content.contentId,
+      title: content.title,
+      type: content.type,
+      order: content.order,
+      reached,
+      started: learners.filter(learner => hasStarted(learner.byContent.get(content.contentId))).length,
+      completed: learners.filter(learner => hasCompleted(learner.byContent.get(content.contentId))).length,
+      stopped,
+      dropoffRate: reached > 0 ? round((stopped / reached) * 100) : 0
+    };
+  });
+};
+
+// Module.analytics from a module and every learner's ModuleProgress for it
+const computeModuleAnalytics = (module, progressRecords, options = {}) => {
+  const total = progressRecords.length;
+  const timed = progressRecords.filter(progress => progress.totalTimeSpent > 0);
+  const scores = progressRecords.map(learnerScore).filter(score => score !== null);
+
+  return {
+    totalEnrollments: total,
+    completionRate: total > 0 ? round((progressRecords.filter(isModuleCompleted).length / total) * 100) : 0,
+    averageTimeSpent: timed.length > 0
+      ? round(timed.reduce((sum, progress) => sum + progress.totalTimeSpent, 0) / timed.length / 60)
+      : 0,
+    averageScore: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+    dropoffPoints: buildDropoffFunnel(module.contents || [], progressRecords, options),
+    lastComputedAt: options.now || new Date()
+  };
+};
+
+// Recompute and store one module's analytics; returns them, or null if the module is gone
+const refreshModuleAnalytics = async (moduleId) => {
+  const module = await Module.findById(moduleId).select('contents.contentId contents.title contents.type contents.order');
+  if (!module) return null;
+
+  const progressRecords = await ModuleProgress.find({ moduleId })
+    .select('status completionPercentage totalTimeSpent lastAccessedAt contentProgress.contentId contentProgress.status contentProgress.isCompleted contentProgress.timeSpent contentProgress.scores contentProgress.bestScore')
+    .lean();
+
+  const analytics = computeModuleAnalytics(module, progressRecords);
+  // updateOne so the aggregation doesn't count as an edit (lastUpdated, revisions)
+  await Module.updateOne({ _id: moduleId }, { $set: { analytics } });
+  return analytics;
+};
+
+// Refresh every module that has learner progress
+const refreshAllModuleAnalytics = async () => {
+  const moduleIds = await ModuleProgress.distinct('moduleId');
+
+  let refreshed = 0;
+  for (const moduleId of moduleIds) {
+    try {
+      if (await refreshModuleAnalytics(moduleId)) refreshed += 1;
+    } catch (error) {
+      console.error(`Error refreshing analytics for module ${moduleId}:`, error);
+    }
+  }
+
+  return refreshed;
+};
+
+// Run the aggregation periodically for the lifetime of the server
+const scheduleModuleAnalyticsRefresh = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    refreshAllModuleAnalytics()
+      .then(count => {
+        if (count > 0) {
+          console.log(`📊 Refreshed analytics for ${count} module(s)`);
+        }
+      })
+      .catch(error => console.error('Error refreshing module analytics:', error));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the aggregation
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ABANDON_AFTER_DAYS,
+  buildDropoffFunnel,
+  computeModuleAnalytics,
+  refreshModuleAnalytics,
+  refreshAllModuleAnalytics,
+  scheduleModuleAnalyticsRefresh
+};
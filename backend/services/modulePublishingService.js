@@ -0,0 +1,137 @@
+/**
+ * ModulePublishingService - Review and publishing workflow for modules
+ *
+ * A module moves draft → review → approved → published, and can be archived
+ * from any state. The course instructor submits, publishes and archives;
+ * approving and rejecting (back to draft, with a comment) is for admins.
+ * Students only ever see published modules.
+ */
+
+const Module = require('../models/Module');
+
+const MODULE_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'review', roles: ['instructor', 'admin'] },
+  approve: { from: ['review'], to: 'approved', roles: ['admin'] },
+  reject: { from: ['review', 'approved'], to: 'draft', roles: ['admin'], requiresComment: true },
+  publish: { from: ['approved'], to: 'published', roles: ['instructor', 'admin'] },
+  archive: { from: ['draft', 'review', 'approved', 'published'], to: 'archived', roles: ['instructor', 'admin'] },
+  restore: { from: ['archived'], to: 'draft', roles: ['instructor', 'admin'] }
+};
+
+// Where an edit sends a module: the approval was for the old content. A published
+// module goes back into review, so the change reaches students only once approved again.
+const EDIT_RESETS_STATUSES = { review: 'draft', approved: 'draft', published: 'review' };
+
+// Workflow fields that only change through a transition
+const WORKFLOW_FIELDS = ['status', 'approvedBy', 'approvedAt', 'submittedBy', 'submittedAt', 'reviewHistory'];
+
+const isModuleVisibleToStudents = (module) => module.status === 'published';
+
+// Why this transition can't happen, as { status, message }, or null when it can
+const checkTransition = (module, action, { role, comment } = {}) => {
+  const transition = MODULE_TRANSITIONS[action];
+  if (!transition) {
+    return { status: 400, message: `Unknown action. Use one of: ${Object.keys(MODULE_TRANSITIONS).join(', ')}` };
+  }
+  if (!transition.roles.includes(role)) {
+    return { status: 403, message: `Only ${transition.roles.join(' or ')}s can ${action} modules` };
+  }
+  if (!transition.from.includes(module.status)) {
+    return { status: 400, message: `Cannot ${action} a module that is ${module.status}` };
+  }
+  if (transition.requiresComment && !(typeof comment === 'string' && comment.trim())) {
+    return { status: 400, message: 'A comment is required to explain what needs to change' };
+  }
+  return null;
+};
+
+// Move the module to the transition's status and record who did it
+const applyTransition = (module, action, { userId, comment, at = new Date() } = {}) => {
+  const transition = MODULE_TRANSITIONS[action];
+  const fromStatus = module.status;
+
+  module.status = transition.to;
+  if (action === 'submit') {
+    module.submittedBy = userId;
+    module.submittedAt = at;
+  }
+  if (action === 'approve') {
+    module.approvedBy = userId;
+    module.approvedAt = at;
+  }
+  if (action === 'reject' || action === 'restore') {
+    module.approvedBy = undefined;
+    module.approvedAt = undefined;
+  }
+
+  module.reviewHistory = [
+    ...(module.reviewHistory || []),
+    { action, fromStatus, toStatus: transition.to, comment: comment ? comment.trim() : undefined, by: userId, at }
+  ];
+  return module;
+};
+
+// Actions this role could take on the module right now
+const getAvailableActions = (module, role) =>
+  Object.keys(MODULE_TRANSITIONS).filter(action => {
+    const transition = MODULE_TRANSITIONS[action];
+    return transition.roles.includes(role) && transition.from.includes(module.status);
+  });
+
+// Update that sends an edited module back to draft (or published back to review), or null
+const getEditResetUpdate = (status, userId, at = new Date()) => {
+  const toStatus = EDIT_RESETS_STATUSES[status];
+  if (!toStatus) return null;
+  return {
+    $set: { status: toStatus, ...(toStatus === 'review' ? { submittedBy: userId, submittedAt: at } : {}) },
+    $unset: { approvedBy: 1, approvedAt: 1 },
+    $push: { reviewHistory: { action: 'edit', fromStatus: status, toStatus, by: userId, at } }
+  };
+};
+
+/**
+ * One-off backfill for modules stored before the workflow: they were all left
+ * in the old default 'draft' although students were using them, so active ones
+ * are published. Marks every legacy module so it only runs once per module.
+ * Returns how many modules were published.
+ */
+const migrateLegacyModules = async (at = new Date()) => {
+  const legacy = { publishingWorkflow: { $exists: false } };
+  const published = await Module.updateMany(
+    { ...legacy, status: 'draft', 'settings.isActive': { $ne: false } },
+    {
+      $set: { status: 'published', publishingWorkflow: true },
+      $push: {
+        reviewHistory: {
+          action: 'publish',
+          fromStatus: 'draft',
+          toStatus: 'published',
+          comment: 'Published when the review workflow was introduced',
+          at
+        }
+      }
+    }
+  );
+  await Module.updateMany(legacy, { $set: { publishingWorkflow: true } });
+  return published.modifiedCount;
+};
+
+// The latest rejection comment, when that is why the module is back in draft
+const getChangesRequested = (module) => {
+  const history = module.reviewHistory || [];
+  const last = history[history.length - 1];
+  return module.status === 'draft' && last && last.action === 'reject' ? last : null;
+};
+
+module.exports = {
+  MODULE_TRANSITIONS,
+  EDIT_RESETS_STATUSES,
+  WORKFLOW_FIELDS,
+  isModuleVisibleToStudents,
+  checkTransition,
+  applyTransition,
+  getAvailableActions,
+  getEditResetUpdate,
+  getChangesRequested,
+  migrateLegacyModules
+};
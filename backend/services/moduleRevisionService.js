@@ -0,0 +1,192 @@
+/**
+ * ModuleRevisionService - Version history for module content
+ *
+ * Every change to a module's content is saved as a ModuleRevision snapshot with
+ * a semantic version bump: major when content items are added, removed or change
+ * type, or the assessment changes (earlier progress may no longer line up);
+ * minor when a content item is edited; patch for module details only.
+ * Rolling back restores an old snapshot as a new version - history is never rewritten.
+ */
+
+const ModuleRevision = require('../models/ModuleRevision');
+
+// Module fields that make up its content; workflow, analytics and ownership are not versioned
+const VERSIONED_FIELDS = [
+  'title',
+  'description',
+  'learningObjectives',
+  'difficulty',
+  'tags',
+  'category',
+  'contents',
+  'prerequisites',
+  'assessment',
+  'settings'
+];
+
+const BUMP_LEVELS = ['major', 'minor', 'patch'];
+
+// Drop ids and timestamps so equal content compares equal
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString(); // ObjectId
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      if (['_id', 'id', '__v', 'createdAt', 'updatedAt'].includes(key)) return;
+      const normalized = normalize(value[key]);
+      if (normalized !== null) result[key] = normalized;
+    });
+    return result;
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Plain copy of the versioned fields of a module
+const buildSnapshot = (module) => {
+  const data = module.toObject ? module.toObject({ virtuals: false, depopulate: true }) : module;
+  const snapshot = {};
+  VERSIONED_FIELDS.forEach(field => {
+    snapshot[field] = normalize(data[field]);
+  });
+  return snapshot;
+};
+
+// Field-level differences between two values, as [{ path, from, to }]
+const diffValues = (path, from, to, changes = []) => {
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(from) && isObject(to)) {
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+      diffValues(path ? `${path}.${key}` : key, from[key], to[key], changes);
+    });
+  } else if (!isEqual(from ?? null, to ?? null)) {
+    changes.push({ path, from: from ?? null, to: to ?? null });
+  }
+  return changes;
+};
+
+/**
+ * Differences between two snapshots. Content items are matched by contentId, so a
+ * reordered or edited item shows as a change rather than a removal plus an addition.
+ */
+const diffSnapshots = (from = {}, to = {}) => {
+  const fields = [];
+  VERSIONED_FIELDS.filter(field => field !== 'contents').forEach(field => {
+    diffValues(field, from[field], to[field], fields);
+  });
+
+  const fromContents = new Map((from.contents || []).map(content => [content.contentId, content]));
+  const toContents = new Map((to.contents || []).map(content => [content.contentId, content]));
+
+  const contents = { added: [], removed: [], changed: [] };
+  toContents.forEach((content, contentId) => {
+    const previous = fromContents.get(contentId);
+    if (!previous) {
+      contents.added.push({ contentId, title: content.title, type: content.type });
+    } else if (!isEqual(previous, content)) {
+      contents.changed.push({
+        contentId,
+        title: content.title,
+        typeChanged: previous.type !== content.type,
+        fields: diffValues('', previous, content)
+      });
+    }
+  });
+  fromContents.forEach((content, contentId) => {
+    if (!toContents.has(contentId)) {
+      contents.removed.push({ contentId, title: content.title, type: content.type });
+    }
+  });
+
+  return {
+    fields,
+    contents,
+    hasChanges: fields.length > 0 || contents.added.length > 0 || contents.removed.length > 0 || contents.changed.length > 0
+  };
+};
+
+// The bump a diff calls for, or null when nothing changed
+const getBumpLevel = (diff) => {
+  if (!diff.hasChanges) return null;
+  const { contents, fields } = diff;
+  if (contents.added.length > 0 || contents.removed.length > 0 ||
+      contents.changed.some(change => change.typeChanged) ||
+      fields.some(change => change.path.startsWith('assessment'))) {
+    return 'major';
+  }
+  return contents.changed.length > 0 ? 'minor' : 'patch';
+};
+
+const bumpVersion = (version, level) => {
+  const [major = 1, minor = 0, patch = 0] = String(version || '1.0.0').split('.').map(part => parseInt(part, 10) || 0);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+// Top-level names of what changed, for the revision list
+const summarizeChanges = (diff) => {
+  const names = new Set(diff.fields.map(change => change.path.split('.')[0]));
+  if (diff.contents.added.length || diff.contents.removed.length || diff.contents.changed.length) {
+    names.add('contents');
+  }
+  return [...names];
+};
+
+// First snapshot of a module (on creation, or before the first tracked edit of an older module)
+const recordInitialRevision = async (module, { userId } = {}) => {
+  const existing = await ModuleRevision.findOne({ moduleId: module._id, version: module.version || '1.0.0' });
+  if (existing) return existing;
+
+  return ModuleRevision.create({
+    moduleId: module._id,
+    courseId: module.courseId._id || module.courseId,
+    version: module.version || '1.0.0',
+    changeType: 'initial',
+    snapshot: buildSnapshot(module),
+    createdBy: userId || module.createdBy
+  });
+};
+
+/**
+ * Record a change from previousSnapshot to the module's current content.
+ * level overrides the detected bump; returns null when the content did not change.
+ * The caller saves the returned version on the module.
+ */
+const recordRevision = async (module, previousSnapshot, { userId, changeNote, level, restoredFrom } = {}) => {
+  const snapshot = buildSnapshot(module);
+  const diff = diffSnapshots(previousSnapshot, snapshot);
+  const detected = getBumpLevel(diff);
+  if (!detected) return null;
+
+  const changeType = BUMP_LEVELS.includes(level) ? level : detected;
+  const previousVersion = module.version || '1.0.0';
+
+  return ModuleRevision.create({
+    moduleId: module._id,
+    courseId: module.courseId._id || module.courseId,
+    version: bumpVersion(previousVersion, changeType),
+    previousVersion,
+    changeType,
+    changedFields: summarizeChanges(diff),
+    changeNote,
+    restoredFrom,
+    snapshot,
+    createdBy: userId
+  });
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  BUMP_LEVELS,
+  buildSnapshot,
+  diffSnapshots,
+  getBumpLevel,
+  bumpVersion,
+  recordInitialRevision,
+  recordRevision
+};
@@ -0,0 +1,144 @@
+/**
+ * PrerequisiteService - Course prerequisites checked at enrollment
+ *
+ * Course.prerequisiteCourses lists the courses a student must have completed,
+ * each with an optional minimum final grade (LearningProgress.grade). Completed
+ * means LearningProgress.isCompleted or 100% completion.
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const LearningProgress = require('../models/LearningProgress');
+
+const isCompleted = (progress) => !!progress && (progress.isCompleted || progress.completionPercentage >= 100);
+
+// Human-readable line for a missing prerequisite
+const describeMissing = (entry) => {
+  switch (entry.reason) {
+    case 'not-completed':
+      return `Complete "${entry.title}"`;
+    case 'grade-too-low':
+      return `Finish "${entry.title}" with at least ${entry.minimumGrade}% (your grade: ${entry.grade ?? 'not graded yet'})`;
+    default:
+      return entry.minimumGrade != null
+        ? `Take and complete "${entry.title}" with at least ${entry.minimumGrade}%`
+        : `Take and complete "${entry.title}"`;
+  }
+};
+
+// Compare prerequisites against a student's progress records (keyed by course id).
+// Returns the unmet prerequisites; an empty list means the student may enroll.
+const findMissingPrerequisites = (prerequisites, progressByCourse, titles = {}) => {
+  const missing = [];
+
+  prerequisites.forEach(({ courseId, minimumGrade = null }) => {
+    const id = courseId.toString();
+    const progress = progressByCourse[id];
+    const entry = { courseId: id, title: titles[id] || 'a prerequisite course', minimumGrade };
+
+    if (!progress) {
+      missing.push({ ...entry, reason: 'not-enrolled' });
+    } else if (!isCompleted(progress)) {
+      missing.push({ ...entry, reason: 'not-completed' });
+    } else if (minimumGrade != null && !(progress.grade >= minimumGrade)) {
+      missing.push({ ...entry, reason: 'grade-too-low', grade: progress.grade ?? null });
+    }
+  });
+
+  return missing.map(entry => ({ ...entry, message: describeMissing(entry) }));
+};
+
+// Unmet prerequisites of a course for one student
+const checkCoursePrerequisites = async (course, userId) => {
+  const prerequisites = course.prerequisiteCourses || [];
+  if (prerequisites.length === 0) {
+    return { met: true, missing: [] };
+  }
+
+  const courseIds = prerequisites.map(prerequisite => prerequisite.courseId);
+  const [progresses, courses] = await Promise.all([
+    LearningProgress.find({ userId, courseId: { $in: courseIds } }).select('courseId isCompleted completionPercentage grade'),
+    Course.find({ _id: { $in: courseIds } }).select('title')
+  ]);
+
+  const progressByCourse = {};
+  progresses.forEach(progress => {
+    progressByCourse[progress.courseId.toString()] = progress;
+  });
+  const titles = {};
+  courses.forEach(prerequisiteCourse => {
+    titles[prerequisiteCourse._id.toString()] = prerequisiteCourse.title;
+  });
+
+  const missing = findMissingPrerequisites(prerequisites, progressByCourse, titles);
+  return { met: missing.length === 0, missing };
+};
+
+// Problems with a prerequisiteCourses list for a course, or null when it is usable.
+// Rejects unknown courses, duplicates, the course itself and prerequisite cycles.
+const validatePrerequisiteCourses = async (prerequisites, courseId) => {
+  if (!Array.isArray(prerequisites)) {
+    return 'Prerequisite courses must be a list';
+  }
+
+  const seen = new Set();
+  for (const prerequisite of prerequisites) {
+    const id = prerequisite?.courseId?.toString();
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return 'Each prerequisite needs a valid courseId';
+    }
+    if (courseId && id === courseId.toString()) {
+      return 'A course cannot be its own prerequisite';
+    }
+    if (seen.has(id)) {
+      return 'Each prerequisite course can only be listed once';
+    }
+    seen.add(id);
+
+    const { minimumGrade } = prerequisite;
+    if (minimumGrade !== undefined && minimumGrade !== null &&
+        (typeof minimumGrade !== 'number' || minimumGrade < 0 || minimumGrade > 100)) {
+      return 'Minimum grade must be between 0 and 100';
+    }
+  }
+
+  if (seen.size === 0) {
+    return null;
+  }
+
+  const found = await Course.countDocuments({ _id: { $in: [...seen] } });
+  if (found !== seen.size) {
+    return 'One or more prerequisite courses do not exist';
+  }
+
+  // Walk the prerequisite chain; reaching this course again means a cycle
+  if (courseId) {
+    const target = courseId.toString();
+    const visited = new Set();
+    let frontier = [...seen];
+    while (frontier.length > 0) {
+      const courses = await Course.find({ _id: { $in: frontier } }).select('prerequisiteCourses');
+      frontier = [];
+      for (const course of courses) {
+        for (const { courseId: nextId } of course.prerequisiteCourses || []) {
+          const next = nextId.toString();
+          if (next === target) {
+            return 'These prerequisites would make the course require itself';
+          }
+          if (!visited.has(next)) {
+            visited.add(next);
+            frontier.push(next);
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  findMissingPrerequisites,
+  checkCoursePrerequisites,
+  validatePrerequisiteCourses
+};
@@ -0,0 +1,138 @@
+/**
+ * QuestionBankService - Links quizzes and module quiz content to bank questions
+ *
+ * Quiz questions that reference a bank question keep a copy of its content
+ * from when they were linked, but are resolved against the bank whenever a
+ * quiz is taken or graded. Attempts record the bank version they were given,
+ * so later edits to the bank never change what a past attempt shows.
+ */
+
+const Question = require('../models/Question');
+
+// Versioned fields copied from a bank question onto a quiz question
+const RESOLVED_FIELDS = ['type', 'question', 'options', 'correctAnswer', 'matchMode', 'tolerance', 'partialCredit', 'explanation'];
+
+const loadBankQuestions = async (ids) => {
+  const uniqueIds = [...new Set(ids.map(id => id.toString()))];
+  if (uniqueIds.length === 0) return new Map();
+
+  const bankQuestions = await Question.find({ _id: { $in: uniqueIds } });
+  return new Map(bankQuestions.map(question => [question._id.toString(), question]));
+};
+
+// Copy bank content onto authored quiz questions before a quiz is saved
+const linkBankQuestions = async (courseId, questions = []) => {
+  const linked = questions.filter(question => question.bankQuestionId);
+  const bank = await loadBankQuestions(linked.map(question => question.bankQuestionId));
+
+  const result = [];
+  for (const question of questions) {
+    if (!question.bankQuestionId) {
+      result.push(question);
+      continue;
+    }
+
+    const bankQuestion = bank.get(question.bankQuestionId.toString());
+    if (!bankQuestion || bankQuestion.courseId.toString() !== courseId.toString()) {
+      return { error: `Bank question ${question.bankQuestionId} was not found in this course` };
+    }
+
+    const content = bankQuestion.getContent();
+    result.push({
+      ...question,
+      ...Object.fromEntries(RESOLVED_FIELDS.map(field => [field, content[field]])),
+      points: question.points || content.points,
+      tags: question.tags && question.tags.length > 0 ? question.tags : bankQuestion.tags,
+      difficulty: question.difficulty || bankQuestion.difficulty,
+      bankVersion: bankQuestion.version
+    });
+  }
+
+  return { questions: result };
+};
+
+// Replace linked quiz questions (in memory) with the bank version an attempt saw,
+// or the current version when there is no attempt yet
+const resolveBankQuestions = async (quiz, attempt) => {
+  const linked = quiz.questions.filter(question => question.bankQuestionId);
+  if (linked.length === 0) return quiz;
+
+  const bank = await loadBankQuestions(linked.map(question => question.bankQuestionId));
+  const seenVersions = attempt && attempt.questionVersions;
+
+  linked.forEach(question => {
+    const bankQuestion = bank.get(question.bankQuestionId.toString());
+    if (!bankQuestion) return; // keep the copy stored on the quiz
+
+    const version = seenVersions && seenVersions.get(question.id);
+    const content = bankQuestion.getVersion(version) || bankQuestion.getContent();
+
+    RESOLVED_FIELDS.forEach(field => {
+      question[field] = content[field];
+    });
+    question.bankVersion = content.version;
+  });
+
+  return quiz;
+};
+
+// Bank version of each linked question, recorded on a new attempt
+const getBankVersions = (quiz) => {
+  const versions = new Map();
+  quiz.questions
+    .filter(question => question.bankQuestionId && question.bankVersion)
+    .forEach(question => versions.set(question.id, question.bankVersion));
+  return versions;
+};
+
+// Module quiz content uses hyphenated types, plain-text options and option indexes
+const toModuleQuestion = (content) => {
+  const options = (content.options || []).map(option => option.text);
+  let correctAnswer = content.correctAnswer;
+
+  if (content.type === 'multiple_choice') {
+    correctAnswer = (content.options || []).findIndex(option => option.isCorrect);
+  }
+  if (content.type === 'multiple_select') {
+    correctAnswer = (content.options || [])
+      .map((option, index) => (option.isCorrect ? index : -1))
+      .filter(index => index >= 0);
+  }
+
+  return {
+    type: content.type.replace(/_/g, '-'),
+    question: content.question,
+    options,
+    correctAnswer,
+    points: content.points,
+    explanation: content.explanation
+  };
+};
+
+// Fill bank-linked questions in a module's quiz contents (plain object from toObject())
+const resolveModuleQuizContent = async (moduleData) => {
+  const quizContents = (moduleData.contents || []).filter(content => content.type === 'quiz' && content.contentData);
+  const linked = quizContents.flatMap(content => (content.contentData.questions || []).filter(question => question.bankQuestionId));
+  if (linked.length === 0) return moduleData;
+
+  const bank = await loadBankQuestions(linked.map(question => question.bankQuestionId));
+
+  linked.forEach(question => {
+    const bankQuestion = bank.get(question.bankQuestionId.toString());
+    if (!bankQuestion) return;
+
+    Object.assign(question, toModuleQuestion(bankQuestion.getContent()), {
+      bankVersion: bankQuestion.version
+    });
+  });
+
+  return moduleData;
+};
+
+module.exports = {
+  linkBankQuestions,
+  resolveBankQuestions,
+  getBankVersions,
+  toModuleQuestion,
+  resolveModuleQuizContent
+};
@@ -0,0 +1,202 @@
+/**
+ * QuestionGraders - STRATEGY PATTERN for scoring quiz answers
+ *
+ * Each question type has a grader with the same interface:
+ *   grade(question, answer) -> { isCorrect, credit, pendingReview }
+ * where credit is the fraction (0..1) of the question's points earned.
+ * New question types are supported by registering another grader.
+ */
+
+const { QUESTION_TYPES, normalizeQuestionType } = require('../constants/questionTypes');
+
+// Lowercase, trim, drop punctuation and collapse whitespace for lenient comparison
+const normalizeText = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}\s.-]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const isBlank = (answer) => answer === undefined || answer === null ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+// Grader interface
+class QuestionGrader {
+  grade(question, answer) {
+    throw new Error('grade() method must be implemented');
+  }
+
+  result(credit) {
+    const bounded = Math.max(0, Math.min(1, credit));
+    return { isCorrect: bounded === 1, credit: bounded, pendingReview: false };
+  }
+}
+
+// One option marked isCorrect; the answer is that option's id
+class SingleChoiceGrader extends QuestionGrader {
+  grade(question, answer) {
+    const correctOption = (question.options || []).find(opt => opt.isCorrect);
+    if (correctOption) {
+      return this.result(correctOption.id === answer ? 1 : 0);
+    }
+
+    // Module quiz content stores the index of the correct option instead
+    if (question.correctAnswer !== undefined && question.correctAnswer !== null) {
+      return this.result(String(question.correctAnswer) === String(answer) ? 1 : 0);
+    }
+
+    return this.result(0);
+  }
+}
+
+// Several correct options; each right pick earns credit, each wrong pick cancels one
+class MultipleSelectGrader extends QuestionGrader {
+  grade(question, answer) {
+    let correctIds = (question.options || []).filter(opt => opt.isCorrect).map(opt => opt.id);
+    let selected = Array.isArray(answer) ? [...new Set(answer)] : [answer];
+
+    // Module quiz content stores the indexes of the correct options instead
+    if (correctIds.length === 0 && Array.isArray(question.correctAnswer)) {
+      correctIds = question.correctAnswer.map(String);
+      selected = [...new Set(selected.map(String))];
+    }
+
+    if (correctIds.length === 0) return this.result(0);
+
+    const rightPicks = selected.filter(id => correctIds.includes(id)).length;
+    const wrongPicks = selected.length - rightPicks;
+
+    if (question.partialCredit === false) {
+      return this.result(rightPicks === correctIds.length && wrongPicks === 0 ? 1 : 0);
+    }
+
+    return this.result((rightPicks - wrongPicks) / correctIds.length);
+  }
+}
+
+// Accepts booleans or their string forms ('true', 'False', ...)
+class TrueFalseGrader extends QuestionGrader {
+  toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      if (normalized === 'true') return true;
+      if (normalized === 'false') return false;
+    }
+    return null;
+  }
+
+  grade(question, answer) {
+    let expected = this.toBoolean(question.correctAnswer);
+
+    // Fall back to a "True"/"False" option marked correct
+    if (expected === null) {
+      const correctOption = (question.options || []).find(opt => opt.isCorrect);
+      expected = correctOption ? this.toBoolean(correctOption.text) : null;
+    }
+
+    const given = this.toBoolean(answer);
+    return this.result(expected !== null && given === expected ? 1 : 0);
+  }
+}
+
+// correctAnswer is one accepted answer or a list of them. A "regex" pattern must
+// match the whole answer; "regex-partial" accepts a match anywhere in it.
+class ShortAnswerGrader extends QuestionGrader {
+  matches(accepted, given, matchMode) {
+    switch (matchMode) {
+      case 'exact':
+        return String(accepted).trim() === given.trim();
+      case 'regex':
+      case 'regex-partial':
+        try {
+          const pattern = matchMode === 'regex' ? `^(?:${accepted})$` : String(accepted);
+          return new RegExp(pattern, 'i').test(given.trim());
+        } catch (error) {
+          return false; // an invalid pattern never matches
+        }
+      default:
+        return normalizeText(accepted) === normalizeText(given);
+    }
+  }
+
+  grade(question, answer) {
+    if (isBlank(answer)) return this.result(0);
+
+    const accepted = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+    const matched = accepted
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .some(value => this.matches(value, String(answer), question.matchMode || 'normalized'));
+
+    return this.result(matched ? 1 : 0);
+  }
+}
+
+// correctAnswer is a number; answers within +/- tolerance are accepted
+class NumericGrader extends QuestionGrader {
+  grade(question, answer) {
+    if (isBlank(answer)) return this.result(0);
+
+    const expected = Number(question.correctAnswer);
+    const given = Number(String(answer).replace(/,/g, '').trim());
+    if (!Number.isFinite(expected) || !Number.isFinite(given)) return this.result(0);
+
+    const tolerance = Math.abs(Number(question.tolerance) || 0);
+    return this.result(Math.abs(given - expected) <= tolerance + 1e-9 ? 1 : 0);
+  }
+}
+
+// Essays cannot be scored automatically; they wait in the manual-grading queue
+class EssayGrader extends QuestionGrader {
+  grade(question, answer) {
+    if (isBlank(answer)) return this.result(0);
+    return { isCorrect: false, credit: 0, pendingReview: true };
+  }
+}
+
+const graders = new Map([
+  ['multiple_choice', new SingleChoiceGrader()],
+  ['multiple_select', new MultipleSelectGrader()],
+  ['true_false', new TrueFalseGrader()],
+  ['short_answer', new ShortAnswerGrader()],
+  ['numeric', new NumericGrader()],
+  ['essay', new EssayGrader()]
+]);
+
+const registerGrader = (type, grader) => {
+  if (!(grader instanceof QuestionGrader)) {
+    throw new Error('Grader must extend QuestionGrader');
+  }
+  graders.set(type, grader);
+};
+
+const getGrader = (type) => {
+  const grader = graders.get(normalizeQuestionType(type));
+  if (!grader) {
+    throw new Error(`No grader registered for question type "${type}"`);
+  }
+  return grader;
+};
+
+// Grade one answer and convert credit into points
+const gradeQuestion = (question, answer) => {
+  const outcome = getGrader(question.type).grade(question, answer);
+  const points = question.points || 1;
+
+  return {
+    ...outcome,
+    pointsEarned: Math.round(outcome.credit * points * 100) / 100
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  QuestionGrader,
+  normalizeQuestionType,
+  normalizeText,
+  registerGrader,
+  getGrader,
+  gradeQuestion
+};
@@ -0,0 +1,284 @@
+/**
+ * QuizAttemptService - Grading and lifecycle helpers for quiz attempts
+ *
+ * Shared by the quiz controller (start/pause/resume/submit) and the
+ * background sweep that auto-submits attempts whose time limit has run out.
+ */
+
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Course = require('../models/Course');
+const LearningProgress = require('../models/LearningProgress');
+const { gradeQuestion } = require('./questionGraders');
+const { getAttemptQuestions, getAttemptTotalPoints } = require('./quizRandomizer');
+const { resolveBankQuestions } = require('./questionBankService');
+const { updateStudentCourseGrade } = require('./gradebookService');
+const { recordQuizAttempt } = require('./xapiService');
+const { recordLearningActivity } = require('./learningActivityService');
+
+// Seconds of network latency tolerated when a submission arrives after the deadline
+const SUBMISSION_GRACE_SECONDS = 30;
+
+// Grade a map of questionId -> answer against the quiz answer key
+const gradeAnswers = (quiz, answers) => {
+  const processedAnswers = [];
+  let pointsEarned = 0;
+
+  for (const [questionId, userAnswer] of Object.entries(answers || {})) {
+    const question = quiz.questions.find(q => q.id === questionId);
+    if (!question) continue;
+
+    const outcome = gradeQuestion(question, userAnswer);
+    pointsEarned += outcome.pointsEarned;
+
+    processedAnswers.push({
+      questionId,
+      selectedAnswer: userAnswer,
+      isCorrect: outcome.isCorrect,
+      pointsEarned: outcome.pointsEarned,
+      pendingReview: outcome.pendingReview
+    });
+  }
+
+  return {
+    processedAnswers,
+    pointsEarned: Math.round(pointsEarned * 100) / 100,
+    needsManualGrading: processedAnswers.some(answer => answer.pendingReview)
+  };
+};
+
+// Store answers on an active attempt without grading them
+const recordAnswers = (attempt, quiz, answers = {}, { timeSpentPerQuestion, currentQuestion } = {}) => {
+  const attemptQuestions = getAttemptQuestions(quiz, attempt);
+
+  for (const [questionId, selectedAnswer] of Object.entries(answers || {})) {
+    // Ignore questions that were not drawn for this attempt
+    if (!attemptQuestions.some(q => q.id === questionId)) continue;
+
+    const existing = attempt.answers.find(answer => answer.questionId === questionId);
+    if (existing) {
+      existing.selectedAnswer = selectedAnswer;
+    } else {
+      attempt.answers.push({ questionId, selectedAnswer });
+    }
+
+    if (!attempt.quizState.answeredQuestions.includes(questionId)) {
+      attempt.quizState.answeredQuestions.push(questionId);
+    }
+  }
+
+  if (timeSpentPerQuestion) {
+    if (!attempt.quizState.timeSpentPerQuestion) {
+      attempt.quizState.timeSpentPerQuestion = new Map();
+    }
+    for (const [questionId, seconds] of Object.entries(timeSpentPerQuestion)) {
+      if (typeof seconds === 'number' && seconds >= 0) {
+        attempt.quizState.timeSpentPerQuestion.set(questionId, seconds);
+      }
+    }
+  }
+
+  if (Number.isInteger(currentQuestion) && currentQuestion >= 0) {
+    attempt.currentQuestion = currentQuestion;
+    attempt.quizState.currentQuestion = currentQuestion;
+  }
+
+  attempt.updateTimeRemaining();
+  return attempt;
+};
+
+// Credit course progress and learning hours once a quiz is passed
+const recordPassedQuiz = async (userId, quiz, percentage, timeSpentMinutes) => {
+  const progress = await LearningProgress.findOne({
+    userId,
+    courseId: quiz.courseId
+  });
+
+  if (!progress) return;
+
+  // Update time tracking and last access date for analytics
+  progress.totalTimeSpent = (progress.totalTimeSpent || 0) + timeSpentMinutes;
+  progress.lastAccessDate = new Date();
+
+  if (!progress.isCompleted) {
+    const course = await Course.findById(quiz.courseId);
+    const totalModules = course.syllabus ? course.syllabus.length : 0;
+    const completedModules = progress.modulesCompleted ? progress.modulesCompleted.length : 0;
+
+    if (totalModules > 0 && completedModules >= totalModules) {
+      progress.isCompleted = true;
+      progress.completionDate = new Date();
+      progress.completionPercentage = 100;
+
+      const hasCompletionAchievement = progress.achievements.some(a => a.type === 'course_completed');
+      if (!hasCompletionAchievement) {
+        progress.achievements.push({
+          type: 'course_completed',
+          description: `Completed ${course.title} with quiz score of ${percentage}%`
+        });
+      }
+    }
+  }
+
+  await progress.save();
+};
+
+// Grade the answers saved on an attempt and close it with the given status
+const finalizeAttempt = async (attempt, quiz, status = 'submitted', { timeSpentMinutes } = {}) => {
+  const savedAnswers = {};
+  attempt.answers.forEach(answer => {
+    savedAnswers[answer.questionId] = answer.selectedAnswer;
+  });
+
+  const { processedAnswers, pointsEarned, needsManualGrading } = gradeAnswers(quiz, savedAnswers);
+  const timeSpentPerQuestion = attempt.quizState && attempt.quizState.timeSpentPerQuestion;
+
+  attempt.answers = processedAnswers.map(answer => ({
+    ...answer,
+    timeSpent: timeSpentPerQuestion ? timeSpentPerQuestion.get(answer.questionId) : undefined
+  }));
+  attempt.totalPoints = getAttemptTotalPoints(quiz, attempt);
+  attempt.pointsEarned = pointsEarned;
+  attempt.percentage = attempt.totalPoints > 0 ? Math.round((pointsEarned / attempt.totalPoints) * 100) : 0;
+  // Pending essays only add points, so a pass on the auto-graded part is already final
+  attempt.passed = attempt.percentage >= quiz.passingScore;
+  attempt.needsManualGrading = needsManualGrading;
+  attempt.timeRemaining = attempt.getRemainingTime();
+  attempt.status = status;
+  attempt.submittedAt = new Date();
+
+  await attempt.save();
+  recordQuizAttempt(quiz, attempt);
+
+  const minutes = timeSpentMinutes !== undefined
+    ? timeSpentMinutes
+    : Math.max(1, Math.round(attempt.getElapsedSeconds() / 60));
+  recordLearningActivity(attempt.userId, {
+    minutes,
+    items: { quizzesSubmitted: 1 },
+    courseId: attempt.courseId,
+    at: attempt.submittedAt
+  }).catch(error => {
+    console.error('Error recording learning activity:', error.message);
+  });
+
+  if (attempt.passed) {
+    await recordPassedQuiz(attempt.userId, quiz, attempt.percentage, minutes);
+  }
+  await updateStudentCourseGrade(attempt.userId, attempt.courseId);
+
+  return attempt;
+};
+
+// Record an instructor's score for a manually graded answer and re-total the attempt.
+// Only answers of a submitted attempt that are still waiting for review can be graded.
+const gradeManualAnswer = async (attempt, quiz, questionId, { pointsEarned, feedback, gradedBy }) => {
+  const answer = attempt.answers.find(entry => entry.questionId === questionId);
+  const question = quiz.questions.find(q => q.id === questionId);
+  if (!answer || !question || !answer.pendingReview || !attempt.isCompleted()) return null;
+
+  const maxPoints = question.points || 1;
+  const wasPassed = attempt.passed;
+
+  answer.pointsEarned = Math.min(Math.max(Number(pointsEarned) || 0, 0), maxPoints);
+  answer.isCorrect = answer.pointsEarned === maxPoints;
+  answer.pendingReview = false;
+  answer.feedback = feedback;
+  answer.gradedBy = gradedBy;
+  answer.gradedAt = new Date();
+
+  attempt.pointsEarned = Math.round(attempt.answers.reduce((sum, entry) => sum + (entry.pointsEarned || 0), 0) * 100) / 100;
+  attempt.percentage = attempt.totalPoints > 0 ? Math.round((attempt.pointsEarned / attempt.totalPoints) * 100) : 0;
+  attempt.passed = attempt.percentage >= quiz.passingScore;
+  attempt.needsManualGrading = attempt.answers.some(entry => entry.pendingReview);
+
+  await attempt.save();
+
+  if (attempt.passed && !wasPassed) {
+    const finishedAt = attempt.submittedAt || new Date();
+    const minutes = Math.max(1, Math.round((finishedAt - attempt.startedAt) / 60000));
+    await recordPassedQuiz(attempt.userId, quiz, attempt.percentage, minutes);
+  }
+  await updateStudentCourseGrade(attempt.userId, attempt.courseId);
+
+  return attempt;
+};
+
+// Apply the final answers from a submission, honouring the time limit
+const submitAttempt = async (attempt, quiz, answers, options = {}) => {
+  if (attempt.isTimeExpired(SUBMISSION_GRACE_SECONDS)) {
+    // Answers sent after the deadline are ignored; only autosaved answers count
+    return finalizeAttempt(attempt, quiz, 'auto_submitted', options);
+  }
+
+  recordAnswers(attempt, quiz, answers);
+  return finalizeAttempt(attempt, quiz, attempt.isTimeExpired() ? 'auto_submitted' : 'submitted', options);
+};
+
+// Close every active attempt whose time limit has elapsed. Paused attempts
+// expire too once they have been paused past their pause allowance.
+const autoSubmitExpiredAttempts = async (now = Date.now()) => {
+  // Necessary condition for both statuses (credited pauses only push expiry later);
+  // isTimeExpired below settles the current pause of paused attempts
+  const expiredAttempts = await QuizAttempt.find({
+    status: { $in: ['in_progress', 'paused'] },
+    timeLimit: { $gt: 0 },
+    $expr: {
+      $lte: [
+        {
+          $add: [
+            '$startedAt',
+            { $multiply: [{ $add: [{ $multiply: ['$timeLimit', 60] }, { $ifNull: ['$pausedDuration', 0] }] }, 1000] }
+          ]
+        },
+        new Date(now)
+      ]
+    }
+  });
+
+  let submitted = 0;
+  for (const attempt of expiredAttempts) {
+    if (!attempt.isTimeExpired(0, now)) continue;
+    try {
+      const quiz = await Quiz.findById(attempt.quizId);
+      if (!quiz) continue;
+
+      await resolveBankQuestions(quiz, attempt);
+      await finalizeAttempt(attempt, quiz, 'auto_submitted');
+      submitted += 1;
+    } catch (error) {
+      console.error(`Error auto-submitting quiz attempt ${attempt._id}:`, error);
+    }
+  }
+
+  return submitted;
+};
+
+// Run the expired-attempt sweep periodically for the lifetime of the server
+const scheduleExpiredAttemptSweep = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    autoSubmitExpiredAttempts()
+      .then(count => {
+        if (count > 0) {
+          console.log(`⏱️ Auto-submitted ${count} expired quiz attempt(s)`);
+        }
+      })
+      .catch(error => console.error('Error sweeping expired quiz attempts:', error));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SUBMISSION_GRACE_SECONDS,
+  gradeAnswers,
+  recordAnswers,
+  recordPassedQuiz,
+  finalizeAttempt,
+  gradeManualAnswer,
+  submitAttempt,
+  autoSubmitExpiredAttempts,
+  scheduleExpiredAttemptSweep
+};
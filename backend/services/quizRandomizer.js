@@ -0,0 +1,109 @@
+/**
+ * QuizRandomizer - Seeded question draws and ordering for quiz attempts
+ *
+ * An attempt stores its seed together with the resulting question and option
+ * order, so a resumed attempt shows the same layout and reviewers can see
+ * exactly what the student saw even after the quiz is edited.
+ */
+
+const crypto = require('crypto');
+
+const createSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+// mulberry32: small, fast PRNG that is fully determined by its 32-bit seed
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle driven by the given random source; returns a new array
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const matchesPool = (question, pool) => {
+  const tagMatch = !pool.tags || pool.tags.length === 0 ||
+    (question.tags || []).some(tag => pool.tags.includes(tag));
+  const difficultyMatch = !pool.difficulty || question.difficulty === pool.difficulty;
+  return tagMatch && difficultyMatch;
+};
+
+// Draw each pool's questions in turn; a question is drawn at most once
+const drawFromPools = (questions, pools, random) => {
+  const drawn = new Set();
+
+  pools.forEach(pool => {
+    const candidates = questions.filter(question => !drawn.has(question.id) && matchesPool(question, pool));
+    shuffle(candidates, random)
+      .slice(0, pool.count)
+      .forEach(question => drawn.add(question.id));
+  });
+
+  // Keep authored order unless the quiz also shuffles questions
+  return questions.filter(question => drawn.has(question.id));
+};
+
+// Build the question and option order for a new attempt
+const buildAttemptLayout = (quiz, seed = createSeed()) => {
+  const random = seededRandom(seed);
+  const pools = quiz.questionPools || [];
+
+  let questions = pools.length > 0
+    ? drawFromPools(quiz.questions, pools, random)
+    : [...quiz.questions];
+
+  if (quiz.randomizeQuestions) {
+    questions = shuffle(questions, random);
+  }
+
+  const optionOrder = new Map();
+  if (quiz.randomizeOptions) {
+    questions.forEach(question => {
+      if (question.options && question.options.length > 1) {
+        optionOrder.set(question.id, shuffle(question.options.map(option => option.id), random));
+      }
+    });
+  }
+
+  return {
+    seed,
+    questionOrder: questions.map(question => question.id),
+    optionOrder
+  };
+};
+
+// Quiz questions in the order an attempt presents them
+const getAttemptQuestions = (quiz, attempt) => {
+  if (!attempt || !attempt.questionOrder || attempt.questionOrder.length === 0) {
+    return quiz.questions;
+  }
+
+  return attempt.questionOrder
+    .map(questionId => quiz.questions.find(question => question.id === questionId))
+    .filter(Boolean);
+};
+
+// Points available in an attempt (pools may draw fewer than all questions)
+const getAttemptTotalPoints = (quiz, attempt) => getAttemptQuestions(quiz, attempt)
+  .reduce((sum, question) => sum + (question.points || 1), 0);
+
+module.exports = {
+  matchesPool,
+  createSeed,
+  seededRandom,
+  shuffle,
+  buildAttemptLayout,
+  getAttemptQuestions,
+  getAttemptTotalPoints
+};
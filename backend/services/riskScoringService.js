@@ -0,0 +1,271 @@
+/**
+ * RiskScoringService - Early-warning detection of students likely to drop out
+ *
+ * Scores each unfinished enrollment from four signals: days without activity,
+ * falling quiz scores, repeated failed quiz attempts and progress behind the
+ * pace set by the course's duration.weeks. The scheduled job stores the score
+ * and reasons on LearningProgress.risk, and the modules a student struggles in
+ * on LearningProgress.moduleProgress.strugglingModules.
+ */
+
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const ModuleProgress = require('../models/ModuleProgress');
+const LearningProgress = require('../models/LearningProgress');
+const LearningActivity = require('../models/LearningActivity');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const SUBMITTED_STATUSES = ['completed', 'submitted', 'auto_submitted'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points per signal; the total is capped at 100
+const RISK_RULES = {
+  inactiveDays: 7,
+  inactivePoints: 20,
+  longInactiveDays: 14,
+  longInactivePoints: 35,
+  fallingScoreDrop: 15, // percentage points between earlier and recent quiz averages
+  fallingScorePoints: 25,
+  failedAttempts: 2, // failures on one quiz that hasn't been passed since
+  failedAttemptsPoints: 25,
+  paceGap: 25, // percentage points behind the expected completion
+  pacePoints: 20
+};
+
+const RISK_LEVELS = { high: 50, medium: 25 };
+
+const levelOf = (score) => {
+  if (score >= RISK_LEVELS.high) return 'high';
+  if (score >= RISK_LEVELS.medium) return 'medium';
+  return 'low';
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Quizzes failed repeatedly and not passed since, oldest attempt first
+const repeatedFailures = (quizAttempts) => {
+  const byQuiz = new Map();
+  quizAttempts.forEach(attempt => {
+    const key = attempt.quizId.toString();
+    if (!byQuiz.has(key)) byQuiz.set(key, []);
+    byQuiz.get(key).push(attempt);
+  });
+
+  return [...byQuiz.entries()]
+    .map(([quizId, attempts]) => {
+      const lastPass = attempts.map(attempt => attempt.passed).lastIndexOf(true);
+      return { quizId, failures: attempts.slice(lastPass + 1).filter(attempt => !attempt.passed).length };
+    })
+    .filter(quiz => quiz.failures >= RISK_RULES.failedAttempts);
+};
+
+const describeAreas = (areas) => {
+  const count = (reason) => areas.filter(area => area.reasons[reason]).length;
+  const parts = [];
+  const items = (n) => `${n} item${n === 1 ? '' : 's'}`;
+  if (count('lowScore')) parts.push(`low scores on ${items(count('lowScore'))}`);
+  if (count('repeatedFailures')) parts.push(`repeated failed attempts on ${items(count('repeatedFailures'))}`);
+  else if (count('manyAttempts')) parts.push(`more than 2 attempts on ${items(count('manyAttempts'))}`);
+  if (count('longDuration')) parts.push(`over twice the expected time on ${items(count('longDuration'))}`);
+  return parts.join(', ');
+};
+
+/**
+ * Risk assessment for one enrollment. Expects:
+ * - progress: the LearningProgress record
+ * - course: with duration.weeks
+ * - quizAttempts: the student's submitted attempts in the course, oldest first
+ * - quizzes: the course quizzes (_id, title, moduleId)
+ * - moduleProgresses: the student's ModuleProgress documents in the course
+ * - modules: the course modules (_id, title, contents)
+ * - lastActivityAt: the student's latest LearningActivity in the course, if any
+ */
+const assessRisk = ({ progress, course, quizAttempts = [], quizzes = [], moduleProgresses = [], modules = [], lastActivityAt }, { now = new Date() } = {}) => {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  // Inactivity: the latest course visit, module content access or logged activity.
+  // lastAccessDate alone only moves when the course page is opened.
+  const activityTimes = [progress.lastAccessDate, lastActivityAt, ...moduleProgresses.map(moduleProgress => moduleProgress.lastAccessedAt)]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  const lastActive = activityTimes.length > 0 ? Math.max(...activityTimes) : progress.enrollmentDate;
+  const inactiveDays = lastActive ? Math.max(0, Math.floor((now - new Date(lastActive)) / DAY_MS)) : 0;
+  if (inactiveDays >= RISK_RULES.longInactiveDays) {
+    add(RISK_RULES.longInactivePoints, `No activity for ${inactiveDays} days`);
+  } else if (inactiveDays >= RISK_RULES.inactiveDays) {
+    add(RISK_RULES.inactivePoints, `No activity for ${inactiveDays} days`);
+  }
+
+  // Falling quiz scores: the last two attempts against the three before them
+  if (quizAttempts.length >= 3) {
+    const recent = average(quizAttempts.slice(-2).map(attempt => attempt.percentage || 0));
+    const earlier = average(quizAttempts.slice(-5, -2).map(attempt => attempt.percentage || 0));
+    if (earlier - recent >= RISK_RULES.fallingScoreDrop) {
+      add(RISK_RULES.fallingScorePoints, `Quiz scores falling from ${Math.round(earlier)}% to ${Math.round(recent)}%`);
+    }
+  }
+
+  // Repeated failed attempts
+  const quizTitles = new Map(quizzes.map(quiz => [quiz._id.toString(), quiz]));
+  const failedQuizzes = repeatedFailures(quizAttempts);
+  if (failedQuizzes.length > 0) {
+    const names = failedQuizzes.map(({ quizId, failures }) =>
+      `"${quizTitles.get(quizId)?.title || 'a quiz'}" ${failures} times`);
+    add(RISK_RULES.failedAttemptsPoints, `Failed ${names.join(', ')}`);
+  }
+
+  // Pace against the course length
+  const weeks = course?.duration?.weeks;
+  if (weeks > 0 && progress.enrollmentDate) {
+    const weeksEnrolled = (now - new Date(progress.enrollmentDate)) / (7 * DAY_MS);
+    const expected = Math.min(100, (weeksEnrolled / weeks) * 100);
+    const actual = progress.completionPercentage || 0;
+    if (expected - actual >= RISK_RULES.paceGap) {
+      add(RISK_RULES.pacePoints, `${Math.round(actual)}% complete after ${Math.floor(weeksEnrolled)} of ${weeks} weeks (expected about ${Math.round(expected)}%)`);
+    }
+  }
+
+  // Struggling modules: weak content areas and repeatedly failed module quizzes
+  const moduleReasons = new Map();
+  const addModuleReason = (moduleId, reason) => {
+    const key = moduleId.toString();
+    moduleReasons.set(key, [...(moduleReasons.get(key) || []), reason]);
+  };
+  const modulesById = new Map(modules.map(module => [module._id.toString(), module]));
+  moduleProgresses
+    .filter(moduleProgress => moduleProgress.status !== 'completed')
+    .forEach(moduleProgress => {
+      const module = modulesById.get(moduleProgress.moduleId.toString());
+      const areas = moduleProgress.getStrugglingAreas(module ? module.contents : []);
+      if (areas.length > 0) {
+        const description = describeAreas(areas);
+        addModuleReason(moduleProgress.moduleId, description.charAt(0).toUpperCase() + description.slice(1));
+      }
+    });
+  failedQuizzes.forEach(({ quizId, failures }) => {
+    const quiz = quizTitles.get(quizId);
+    if (quiz && quiz.moduleId && modulesById.has(quiz.moduleId.toString())) {
+      addModuleReason(quiz.moduleId, `Failed quiz "${quiz.title}" ${failures} times`);
+    }
+  });
+
+  // Keep the first detection date of modules that are still struggling
+  const previous = new Map((progress.moduleProgress?.strugglingModules || [])
+    .map(entry => [entry.moduleId.toString(), entry.detectedAt]));
+  const strugglingModules = [...moduleReasons.entries()].map(([moduleId, moduleReasonList]) => ({
+    moduleId,
+    reason: moduleReasonList.join('; '),
+    detectedAt: previous.get(moduleId) || now
+  }));
+
+  const total = Math.min(100, score);
+  return {
+    risk: { score: total, level: levelOf(total), reasons, assessedAt: now },
+    strugglingModules
+  };
+};
+
+// Assess and store every unfinished enrollment in a course; returns how many were assessed
+const refreshCourseRisk = async (courseOrId, { now = new Date() } = {}) => {
+  const course = courseOrId && courseOrId.duration ? courseOrId : await Course.findById(courseOrId).select('duration');
+  if (!course) return 0;
+
+  const [enrollments, quizzes, modules, moduleProgresses, attempts, activity] = await Promise.all([
+    LearningProgress.find({ courseId: course._id, isCompleted: { $ne: true } })
+      .select('userId enrollmentDate lastAccessDate completionPercentage moduleProgress.strugglingModules'),
+    Quiz.find({ courseId: course._id }).select('title moduleId'),
+    Module.find({ courseId: course._id, status: 'published' }).select('title contents.contentId contents.duration'),
+    ModuleProgress.find({ courseId: course._id }),
+    QuizAttempt.find({ courseId: course._id, status: { $in: SUBMITTED_STATUSES } })
+      .select('userId quizId percentage passed submittedAt')
+      .sort({ submittedAt: 1 }),
+    LearningActivity.aggregate([
+      { $match: { courseIds: course._id } },
+      { $group: { _id: '$userId', lastActivityAt: { $max: '$lastActivityAt' } } }
+    ])
+  ]);
+
+  const byUser = (records) => {
+    const map = new Map();
+    records.forEach(record => {
+      const key = record.userId.toString();
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(record);
+    });
+    return map;
+  };
+  // Only modules students can currently see count towards struggling modules
+  const publishedIds = new Set(modules.map(module => module._id.toString()));
+  const moduleProgressByUser = byUser(moduleProgresses.filter(moduleProgress => publishedIds.has(moduleProgress.moduleId.toString())));
+  const attemptsByUser = byUser(attempts);
+  const lastActivityByUser = new Map(activity.map(entry => [entry._id.toString(), entry.lastActivityAt]));
+
+  for (const progress of enrollments) {
+    const userId = progress.userId.toString();
+    const { risk, strugglingModules } = assessRisk({
+      progress,
+      course,
+      quizAttempts: attemptsByUser.get(userId) || [],
+      quizzes,
+      moduleProgresses: moduleProgressByUser.get(userId) || [],
+      modules,
+      lastActivityAt: lastActivityByUser.get(userId)
+    }, { now });
+
+    // updateOne so the assessment doesn't run LearningProgress save hooks
+    await LearningProgress.updateOne(
+      { _id: progress._id },
+      { $set: { risk, 'moduleProgress.strugglingModules': strugglingModules } }
+    );
+  }
+
+  return enrollments.length;
+};
+
+// Assess every course that has unfinished enrollments
+const refreshAllRisk = async () => {
+  const courseIds = await LearningProgress.distinct('courseId', { isCompleted: { $ne: true } });
+
+  let assessed = 0;
+  for (const courseId of courseIds) {
+    try {
+      assessed += await refreshCourseRisk(courseId);
+    } catch (error) {
+      console.error(`Error scoring risk for course ${courseId}:`, error);
+    }
+  }
+
+  return assessed;
+};
+
+// Run risk scoring periodically for the lifetime of the server
+const scheduleRiskScoring = (intervalMs = 6 * 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    refreshAllRisk()
+      .then(count => {
+        if (count > 0) {
+          console.log(`🚩 Scored dropout risk for ${count} enrollment(s)`);
+        }
+      })
+      .catch(error => console.error('Error scoring dropout risk:', error));
+  }, intervalMs);
+
+  // Do not keep the process alive just for risk scoring
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RISK_RULES,
+  RISK_LEVELS,
+  assessRisk,
+  refreshCourseRisk,
+  refreshAllRisk,
+  scheduleRiskScoring
+};
@@ -0,0 +1,107 @@
+/**
+ * RubricScoring - Scores assignment and project work against a rubric
+ *
+ * A rubric is a list of criteria. Each criterion has a relative weight and
+ * either performance levels (Excellent/Good/...) with points, or just
+ * maxPoints. The rolled-up percentage weights each criterion's share of its
+ * maximum, so a heavy criterion counts for more than one with many points.
+ * Rubrics from ProjectAssessmentStrategy.generateRubric can be used as-is.
+ */
+
+// Fill in defaults: weight 1, and maxPoints from the best performance level
+const normalizeRubric = (rubric = []) => rubric.map(criterion => {
+  const levels = criterion.levels || [];
+  const levelMax = levels.length > 0 ? Math.max(...levels.map(level => level.points)) : 0;
+
+  return {
+    criterion: criterion.criterion,
+    description: criterion.description,
+    weight: criterion.weight === undefined || criterion.weight === null ? 1 : criterion.weight,
+    maxPoints: criterion.maxPoints || levelMax,
+    levels
+  };
+});
+
+// Problems with an authored rubric, or null when it can be scored
+const validateRubric = (rubric = []) => {
+  const names = new Set();
+
+  for (const criterion of normalizeRubric(rubric)) {
+    if (!criterion.criterion || !criterion.criterion.trim()) {
+      return 'Every rubric criterion needs a name';
+    }
+    if (names.has(criterion.criterion)) {
+      return `Rubric criterion "${criterion.criterion}" is listed twice`;
+    }
+    names.add(criterion.criterion);
+
+    if (typeof criterion.weight !== 'number' || criterion.weight < 0) {
+      return `Weight for "${criterion.criterion}" must be a non-negative number`;
+    }
+    if (!(criterion.maxPoints > 0)) {
+      return `"${criterion.criterion}" needs maxPoints or performance levels`;
+    }
+    if (criterion.levels.some(level => !level.level || typeof level.points !== 'number' || level.points < 0)) {
+      return `Every level of "${criterion.criterion}" needs a name and non-negative points`;
+    }
+  }
+
+  return null;
+};
+
+// Score each criterion (by level name or points) and roll up to a weighted percentage
+const scoreRubric = (rubric = [], rubricScores = []) => {
+  const criteria = normalizeRubric(rubric);
+  const scores = [];
+
+  for (const criterion of criteria) {
+    const entry = rubricScores.find(score => score.criterion === criterion.criterion);
+    if (!entry) {
+      return { error: `Missing score for criterion "${criterion.criterion}"` };
+    }
+
+    let points = entry.points;
+    let level = entry.level;
+    if (level !== undefined && level !== null && level !== '') {
+      const matched = criterion.levels.find(option => option.level === level);
+      if (!matched) {
+        return { error: `"${level}" is not a level of "${criterion.criterion}"` };
+      }
+      points = matched.points;
+    } else {
+      level = undefined;
+    }
+
+    if (typeof points !== 'number' || Number.isNaN(points)) {
+      return { error: `Missing score for criterion "${criterion.criterion}"` };
+    }
+    if (points < 0 || points > criterion.maxPoints) {
+      return { error: `Score for "${criterion.criterion}" must be between 0 and ${criterion.maxPoints}` };
+    }
+
+    scores.push({
+      criterion: criterion.criterion,
+      level,
+      points,
+      maxPoints: criterion.maxPoints,
+      weight: criterion.weight,
+      comment: entry.comment
+    });
+  }
+
+  const totalWeight = scores.reduce((sum, entry) => sum + entry.weight, 0);
+  const weighted = scores.reduce((sum, entry) => sum + entry.weight * (entry.points / entry.maxPoints), 0);
+
+  return {
+    rubricScores: scores,
+    score: scores.reduce((sum, entry) => sum + entry.points, 0),
+    maxScore: scores.reduce((sum, entry) => sum + entry.maxPoints, 0),
+    percentage: totalWeight > 0 ? Math.round((weighted / totalWeight) * 10000) / 100 : 0
+  };
+};
+
+module.exports = {
+  normalizeRubric,
+  validateRubric,
+  scoreRubric
+};
@@ -0,0 +1,152 @@
+/**
+ * SubmissionService - Validation and storage for assignment submissions
+ *
+ * Assignment content declares a submissionFormat (text, file, url or code).
+ * Files are written to a local storage directory (one folder per student)
+ * under generated names; the submission keeps the original name and type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const SUBMISSION_UPLOAD_DIR = process.env.SUBMISSION_UPLOAD_DIR ||
+  path.join(__dirname, '..', 'uploads', 'submissions');
+const MAX_FILE_SIZE = Number(process.env.SUBMISSION_MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 50000;
+
+// Accepted file extensions and the upload types each may be sent as
+const ALLOWED_FILE_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.pptx': ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  '.zip': ['application/zip', 'application/x-zip-compressed'],
+  '.txt': ['text/plain'],
+  '.md': ['text/markdown'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg']
+};
+
+// The client picks both the name and the type, so both have to agree with the
+// allow-list; the stored file keeps the checked extension. Null when rejected.
+const getUploadExtension = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const types = ALLOWED_FILE_TYPES[extension];
+  return types && types.includes(file.mimetype) ? extension : null;
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(SUBMISSION_UPLOAD_DIR, req.user.id);
+    fs.mkdir(dir, { recursive: true }, error => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${getUploadExtension(file)}`;
+    cb(null, name);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!getUploadExtension(file)) {
+      return cb(new Error(`File type ${path.extname(file.originalname || '') || file.mimetype} is not allowed`));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept an optional `file` field; upload errors become 400 responses
+const uploadSubmissionFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `File is larger than the ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB limit`
+      : error.message;
+    res.status(400).json({ message });
+  });
+};
+
+const removeUploadedFile = (file) => {
+  if (!file) return;
+  fs.unlink(file.path, (error) => {
+    if (error) console.warn('Could not remove uploaded file:', error.message);
+  });
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate the request against the content's submission format
+const buildSubmissionData = (format, body = {}, file) => {
+  if (file && format !== 'file') {
+    return { error: `This assignment expects a ${format} submission, not a file` };
+  }
+
+  switch (format) {
+    case 'file':
+      if (!file) return { error: 'Please attach a file' };
+      return {
+        data: {
+          fileName: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          storagePath: path.relative(SUBMISSION_UPLOAD_DIR, file.path)
+        }
+      };
+
+    case 'url':
+      if (typeof body.url !== 'string' || !isHttpUrl(body.url.trim())) {
+        return { error: 'Please provide a valid http(s) URL' };
+      }
+      return { data: { url: body.url.trim() } };
+
+    case 'code': {
+      const code = body.code || '';
+      if (typeof code !== 'string') return { error: 'Code must be text' };
+      if (body.language !== undefined && typeof body.language !== 'string') return { error: 'Language must be text' };
+      if (!code.trim()) return { error: 'Please provide your code' };
+      if (code.length > MAX_TEXT_LENGTH) return { error: `Code must be under ${MAX_TEXT_LENGTH} characters` };
+      return { data: { code, language: body.language } };
+    }
+
+    default: {
+      if (body.text !== undefined && typeof body.text !== 'string') return { error: 'Answer must be text' };
+      const text = (body.text || '').trim();
+      if (!text) return { error: 'Please provide your answer' };
+      if (text.length > MAX_TEXT_LENGTH) return { error: `Answer must be under ${MAX_TEXT_LENGTH} characters` };
+      return { data: { text } };
+    }
+  }
+};
+
+// Late flag and lateness in minutes relative to the content due date
+const getLateInfo = (dueDate, submittedAt = new Date()) => {
+  if (!dueDate || submittedAt <= dueDate) {
+    return { isLate: false, lateByMinutes: 0 };
+  }
+  return { isLate: true, lateByMinutes: Math.ceil((submittedAt - dueDate) / 60000) };
+};
+
+module.exports = {
+  SUBMISSION_UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  ALLOWED_FILE_TYPES,
+  getUploadExtension,
+  uploadSubmissionFile,
+  removeUploadedFile,
+  buildSubmissionData,
+  getLateInfo
+};
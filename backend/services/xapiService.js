@@ -0,0 +1,537 @@
+/**
+ * XapiService - xAPI (Tin Can) statements and the local Learning Record Store
+ *
+ * Learner events (content attempted/completed, questions answered, quizzes and
+ * modules passed or failed, courses completed) are recorded as xAPI 1.0.3
+ * statements so analytics tools can read them through the standard
+ * /statements resource. Learners are identified by an account on this site
+ * (never their email) and activities by IRIs under XAPI_HOME_PAGE.
+ * Recording never blocks or fails the request that caused the event.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const XapiStatement = require('../models/XapiStatement');
+const Module = require('../models/Module');
+const Course = require('../models/Course');
+const User = require('../models/User');
+
+const XAPI_VERSION = '1.0.3';
+const XAPI_HOME_PAGE = (process.env.XAPI_HOME_PAGE || 'http://localhost:5001').replace(/\/$/, '');
+const ACTIVITY_BASE = `${XAPI_HOME_PAGE}/xapi/activities`;
+const PLATFORM = 'BookSAN';
+const MAX_QUERY_LIMIT = 500;
+
+const verb = (name) => ({ id: `http://adlnet.gov/expapi/verbs/${name}`, display: { 'en-US': name } });
+
+const VERBS = {
+  attempted: verb('attempted'),
+  completed: verb('completed'),
+  answered: verb('answered'),
+  passed: verb('passed'),
+  failed: verb('failed'),
+  voided: verb('voided')
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  module: 'http://adlnet.gov/expapi/activities/module',
+  content: 'http://adlnet.gov/expapi/activities/lesson',
+  assessment: 'http://adlnet.gov/expapi/activities/assessment',
+  question: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+
+// Our question types as xAPI interaction types
+const INTERACTION_TYPES = {
+  multiple_choice: 'choice',
+  multiple_select: 'choice',
+  true_false: 'true-false',
+  short_answer: 'fill-in',
+  numeric: 'numeric',
+  essay: 'long-fill-in'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+
+// ---- Building statements for our own events ----
+
+const agentFor = (user) => ({
+  objectType: 'Agent',
+  name: user.name,
+  account: { homePage: XAPI_HOME_PAGE, name: String(user._id || user.id) }
+});
+
+const activity = (type, activityPath, name, extra = {}) => ({
+  objectType: 'Activity',
+  id: `${ACTIVITY_BASE}/${activityPath}`,
+  definition: { type: ACTIVITY_TYPES[type], ...(name ? { name: { 'en-US': name } } : {}), ...extra }
+});
+
+const courseActivity = (course) => activity('course', `courses/${course._id || course}`, course.title);
+const moduleActivity = (module) => activity('module', `modules/${module._id}`, module.title);
+const contentActivity = (module, contentId, title) =>
+  activity('content', `modules/${module._id}/contents/${encodeURIComponent(contentId)}`, title || contentId);
+const quizActivity = (quiz) => activity('assessment', `quizzes/${quiz._id}`, quiz.title);
+const questionActivity = (quiz, question) => activity('question', `quizzes/${quiz._id}/questions/${encodeURIComponent(question.id)}`,
+  question.question, { interactionType: INTERACTION_TYPES[question.type] || 'other' });
+
+// ISO 8601 duration from minutes
+const durationFromMinutes = (minutes) => `PT${Math.max(0, Math.round(Number(minutes) * 60))}S`;
+
+const buildContext = ({ parent = [], grouping = [] } = {}) => {
+  const contextActivities = {};
+  if (parent.length > 0) contextActivities.parent = parent;
+  if (grouping.length > 0) contextActivities.grouping = grouping;
+  return { platform: PLATFORM, language: 'en-US', contextActivities };
+};
+
+const percentScore = (percentage) => ({
+  scaled: Math.max(-1, Math.min(1, Math.round(Number(percentage)) / 100)),
+  raw: Math.round(Number(percentage)),
+  min: 0,
+  max: 100
+});
+
+// Content attempted or completed, within its module and course
+const contentStatement = (user, module, contentId, verbName, { timeSpent, score } = {}) => {
+  const content = (module.contents || []).find(item => item.contentId === contentId);
+  const result = {};
+  if (verbName === 'completed') result.completion = true;
+  if (Number.isFinite(Number(timeSpent)) && Number(timeSpent) > 0) result.duration = durationFromMinutes(timeSpent);
+  if (score !== undefined && score !== null && Number.isFinite(Number(score))) result.score = percentScore(score);
+
+  return {
+    actor: agentFor(user),
+    verb: VERBS[verbName],
+    object: contentActivity(module, contentId, content && content.title),
+    ...(Object.keys(result).length > 0 ? { result } : {}),
+    context: buildContext({ parent: [moduleActivity(module)], grouping: [courseActivity(module.courseId)] })
+  };
+};
+
+/**
+ * A completed module: passed/failed against the module's passing score when a
+ * score is given, otherwise completed.
+ */
+const moduleStatement = (user, module, { score, timeSpent } = {}) => {
+  const hasScore = score !== undefined && score !== null && score !== '' && Number.isFinite(Number(score));
+  const passingScore = module.assessment && module.assessment.passingScore !== undefined ? module.assessment.passingScore : 70;
+  const passed = hasScore ? Number(score) >= passingScore : null;
+  const result = { completion: true };
+  if (hasScore) {
+    result.score = percentScore(score);
+    result.success = passed;
+  }
+  if (Number(timeSpent) > 0) result.duration = durationFromMinutes(timeSpent);
+
+  return {
+    actor: agentFor(user),
+    verb: VERBS[passed === null ? 'completed' : passed ? 'passed' : 'failed'],
+    object: moduleActivity(module),
+    result,
+    context: buildContext({ grouping: [courseActivity(module.courseId)] })
+  };
+};
+
+// One "answered" statement per question plus passed/failed for the quiz
+const quizAttemptStatements = (user, quiz, attempt) => {
+  const quizObject = quizActivity(quiz);
+  const grouping = [courseActivity(quiz.courseId)];
+  const questions = new Map((quiz.questions || []).map(question => [question.id, question]));
+  const attemptContext = { extensions: { [`${XAPI_HOME_PAGE}/xapi/extensions/attempt`]: attempt.attemptNumber } };
+
+  const answered = (attempt.answers || []).filter(answer => questions.has(answer.questionId)).map(answer => {
+    const question = questions.get(answer.questionId);
+    const selected = answer.selectedAnswer;
+    const result = {
+      response: Array.isArray(selected) ? selected.join('[,]') : String(selected ?? ''),
+      score: { raw: answer.pointsEarned || 0, min: 0, max: question.points || 1 }
+    };
+    if (!answer.pendingReview) result.success = !!answer.isCorrect;
+    return {
+      actor: agentFor(user),
+      verb: VERBS.answered,
+      object: questionActivity(quiz, question),
+      result,
+      context: { ...buildContext({ parent: [quizObject], grouping }), ...attemptContext },
+      timestamp: (attempt.submittedAt || new Date()).toISOString()
+    };
+  });
+
+  const durationSeconds = attempt.submittedAt && attempt.startedAt
+    ? Math.max(0, Math.round((attempt.submittedAt - attempt.startedAt) / 1000) - (attempt.pausedDuration || 0))
+    : null;
+  const summary = {
+    actor: agentFor(user),
+    verb: attempt.passed ? VERBS.passed : VERBS.failed,
+    object: quizObject,
+    result: {
+      completion: true,
+      success: !!attempt.passed,
+      score: percentScore(attempt.percentage),
+      ...(durationSeconds !== null ? { duration: `PT${durationSeconds}S` } : {})
+    },
+    context: { ...buildContext({ grouping }), ...attemptContext },
+    timestamp: (attempt.submittedAt || new Date()).toISOString()
+  };
+  return [...answered, summary];
+};
+
+const courseCompletedStatement = (user, course, progress = {}) => ({
+  actor: agentFor(user),
+  verb: VERBS.completed,
+  object: courseActivity(course),
+  result: {
+    completion: true,
+    ...(progress.grade !== undefined && progress.grade !== null ? { score: percentScore(progress.grade) } : {}),
+    ...(progress.totalTimeSpent ? { duration: durationFromMinutes(progress.totalTimeSpent) } : {})
+  },
+  context: buildContext()
+});
+
+// ---- Validation ----
+
+const isIri = (value) => typeof value === 'string' && IRI_PATTERN.test(value);
+
+const validateAgent = (agent, where, errors) => {
+  if (!agent || typeof agent !== 'object') {
+    errors.push(`${where} is required`);
+    return;
+  }
+  if (agent.objectType && !['Agent', 'Group'].includes(agent.objectType)) {
+    errors.push(`${where}.objectType must be Agent or Group`);
+  }
+  const identifiers = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => agent[key] !== undefined);
+  const anonymousGroup = agent.objectType === 'Group' && identifiers.length === 0 && Array.isArray(agent.member);
+  if (identifiers.length !== 1 && !anonymousGroup) {
+    errors.push(`${where} needs exactly one of mbox, mbox_sha1sum, openid or account`);
+  }
+  if (agent.mbox !== undefined && !/^mailto:[^@\s]+@[^@\s]+$/.test(agent.mbox)) {
+    errors.push(`${where}.mbox must be a mailto: address`);
+  }
+  if (agent.account !== undefined && (!agent.account || !isIri(agent.account.homePage) || typeof agent.account.name !== 'string')) {
+    errors.push(`${where}.account needs homePage (IRI) and name`);
+  }
+};
+
+const validateObject = (object, errors) => {
+  if (!object || typeof object !== 'object') {
+    errors.push('object is required');
+    return;
+  }
+  const objectType = object.objectType || 'Activity';
+  if (objectType === 'Activity') {
+    if (!isIri(object.id)) errors.push('object.id must be an IRI');
+  } else if (objectType === 'StatementRef') {
+    if (!UUID_PATTERN.test(object.id || '')) errors.push('object.id of a StatementRef must be a UUID');
+  } else if (objectType === 'Agent' || objectType === 'Group') {
+    validateAgent(object, 'object', errors);
+  } else if (objectType === 'SubStatement') {
+    validateAgent(object.actor, 'object.actor', errors);
+    if (!object.verb || !isIri(object.verb.id)) errors.push('object.verb.id must be an IRI');
+    if (!object.object) errors.push('object.object is required');
+  } else {
+    errors.push(`object.objectType ${objectType} is not valid`);
+  }
+};
+
+// Problems with one statement, as a list of messages
+const validateStatement = (statement) => {
+  const errors = [];
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    return ['Statement must be a JSON object'];
+  }
+  if (statement.id !== undefined && !UUID_PATTERN.test(statement.id)) errors.push('id must be a UUID');
+  validateAgent(statement.actor, 'actor', errors);
+  if (!statement.verb || !isIri(statement.verb.id)) errors.push('verb.id must be an IRI');
+  validateObject(statement.object, errors);
+
+  const score = statement.result && statement.result.score;
+  if (score && score.scaled !== undefined && !(score.scaled >= -1 && score.scaled <= 1)) {
+    errors.push('result.score.scaled must be between -1 and 1');
+  }
+  if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) {
+    errors.push('timestamp must be an ISO 8601 date');
+  }
+  if (statement.context && statement.context.registration !== undefined && !UUID_PATTERN.test(statement.context.registration)) {
+    errors.push('context.registration must be a UUID');
+  }
+  if (statement.verb && statement.verb.id === VERBS.voided.id &&
+      (!statement.object || statement.object.objectType !== 'StatementRef')) {
+    errors.push('A voiding statement must have a StatementRef object');
+  }
+  return errors;
+};
+
+// ---- Storage ----
+
+// The agent's inverse functional identifier as one string
+const actorKey = (agent) => {
+  if (!agent) return null;
+  if (agent.mbox) return `mbox:${agent.mbox.toLowerCase()}`;
+  if (agent.mbox_sha1sum) return `mbox_sha1sum:${agent.mbox_sha1sum.toLowerCase()}`;
+  if (agent.openid) return `openid:${agent.openid}`;
+  if (agent.account) return `account:${agent.account.homePage}|${agent.account.name}`;
+  return null;
+};
+
+const contextActivityIds = (context) => {
+  const activities = (context && context.contextActivities) || {};
+  return ['parent', 'grouping', 'category', 'other']
+    .flatMap(key => [].concat(activities[key] || []))
+    .map(item => item && item.id)
+    .filter(Boolean);
+};
+
+// Local user / course ids behind our own agent and activity IRIs
+const localUserId = (agent) => {
+  const account = agent && agent.account;
+  return account && account.homePage === XAPI_HOME_PAGE && mongoose.Types.ObjectId.isValid(account.name)
+    ? account.name
+    : undefined;
+};
+
+const localCourseId = (activityIds) => {
+  const prefix = `${ACTIVITY_BASE}/courses/`;
+  const match = activityIds.find(id => id.startsWith(prefix) && mongoose.Types.ObjectId.isValid(id.slice(prefix.length)));
+  return match ? match.slice(prefix.length) : undefined;
+};
+
+// Statement fields that decide whether two statements with the same id are the same statement
+const comparable = ({ actor, verb: statementVerb, object, result, context, timestamp }) =>
+  JSON.stringify({ actor, verb: statementVerb, object, result, context, timestamp: timestamp && new Date(timestamp).toISOString() });
+
+const toDocument = (statement, { authority, stored }) => {
+  const full = {
+    ...statement,
+    id: statement.id,
+    timestamp: statement.timestamp ? new Date(statement.timestamp).toISOString() : stored.toISOString(),
+    stored: stored.toISOString(),
+    authority: authority || statement.authority,
+    version: XAPI_VERSION
+  };
+  const activityId = (!full.object.objectType || full.object.objectType === 'Activity') ? full.object.id : undefined;
+  const related = [...new Set([activityId, ...contextActivityIds(full.context)].filter(Boolean))];
+
+  return {
+    statementId: full.id,
+    statement: full,
+    actorKey: actorKey(full.actor) || `group:${crypto.createHash('sha1').update(JSON.stringify(full.actor)).digest('hex')}`,
+    verbId: full.verb.id,
+    activityId,
+    relatedActivityIds: related,
+    registration: full.context && full.context.registration,
+    userId: localUserId(full.actor),
+    courseId: localCourseId(related),
+    timestamp: new Date(full.timestamp),
+    stored,
+    isVoiding: full.verb.id === VERBS.voided.id
+  };
+};
+
+// Whether a statement lies inside a scope filter's courses. Course-scoped callers
+// (instructors) may only send statements about one of their courses; voiding
+// statements are checked through the statements they void instead.
+const inCourseScope = (doc, scope) => !scope.courseId || doc.isVoiding ||
+  (!!doc.courseId && scope.courseId.$in.some(id => String(id) === doc.courseId));
+
+/**
+ * Store statements. Returns { ids } or { status, errors } - 400 for invalid
+ * statements, 403 for statements about courses outside scope, 409 when an id
+ * is already stored with different content.
+ * authority is the agent vouching for the statements (the signed-in user);
+ * scope is the caller's statement filter, which voided statements must match.
+ */
+const saveStatements = async (statements, { authority, scope = {} } = {}) => {
+  const list = Array.isArray(statements) ? statements : [statements];
+  if (list.length === 0) return { status: 400, errors: ['No statements to store'] };
+
+  const errors = list.flatMap((statement, index) =>
+    validateStatement(statement).map(message => (list.length > 1 ? `Statement ${index + 1}: ${message}` : message)));
+  if (errors.length > 0) return { status: 400, errors };
+
+  const givenIds = list.map(statement => statement.id).filter(Boolean);
+  if (new Set(givenIds).size !== givenIds.length) {
+    return { status: 400, errors: ['The same statement id is used twice in the batch'] };
+  }
+
+  const existing = givenIds.length > 0 ? await XapiStatement.find({ statementId: { $in: givenIds } }) : [];
+  const existingById = new Map(existing.map(doc => [doc.statementId, doc]));
+  const conflicts = list.filter(statement => existingById.has(statement.id) &&
+    comparable(existingById.get(statement.id).statement) !== comparable(statement));
+  if (conflicts.length > 0) {
+    return { status: 409, errors: conflicts.map(statement => `Statement ${statement.id} already exists with different content`) };
+  }
+
+  const stored = new Date();
+  const withIds = list.map(statement => ({ ...statement, id: statement.id || crypto.randomUUID() }));
+  const documents = withIds
+    .filter(statement => !existingById.has(statement.id))
+    .map(statement => toDocument(statement, { authority, stored }));
+
+  const outOfScope = documents.filter(doc => !inCourseScope(doc, scope));
+  if (outOfScope.length > 0) {
+    return { status: 403, errors: outOfScope.map(doc => `Statement ${doc.statementId} is not about a course you teach`) };
+  }
+
+  // Voided statements must exist in scope and can't themselves be voiding statements
+  const voidedIds = documents.filter(doc => doc.isVoiding).map(doc => doc.statement.object.id);
+  if (voidedIds.length > 0) {
+    const targets = await XapiStatement.find({ ...scope, statementId: { $in: voidedIds } }).select('statementId isVoiding');
+    const voidable = new Set(targets.filter(target => !target.isVoiding).map(target => target.statementId));
+    const invalid = voidedIds.filter(id => !voidable.has(id));
+    if (invalid.length > 0) {
+      return { status: 400, errors: invalid.map(id => `Statement ${id} does not exist or is a voiding statement`) };
+    }
+  }
+
+  if (documents.length > 0) {
+    await XapiStatement.insertMany(documents);
+    if (voidedIds.length > 0) {
+      await XapiStatement.updateMany({ ...scope, statementId: { $in: voidedIds } }, { $set: { voided: true } });
+    }
+  }
+  return { ids: withIds.map(statement => statement.id) };
+};
+
+// ---- Learner events (recorded in the background; failures are only logged) ----
+
+const emit = (buildStatements) => {
+  Promise.resolve()
+    .then(buildStatements)
+    .then(statements => (statements && statements.length !== 0 ? saveStatements(statements) : null))
+    .then(result => {
+      if (result && result.errors) console.error('xAPI statements not recorded:', result.errors.join('; '));
+    })
+    .catch(error => console.error('xAPI statements not recorded:', error.message));
+};
+
+// Content attempted or completed (user is the signed-in user)
+const recordContentEvent = (user, moduleId, contentId, verbName, details) => emit(async () => {
+  const module = await Module.findById(moduleId).select('title courseId contents.contentId contents.title');
+  return module ? [contentStatement(user, module, contentId, verbName, details)] : null;
+});
+
+const recordModuleCompletion = (user, module, details) => emit(() => [moduleStatement(user, module, details)]);
+
+const recordQuizAttempt = (quiz, attempt) => emit(async () => {
+  const user = await User.findById(attempt.userId).select('name');
+  return user ? quizAttemptStatements(user, quiz, attempt) : null;
+});
+
+// Once per student and course, however often the progress record is saved afterwards
+const recordCourseCompletion = (progress) => emit(async () => {
+  const [user, course] = await Promise.all([
+    User.findById(progress.userId).select('name'),
+    Course.findById(progress.courseId).select('title')
+  ]);
+  if (!user || !course) return null;
+
+  const statement = courseCompletedStatement(user, course, progress);
+  const alreadyRecorded = await XapiStatement.exists({
+    actorKey: actorKey(statement.actor),
+    verbId: VERBS.completed.id,
+    activityId: statement.object.id,
+    voided: false
+  });
+  return alreadyRecorded ? null : [statement];
+});
+
+// ---- Querying ----
+
+/**
+ * Mongo filter and paging for GET /statements query parameters. Returns
+ * { filter, limit, skip, ascending } or { errors }.
+ */
+const parseStatementQuery = (query = {}) => {
+  const errors = [];
+  const filter = { voided: false };
+
+  if (query.agent !== undefined) {
+    try {
+      const key = actorKey(JSON.parse(query.agent));
+      if (!key) errors.push('agent must identify an Agent');
+      filter.actorKey = key;
+    } catch (error) {
+      errors.push('agent must be a JSON Agent object');
+    }
+  }
+  if (query.verb !== undefined) {
+    if (!isIri(query.verb)) errors.push('verb must be an IRI');
+    filter.verbId = query.verb;
+  }
+  if (query.activity !== undefined) {
+    if (!isIri(query.activity)) errors.push('activity must be an IRI');
+    if (query.related_activities === 'true') filter.relatedActivityIds = query.activity;
+    else filter.activityId = query.activity;
+  }
+  if (query.registration !== undefined) {
+    if (!UUID_PATTERN.test(query.registration)) errors.push('registration must be a UUID');
+    filter.registration = query.registration;
+  }
+  ['since', 'until'].forEach(key => {
+    if (query[key] === undefined) return;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${key} must be an ISO 8601 date`);
+      return;
+    }
+    filter.stored = { ...(filter.stored || {}), [key === 'since' ? '$gt' : '$lte']: date };
+  });
+
+  let limit = query.limit === undefined ? 100 : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 0) {
+    errors.push('limit must be a whole number');
+  } else if (limit === 0 || limit > MAX_QUERY_LIMIT) {
+    limit = MAX_QUERY_LIMIT;
+  }
+  const skip = query.cursor === undefined ? 0 : parseInt(query.cursor, 10);
+  if (!Number.isInteger(skip) || skip < 0) errors.push('cursor is not valid');
+
+  if (errors.length > 0) return { errors };
+  return { filter, limit, skip, ascending: query.ascending === 'true' };
+};
+
+/**
+ * A page of statements matching the filter, with the query string for the next
+ * page (or '' when there is none).
+ */
+const findStatements = async ({ filter, limit, skip, ascending }, query = {}) => {
+  const order = ascending ? 1 : -1;
+  const documents = await XapiStatement.find(filter)
+    .sort({ stored: order, _id: order })
+    .skip(skip)
+    .limit(limit + 1);
+
+  const hasMore = documents.length > limit;
+  const more = hasMore
+    ? new URLSearchParams({ ...query, cursor: String(skip + limit) }).toString()
+    : '';
+  return { statements: documents.slice(0, limit).map(doc => doc.statement), more };
+};
+
+module.exports = {
+  XAPI_VERSION,
+  XAPI_HOME_PAGE,
+  ACTIVITY_BASE,
+  VERBS,
+  ACTIVITY_TYPES,
+  agentFor,
+  actorKey,
+  courseActivity,
+  moduleActivity,
+  quizActivity,
+  contentStatement,
+  moduleStatement,
+  quizAttemptStatements,
+  courseCompletedStatement,
+  validateStatement,
+  saveStatements,
+  recordContentEvent,
+  recordModuleCompletion,
+  recordQuizAttempt,
+  recordCourseCompletion,
+  parseStatementQuery,
+  findStatements
+};
@@ -0,0 +1,47 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+
+const expect = chai.expect;
+
+describe('🔐 Auth Middleware', function() {
+  const secret = 'auth-middleware-test-secret';
+  let previousSecret;
+
+  beforeEach(function() {
+    previousSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = secret;
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    if (previousSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = previousSecret;
+    }
+    sinon.restore();
+  });
+
+  it('✅ should expose the user id as a string on the lean user', async function() {
+    const userId = new mongoose.Types.ObjectId();
+    const query = {
+      select() {
+        return this;
+      },
+      lean: sinon.stub().resolves({ _id: userId, role: 'student' })
+    };
+    sinon.stub(User, 'findById').returns(query);
+    const req = { headers: { authorization: `Bearer ${jwt.sign({ id: userId.toString() }, secret)}` } };
+    const next = sinon.spy();
+
+    await protect(req, {}, next);
+
+    expect(next.calledOnce).to.equal(true);
+    expect(req.user.id).to.equal(userId.toString());
+    expect(req.user.role).to.equal('student');
+  });
+});
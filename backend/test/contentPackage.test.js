@@ -0,0 +1,199 @@
+const chai = require('chai');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const { crc32 } = require('../utils/zip');
+const { readContentPackage } = require('../services/contentPackageService');
+const {
+  validateCoursePackage,
+  buildImportDocuments,
+  validateImportDocuments
+} = require('../services/coursePackageService');
+
+const expect = chai.expect;
+
+// Minimal zip writer (deflated entries) for building test packages
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const choiceItem = (ident, profile, prompt, options, correct) => `
+  <item ident="${ident}" title="${ident}">
+    <itemmetadata><qtimetadata>
+      <qtimetadatafield><fieldlabel>cc_profile</fieldlabel><fieldentry>${profile}</fieldentry></qtimetadatafield>
+    </qtimetadata></itemmetadata>
+    <presentation>
+      <material><mattext texttype="text/html">&lt;p&gt;${prompt}&lt;/p&gt;</mattext></material>
+      <response_lid ident="response1" rcardinality="Single"><render_choice>
+        ${options.map(([id, text]) => `<response_label ident="${id}"><material><mattext>${text}</mattext></material></response_label>`).join('')}
+      </render_choice></response_lid>
+    </presentation>
+    <resprocessing>
+      <respcondition continue="No">
+        <conditionvar><varequal respident="response1">${correct}</varequal></conditionvar>
+        <setvar action="Set" varname="SCORE">100</setvar>
+      </respcondition>
+    </resprocessing>
+  </item>`;
+
+const cartridge = () => ({
+  'imsmanifest.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="cc1" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1"
+  xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.1.0</schemaversion>
+    <lomimscc:lom><lomimscc:general>
+      <lomimscc:title><lomimscc:string>Networking Basics</lomimscc:string></lomimscc:title>
+    </lomimscc:general></lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="org1" structure="rooted-hierarchy">
+      <item identifier="root">
+        <item identifier="week1"><title>Week 1</title>
+          <item identifier="i1" identifierref="r-page"><title>Welcome</title></item>
+          <item identifier="i2" identifierref="r-link"><title>RFC 791</title></item>
+          <item identifier="i3" identifierref="r-lti"><title>Lab tool</title></item>
+        </item>
+        <item identifier="week2"><title>Week 2</title>
+          <item identifier="i4" identifierref="r-quiz"><title>Check-in</title></item>
+        </item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="r-page" type="webcontent" href="pages/welcome.html"><file href="pages/welcome.html"/></resource>
+    <resource identifier="r-link" type="imswl_xmlv1p1"><file href="links/rfc.xml"/></resource>
+    <resource identifier="r-lti" type="imsbasiclti_xmlv1p0"><file href="lti.xml"/></resource>
+    <resource identifier="r-quiz" type="imsqti_xmlv1p2/imscc_xmlv1p1/assessment"><file href="quiz/assessment.xml"/></resource>
+  </resources>
+</manifest>`,
+  'pages/welcome.html': '<html><body>Welcome</body></html>',
+  'links/rfc.xml': '<webLink><title>RFC 791</title><url href="https://www.rfc-editor.org/rfc/rfc791"/></webLink>',
+  'lti.xml': '<cartridge_basiclti_link/>',
+  'quiz/assessment.xml': `<questestinterop><assessment ident="a1" title="Check-in"><section ident="s1">
+    ${choiceItem('q1', 'cc.multiple_choice.v0p1', 'Which layer routes packets?', [['a', 'Network'], ['b', 'Session']], 'a')}
+    ${choiceItem('q2', 'cc.true_false.v0p1', 'IP is connectionless', [['t', 'True'], ['f', 'False']], 't')}
+    ${choiceItem('q3', 'cc.pattern_match.v0p1', 'Name a protocol', [], '')}
+  </section></assessment></questestinterop>`
+});
+
+const scormPackage = () => ({
+  'imsmanifest.xml': `<?xml version="1.0"?>
+<manifest identifier="scorm1" xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2">
+  <metadata><schema>ADL SCORM</schema><schemaversion>1.2</schemaversion></metadata>
+  <organizations default="org">
+    <organization identifier="org"><title>Safety Training</title>
+      <item identifier="m1" identifierref="sco1"><title>Fire safety</title><adlcp:masteryscore>80</adlcp:masteryscore></item>
+      <item identifier="m2"><title>Handouts</title>
+        <item identifier="m2a" identifierref="pdf1"><title>Checklist</title></item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco1" type="webcontent" adlcp:scormtype="sco" href="fire/index.html"><file href="fire/index.html"/></resource>
+    <resource identifier="pdf1" type="webcontent" adlcp:scormtype="asset" href="docs/checklist.pdf"><file href="docs/checklist.pdf"/></resource>
+  </resources>
+</manifest>`,
+  'fire/index.html': '<html><body>Fire</body></html>',
+  'docs/checklist.pdf': '%PDF-1.4'
+});
+
+describe('🗜️ Content Package Import', function() {
+  const userId = new mongoose.Types.ObjectId();
+  const instructor = { id: userId, name: 'Pat Lee', email: 'pat@example.com' };
+
+  const toPackage = (files) => {
+    const { adapter, errors } = readContentPackage(buildZip(files));
+    expect(errors).to.equal(undefined);
+    return adapter.toCoursePackage({ assetBaseUrl: '/content-packages/test' });
+  };
+
+  it('✅ should map a Common Cartridge to modules, contents and bank questions', function() {
+    const { coursePackage, report } = toPackage(cartridge());
+
+    expect(report.packageType).to.equal('Common Cartridge 1.1.0');
+    expect(coursePackage.course.title).to.equal('Networking Basics');
+    expect(coursePackage.modules.map(module => module.title)).to.deep.equal(['Week 1', 'Week 2']);
+
+    const [page, link] = coursePackage.modules[0].contents;
+    expect(page.type).to.equal('interactive');
+    expect(page.contentData.interactionUrl).to.equal('/content-packages/test/pages/welcome.html');
+    expect(link.type).to.equal('resource');
+    expect(link.contentData).to.deep.equal({ resourceType: 'link', resourceUrl: 'https://www.rfc-editor.org/rfc/rfc791' });
+
+    const quiz = coursePackage.modules[1].contents[0];
+    expect(quiz.type).to.equal('quiz');
+    expect(quiz.contentData.questions.map(question => question.bankQuestionRef)).to.deep.equal(['question-1', 'question-2']);
+    expect(coursePackage.questions[0].question).to.equal('Which layer routes packets?');
+    expect(coursePackage.questions[0].options.find(option => option.isCorrect).text).to.equal('Network');
+    expect(coursePackage.questions[1]).to.include({ type: 'true_false', correctAnswer: true });
+
+    expect(report.unsupported.map(entry => entry.type)).to.deep.equal(['imsbasiclti_xmlv1p0', 'cc.pattern_match.v0p1']);
+
+    expect(validateCoursePackage(coursePackage)).to.deep.equal([]);
+    expect(validateImportDocuments(buildImportDocuments(coursePackage, { instructor, userId }))).to.deep.equal([]);
+  });
+
+  it('✅ should map SCORM 1.2 SCOs and assets and report ignored tracking data', function() {
+    const { coursePackage, report } = toPackage(scormPackage());
+
+    expect(coursePackage.course.title).to.equal('Safety Training');
+    expect(coursePackage.modules[0].contents[0].contentData.interactionType).to.equal('scorm-sco');
+    expect(coursePackage.modules[1].contents[0].contentData).to.include({
+      resourceType: 'pdf',
+      resourceUrl: '/content-packages/test/docs/checklist.pdf'
+    });
+    expect(report.warnings.some(warning => warning.includes('masteryscore'))).to.equal(true);
+    expect(report.warnings.some(warning => warning.includes('SCORM API'))).to.equal(true);
+    expect(validateImportDocuments(buildImportDocuments(coursePackage, { instructor, userId }))).to.deep.equal([]);
+  });
+
+  it('❌ should reject files that are not content packages', function() {
+    expect(readContentPackage(Buffer.from('not a zip')).errors).to.deep.equal(['Not a zip file']);
+    expect(readContentPackage(buildZip({ 'readme.txt': 'hello' })).errors).to.deep.equal(['The package has no imsmanifest.xml']);
+    expect(readContentPackage(buildZip({ '../evil.html': 'x' })).errors[0]).to.match(/Unsafe file name/);
+  });
+});
@@ -0,0 +1,84 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const { shiftDate, buildCourseCopy, buildModuleCopy, buildQuizCopy } = require('../services/courseCloneService');
+
+const expect = chai.expect;
+
+describe('🧬 Course Cloning', function() {
+  const courseId = new mongoose.Types.ObjectId();
+  const oldModuleId = new mongoose.Types.ObjectId();
+  const newModuleId = new mongoose.Types.ObjectId();
+  const oldQuestionId = new mongoose.Types.ObjectId();
+  const newQuestionId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const moduleIdMap = new Map([[oldModuleId.toString(), newModuleId]]);
+  const questionIdMap = new Map([[oldQuestionId.toString(), newQuestionId]]);
+
+  it('✅ should shift dates by whole days and leave empty dates alone', function() {
+    expect(shiftDate(new Date('2026-01-10T09:00:00Z'), 7).toISOString()).to.equal('2026-01-17T09:00:00.000Z');
+    expect(shiftDate(null, 7)).to.equal(null);
+  });
+
+  it('✅ should copy a course as a draft with no enrollments', function() {
+    const copy = buildCourseCopy({
+      _id: courseId,
+      title: 'Intro to Testing',
+      enrollmentCount: 40,
+      rating: 4.5,
+      ratingCount: 12,
+      status: 'published',
+      syllabus: [{ moduleTitle: 'Basics', estimatedHours: 2, moduleId: oldModuleId }],
+      enrollmentSettings: { maxSeats: 30, opensAt: new Date('2026-01-01T00:00:00Z'), closesAt: null }
+    }, { offsetDays: 120, moduleIdMap });
+
+    expect(copy.title).to.equal('Intro to Testing (Copy)');
+    expect(copy.status).to.equal('draft');
+    expect(copy.clonedFrom).to.equal(courseId);
+    expect([copy.enrollmentCount, copy.rating, copy.ratingCount]).to.deep.equal([0, 0, 0]);
+    expect(copy.syllabus[0].moduleId).to.equal(newModuleId);
+    expect(copy.enrollmentSettings.maxSeats).to.equal(30);
+    expect(copy.enrollmentSettings.opensAt.toISOString()).to.equal('2026-05-01T00:00:00.000Z');
+    expect(copy._id.equals(courseId)).to.equal(false);
+  });
+
+  it('✅ should give module contents new ids and keep references between them', function() {
+    const copy = buildModuleCopy({
+      _id: oldModuleId,
+      moduleNumber: 4,
+      analytics: { totalEnrollments: 25, completionRate: 80 },
+      contents: [
+        { contentId: 'a', title: 'Reading' },
+        {
+          contentId: 'b',
+          title: 'Check',
+          prerequisites: ['a'],
+          contentData: { questions: [{ bankQuestionId: oldQuestionId }], dueDate: new Date('2026-02-01T00:00:00Z') }
+        }
+      ],
+      assessment: { assessmentId: 'b' }
+    }, { courseId, moduleNumber: 1, newId: newModuleId, moduleIdMap, questionIdMap, offsetDays: 1, userId });
+
+    const [reading, check] = copy.contents;
+    expect(copy.moduleNumber).to.equal(1);
+    expect(copy.analytics).to.equal(undefined);
+    expect(reading.contentId).to.not.equal('a');
+    expect(check.prerequisites).to.deep.equal([reading.contentId]);
+    expect(copy.assessment.assessmentId).to.equal(check.contentId);
+    expect(check.contentData.questions[0].bankQuestionId).to.equal(newQuestionId);
+    expect(check.contentData.dueDate.toISOString()).to.equal('2026-02-02T00:00:00.000Z');
+  });
+
+  it('✅ should point a quiz at the copied module and question bank', function() {
+    const copy = buildQuizCopy({
+      _id: new mongoose.Types.ObjectId(),
+      moduleId: oldModuleId.toString(),
+      questions: [{ question: 'Why?', bankQuestionId: oldQuestionId, options: [] }],
+      dueDate: new Date('2026-03-01T00:00:00Z')
+    }, { courseId, moduleIdMap, questionIdMap, offsetDays: -1, userId });
+
+    expect(copy.courseId).to.equal(courseId);
+    expect(copy.moduleId).to.equal(newModuleId.toString());
+    expect(copy.questions[0].bankQuestionId).to.equal(newQuestionId);
+    expect(copy.dueDate.toISOString()).to.equal('2026-02-28T00:00:00.000Z');
+  });
+});
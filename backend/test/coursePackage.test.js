@@ -0,0 +1,127 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const {
+  buildCoursePackage,
+  validateCoursePackage,
+  buildImportDocuments,
+  validateImportDocuments
+} = require('../services/coursePackageService');
+
+const expect = chai.expect;
+
+describe('📦 Course Packages', function() {
+  const userId = new mongoose.Types.ObjectId();
+  const instructor = { id: userId, name: 'Pat Lee', email: 'pat@example.com' };
+
+  const buildSourceCourse = () => {
+    const course = new Course({
+      title: 'Data Structures',
+      description: 'Lists, trees and graphs',
+      category: 'Programming',
+      difficulty: 'Intermediate',
+      instructor,
+      duration: { weeks: 6, hoursPerWeek: 4 },
+      estimatedCompletionTime: 24
+    });
+    const question = new Question({ courseId: course._id, question: 'What is a stack?', createdBy: userId });
+    const first = new Module({
+      courseId: course._id,
+      moduleNumber: 1,
+      title: 'Lists',
+      description: 'Linked lists',
+      estimatedDuration: 30,
+      difficulty: 'Beginner',
+      createdBy: userId,
+      contents: [{
+        contentId: 'c1',
+        type: 'quiz',
+        title: 'Check',
+        duration: 10,
+        order: 1,
+        contentData: { questions: [{ bankQuestionId: question._id, points: 2 }] }
+      }]
+    });
+    const second = new Module({
+      courseId: course._id,
+      moduleNumber: 2,
+      title: 'Trees',
+      description: 'Binary trees',
+      estimatedDuration: 45,
+      difficulty: 'Intermediate',
+      createdBy: userId,
+      prerequisites: { modules: [first._id] }
+    });
+    course.syllabus = [{ moduleTitle: 'Lists', estimatedHours: 1, moduleId: first._id }];
+    const quiz = new Quiz({
+      title: 'Lists quiz',
+      courseId: course._id,
+      moduleId: first._id.toString(),
+      createdBy: userId,
+      questions: [{ id: 'q1', question: 'Stack?', bankQuestionId: question._id, options: [{ id: 'a', text: 'LIFO', isCorrect: true }] }]
+    });
+    return { course, modules: [second, first], quizzes: [quiz], questions: [question] };
+  };
+
+  // Imported documents as they would come back from the database
+  const asSaved = ({ course, modules, quizzes, questions }) => ({
+    course: new Course(course),
+    modules: modules.map(module => new Module(module)),
+    quizzes: quizzes.map(quiz => new Quiz(quiz)),
+    questions: questions.map(question => new Question(question))
+  });
+
+  const withoutEnvelope = ({ exportedAt, source, ...rest }) => JSON.parse(JSON.stringify(rest));
+
+  it('✅ should replace ids with refs in the package', function() {
+    const pkg = buildCoursePackage(buildSourceCourse());
+
+    expect(pkg.modules.map(module => module.ref)).to.deep.equal(['module-1', 'module-2']);
+    expect(pkg.modules[1].prerequisites.moduleRefs).to.deep.equal(['module-1']);
+    expect(pkg.modules[0].contents[0].contentData.questions[0].bankQuestionRef).to.equal('question-1');
+    expect(pkg.quizzes[0].moduleRef).to.equal('module-1');
+    expect(pkg.course.syllabus[0].moduleRef).to.equal('module-1');
+    expect(pkg.course).to.not.have.property('instructor');
+    expect(validateCoursePackage(pkg)).to.deep.equal([]);
+  });
+
+  it('✅ should round-trip a course to an identical package', function() {
+    const pkg = JSON.parse(JSON.stringify(buildCoursePackage(buildSourceCourse())));
+    const documents = buildImportDocuments(pkg, { instructor, userId });
+
+    expect(validateImportDocuments(documents)).to.deep.equal([]);
+    expect(documents.course.status).to.equal('draft');
+    expect(withoutEnvelope(buildCoursePackage(asSaved(documents)))).to.deep.equal(withoutEnvelope(pkg));
+  });
+
+  it('✅ should reject packages with broken refs and report missing courses', function() {
+    const pkg = JSON.parse(JSON.stringify(buildCoursePackage(buildSourceCourse())));
+    pkg.quizzes[0].moduleRef = 'module-9';
+    expect(validateCoursePackage(pkg)).to.deep.equal(['Quiz "Lists quiz" refers to unknown "module-9"']);
+    expect(validateCoursePackage({ format: 'other', version: 1, course: {} })[0]).to.match(/Unknown package format/);
+
+    pkg.quizzes[0].moduleRef = 'module-1';
+    pkg.course.prerequisiteCourses = [{ courseTitle: 'Algorithms', minimumGrade: 60 }];
+    const { course, conflicts } = buildImportDocuments(pkg, { instructor, userId });
+    expect(course.prerequisiteCourses).to.deep.equal([]);
+    expect(conflicts.map(conflict => conflict.type)).to.deep.equal(['missing-course']);
+  });
+
+  it('❌ should drop environment fields smuggled into a package', function() {
+    const pkg = JSON.parse(JSON.stringify(buildCoursePackage(buildSourceCourse())));
+    Object.assign(pkg.course, { rating: 5, ratingCount: 900, enrollmentCount: 12000, status: 'published' });
+    Object.assign(pkg.modules[0], { status: 'published', approvedBy: userId.toString(), version: 7, analytics: { completionRate: 100 } });
+    pkg.quizzes[0].totalPoints = 1000;
+
+    const { course, modules, quizzes } = buildImportDocuments(pkg, { instructor, userId });
+
+    expect(course).to.not.have.any.keys('rating', 'ratingCount', 'enrollmentCount');
+    expect(course.status).to.equal('draft');
+    expect(modules[0]).to.not.have.any.keys('approvedBy', 'version', 'analytics');
+    expect(modules[0].status).to.equal('draft');
+    expect(quizzes[0]).to.not.have.property('totalPoints');
+  });
+});
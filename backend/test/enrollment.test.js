@@ -0,0 +1,58 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const EnrollmentRequest = require('../models/EnrollmentRequest');
+const {
+  mergeEnrollmentSettings,
+  validateEnrollmentSettings,
+  getEnrollmentWindow,
+  getSeatInfo
+} = require('../services/enrollmentService');
+
+const expect = chai.expect;
+
+describe('🎟️ Enrollment Capacity', function() {
+  it('✅ should fill defaults and reject unusable settings', function() {
+    const settings = mergeEnrollmentSettings({ maxSeats: 20 }, { requiresApproval: true, closesAt: '' });
+    expect(settings).to.deep.equal({
+      maxSeats: 20,
+      opensAt: null,
+      closesAt: null,
+      requiresApproval: true,
+      waitlistEnabled: true
+    });
+    expect(validateEnrollmentSettings(settings)).to.equal(null);
+
+    expect(validateEnrollmentSettings({ ...settings, maxSeats: 0 })).to.match(/at least 1/);
+    expect(validateEnrollmentSettings({ ...settings, opensAt: '2026-02-01', closesAt: '2026-01-01' })).to.match(/close after/);
+  });
+
+  it('✅ should report the enrollment window and free seats', function() {
+    const course = {
+      enrollmentCount: 30,
+      enrollmentSettings: { maxSeats: 30, opensAt: new Date('2026-01-01'), closesAt: new Date('2026-02-01') }
+    };
+
+    expect(getEnrollmentWindow(course, new Date('2026-01-15')).isOpen).to.equal(true);
+    expect(getEnrollmentWindow(course, new Date('2025-12-31')).reason).to.match(/opens/);
+    expect(getEnrollmentWindow(course, new Date('2026-02-02')).reason).to.match(/closed/);
+    expect(getSeatInfo(course)).to.deep.equal({ maxSeats: 30, taken: 30, available: 0, isFull: true });
+    expect(getSeatInfo({ enrollmentCount: 5 }).available).to.equal(null);
+  });
+
+  it('✅ should move requests onto the waitlist and close them', function() {
+    const request = new EnrollmentRequest({
+      courseId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId()
+    });
+    expect(request.status).to.equal('pending');
+
+    request.waitlist();
+    expect(request.status).to.equal('waitlisted');
+    expect(request.isOpen).to.equal(true);
+    expect(request.waitlistedAt).to.be.an.instanceof(Date);
+
+    request.close('rejected', { note: 'Prerequisites missing' });
+    expect(request.isOpen).to.equal(false);
+    expect(request.note).to.equal('Prerequisites missing');
+  });
+});
@@ -0,0 +1,74 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const {
+  mergeGradingSettings,
+  validateGradingSettings,
+  buildGradebookItems,
+  gradeStudent
+} = require('../services/gradebookService');
+
+const expect = chai.expect;
+
+describe('📒 Course Gradebook', function() {
+  const moduleId = new mongoose.Types.ObjectId();
+  const modules = [{
+    _id: moduleId,
+    title: 'Module 1',
+    assessment: { assessmentId: 'final', passingScore: 70, weightInCourse: 40 },
+    contents: [
+      { contentId: 'video', type: 'video', title: 'Intro' },
+      { contentId: 'quiz-1', type: 'quiz', title: 'Check', contentData: { passingScore: 60 } },
+      { contentId: 'essay', type: 'assignment', title: 'Essay' },
+      { contentId: 'final', type: 'quiz', title: 'Final' }
+    ]
+  }];
+  const items = buildGradebookItems(modules);
+
+  it('✅ should turn graded module content into gradebook items', function() {
+    expect(items.map(item => item.category)).to.deep.equal(['quizzes', 'assignments', 'moduleAssessments']);
+    expect(items[2].weight).to.equal(40);
+  });
+
+  it('✅ should weight categories and leave out ungraded ones', function() {
+    const grading = mergeGradingSettings({}, { weights: { quizzes: 25, assignments: 25, moduleAssessments: 50 } });
+
+    const partial = gradeStudent(grading, items, { 'quiz-1': 80, essay: 60 });
+    expect(partial.finalGrade).to.equal(70);
+    expect(partial.gradedItems).to.equal(2);
+
+    const full = gradeStudent(grading, items, { 'quiz-1': 80, essay: 60, final: 90 });
+    expect(full.finalGrade).to.equal(80);
+    expect(full.letterGrade).to.equal('B');
+
+    expect(gradeStudent(grading, items, {}).letterGrade).to.equal(null);
+  });
+
+  it('✅ should grade pass/fail and competency courses', function() {
+    const passFail = gradeStudent(mergeGradingSettings({}, { scheme: 'pass-fail', passingThreshold: 75 }), items, { 'quiz-1': 70, final: 90 });
+    expect(passFail.letterGrade).to.equal('P');
+    expect(passFail.numericGrade).to.equal(80);
+
+    const competency = gradeStudent(mergeGradingSettings({}, { scheme: 'competency' }), items, { 'quiz-1': 100, final: 65 });
+    expect(competency.letterGrade).to.equal('F');
+    expect(competency.numericGrade).to.equal(0);
+  });
+
+  it('❌ should count a graded 0 against a pass/fail grade', function() {
+    const grading = mergeGradingSettings({}, { scheme: 'pass-fail', passingThreshold: 75 });
+
+    expect(gradeStudent(grading, items, { 'quiz-1': 90, final: 90 }).letterGrade).to.equal('P');
+
+    const zero = gradeStudent(grading, items, { 'quiz-1': 90, essay: 0, final: 90 });
+    expect(zero.letterGrade).to.equal('F');
+    expect(zero.numericGrade).to.equal(60);
+  });
+
+  it('❌ should reject invalid grading settings', function() {
+    expect(validateGradingSettings(mergeGradingSettings({}, { scheme: 'curve' }))).to.be.a('string');
+    expect(validateGradingSettings(mergeGradingSettings({}, { weights: { quizzes: -5 } }))).to.be.a('string');
+    expect(validateGradingSettings(mergeGradingSettings({}, {
+      weights: { quizzes: 0, assignments: 0, moduleAssessments: 0 }
+    }))).to.be.a('string');
+    expect(validateGradingSettings(mergeGradingSettings())).to.equal(null);
+  });
+});
@@ -0,0 +1,70 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const { toCsv, parseCsv, unescapeCsvValue } = require('../utils/csv');
+const { buildGradebookCsv, planGradeImport } = require('../services/gradebookCsvService');
+
+const expect = chai.expect;
+
+describe('📄 Gradebook CSV', function() {
+  const ada = { _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@example.com' };
+  const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob, Jr.', email: 'bob@example.com' };
+  const enrollments = [
+    { userId: ada, grade: 80, notes: '' },
+    { userId: bob, grade: 65, notes: 'Late start' }
+  ];
+
+  it('✅ should export one row per student with item and grade columns', function() {
+    const csv = buildGradebookCsv({
+      items: [{ itemId: 'final', title: 'Final', moduleTitle: 'Module 1' }],
+      rows: [{
+        student: { id: bob._id, name: bob.name, email: bob.email },
+        items: [{ itemId: 'final', score: 72 }],
+        numericGrade: 72,
+        letterGrade: 'C',
+        enrollment: { grade: 65, letterGrade: 'D', notes: 'Late start' }
+      }]
+    });
+
+    const [header, row] = parseCsv(csv);
+    expect(header).to.include('Module 1: Final');
+    expect(header).to.include('Grade');
+    expect(row[1]).to.equal('Bob, Jr.');
+    expect(row[header.indexOf('Grade')]).to.equal('65');
+  });
+
+  it('✅ should preview changes row by row without saving', function() {
+    const plan = planGradeImport([
+      'Student ID,Email,Grade,Notes',
+      `${ada._id},,91,Great work`,
+      `,BOB@example.com,65,Late start`
+    ].join('\n'), enrollments);
+
+    expect(plan.summary).to.deep.equal({ total: 2, updates: 1, unchanged: 1, errors: 0 });
+    expect(plan.rows[0].changes.grade).to.deep.equal({ from: 80, to: 91 });
+    expect(enrollments[0].grade).to.equal(80);
+  });
+
+  it('❌ should report invalid grades and unknown students per row', function() {
+    const plan = planGradeImport([
+      'Email,Grade',
+      'ada@example.com,120',
+      'ada@example.com,abc',
+      'nobody@example.com,50'
+    ].join('\n'), enrollments);
+
+    expect(plan.summary.errors).to.equal(3);
+    expect(plan.rows.map(row => row.row)).to.deep.equal([2, 3, 4]);
+    expect(plan.rows[2].errors[0]).to.match(/not enrolled/);
+    expect(planGradeImport('Name,Grade\nAda,90', enrollments).error).to.be.a('string');
+  });
+
+  it('✅ should strip the formula guard when a guarded export is imported', function() {
+    const csv = toCsv(['Student ID', 'Notes'], [[ada._id.toString(), '-late by a week'], [bob._id.toString(), '=SUM(A1)']]);
+    expect(parseCsv(csv)[1][1]).to.equal("'-late by a week");
+    expect(unescapeCsvValue("'-late by a week")).to.equal('-late by a week');
+
+    const plan = planGradeImport(csv, enrollments);
+    expect(plan.rows[0].changes.notes).to.deep.equal({ from: '', to: '-late by a week' });
+    expect(plan.rows[1].changes.notes).to.deep.equal({ from: 'Late start', to: '=SUM(A1)' });
+  });
+});
@@ -0,0 +1,98 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const ModuleProgress = require('../models/ModuleProgress');
+const { scoreRubric, validateRubric } = require('../services/rubricScoring');
+
+const expect = chai.expect;
+
+describe('✍️ Manual Grading', function() {
+  const rubric = [
+    { criterion: 'Correctness', maxPoints: 6 },
+    { criterion: 'Style', maxPoints: 4 }
+  ];
+
+  const buildProgress = () => new ModuleProgress({
+    userId: new mongoose.Types.ObjectId(),
+    courseId: new mongoose.Types.ObjectId(),
+    moduleId: new mongoose.Types.ObjectId(),
+    totalContentCount: 1,
+    totalRequiredContentCount: 1,
+    contentProgress: [{
+      contentId: 'assignment-1',
+      contentType: 'assignment',
+      attempts: 1,
+      progressData: {
+        submissions: [{ submissionId: 'sub-1', attempt: 1, submittedAt: new Date() }]
+      }
+    }]
+  });
+
+  it('✅ should total rubric scores against the rubric', function() {
+    const result = scoreRubric(rubric, [
+      { criterion: 'Correctness', points: 5 },
+      { criterion: 'Style', points: 3, comment: 'Tidy' }
+    ]);
+    expect(result.score).to.equal(8);
+    expect(result.maxScore).to.equal(10);
+  });
+
+  it('❌ should reject missing or out-of-range criterion scores', function() {
+    expect(scoreRubric(rubric, [{ criterion: 'Correctness', points: 5 }]).error).to.be.a('string');
+    expect(scoreRubric(rubric, [
+      { criterion: 'Correctness', points: 7 },
+      { criterion: 'Style', points: 1 }
+    ]).error).to.be.a('string');
+  });
+
+  it('✅ should score performance levels and weight criteria', function() {
+    const leveled = [
+      {
+        criterion: 'Design',
+        weight: 3,
+        levels: [
+          { level: 'Excellent', points: 4 },
+          { level: 'Good', points: 3 },
+          { level: 'Needs Improvement', points: 1 }
+        ]
+      },
+      { criterion: 'Documentation', weight: 1, maxPoints: 10 }
+    ];
+
+    const result = scoreRubric(leveled, [
+      { criterion: 'Design', level: 'Excellent' },
+      { criterion: 'Documentation', points: 0 }
+    ]);
+    expect(result.rubricScores[0].points).to.equal(4);
+    expect(result.percentage).to.equal(75);
+  });
+
+  it('❌ should reject unknown levels and invalid rubrics', function() {
+    const leveled = [{ criterion: 'Design', levels: [{ level: 'Good', points: 3 }] }];
+    expect(scoreRubric(leveled, [{ criterion: 'Design', level: 'Great' }]).error).to.be.a('string');
+    expect(validateRubric([{ criterion: 'Design' }])).to.be.a('string');
+    expect(validateRubric(leveled)).to.equal(null);
+  });
+
+  it('✅ should complete content when a graded submission passes', function() {
+    const progress = buildProgress();
+    const { contentProgress, submission } = progress.findSubmission('sub-1');
+
+    progress.applySubmissionGrade(contentProgress, submission, { score: 8, maxScore: 10 }, 70);
+
+    expect(submission.status).to.equal('graded');
+    expect(contentProgress.bestScore.percentage).to.equal(80);
+    expect(contentProgress.isCompleted).to.equal(true);
+  });
+
+  it('❌ should take back completion when a regrade fails', function() {
+    const progress = buildProgress();
+    const { contentProgress, submission } = progress.findSubmission('sub-1');
+
+    progress.applySubmissionGrade(contentProgress, submission, { score: 8, maxScore: 10 }, 70);
+    progress.applySubmissionGrade(contentProgress, submission, { score: 5, maxScore: 10 }, 70);
+
+    expect(contentProgress.scores).to.have.length(1);
+    expect(contentProgress.bestScore.percentage).to.equal(50);
+    expect(contentProgress.isCompleted).to.equal(false);
+  });
+});
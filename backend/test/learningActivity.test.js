@@ -0,0 +1,118 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LearningActivity = require('../models/LearningActivity');
+const {
+  MAX_EVENT_MINUTES,
+  MAX_DAY_MINUTES,
+  isValidTimezone,
+  localDate,
+  addDays,
+  computeStreaks,
+  getActivityHeatmap,
+  buildActivitySeries,
+  recordLearningActivity
+} = require('../services/learningActivityService');
+
+const expect = chai.expect;
+
+describe('🔥 Learning Activity', function() {
+  it('✅ should put activity on the local day of the user\'s timezone', function() {
+    const lateEvening = new Date('2026-03-01T23:30:00Z');
+    expect(localDate(lateEvening, 'UTC')).to.equal('2026-03-01');
+    expect(localDate(lateEvening, 'Asia/Kolkata')).to.equal('2026-03-02');
+    expect(localDate(lateEvening, 'America/New_York')).to.equal('2026-03-01');
+    expect(localDate(lateEvening, 'Not/AZone')).to.equal('2026-03-01');
+
+    expect(isValidTimezone('Europe/Berlin')).to.equal(true);
+    expect(isValidTimezone('Not/AZone')).to.equal(false);
+    expect(addDays('2026-02-28', 1)).to.equal('2026-03-01');
+    expect(addDays('2026-03-01', -1)).to.equal('2026-02-28');
+  });
+
+  it('✅ should compute streaks from active days, not courses', function() {
+    const days = ['2026-02-01', '2026-02-02', '2026-02-03', '2026-02-04', '2026-02-10', '2026-02-11', '2026-02-11'];
+
+    expect(computeStreaks(days, '2026-02-11')).to.deep.equal({ currentStreak: 2, longestStreak: 4, lastActiveDay: '2026-02-11' });
+    // Yesterday still counts until today is over
+    expect(computeStreaks(days, '2026-02-12').currentStreak).to.equal(2);
+    expect(computeStreaks(days, '2026-02-13').currentStreak).to.equal(0);
+    expect(computeStreaks([], '2026-02-13')).to.deep.equal({ currentStreak: 0, longestStreak: 0, lastActiveDay: null });
+  });
+
+  it('✅ should build daily and Monday-based weekly series with quiz averages', function() {
+    const activity = (date, minutes, contentCompleted = 0) => ({
+      date,
+      minutes,
+      items: { contentCompleted, quizzesSubmitted: 0, modulesCompleted: 0 }
+    });
+    const { daily, weekly } = buildActivitySeries({
+      start: '2026-03-07',
+      end: '2026-03-10',
+      activities: [activity('2026-03-07', 30, 2), activity('2026-03-09', 15, 1)],
+      quizScores: [
+        { date: '2026-03-09', percentage: 80 },
+        { date: '2026-03-10', percentage: 65 }
+      ]
+    });
+
+    expect(daily.map(day => day.minutes)).to.deep.equal([30, 0, 15, 0]);
+    expect(daily[2]).to.include({ contentCompleted: 1, quizCount: 1, quizAverage: 80 });
+    expect(daily[1].quizAverage).to.equal(null);
+
+    // Sat 7th and Sun 8th belong to the week of Mon 2nd, clipped to the range
+    expect(weekly.map(week => [week.weekStart, week.from, week.to])).to.deep.equal([
+      ['2026-03-02', '2026-03-07', '2026-03-08'],
+      ['2026-03-09', '2026-03-09', '2026-03-10']
+    ]);
+    expect(weekly[0]).to.include({ minutes: 30, contentCompleted: 2, activeDays: 1, quizAverage: null });
+    expect(weekly[1]).to.include({ minutes: 15, activeDays: 1, quizCount: 2, quizAverage: 72.5 });
+  });
+
+  it('❌ should reject invalid heatmap ranges', async function() {
+    const user = { _id: new mongoose.Types.ObjectId(), timezone: 'UTC' };
+
+    expect((await getActivityHeatmap(user, { from: '2026-02-30', to: '2026-03-01' })).errors)
+      .to.deep.equal(['from must be a date (YYYY-MM-DD)']);
+    expect((await getActivityHeatmap(user, { from: '2026-03-02', to: '2026-03-01' })).errors)
+      .to.deep.equal(['from must not be after to']);
+    expect((await getActivityHeatmap(user, { from: '2024-01-01', to: '2026-03-01' })).errors)
+      .to.deep.equal(['The range can be at most 366 days']);
+  });
+
+  it('❌ should cap the minutes one event and one day can add', async function() {
+    const userId = new mongoose.Types.ObjectId();
+    const courseId = new mongoose.Types.ObjectId();
+    const row = (minutes, courseMinutes) => new LearningActivity({
+      userId,
+      date: '2026-03-12',
+      minutes,
+      courseMinutes: { [courseId]: courseMinutes }
+    });
+    sinon.stub(User, 'findById').returns({ select: sinon.stub().resolves({ timezone: 'UTC' }) });
+    sinon.stub(User, 'updateOne').resolves();
+    sinon.stub(LearningActivity, 'aggregate').resolves([]);
+    sinon.stub(LearningActivity, 'distinct').resolves([]);
+    const findOneAndUpdate = sinon.stub(LearningActivity, 'findOneAndUpdate');
+
+    try {
+      findOneAndUpdate.onFirstCall().resolves(row(1500, 1500));
+      findOneAndUpdate.onSecondCall().resolves(row(MAX_DAY_MINUTES, MAX_DAY_MINUTES));
+      const activity = await recordLearningActivity(userId, { minutes: 100000, courseId, at: new Date('2026-03-12T10:00:00Z') });
+
+      expect(findOneAndUpdate.firstCall.args[1].$inc.minutes).to.equal(MAX_EVENT_MINUTES);
+      expect(findOneAndUpdate.secondCall.args[1]).to.deep.equal({
+        $min: { minutes: MAX_DAY_MINUTES, [`courseMinutes.${courseId}`]: MAX_DAY_MINUTES }
+      });
+      expect(activity.minutes).to.equal(MAX_DAY_MINUTES);
+
+      findOneAndUpdate.resetHistory();
+      findOneAndUpdate.onFirstCall().resolves(row(90, 90));
+      await recordLearningActivity(userId, { minutes: 30, courseId });
+      expect(findOneAndUpdate.callCount).to.equal(1);
+    } finally {
+      sinon.restore();
+    }
+  });
+});
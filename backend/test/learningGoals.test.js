@@ -0,0 +1,107 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LearningGoal = require('../models/LearningGoal');
+const { validateGoalInput, computeGoalProgress } = require('../services/learningGoalService');
+const { getLearningGoals } = require('../controllers/progressController');
+
+const expect = chai.expect;
+
+describe('🎯 Learning Goals', function() {
+  const courseId = new mongoose.Types.ObjectId();
+  const otherCourseId = new mongoose.Types.ObjectId();
+  const empty = { activities: [], progressRecords: [], quizAttempts: [] };
+  const options = { today: '2026-03-12', timezone: 'UTC' }; // a Thursday
+
+  it('✅ should validate goal type, target and deadline', function() {
+    expect(validateGoalInput({ type: 'hours_per_week', target: 5, deadline: '2026-04-01' }, { today: '2026-03-12' })).to.deep.equal([]);
+    expect(validateGoalInput({ type: 'daily', target: 0, deadline: 'soon' })).to.have.length(3);
+    expect(validateGoalInput({ type: 'quiz_average', target: 120, deadline: '2026-04-01' })).to.have.length(1);
+    expect(validateGoalInput({ type: 'modules_per_week', target: 2.5, deadline: '2026-04-01' })).to.have.length(1);
+    expect(validateGoalInput({ type: 'hours_per_week', target: 5, deadline: '2026-03-01' }, { today: '2026-03-12' })).to.have.length(1);
+    expect(validateGoalInput({ type: 'hours_per_week', courseId: 'nope' }, { partial: true })).to.deep.equal(['courseId is not valid']);
+  });
+
+  it('✅ should measure weekly hours against the pace of the week', function() {
+    const goal = { type: 'hours_per_week', target: 7, startDate: '2026-03-01', deadline: '2026-04-30' };
+    const activity = (date, minutes, courseMinutes = {}) => ({ date, minutes, courseMinutes });
+
+    // Last week's minutes don't count; 3 of 7 days are over, so 3h keeps pace
+    const onPace = computeGoalProgress(goal, {
+      ...empty,
+      activities: [activity('2026-03-08', 600), activity('2026-03-09', 120), activity('2026-03-11', 60)]
+    }, options);
+    expect(onPace).to.include({ current: 3, percentage: 43, status: 'on-track', unit: 'hours' });
+    expect(onPace.period).to.deep.equal({ from: '2026-03-09', to: '2026-03-15' });
+
+    // Scoped to a course, only that course's minutes count
+    const scoped = computeGoalProgress({ ...goal, courseId }, {
+      ...empty,
+      activities: [activity('2026-03-09', 180, { [courseId.toString()]: 60, [otherCourseId.toString()]: 120 })]
+    }, options);
+    expect(scoped).to.include({ current: 1, status: 'at-risk' });
+
+    const finished = computeGoalProgress({ ...goal, deadline: '2026-03-10' }, {
+      ...empty,
+      activities: [activity('2026-03-09', 120)]
+    }, options);
+    expect(finished.status).to.equal('missed');
+  });
+
+  it('✅ should track completed courses, modules and quiz averages', function() {
+    const progressRecords = [
+      {
+        courseId,
+        isCompleted: true,
+        completionDate: new Date('2026-03-05T10:00:00Z'),
+        modulesCompleted: [{ completedAt: new Date('2026-03-09T10:00:00Z') }, { completedAt: new Date('2026-03-02T10:00:00Z') }]
+      },
+      { courseId: otherCourseId, isCompleted: false, modulesCompleted: [{ completedAt: new Date('2026-03-10T10:00:00Z') }] }
+    ];
+    const quizAttempts = [
+      { courseId, submittedAt: new Date('2026-03-04T10:00:00Z'), percentage: 90 },
+      { courseId: otherCourseId, submittedAt: new Date('2026-03-06T10:00:00Z'), percentage: 60 }
+    ];
+    const data = { activities: [], progressRecords, quizAttempts };
+
+    const courses = computeGoalProgress({ type: 'courses_completed', target: 1, startDate: '2026-03-01', deadline: '2026-06-01' }, data, options);
+    expect(courses).to.include({ current: 1, status: 'met' });
+
+    const modules = computeGoalProgress({ type: 'modules_per_week', target: 2, startDate: '2026-03-01', deadline: '2026-06-01' }, data, options);
+    expect(modules).to.include({ current: 2, status: 'met' });
+    const scopedModules = computeGoalProgress({ type: 'modules_per_week', target: 2, courseId, startDate: '2026-03-01', deadline: '2026-06-01' }, data, options);
+    expect(scopedModules).to.include({ current: 1, status: 'on-track' });
+
+    const quizGoal = { type: 'quiz_average', target: 80, startDate: '2026-03-01', deadline: '2026-03-31' };
+    expect(computeGoalProgress(quizGoal, data, options)).to.include({ current: 75, status: 'at-risk' });
+    expect(computeGoalProgress({ ...quizGoal, courseId }, data, options)).to.include({ current: 90, status: 'on-track' });
+    expect(computeGoalProgress(quizGoal, empty, options)).to.include({ current: null, status: 'on-track' });
+    expect(computeGoalProgress({ ...quizGoal, deadline: '2026-03-11' }, data, options).status).to.equal('missed');
+  });
+
+  it('✅ should still show free-text goals saved before structured goals', async function() {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', timezone: 'UTC', learningGoals: ['Finish the React course'] });
+    sinon.stub(User, 'findById').resolves(user);
+    sinon.stub(LearningGoal, 'find').returns({
+      populate() {
+        return this;
+      },
+      sort: sinon.stub().resolves([])
+    });
+    const res = {
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+
+    try {
+      await getLearningGoals({ user: { id: user._id.toString() }, query: {} }, res);
+    } finally {
+      sinon.restore();
+    }
+
+    expect(res.body).to.deep.equal({ goals: [], legacyGoals: ['Finish the React course'], timezone: 'UTC' });
+  });
+});
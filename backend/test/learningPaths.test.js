@@ -0,0 +1,65 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const LearningPath = require('../models/LearningPath');
+const { computePathProgress, normalizePathCourses } = require('../services/learningPathService');
+
+const expect = chai.expect;
+
+describe('🛤️ Learning Paths', function() {
+  const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  const courses = normalizePathCourses([{ courseId: first }, { courseId: second }, { courseId: third }]);
+
+  it('✅ should unlock only the first course of a sequential path', function() {
+    const progress = computePathProgress(courses, {});
+
+    expect(progress.courses.map(course => course.status)).to.deep.equal(['available', 'locked', 'locked']);
+    expect(progress.currentCourseId).to.equal(first.toString());
+    expect(progress.completionPercentage).to.equal(0);
+  });
+
+  it('✅ should unlock the next course when the previous one completes', function() {
+    const progress = computePathProgress(courses, {
+      [first]: { isCompleted: true, completionPercentage: 100 },
+      [second]: { completionPercentage: 50 }
+    });
+
+    expect(progress.courses.map(course => course.status)).to.deep.equal(['completed', 'in-progress', 'locked']);
+    expect(progress.completedCourses).to.equal(1);
+    expect(progress.completionPercentage).to.equal(50);
+    expect(progress.isCompleted).to.equal(false);
+  });
+
+  it('✅ should open every course in a flexible path and finish when all are done', function() {
+    const waitlisted = computePathProgress(courses, {}, { [second]: { status: 'waitlisted' } }, { sequential: false });
+    expect(waitlisted.courses.map(course => course.status)).to.deep.equal(['available', 'waitlisted', 'available']);
+
+    const done = { isCompleted: true };
+    const finished = computePathProgress(courses, { [first]: done, [second]: done, [third]: done });
+    expect(finished.isCompleted).to.equal(true);
+    expect(finished.currentCourseId).to.equal(null);
+  });
+
+  it('✅ should keep unpublished courses and the ones after them locked', function() {
+    const sequential = computePathProgress(courses, {}, {}, { unpublished: new Set([first.toString()]) });
+    expect(sequential.courses.map(course => course.status)).to.deep.equal(['locked', 'locked', 'locked']);
+
+    const flexible = computePathProgress(courses, {}, {}, { sequential: false, unpublished: new Set([second.toString()]) });
+    expect(flexible.courses.map(course => course.status)).to.deep.equal(['available', 'locked', 'available']);
+
+    // Students already in a course keep it when it is unpublished later
+    const started = computePathProgress(courses, { [first]: { completionPercentage: 20 } }, {}, { unpublished: new Set([first.toString()]) });
+    expect(started.courses[0].status).to.equal('in-progress');
+  });
+
+  it('✅ should keep courses in path order', function() {
+    const path = new LearningPath({
+      title: 'Onboarding',
+      createdBy: new mongoose.Types.ObjectId(),
+      courses: [{ courseId: third, order: 3 }, { courseId: first, order: 1 }]
+    });
+
+    expect(path.getOrderedCourses().map(entry => entry.courseId.toString())).to.deep.equal([first.toString(), third.toString()]);
+    expect(path.includesCourse(third.toString())).to.equal(true);
+    expect(path.includesCourse(second)).to.equal(false);
+  });
+});
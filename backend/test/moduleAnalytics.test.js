@@ -0,0 +1,64 @@
+const chai = require('chai');
+const { buildDropoffFunnel, computeModuleAnalytics } = require('../services/moduleAnalyticsService');
+
+const expect = chai.expect;
+
+describe('📉 Module Analytics', function() {
+  const now = new Date('2026-05-20T12:00:00Z');
+  const longAgo = new Date('2026-05-01T12:00:00Z');
+  const contents = [
+    { contentId: 'quiz', title: 'Check', type: 'quiz', order: 3 },
+    { contentId: 'intro', title: 'Intro', type: 'video', order: 1 },
+    { contentId: 'reading', title: 'Reading', type: 'text', order: 2 }
+  ];
+  const done = (contentId, extra = {}) => ({ contentId, status: 'completed', isCompleted: true, timeSpent: 60, ...extra });
+  const scored = (percentage) => ({
+    scores: [{ attempt: 1, score: percentage / 10, maxScore: 10, percentage }],
+    bestScore: { score: percentage / 10, percentage }
+  });
+  const started = (contentId) => ({ contentId, status: 'in-progress', isCompleted: false, timeSpent: 30 });
+
+  const progressRecords = [
+    // Finished the module
+    {
+      status: 'completed', completionPercentage: 100, totalTimeSpent: 1800, lastAccessedAt: longAgo,
+      contentProgress: [done('intro'), done('reading'), done('quiz', scored(80))]
+    },
+    // Abandoned during the reading
+    { status: 'in-progress', completionPercentage: 33, totalTimeSpent: 600, lastAccessedAt: longAgo, contentProgress: [done('intro'), started('reading')] },
+    // Abandoned after the intro
+    { status: 'in-progress', completionPercentage: 33, totalTimeSpent: 300, lastAccessedAt: longAgo, contentProgress: [done('intro')] },
+    // Still working on the reading, so not counted as stopped
+    { status: 'in-progress', completionPercentage: 33, totalTimeSpent: 300, lastAccessedAt: now, contentProgress: [done('intro'), started('reading')] },
+    // Opened the module but never started anything
+    { status: 'not-started', completionPercentage: 0, totalTimeSpent: 0, lastAccessedAt: longAgo, contentProgress: [] }
+  ];
+
+  it('✅ should build a per-content funnel in module order', function() {
+    const funnel = buildDropoffFunnel(contents, progressRecords, { now });
+
+    expect(funnel.map(point => point.contentId)).to.deep.equal(['intro', 'reading', 'quiz']);
+    expect(funnel[0]).to.include({ reached: 4, started: 4, completed: 4, stopped: 1, dropoffRate: 25 });
+    expect(funnel[1]).to.include({ reached: 3, started: 3, completed: 1, stopped: 1, dropoffRate: 33.3 });
+    expect(funnel[2]).to.include({ reached: 1, started: 1, completed: 1, stopped: 0, dropoffRate: 0 });
+  });
+
+  it('✅ should compute completion rate, average time and score', function() {
+    const analytics = computeModuleAnalytics({ contents }, progressRecords, { now });
+
+    expect(analytics).to.include({ totalEnrollments: 5, completionRate: 20, averageTimeSpent: 12.5, averageScore: 80 });
+    expect(analytics.dropoffPoints).to.have.length(3);
+    expect(analytics.lastComputedAt).to.equal(now);
+
+    expect(computeModuleAnalytics({ contents: [] }, [], { now })).to.include({ totalEnrollments: 0, completionRate: 0, averageScore: 0 });
+  });
+
+  it('✅ should count learners who scored 0% in the average score', function() {
+    const zero = {
+      status: 'completed', completionPercentage: 100, totalTimeSpent: 600, lastAccessedAt: now,
+      contentProgress: [done('intro'), done('reading'), done('quiz', scored(0))]
+    };
+
+    expect(computeModuleAnalytics({ contents }, [...progressRecords, zero], { now }).averageScore).to.equal(40);
+  });
+});
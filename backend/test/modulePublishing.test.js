@@ -0,0 +1,121 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const Module = require('../models/Module');
+const {
+  checkTransition,
+  applyTransition,
+  getAvailableActions,
+  getEditResetUpdate,
+  getChangesRequested,
+  migrateLegacyModules
+} = require('../services/modulePublishingService');
+const { requirePublishedModule } = require('../middleware/permissionMiddleware');
+
+const expect = chai.expect;
+
+describe('🚦 Module Publishing Workflow', function() {
+  const instructorId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+
+  it('✅ should take a module from draft to published', function() {
+    const module = { status: 'draft' };
+
+    applyTransition(module, 'submit', { userId: instructorId });
+    applyTransition(module, 'approve', { userId: adminId });
+    expect(module.approvedBy).to.equal(adminId);
+    applyTransition(module, 'publish', { userId: instructorId });
+
+    expect(module.status).to.equal('published');
+    expect(module.reviewHistory.map(entry => entry.action)).to.deep.equal(['submit', 'approve', 'publish']);
+  });
+
+  it('✅ should leave approving to admins', function() {
+    const module = { status: 'review' };
+
+    expect(checkTransition(module, 'approve', { role: 'instructor' }).status).to.equal(403);
+    expect(checkTransition(module, 'approve', { role: 'admin' })).to.equal(null);
+    expect(checkTransition(module, 'publish', { role: 'instructor' }).status).to.equal(400);
+    expect(getAvailableActions(module, 'instructor')).to.deep.equal(['archive']);
+  });
+
+  it('✅ should need a comment to reject and show it as changes requested', function() {
+    const module = { status: 'review' };
+    expect(checkTransition(module, 'reject', { role: 'admin', comment: '  ' }).status).to.equal(400);
+
+    applyTransition(module, 'reject', { userId: adminId, comment: ' Add a summary ' });
+
+    expect(module.status).to.equal('draft');
+    expect(getChangesRequested(module).comment).to.equal('Add a summary');
+  });
+
+  it('✅ should send edits to a published module back through review', function() {
+    const reset = getEditResetUpdate('published', instructorId);
+    expect(reset.$set).to.include({ status: 'review', submittedBy: instructorId });
+    expect(reset.$push.reviewHistory).to.include({ action: 'edit', fromStatus: 'published', toStatus: 'review' });
+
+    expect(getEditResetUpdate('approved', instructorId).$set.status).to.equal('draft');
+    expect(getEditResetUpdate('draft', instructorId)).to.equal(null);
+  });
+
+  it('✅ should publish active modules saved before the workflow', async function() {
+    const updateMany = sinon.stub(Module, 'updateMany').resolves({ modifiedCount: 4 });
+    try {
+      expect(await migrateLegacyModules()).to.equal(4);
+
+      const [filter, update] = updateMany.firstCall.args;
+      expect(filter).to.deep.equal({
+        publishingWorkflow: { $exists: false },
+        status: 'draft',
+        'settings.isActive': { $ne: false }
+      });
+      expect(update.$set).to.deep.equal({ status: 'published', publishingWorkflow: true });
+      expect(updateMany.secondCall.args).to.deep.equal([{ publishingWorkflow: { $exists: false } }, { $set: { publishingWorkflow: true } }]);
+    } finally {
+      updateMany.restore();
+    }
+
+    // Modules created from now on carry the marker, so the backfill leaves their drafts alone
+    const module = new Module({ courseId: new mongoose.Types.ObjectId(), moduleNumber: 1, title: 'New', createdBy: instructorId });
+    expect(module.toObject()).to.include({ status: 'draft', publishingWorkflow: true });
+  });
+
+  it('❌ should refuse progress for modules students cannot see', async function() {
+    const moduleFields = { courseId: new mongoose.Types.ObjectId(), moduleNumber: 1, title: 'Loops', createdBy: instructorId };
+    const draft = new Module({ ...moduleFields, status: 'review' });
+    const published = new Module({ ...moduleFields, status: 'published' });
+    const findById = sinon.stub(Module, 'findById');
+    const guard = async (module) => {
+      findById.resolves(module);
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+      const req = { params: { moduleId: moduleFields.courseId.toString() } };
+      const next = sinon.spy();
+      await requirePublishedModule(req, res, next);
+      return { req, res, next };
+    };
+
+    try {
+      const hidden = await guard(draft);
+      expect(hidden.res.statusCode).to.equal(403);
+      expect(hidden.next.called).to.equal(false);
+
+      expect((await guard(null)).res.statusCode).to.equal(404);
+
+      const visible = await guard(published);
+      expect(visible.next.calledOnce).to.equal(true);
+      expect(visible.req.module).to.equal(published);
+    } finally {
+      findById.restore();
+    }
+  });
+});
@@ -0,0 +1,47 @@
+const chai = require('chai');
+const { buildSnapshot, diffSnapshots, getBumpLevel, bumpVersion } = require('../services/moduleRevisionService');
+
+const expect = chai.expect;
+
+describe('🕰️ Module Revisions', function() {
+  const baseModule = {
+    title: 'Arrays',
+    description: 'Working with arrays',
+    contents: [
+      { contentId: 'intro', type: 'text', title: 'Intro', duration: 5, order: 1, contentData: { content: 'Hello' } },
+      { contentId: 'check', type: 'quiz', title: 'Check', duration: 10, order: 2, contentData: { passingScore: 70 } }
+    ],
+    assessment: { passingScore: 70 }
+  };
+  const edit = (changes) => buildSnapshot({ ...baseModule, ...changes });
+
+  it('✅ should bump the version by the size of the change', function() {
+    const before = buildSnapshot(baseModule);
+
+    expect(getBumpLevel(diffSnapshots(before, edit({ title: 'Arrays and Lists' })))).to.equal('patch');
+    expect(getBumpLevel(diffSnapshots(before, edit({
+      contents: [baseModule.contents[0], { ...baseModule.contents[1], contentData: { passingScore: 80 } }]
+    })))).to.equal('minor');
+    expect(getBumpLevel(diffSnapshots(before, edit({ contents: [baseModule.contents[0]] })))).to.equal('major');
+    expect(getBumpLevel(diffSnapshots(before, edit({})))).to.equal(null);
+
+    expect(bumpVersion('1.2.3', 'patch')).to.equal('1.2.4');
+    expect(bumpVersion('1.2.3', 'minor')).to.equal('1.3.0');
+    expect(bumpVersion('1.2.3', 'major')).to.equal('2.0.0');
+  });
+
+  it('✅ should report field-level changes matched by contentId', function() {
+    const diff = diffSnapshots(buildSnapshot(baseModule), edit({
+      description: 'Arrays in depth',
+      contents: [
+        { ...baseModule.contents[1], order: 1, contentData: { passingScore: 80 } },
+        { contentId: 'video', type: 'video', title: 'Demo', duration: 8, order: 2 }
+      ]
+    }));
+
+    expect(diff.fields).to.deep.equal([{ path: 'description', from: 'Working with arrays', to: 'Arrays in depth' }]);
+    expect(diff.contents.added.map(content => content.contentId)).to.deep.equal(['video']);
+    expect(diff.contents.removed.map(content => content.contentId)).to.deep.equal(['intro']);
+    expect(diff.contents.changed[0].fields.map(change => change.path)).to.deep.equal(['contentData.passingScore', 'order']);
+  });
+});
@@ -0,0 +1,42 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const { findMissingPrerequisites, validatePrerequisiteCourses } = require('../services/prerequisiteService');
+
+const expect = chai.expect;
+
+describe('🧱 Course Prerequisites', function() {
+  const beginner = new mongoose.Types.ObjectId();
+  const intermediate = new mongoose.Types.ObjectId();
+  const titles = { [beginner]: 'JavaScript Basics', [intermediate]: 'JavaScript Patterns' };
+  const prerequisites = [
+    { courseId: beginner, minimumGrade: null },
+    { courseId: intermediate, minimumGrade: 75 }
+  ];
+
+  it('✅ should allow enrollment once every prerequisite is completed with the grade', function() {
+    const missing = findMissingPrerequisites(prerequisites, {
+      [beginner]: { isCompleted: true },
+      [intermediate]: { completionPercentage: 100, grade: 80 }
+    }, titles);
+
+    expect(missing).to.deep.equal([]);
+  });
+
+  it('❌ should list each unmet prerequisite with a reason', function() {
+    const missing = findMissingPrerequisites(prerequisites, {
+      [beginner]: { isCompleted: false, completionPercentage: 40 },
+      [intermediate]: { isCompleted: true, grade: 60 }
+    }, titles);
+
+    expect(missing.map(entry => entry.reason)).to.deep.equal(['not-completed', 'grade-too-low']);
+    expect(missing[1].message).to.match(/JavaScript Patterns.*75%.*60/);
+    expect(findMissingPrerequisites(prerequisites, {}, titles)[0].reason).to.equal('not-enrolled');
+  });
+
+  it('❌ should reject self-references, duplicates and bad grades before touching the database', async function() {
+    expect(await validatePrerequisiteCourses([{ courseId: beginner }], beginner)).to.match(/its own/);
+    expect(await validatePrerequisiteCourses([{ courseId: beginner }, { courseId: beginner }])).to.match(/once/);
+    expect(await validatePrerequisiteCourses([{ courseId: beginner, minimumGrade: 120 }])).to.match(/between 0 and 100/);
+    expect(await validatePrerequisiteCourses([])).to.equal(null);
+  });
+});
@@ -0,0 +1,71 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { toModuleQuestion } = require('../services/questionBankService');
+const { gradeQuestion } = require('../services/questionGraders');
+
+const expect = chai.expect;
+
+describe('🗃️ Question Bank Versioning', function() {
+  const userId = new mongoose.Types.ObjectId();
+
+  const buildQuestion = () => new Question({
+    courseId: new mongoose.Types.ObjectId(),
+    type: 'multiple_choice',
+    question: 'What is 2 + 2?',
+    options: [
+      { id: 'a', text: '4', isCorrect: true },
+      { id: 'b', text: '5', isCorrect: false }
+    ],
+    createdBy: userId
+  });
+
+  it('✅ should create a new version when content changes', function() {
+    const question = buildQuestion();
+    const versioned = question.applyEdit({ question: 'What is 2 + 3?' }, userId, 'Fix wording');
+
+    expect(versioned).to.equal(true);
+    expect(question.version).to.equal(2);
+    expect(question.getVersion(1).question).to.equal('What is 2 + 2?');
+    expect(question.getVersion(2).question).to.equal('What is 2 + 3?');
+  });
+
+  it('✅ should not version metadata-only edits', function() {
+    const question = buildQuestion();
+    const versioned = question.applyEdit({
+      tags: ['arithmetic'],
+      options: question.getContent().options
+    }, userId);
+
+    expect(versioned).to.equal(false);
+    expect(question.version).to.equal(1);
+    expect(question.tags).to.include('arithmetic');
+  });
+
+  it('❌ should return null for an unknown version', function() {
+    expect(buildQuestion().getVersion(7)).to.equal(null);
+  });
+
+  it('✅ should keep the answer key when copying choice questions into module content', function() {
+    const question = new Question({
+      courseId: new mongoose.Types.ObjectId(),
+      type: 'multiple_select',
+      question: 'Which are even?',
+      options: [
+        { id: 'a', text: '2', isCorrect: true },
+        { id: 'b', text: '3', isCorrect: false },
+        { id: 'c', text: '4', isCorrect: true }
+      ],
+      createdBy: userId
+    });
+
+    const moduleQuestion = toModuleQuestion(question.getContent());
+    expect(moduleQuestion.type).to.equal('multiple-select');
+    expect(moduleQuestion.options).to.deep.equal(['2', '3', '4']);
+    expect(moduleQuestion.correctAnswer).to.deep.equal([0, 2]);
+    expect(gradeQuestion(moduleQuestion, [2, 0]).isCorrect).to.equal(true);
+    expect(gradeQuestion(moduleQuestion, ['0']).credit).to.equal(0.5);
+
+    expect(toModuleQuestion(buildQuestion().getContent()).correctAnswer).to.equal(0);
+  });
+});
@@ -0,0 +1,67 @@
+const chai = require('chai');
+const { gradeQuestion, normalizeText } = require('../services/questionGraders');
+
+const expect = chai.expect;
+
+describe('📝 Question Graders', function() {
+  const options = [
+    { id: 'a', text: 'A', isCorrect: true },
+    { id: 'b', text: 'B', isCorrect: true },
+    { id: 'c', text: 'C', isCorrect: false }
+  ];
+
+  it('✅ should grade single choice by the correct option id', function() {
+    const question = { type: 'multiple_choice', options, points: 2 };
+    expect(gradeQuestion(question, 'a').pointsEarned).to.equal(2);
+    expect(gradeQuestion(question, 'c').pointsEarned).to.equal(0);
+  });
+
+  it('✅ should give partial credit for multiple select', function() {
+    const question = { type: 'multiple_select', options, points: 2 };
+    expect(gradeQuestion(question, ['a']).pointsEarned).to.equal(1);
+    expect(gradeQuestion(question, ['a', 'b']).isCorrect).to.equal(true);
+    expect(gradeQuestion(question, ['a', 'c']).pointsEarned).to.equal(0);
+  });
+
+  it('❌ should withhold partial credit when disabled', function() {
+    const question = { type: 'multiple_select', options, partialCredit: false };
+    expect(gradeQuestion(question, ['a']).pointsEarned).to.equal(0);
+  });
+
+  it('✅ should accept string and boolean true/false answers', function() {
+    const question = { type: 'true_false', correctAnswer: false };
+    expect(gradeQuestion(question, 'False').isCorrect).to.equal(true);
+    expect(gradeQuestion(question, true).isCorrect).to.equal(false);
+  });
+
+  it('✅ should match short answers after normalization or by regex', function() {
+    expect(normalizeText('  The  Café! ')).to.equal('the cafe');
+    expect(gradeQuestion({ type: 'short_answer', correctAnswer: ['the cafe'] }, 'The Café!').isCorrect).to.equal(true);
+    expect(gradeQuestion({ type: 'text', correctAnswer: 'Paris' }, 'London').isCorrect).to.equal(false);
+    expect(gradeQuestion({ type: 'short-answer', matchMode: 'regex', correctAnswer: '^colou?r$' }, 'Color').isCorrect).to.equal(true);
+  });
+
+  it('✅ should anchor regex answers unless the question allows partial matches', function() {
+    const anchored = { type: 'short_answer', matchMode: 'regex', correctAnswer: 'cat|dog' };
+    expect(gradeQuestion(anchored, 'Dog').isCorrect).to.equal(true);
+    expect(gradeQuestion(anchored, 'I do not know, maybe a cat').isCorrect).to.equal(false);
+
+    const partial = { ...anchored, matchMode: 'regex-partial' };
+    expect(gradeQuestion(partial, 'I do not know, maybe a cat').isCorrect).to.equal(true);
+
+    expect(gradeQuestion({ ...anchored, correctAnswer: '(unclosed' }, '(unclosed').isCorrect).to.equal(false);
+  });
+
+  it('✅ should accept numeric answers within the tolerance', function() {
+    const question = { type: 'numeric', correctAnswer: 3.14, tolerance: 0.01 };
+    expect(gradeQuestion(question, '3.15').isCorrect).to.equal(true);
+    expect(gradeQuestion(question, '3.2').isCorrect).to.equal(false);
+    expect(gradeQuestion(question, 'pi').isCorrect).to.equal(false);
+  });
+
+  it('✅ should send answered essays to manual grading', function() {
+    const outcome = gradeQuestion({ type: 'essay', points: 5 }, 'My essay');
+    expect(outcome.pendingReview).to.equal(true);
+    expect(outcome.pointsEarned).to.equal(0);
+  });
+});
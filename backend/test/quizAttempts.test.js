@@ -0,0 +1,154 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const LearningProgress = require('../models/LearningProgress');
+const { submitQuizAttempt } = require('../controllers/quizController');
+const { gradeManualAnswer } = require('../services/quizAttemptService');
+
+const expect = chai.expect;
+
+describe('🔁 Quiz Attempt Limits', function() {
+  const userId = new mongoose.Types.ObjectId();
+  const buildQuiz = (fields = {}) => new Quiz({
+    title: 'Week 1 check',
+    courseId: new mongoose.Types.ObjectId(),
+    createdBy: userId,
+    passingScore: 50,
+    questions: [{
+      id: 'q1',
+      type: 'multiple_choice',
+      question: 'Pick b',
+      points: 1,
+      options: [{ id: 'a', text: 'A', isCorrect: false }, { id: 'b', text: 'B', isCorrect: true }]
+    }],
+    ...fields
+  });
+
+  const submit = async (quiz) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await submitQuizAttempt({
+      params: { quizId: quiz._id.toString() },
+      body: { answers: { q1: 'b' } },
+      user: { id: userId.toString() },
+      ip: '127.0.0.1',
+      get: () => 'mocha'
+    }, res);
+    return res;
+  };
+
+  // findById is awaited directly and, for the access check, populated with the course
+  const stubQuiz = (quiz) => sinon.stub(Quiz, 'findById').callsFake(() => Object.assign(Promise.resolve(quiz), {
+    populate: () => Promise.resolve({
+      isAvailable: () => true,
+      courseId: { _id: quiz.courseId, syllabus: [{ title: 'Week 1' }] }
+    })
+  }));
+  const stubEnrollment = (progress = { modulesCompleted: [{ moduleId: 'week-1' }] }) =>
+    sinon.stub(LearningProgress, 'findOne').resolves(progress);
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('✅ should keep attempt numbers unique per student and quiz', function() {
+    const index = QuizAttempt.schema.indexes()
+      .find(([fields]) => fields.quizId === 1 && fields.userId === 1 && fields.attemptNumber === 1);
+
+    expect(index).to.not.equal(undefined);
+    expect(index[1].unique).to.equal(true);
+  });
+
+  it('❌ should refuse a new attempt once the limit is used up', async function() {
+    const quiz = buildQuiz({ maxAttempts: 2 });
+    stubQuiz(quiz);
+    stubEnrollment();
+    sinon.stub(QuizAttempt, 'findActiveAttempt').resolves(null);
+    sinon.stub(QuizAttempt, 'getUserAttemptCount').resolves(2);
+    const save = sinon.stub(QuizAttempt.prototype, 'save');
+
+    const res = await submit(quiz);
+
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.include({ attemptCount: 2, maxAttempts: 2 });
+    expect(save.called).to.equal(false);
+  });
+
+  it('❌ should refuse submissions from students who may not take the quiz', async function() {
+    const quiz = buildQuiz();
+    stubQuiz(quiz);
+    stubEnrollment(null);
+    const attemptCount = sinon.stub(QuizAttempt, 'getUserAttemptCount').resolves(0);
+    const save = sinon.stub(QuizAttempt.prototype, 'save');
+
+    const res = await submit(quiz);
+
+    expect(res.statusCode).to.equal(403);
+    expect(res.body.message).to.equal('You must enroll in the course before taking the quiz');
+    expect(attemptCount.called).to.equal(false);
+    expect(save.called).to.equal(false);
+  });
+
+  it('❌ should report a duplicate attempt number as a conflict', async function() {
+    const quiz = buildQuiz({ maxAttempts: 3 });
+    stubQuiz(quiz);
+    stubEnrollment();
+    sinon.stub(QuizAttempt, 'findActiveAttempt').resolves(null);
+    sinon.stub(QuizAttempt, 'getUserAttemptCount').resolves(1);
+    let saved;
+    sinon.stub(QuizAttempt.prototype, 'save').callsFake(function() {
+      saved = this;
+      return Promise.reject(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    });
+
+    const res = await submit(quiz);
+
+    expect(saved.attemptNumber).to.equal(2);
+    expect(res.statusCode).to.equal(409);
+  });
+
+  it('❌ should only hand-grade answers that are waiting for review', async function() {
+    const quiz = buildQuiz({
+      questions: [
+        ...buildQuiz().questions,
+        { id: 'q2', type: 'essay', question: 'Explain', points: 4 }
+      ]
+    });
+    const attemptWith = (status) => new QuizAttempt({
+      quizId: quiz._id,
+      userId,
+      courseId: quiz.courseId,
+      attemptNumber: 1,
+      status,
+      totalPoints: 5,
+      pointsEarned: 1,
+      answers: [
+        { questionId: 'q1', answer: 'b', isCorrect: true, pointsEarned: 1 },
+        { questionId: 'q2', answer: 'Because', pendingReview: true }
+      ]
+    });
+    const save = sinon.stub(QuizAttempt.prototype, 'save');
+    const grade = { pointsEarned: 0, gradedBy: userId };
+
+    const submitted = attemptWith('submitted');
+    expect(await gradeManualAnswer(submitted, quiz, 'q1', grade)).to.equal(null);
+    expect(submitted.answers[0].pointsEarned).to.equal(1);
+
+    const inProgress = attemptWith('in_progress');
+    expect(await gradeManualAnswer(inProgress, quiz, 'q2', { ...grade, pointsEarned: 4 })).to.equal(null);
+    expect(inProgress.answers[1].pendingReview).to.equal(true);
+
+    expect(save.called).to.equal(false);
+  });
+});
@@ -0,0 +1,90 @@
+const chai = require('chai');
+const {
+  seededRandom,
+  shuffle,
+  buildAttemptLayout,
+  getAttemptQuestions,
+  getAttemptTotalPoints
+} = require('../services/quizRandomizer');
+
+const expect = chai.expect;
+
+describe('🎲 Quiz Randomizer', function() {
+  const question = (id, fields = {}) => ({
+    id,
+    question: `Question ${id}`,
+    points: 1,
+    options: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }],
+    ...fields
+  });
+  const questions = [
+    question('q1', { tags: ['loops'], difficulty: 'easy' }),
+    question('q2', { tags: ['loops'], difficulty: 'hard', points: 3 }),
+    question('q3', { tags: ['arrays'], difficulty: 'easy' }),
+    question('q4', { tags: ['arrays'], difficulty: 'hard', points: 2 }),
+    question('q5', { tags: ['loops', 'arrays'], difficulty: 'easy' }),
+    question('q6', { tags: ['recursion'], difficulty: 'medium' })
+  ];
+
+  it('✅ should shuffle the same way for the same seed', function() {
+    const items = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+    const first = shuffle(items, seededRandom(42));
+
+    expect(shuffle(items, seededRandom(42))).to.deep.equal(first);
+    expect(first).to.have.members(items);
+    expect(items).to.deep.equal(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+
+    const orders = new Set([1, 2, 3, 4, 5].map(seed => shuffle(items, seededRandom(seed)).join('')));
+    expect(orders.size).to.be.greaterThan(1);
+  });
+
+  it('✅ should rebuild an identical layout from a stored seed', function() {
+    const quiz = { questions, randomizeQuestions: true, randomizeOptions: true };
+    const layout = buildAttemptLayout(quiz, 1234);
+    const again = buildAttemptLayout(quiz, 1234);
+
+    expect(layout.seed).to.equal(1234);
+    expect(again.questionOrder).to.deep.equal(layout.questionOrder);
+    expect([...again.optionOrder.entries()]).to.deep.equal([...layout.optionOrder.entries()]);
+    expect(layout.questionOrder).to.have.members(questions.map(entry => entry.id));
+    expect(layout.optionOrder.get('q1')).to.have.members(['a', 'b', 'c', 'd']);
+
+    const plain = buildAttemptLayout({ questions }, 1234);
+    expect(plain.questionOrder).to.deep.equal(['q1', 'q2', 'q3', 'q4', 'q5', 'q6']);
+    expect(plain.optionOrder.size).to.equal(0);
+  });
+
+  it('✅ should draw each pool without repeating a question', function() {
+    const quiz = {
+      questions,
+      questionPools: [
+        { tags: ['loops'], count: 2 },
+        { tags: ['arrays'], difficulty: 'easy', count: 1 },
+        { tags: ['recursion'], count: 5 }
+      ]
+    };
+
+    for (let seed = 1; seed <= 20; seed++) {
+      const { questionOrder } = buildAttemptLayout(quiz, seed);
+      const loops = questionOrder.filter(id => ['q1', 'q2', 'q5'].includes(id));
+
+      expect(questionOrder).to.have.length(new Set(questionOrder).size);
+      expect(loops).to.have.length.within(2, 3);
+      expect(questionOrder).to.include('q6');
+      expect(questionOrder).to.not.include('q4');
+      expect(questionOrder.length).to.equal(4);
+      // Drawn questions keep authored order when the quiz doesn't shuffle
+      expect(questionOrder).to.deep.equal([...questionOrder].sort());
+    }
+  });
+
+  it('✅ should present and total only the drawn questions', function() {
+    const quiz = { questions };
+    const attempt = { questionOrder: ['q4', 'q2', 'missing'] };
+
+    expect(getAttemptQuestions(quiz, attempt).map(entry => entry.id)).to.deep.equal(['q4', 'q2']);
+    expect(getAttemptTotalPoints(quiz, attempt)).to.equal(5);
+    expect(getAttemptQuestions(quiz, {})).to.equal(questions);
+    expect(getAttemptTotalPoints(quiz, null)).to.equal(9);
+  });
+});
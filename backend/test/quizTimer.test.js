@@ -0,0 +1,92 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { autoSubmitExpiredAttempts } = require('../services/quizAttemptService');
+
+const expect = chai.expect;
+
+describe('⏱️ Quiz Attempt Timer', function() {
+  const startedAt = new Date('2026-06-01T12:00:00Z');
+  const at = (seconds) => startedAt.getTime() + seconds * 1000;
+  const timedAttempt = (fields = {}) => new QuizAttempt({
+    quizId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    courseId: new mongoose.Types.ObjectId(),
+    attemptNumber: 1,
+    startedAt,
+    timeLimit: 10,
+    ...fields
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('✅ should count down remaining time and expire with a grace period', function() {
+    const attempt = timedAttempt();
+
+    expect(attempt.getRemainingTime(at(0))).to.equal(600);
+    expect(attempt.getRemainingTime(at(150.5))).to.equal(449);
+    expect(attempt.getRemainingTime(at(900))).to.equal(0);
+
+    expect(attempt.isTimeExpired(0, at(599))).to.equal(false);
+    expect(attempt.isTimeExpired(0, at(600))).to.equal(true);
+    expect(attempt.isTimeExpired(30, at(620))).to.equal(false);
+    expect(attempt.isTimeExpired(30, at(630))).to.equal(true);
+
+    expect(timedAttempt({ timeLimit: undefined }).getRemainingTime(at(900))).to.equal(null);
+    expect(timedAttempt({ timeLimit: undefined }).isTimeExpired(0, at(900))).to.equal(false);
+  });
+
+  it('✅ should stop the clock while paused only up to the pause allowance', function() {
+    const attempt = timedAttempt({ status: 'paused', pausedAt: new Date(at(100)), maxPauseSeconds: 120 });
+
+    // 60 seconds into the pause: fully credited
+    expect(attempt.getRemainingTime(at(160))).to.equal(500);
+    // Past the 120 second allowance the clock runs again
+    expect(attempt.getRemainingTime(at(400))).to.equal(320);
+    expect(attempt.isTimeExpired(0, at(719))).to.equal(false);
+    expect(attempt.isTimeExpired(0, at(720))).to.equal(true);
+
+    // Earlier pauses use up the allowance
+    const usedUp = timedAttempt({ status: 'paused', pausedAt: new Date(at(100)), pausedDuration: 120, maxPauseSeconds: 120 });
+    expect(usedUp.getRemainingTime(at(160))).to.equal(560);
+  });
+
+  it('✅ should credit pauses on resume and limit how often an attempt pauses', function() {
+    const clock = sinon.useFakeTimers(at(60));
+    const attempt = timedAttempt({ maxPauses: 2, maxPauseSeconds: 100 });
+
+    expect(attempt.canPause()).to.equal(true);
+    attempt.pause();
+    clock.tick(30 * 1000);
+    attempt.resume();
+    expect(attempt.pausedDuration).to.equal(30);
+    expect(attempt.getRemainingTime()).to.equal(540);
+
+    attempt.pause();
+    clock.tick(200 * 1000);
+    attempt.resume();
+    expect(attempt.pausedDuration).to.equal(100);
+    expect(attempt.pauseCount).to.equal(2);
+    expect(attempt.canPause()).to.equal(false);
+
+    // Untimed attempts can always pause
+    expect(timedAttempt({ timeLimit: undefined, pauseCount: 10 }).canPause()).to.equal(true);
+  });
+
+  it('✅ should sweep paused attempts that ran past their allowance', async function() {
+    const expiredWhilePaused = timedAttempt({ status: 'paused', pausedAt: new Date(at(100)), maxPauseSeconds: 60 });
+    const stillCredited = timedAttempt({ status: 'paused', pausedAt: new Date(at(500)), maxPauseSeconds: 600 });
+    const find = sinon.stub(QuizAttempt, 'find').resolves([expiredWhilePaused, stillCredited]);
+    const findQuiz = sinon.stub(Quiz, 'findById').resolves(null);
+
+    await autoSubmitExpiredAttempts(at(700));
+
+    expect(find.firstCall.args[0].status).to.deep.equal({ $in: ['in_progress', 'paused'] });
+    expect(findQuiz.callCount).to.equal(1);
+    expect(findQuiz.firstCall.args[0]).to.equal(expiredWhilePaused.quizId);
+  });
+});
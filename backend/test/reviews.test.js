@@ -0,0 +1,107 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { getCourseReviews, getModerationQueue } = require('../controllers/reviewController');
+
+const expect = chai.expect;
+
+describe('⭐ Course Reviews', function() {
+  const buildReview = (fields = {}) => new Review({
+    courseId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    rating: 4,
+    ...fields
+  });
+
+  it('✅ should accept whole-star ratings from 1 to 5', function() {
+    expect(buildReview().validateSync()).to.equal(undefined);
+    expect(buildReview({ rating: 0 }).validateSync().errors.rating).to.exist;
+    expect(buildReview({ rating: 3.5 }).validateSync().errors.rating).to.exist;
+  });
+
+  it('✅ should toggle one helpful vote per user', function() {
+    const review = buildReview();
+    const voter = new mongoose.Types.ObjectId();
+
+    expect(review.toggleHelpful(voter)).to.equal(true);
+    expect(review.helpfulCount).to.equal(1);
+    expect(review.toggleHelpful(voter.toString())).to.equal(false);
+    expect(review.helpfulCount).to.equal(0);
+  });
+
+  it('🚩 should flag a review after repeated reports', function() {
+    const review = buildReview();
+    const reporter = new mongoose.Types.ObjectId();
+
+    expect(review.addReport(reporter, 'Spam')).to.equal(true);
+    expect(review.addReport(reporter, 'Spam again')).to.equal(false);
+    review.addReport(new mongoose.Types.ObjectId());
+    expect(review.status).to.equal('published');
+    review.addReport(new mongoose.Types.ObjectId());
+    expect(review.status).to.equal('flagged');
+  });
+
+  it('❌ should reject a rating filter outside 1 to 5', async function() {
+    const respond = async (rating) => {
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+      await getCourseReviews({ params: { id: new mongoose.Types.ObjectId().toString() }, query: { rating }, user: {} }, res);
+      return res;
+    };
+
+    for (const rating of ['abc', '0', '6', '4.5', ['1', '2']]) {
+      expect((await respond(rating)).statusCode).to.equal(400);
+    }
+  });
+
+  it('❌ should reject unknown moderation filters before querying', async function() {
+    const query = {
+      populate() {
+        return this;
+      },
+      sort() {
+        return this;
+      },
+      limit: sinon.stub().resolves([])
+    };
+    const find = sinon.stub(Review, 'find').returns(query);
+    const respond = async (filters) => {
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+      await getModerationQueue({ query: filters, user: { role: 'admin' } }, res);
+      return res;
+    };
+
+    try {
+      expect((await respond({ status: { $ne: 'published' } })).statusCode).to.equal(400);
+      expect((await respond({ status: 'deleted' })).statusCode).to.equal(400);
+      expect((await respond({ courseId: 'abc' })).statusCode).to.equal(400);
+      expect((await respond({ courseId: { $exists: true } })).statusCode).to.equal(400);
+      expect(find.called).to.equal(false);
+
+      const courseId = new mongoose.Types.ObjectId().toString();
+      expect((await respond({ status: 'hidden', courseId })).statusCode).to.equal(200);
+      expect(find.firstCall.args[0]).to.deep.equal({ status: 'hidden', courseId });
+    } finally {
+      find.restore();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+const chai = require('chai');
+const mongoose = require('mongoose');
+const ModuleProgress = require('../models/ModuleProgress');
+const { assessRisk } = require('../services/riskScoringService');
+
+const expect = chai.expect;
+
+describe('🚩 Risk Scoring', function() {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const course = { duration: { weeks: 4 } };
+
+  it('✅ should not flag an active student on pace', function() {
+    const { risk, strugglingModules } = assessRisk({
+      progress: { enrollmentDate: daysAgo(14), lastAccessDate: daysAgo(1), completionPercentage: 50 },
+      course
+    }, { now });
+
+    expect(risk).to.include({ score: 0, level: 'low' });
+    expect(risk.reasons).to.deep.equal([]);
+    expect(strugglingModules).to.deep.equal([]);
+  });
+
+  it('✅ should flag inactivity, falling scores, failed attempts and slow pace with reasons', function() {
+    const moduleId = new mongoose.Types.ObjectId();
+    const quizId = new mongoose.Types.ObjectId();
+    const otherQuizId = new mongoose.Types.ObjectId();
+    const attempt = (quiz, percentage, passed) => ({ quizId: quiz, percentage, passed });
+
+    const moduleProgress = new ModuleProgress({
+      moduleId,
+      status: 'in-progress',
+      lastAccessedAt: daysAgo(15),
+      contentProgress: [
+        { contentId: 'reading', contentType: 'text', status: 'completed', isCompleted: true, timeSpent: 3000 },
+        { contentId: 'intro', contentType: 'video', status: 'completed', isCompleted: true, timeSpent: 60 }
+      ]
+    });
+    const detectedAt = daysAgo(3);
+
+    const { risk, strugglingModules } = assessRisk({
+      progress: {
+        enrollmentDate: daysAgo(21),
+        lastAccessDate: daysAgo(15),
+        completionPercentage: 10,
+        moduleProgress: { strugglingModules: [{ moduleId, reason: 'old', detectedAt }] }
+      },
+      course,
+      quizAttempts: [
+        attempt(otherQuizId, 90, true),
+        attempt(otherQuizId, 85, true),
+        attempt(quizId, 80, true),
+        attempt(quizId, 50, false),
+        attempt(quizId, 40, false)
+      ],
+      quizzes: [{ _id: quizId, title: 'Loops', moduleId: moduleId.toString() }, { _id: otherQuizId, title: 'Basics' }],
+      moduleProgresses: [moduleProgress],
+      modules: [{ _id: moduleId, contents: [{ contentId: 'reading', duration: 10 }, { contentId: 'intro', duration: 5 }] }]
+    }, { now });
+
+    expect(risk).to.include({ score: 100, level: 'high' });
+    expect(risk.reasons).to.deep.equal([
+      'No activity for 15 days',
+      'Quiz scores falling from 85% to 45%',
+      'Failed "Loops" 2 times',
+      '10% complete after 3 of 4 weeks (expected about 75%)'
+    ]);
+
+    expect(strugglingModules).to.have.length(1);
+    expect(strugglingModules[0].moduleId).to.equal(moduleId.toString());
+    expect(strugglingModules[0].reason).to.equal('Over twice the expected time on 1 item; Failed quiz "Loops" 2 times');
+    expect(strugglingModules[0].detectedAt).to.equal(detectedAt);
+  });
+
+  it('✅ should ignore failures on a quiz that was passed afterwards', function() {
+    const quizId = new mongoose.Types.ObjectId();
+    const { risk } = assessRisk({
+      progress: { enrollmentDate: daysAgo(10), lastAccessDate: daysAgo(8), completionPercentage: 30 },
+      course,
+      quizAttempts: [
+        { quizId, percentage: 40, passed: false },
+        { quizId, percentage: 50, passed: false },
+        { quizId, percentage: 75, passed: true }
+      ]
+    }, { now });
+
+    expect(risk).to.include({ score: 20, level: 'low' });
+    expect(risk.reasons).to.deep.equal(['No activity for 8 days']);
+  });
+
+  it('✅ should count module content and logged activity as activity', function() {
+    const stale = { enrollmentDate: daysAgo(20), lastAccessDate: daysAgo(20), completionPercentage: 70 };
+    const moduleProgress = new ModuleProgress({ moduleId: new mongoose.Types.ObjectId(), status: 'in-progress', lastAccessedAt: daysAgo(2) });
+
+    expect(assessRisk({ progress: stale, course, moduleProgresses: [moduleProgress] }, { now }).risk.reasons).to.deep.equal([]);
+    expect(assessRisk({ progress: stale, course, lastActivityAt: daysAgo(1) }, { now }).risk.reasons).to.deep.equal([]);
+    expect(assessRisk({ progress: stale, course }, { now }).risk.reasons).to.deep.equal(['No activity for 20 days']);
+  });
+});
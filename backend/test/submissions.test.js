@@ -0,0 +1,102 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const LearningProgress = require('../models/LearningProgress');
+const moduleProgressRoutes = require('../routes/moduleProgressRoutes');
+const { requireModuleEnrollment } = require('../middleware/permissionMiddleware');
+const { buildSubmissionData, getLateInfo, getUploadExtension, uploadSubmissionFile } = require('../services/submissionService');
+
+const expect = chai.expect;
+
+describe('📤 Assignment Submissions', function() {
+  const courseId = new mongoose.Types.ObjectId();
+  const checkEnrollment = async (user) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    const next = sinon.spy();
+    await requireModuleEnrollment({ user, module: { courseId } }, res, next);
+    return { res, next };
+  };
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('✅ should accept input that matches the submission format', function() {
+    expect(buildSubmissionData('text', { text: ' My answer ' }).data.text).to.equal('My answer');
+    expect(buildSubmissionData('url', { url: 'https://example.com/repo' }).data.url).to.equal('https://example.com/repo');
+    expect(buildSubmissionData('code', { code: 'print(1)', language: 'Python' }).data.language).to.equal('Python');
+  });
+
+  it('❌ should reject missing or mismatched input', function() {
+    expect(buildSubmissionData('text', { text: '   ' }).error).to.be.a('string');
+    expect(buildSubmissionData('url', { url: 'javascript:alert(1)' }).error).to.be.a('string');
+    expect(buildSubmissionData('file', {}).error).to.be.a('string');
+    expect(buildSubmissionData('text', { text: 'hi' }, { path: '/tmp/x' }).error).to.be.a('string');
+  });
+
+  it('❌ should reject non-string fields instead of throwing', function() {
+    expect(buildSubmissionData('url', { url: ['https://example.com'] }).error).to.be.a('string');
+    expect(buildSubmissionData('code', { code: { length: 1 } }).error).to.equal('Code must be text');
+    expect(buildSubmissionData('code', { code: 'x', language: ['js'] }).error).to.equal('Language must be text');
+    expect(buildSubmissionData('text', { text: 42 }).error).to.equal('Answer must be text');
+  });
+
+  it('❌ should judge uploads by their file name as well as their declared type', function() {
+    expect(getUploadExtension({ originalname: 'Essay.PDF', mimetype: 'application/pdf' })).to.equal('.pdf');
+    expect(getUploadExtension({ originalname: 'photo.jpeg', mimetype: 'image/jpeg' })).to.equal('.jpeg');
+
+    expect(getUploadExtension({ originalname: 'page.html', mimetype: 'application/pdf' })).to.equal(null);
+    expect(getUploadExtension({ originalname: 'notes.txt', mimetype: 'text/html' })).to.equal(null);
+    expect(getUploadExtension({ originalname: 'report', mimetype: 'application/pdf' })).to.equal(null);
+  });
+
+  it('✅ should flag submissions after the due date as late', function() {
+    const dueDate = new Date('2025-01-01T12:00:00Z');
+    expect(getLateInfo(dueDate, new Date('2025-01-01T11:00:00Z')).isLate).to.equal(false);
+
+    const late = getLateInfo(dueDate, new Date('2025-01-01T13:30:00Z'));
+    expect(late.isLate).to.equal(true);
+    expect(late.lateByMinutes).to.equal(90);
+  });
+
+  it('✅ should let enrolled students submit', async function() {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const findOne = sinon.stub(LearningProgress, 'findOne').resolves({ userId, courseId });
+
+    const { res, next } = await checkEnrollment({ id: userId, role: 'student' });
+
+    expect(next.calledOnce).to.equal(true);
+    expect(res.statusCode).to.equal(200);
+    expect(findOne.firstCall.args[0]).to.deep.equal({ userId, courseId });
+  });
+
+  it('❌ should refuse submissions from staff and students outside the course', async function() {
+    const findOne = sinon.stub(LearningProgress, 'findOne').resolves(null);
+
+    const outsider = await checkEnrollment({ id: new mongoose.Types.ObjectId().toString(), role: 'student' });
+    expect(outsider.res.statusCode).to.equal(403);
+    expect(outsider.next.called).to.equal(false);
+
+    const instructor = await checkEnrollment({ id: new mongoose.Types.ObjectId().toString(), role: 'instructor' });
+    expect(instructor.res.statusCode).to.equal(403);
+    expect(findOne.callCount).to.equal(1);
+  });
+
+  it('✅ should check access before the upload reaches disk', function() {
+    const layer = moduleProgressRoutes.stack.find(entry =>
+      entry.route && entry.route.path === '/:moduleId/content/:contentId/submissions' && entry.route.methods.post);
+    const handlers = layer.route.stack.map(entry => entry.handle);
+
+    expect(handlers.indexOf(requireModuleEnrollment)).to.be.within(0, handlers.indexOf(uploadSubmissionFile) - 1);
+  });
+});
@@ -0,0 +1,126 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const mongoose = require('mongoose');
+const XapiStatement = require('../models/XapiStatement');
+const {
+  XAPI_HOME_PAGE,
+  ACTIVITY_BASE,
+  VERBS,
+  agentFor,
+  moduleStatement,
+  quizAttemptStatements,
+  validateStatement,
+  parseStatementQuery,
+  saveStatements
+} = require('../services/xapiService');
+
+const expect = chai.expect;
+
+describe('📡 xAPI Statements', function() {
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Sam Rivera', email: 'sam@example.com' };
+  const courseId = new mongoose.Types.ObjectId();
+
+  it('✅ should build valid statements for quiz attempts and modules', function() {
+    const quiz = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Week 1 check',
+      courseId,
+      questions: [
+        { id: 'q1', type: 'multiple_choice', question: 'Pick one', points: 2 },
+        { id: 'q2', type: 'essay', question: 'Explain', points: 5 }
+      ]
+    };
+    const startedAt = new Date('2026-03-01T10:00:00Z');
+    const attempt = {
+      attemptNumber: 2,
+      startedAt,
+      submittedAt: new Date('2026-03-01T10:05:00Z'),
+      percentage: 80,
+      passed: true,
+      answers: [
+        { questionId: 'q1', selectedAnswer: 'b', isCorrect: true, pointsEarned: 2 },
+        { questionId: 'q2', selectedAnswer: 'Because', pendingReview: true, pointsEarned: 0 }
+      ]
+    };
+
+    const statements = quizAttemptStatements(user, quiz, attempt);
+    expect(statements.map(statement => statement.verb.id)).to.deep.equal([VERBS.answered.id, VERBS.answered.id, VERBS.passed.id]);
+    expect(statements[0].object.id).to.equal(`${ACTIVITY_BASE}/quizzes/${quiz._id}/questions/q1`);
+    expect(statements[0].result).to.deep.equal({ response: 'b', score: { raw: 2, min: 0, max: 2 }, success: true });
+    expect(statements[1].result).to.not.have.property('success');
+    expect(statements[2].result).to.include({ success: true, duration: 'PT300S' });
+    expect(statements[2].context.contextActivities.grouping[0].id).to.equal(`${ACTIVITY_BASE}/courses/${courseId}`);
+
+    const module = { _id: new mongoose.Types.ObjectId(), title: 'Basics', courseId, assessment: { passingScore: 75 } };
+    expect(moduleStatement(user, module, { score: 60 }).verb).to.deep.equal(VERBS.failed);
+    expect(moduleStatement(user, module, {}).verb).to.deep.equal(VERBS.completed);
+
+    [...statements, moduleStatement(user, module, { score: 90, timeSpent: 12 })]
+      .forEach(statement => expect(validateStatement(statement)).to.deep.equal([]));
+  });
+
+  it('✅ should identify learners by account, never by email', function() {
+    const agent = agentFor(user);
+    expect(agent.account).to.deep.equal({ homePage: XAPI_HOME_PAGE, name: String(user._id) });
+    expect(JSON.stringify(agent)).to.not.include(user.email);
+  });
+
+  it('❌ should reject invalid statements and queries', function() {
+    expect(validateStatement({ actor: { name: 'x' }, verb: { id: 'answered' }, object: {} })).to.deep.equal([
+      'actor needs exactly one of mbox, mbox_sha1sum, openid or account',
+      'verb.id must be an IRI',
+      'object.id must be an IRI'
+    ]);
+    expect(validateStatement({
+      actor: agentFor(user),
+      verb: VERBS.voided,
+      object: { id: `${ACTIVITY_BASE}/courses/1` }
+    })).to.deep.equal(['A voiding statement must have a StatementRef object']);
+
+    expect(parseStatementQuery({ verb: 'passed', since: 'yesterday', limit: '-1' }).errors).to.deep.equal([
+      'verb must be an IRI',
+      'since must be an ISO 8601 date',
+      'limit must be a whole number'
+    ]);
+
+    const parsed = parseStatementQuery({ agent: JSON.stringify(agentFor(user)), activity: `${ACTIVITY_BASE}/courses/1`, related_activities: 'true' });
+    expect(parsed.filter).to.deep.equal({
+      voided: false,
+      actorKey: `account:${XAPI_HOME_PAGE}|${user._id}`,
+      relatedActivityIds: `${ACTIVITY_BASE}/courses/1`
+    });
+    expect(parsed.limit).to.equal(100);
+  });
+
+  it('❌ should keep statements and voiding inside the caller\'s courses', async function() {
+    const module = { _id: new mongoose.Types.ObjectId(), title: 'Basics', courseId };
+    const instructorScope = { courseId: { $in: [new mongoose.Types.ObjectId()] } };
+
+    const foreign = await saveStatements(moduleStatement(user, module, {}), { scope: instructorScope });
+    expect(foreign.status).to.equal(403);
+
+    const courseless = await saveStatements({
+      actor: agentFor(user),
+      verb: VERBS.completed,
+      object: { id: 'https://example.com/activities/elsewhere' }
+    }, { scope: instructorScope });
+    expect(courseless.status).to.equal(403);
+    expect(courseless.errors[0]).to.match(/is not about a course you teach$/);
+
+    const select = sinon.stub().resolves([]);
+    const find = sinon.stub(XapiStatement, 'find').returns({ select });
+    try {
+      const targetId = '6c1f5d4e-3b2a-4c1d-9e8f-7a6b5c4d3e2f';
+      const voided = await saveStatements({
+        actor: agentFor(user),
+        verb: VERBS.voided,
+        object: { objectType: 'StatementRef', id: targetId }
+      }, { scope: instructorScope });
+
+      expect(find.firstCall.args[0]).to.deep.equal({ ...instructorScope, statementId: { $in: [targetId] } });
+      expect(voided).to.deep.equal({ status: 400, errors: [`Statement ${targetId} does not exist or is a voiding statement`] });
+    } finally {
+      find.restore();
+    }
+  });
+});
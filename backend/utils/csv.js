@@ -0,0 +1,85 @@
+// CSV utility functions
+// Builds and parses comma-separated values (RFC 4180 quoting) for spreadsheet exports and imports
+
+// Quote a value when it contains a delimiter, quote or line break.
+// Text starting with a formula character is prefixed so spreadsheets don't evaluate it.
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCsvValue's formula guard on a parsed cell
+const unescapeCsvValue = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Build CSV text from a header row and data rows (arrays of values)
+const toCsv = (header, rows) => [header, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+
+// Parse CSV text into an array of rows (arrays of strings); blank lines are skipped
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by header name
+const parseCsvRecords = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+
+    return {
+        columns,
+        records: rows.map(row => columns.reduce((record, column, index) => {
+            record[column] = row[index] !== undefined ? row[index] : '';
+            return record;
+        }, {}))
+    };
+};
+
+module.exports = {
+    escapeCsvValue,
+    unescapeCsvValue,
+    toCsv,
+    parseCsv,
+    parseCsvRecords
+};
@@ -0,0 +1,152 @@
+// XML utility functions
+// A small non-validating parser for package manifests: elements, attributes, text and CDATA.
+// DTDs are skipped and entities other than the predefined and numeric ones are left as written.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+// Element name without its namespace prefix ("imscp:item" -> "item")
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+const parseAttributes = (source) => {
+    const attributes = {};
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+};
+
+/**
+ * Parse XML text into its root element. Elements are { name, attributes, children, text }
+ * where children are the child elements and text is the element's own text (CDATA included).
+ * Throws on unclosed or mismatched tags.
+ */
+const parseXml = (xml) => {
+    const input = String(xml).replace(/^\uFEFF/, '');
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let index = 0;
+
+    const expect = (token, from) => {
+        const end = input.indexOf(token, from);
+        if (end === -1) throw new Error(`Unterminated markup at position ${from}`);
+        return end;
+    };
+
+    // End of a start tag; ">" may appear inside quoted attribute values
+    const findTagEnd = (from) => {
+        let quote = null;
+        for (let i = from; i < input.length; i++) {
+            const char = input[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+        throw new Error(`Unterminated markup at position ${from}`);
+    };
+
+    while (index < input.length) {
+        const current = stack[stack.length - 1];
+        const tagStart = input.indexOf('<', index);
+        if (tagStart === -1) {
+            current.text += decodeEntities(input.slice(index));
+            break;
+        }
+        if (tagStart > index) {
+            current.text += decodeEntities(input.slice(index, tagStart));
+        }
+
+        if (input.startsWith('<!--', tagStart)) {
+            index = expect('-->', tagStart + 4) + 3;
+        } else if (input.startsWith('<![CDATA[', tagStart)) {
+            const end = expect(']]>', tagStart + 9);
+            current.text += input.slice(tagStart + 9, end);
+            index = end + 3;
+        } else if (input.startsWith('<?', tagStart)) {
+            index = expect('?>', tagStart + 2) + 2;
+        } else if (input.startsWith('<!', tagStart)) {
+            // DOCTYPE, possibly with an internal subset in brackets
+            const bracket = input.indexOf('[', tagStart);
+            const close = input.indexOf('>', tagStart);
+            index = bracket !== -1 && bracket < close
+                ? expect('>', expect(']', bracket)) + 1
+                : expect('>', tagStart) + 1;
+        } else if (input[tagStart + 1] === '/') {
+            const end = expect('>', tagStart);
+            const name = input.slice(tagStart + 2, end).trim();
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected closing tag </${name}>`);
+            }
+            current.text = current.text.trim();
+            stack.pop();
+            index = end + 1;
+        } else {
+            const end = findTagEnd(tagStart);
+            let source = input.slice(tagStart + 1, end);
+            const selfClosing = source.endsWith('/');
+            if (selfClosing) source = source.slice(0, -1);
+
+            const name = source.match(/^[^\s/>]+/);
+            if (!name) throw new Error(`Invalid tag at position ${tagStart}`);
+            const element = {
+                name: name[0],
+                attributes: parseAttributes(source.slice(name[0].length)),
+                children: [],
+                text: ''
+            };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+            index = end + 1;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+    }
+    if (root.children.length !== 1) {
+        throw new Error('XML must have exactly one root element');
+    }
+    return root.children[0];
+};
+
+// Child elements with the given local name
+const findChildren = (node, name) => (node ? node.children.filter(child => localName(child.name) === name) : []);
+
+const findChild = (node, name) => findChildren(node, name)[0] || null;
+
+// First element along a path of local names, e.g. findPath(manifest, 'metadata', 'schema')
+const findPath = (node, ...names) => names.reduce((current, name) => findChild(current, name), node);
+
+// Attribute by local name, ignoring case ("adlcp:scormtype" and "adlcp:scormType" both match "scormtype")
+const getAttribute = (node, name) => {
+    if (!node) return undefined;
+    const key = Object.keys(node.attributes).find(attribute => localName(attribute).toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : node.attributes[key];
+};
+
+module.exports = {
+    decodeEntities,
+    localName,
+    parseXml,
+    findChildren,
+    findChild,
+    findPath,
+    getAttribute
+};
@@ -0,0 +1,124 @@
+// ZIP utility functions
+// Reads entries from a zip archive held in memory (stored and deflated entries, no ZIP64 or encryption)
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// CRC-32 of a buffer, as stored in zip headers
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const findEndOfCentralDirectory = (buffer) => {
+    const lowest = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a zip file');
+};
+
+// Entry names are relative paths; anything that could escape the extraction folder is rejected
+const isSafeEntryName = (name) => name !== '' &&
+    !name.startsWith('/') &&
+    !/^[a-zA-Z]:/.test(name) &&
+    !name.split(/[\\/]/).includes('..');
+
+/**
+ * List the files in a zip archive. Each entry has name, size and read(), which
+ * returns the uncompressed content. maxEntries and maxTotalSize guard against
+ * archives that expand far beyond their upload size.
+ */
+const readZip = (buffer, { maxEntries = 5000, maxTotalSize = 200 * 1024 * 1024 } = {}) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+        throw new Error('Not a zip file');
+    }
+
+    const end = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(end + 10);
+    const directoryOffset = buffer.readUInt32LE(end + 16);
+    if (directoryOffset === 0xffffffff || entryCount === 0xffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+    if (entryCount > maxEntries) {
+        throw new Error(`The archive has more than ${maxEntries} files`);
+    }
+
+    const entries = [];
+    let totalSize = 0;
+    let offset = directoryOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('The zip directory is damaged');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const headerOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength)
+            .replace(/\\/g, '/');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // folder
+        if (!isSafeEntryName(name)) {
+            throw new Error(`Unsafe file name in archive: ${name}`);
+        }
+        totalSize += size;
+        if (totalSize > maxTotalSize) {
+            throw new Error(`The archive expands to more than ${Math.round(maxTotalSize / (1024 * 1024))} MB`);
+        }
+
+        entries.push({
+            name,
+            size,
+            read: () => {
+                if (flags & 0x1) throw new Error(`${name} is encrypted`);
+                if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+                    throw new Error(`${name} is damaged`);
+                }
+                const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+                const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+                let data;
+                if (method === 0) {
+                    data = raw;
+                } else if (method === 8) {
+                    data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+                } else {
+                    throw new Error(`${name} uses an unsupported compression method (${method})`);
+                }
+                if (data.length !== size || crc32(data) !== crc) {
+                    throw new Error(`${name} is damaged`);
+                }
+                return data;
+            }
+        });
+    }
+    return entries;
+};
+
+module.exports = {
+    crc32,
+    isSafeEntryName,
+    readZip
+};
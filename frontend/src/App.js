@@ -26,6 +26,7 @@ const InstructorsPage = lazy(() => import('./pages/InstructorsPage'));
 const StudentsPage = lazy(() => import('./pages/StudentsPage'));
 const UserManagement = lazy(() => import('./pages/UserManagement'));
 const CourseEnrollmentManagement = lazy(() => import('./pages/CourseEnrollmentManagement'));
+const LearningPaths = lazy(() => import('./pages/LearningPaths'));
 
 // Loading component
 const LoadingSpinner = () => (
@@ -57,6 +58,7 @@ function App() {
           <Route path="/courses/:courseId/modules/:moduleId" element={<ProtectedRoute><ModuleDetailPage /></ProtectedRoute>} />
           <Route path="/course-modules" element={<ProtectedRoute><CourseModuleManagement /></ProtectedRoute>} />
           <Route path="/courses/:courseId/quiz/:quizId" element={<ProtectedRoute><QuizPage /></ProtectedRoute>} />
+          <Route path="/learning-paths" element={<ProtectedRoute><LearningPaths /></ProtectedRoute>} />
 
           {/* Admin Quiz routes - Admin Only */}
           <Route path="/admin/quiz" element={<ProtectedRoute adminOnly={true}><AdminQuizManagement /></ProtectedRoute>} />
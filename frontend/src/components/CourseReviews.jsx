@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../axiosConfig';
+
+const Stars = ({ value, onChange, size = 'text-lg' }) => (
+  <span className={size}>
+    {[1, 2, 3, 4, 5].map(star => (
+      <button
+        key={star}
+        type="button"
+        disabled={!onChange}
+        onClick={() => onChange && onChange(star)}
+        className={`${star <= Math.round(value) ? 'text-yellow-500' : 'text-gray-300'} ${onChange ? 'cursor-pointer' : 'cursor-default'}`}
+        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+      >
+        ★
+      </button>
+    ))}
+  </span>
+);
+
+// Create or edit the current student's review
+const ReviewForm = ({ initial, onSave, onCancel }) => {
+  const [rating, setRating] = useState(initial?.rating || 0);
+  const [title, setTitle] = useState(initial?.title || '');
+  const [text, setText] = useState(initial?.text || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await onSave({ rating, title, text });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save your review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center space-x-2">
+        <span className="text-sm text-gray-700">Your rating:</span>
+        <Stars value={rating} onChange={setRating} size="text-2xl" />
+      </div>
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={120}
+        placeholder="Title (optional)"
+        className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+      />
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={2000}
+        rows={3}
+        placeholder="What did you think of this course?"
+        className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={saving || rating === 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {initial ? 'Update Review' : 'Post Review'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-gray-600 px-3 py-2 text-sm hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const ReviewItem = ({ review, canReply, onChanged }) => {
+  const [replying, setReplying] = useState(false);
+  const [reply, setReply] = useState(review.instructorReply?.text || '');
+  const [notice, setNotice] = useState('');
+
+  const act = async (request, message) => {
+    try {
+      const response = await request();
+      setNotice(message || response.data.message);
+      onChanged();
+    } catch (err) {
+      setNotice(err.response?.data?.message || 'Something went wrong');
+    }
+  };
+
+  return (
+    <div className="border-b border-gray-100 pb-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <Stars value={review.rating} size="text-sm" />
+          {review.title && <span className="ml-2 font-medium text-gray-800">{review.title}</span>}
+        </div>
+        <span className="text-xs text-gray-500">{new Date(review.createdAt).toLocaleDateString()}</span>
+      </div>
+      <p className="text-xs text-gray-500 mb-1">{review.userId?.name || 'Student'}</p>
+      {review.text && <p className="text-sm text-gray-700 whitespace-pre-wrap">{review.text}</p>}
+
+      {review.instructorReply?.text && !replying && (
+        <div className="mt-2 ml-4 bg-gray-50 border-l-4 border-blue-300 p-2 text-sm text-gray-700">
+          <p className="text-xs font-medium text-gray-600 mb-1">
+            Instructor reply{review.instructorReply.repliedBy?.name ? ` from ${review.instructorReply.repliedBy.name}` : ''}
+          </p>
+          {review.instructorReply.text}
+        </div>
+      )}
+
+      {replying && (
+        <div className="mt-2 ml-4 space-y-2">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <button
+            onClick={() => act(() => axiosInstance.put(`/api/reviews/${review._id}/reply`, { text: reply })).then(() => setReplying(false))}
+            className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+          >
+            Save Reply
+          </button>
+          <button onClick={() => setReplying(false)} className="ml-2 text-gray-600 text-sm">Cancel</button>
+        </div>
+      )}
+
+      <div className="flex items-center space-x-4 mt-2 text-xs">
+        {!review.isMine && (
+          <button
+            onClick={() => act(() => axiosInstance.post(`/api/reviews/${review._id}/helpful`))}
+            className={review.votedHelpful ? 'text-blue-700 font-medium' : 'text-gray-600 hover:text-gray-800'}
+          >
+            👍 Helpful ({review.helpfulCount || 0})
+          </button>
+        )}
+        {review.isMine && <span className="text-gray-500">👍 {review.helpfulCount || 0} found this helpful</span>}
+        {canReply && !replying && (
+          <button onClick={() => setReplying(true)} className="text-blue-600 hover:text-blue-800">
+            {review.instructorReply?.text ? 'Edit reply' : 'Reply'}
+          </button>
+        )}
+        {!review.isMine && (
+          <button
+            onClick={() => act(() => axiosInstance.post(`/api/reviews/${review._id}/report`, {}))}
+            className="text-gray-500 hover:text-red-600"
+          >
+            Report
+          </button>
+        )}
+        {notice && <span className="text-gray-500">{notice}</span>}
+      </div>
+    </div>
+  );
+};
+
+// Ratings summary, the student's own review and the published reviews for a course
+const CourseReviews = ({ courseId }) => {
+  const [data, setData] = useState(null);
+  const [sort, setSort] = useState('recent');
+  const [limit, setLimit] = useState(5);
+  const [editing, setEditing] = useState(false);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get(`/api/courses/${courseId}/reviews`, { params: { sort, limit } });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  }, [courseId, sort, limit]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  if (!data) return null;
+
+  const { summary, reviews, myReview, canReview, canReply, pagination } = data;
+
+  const saveReview = async (values) => {
+    if (myReview) {
+      await axiosInstance.put(`/api/reviews/${myReview._id}`, values);
+    } else {
+      await axiosInstance.post(`/api/courses/${courseId}/reviews`, values);
+    }
+    setEditing(false);
+    fetchReviews();
+  };
+
+  const deleteReview = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    await axiosInstance.delete(`/api/reviews/${myReview._id}`);
+    fetchReviews();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Reviews</h2>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-8 mb-6">
+        <div className="text-center mb-4 sm:mb-0">
+          <p className="text-4xl font-bold text-gray-800">{summary.ratingCount > 0 ? summary.rating.toFixed(1) : '–'}</p>
+          <Stars value={summary.rating} />
+          <p className="text-xs text-gray-500">{summary.ratingCount} review{summary.ratingCount === 1 ? '' : 's'}</p>
+        </div>
+        <div className="flex-1 space-y-1">
+          {[5, 4, 3, 2, 1].map(star => {
+            const count = summary.distribution[star] || 0;
+            const width = summary.ratingCount > 0 ? (count / summary.ratingCount) * 100 : 0;
+            return (
+              <div key={star} className="flex items-center text-xs text-gray-600">
+                <span className="w-8">{star} ★</span>
+                <div className="flex-1 bg-gray-200 rounded h-2 mx-2">
+                  <div className="bg-yellow-500 h-2 rounded" style={{ width: `${width}%` }}></div>
+                </div>
+                <span className="w-6 text-right">{count}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {(canReview || editing) && (
+        <div className="mb-6">
+          <ReviewForm initial={editing ? myReview : null} onSave={saveReview} onCancel={editing ? () => setEditing(false) : null} />
+        </div>
+      )}
+
+      {myReview && !editing && (
+        <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-blue-800">
+              Your review{myReview.status !== 'published' ? ` (${myReview.status})` : ''}
+            </span>
+            <div className="space-x-3 text-sm">
+              <button onClick={() => setEditing(true)} className="text-blue-600 hover:text-blue-800">Edit</button>
+              <button onClick={deleteReview} className="text-red-600 hover:text-red-800">Delete</button>
+            </div>
+          </div>
+          <Stars value={myReview.rating} size="text-sm" />
+          {myReview.title && <span className="ml-2 font-medium text-gray-800">{myReview.title}</span>}
+          {myReview.text && <p className="text-sm text-gray-700 mt-1">{myReview.text}</p>}
+        </div>
+      )}
+
+      {reviews.length > 0 ? (
+        <>
+          <div className="flex justify-end mb-3">
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              <option value="recent">Most recent</option>
+              <option value="helpful">Most helpful</option>
+              <option value="highest">Highest rated</option>
+              <option value="lowest">Lowest rated</option>
+            </select>
+          </div>
+          <div className="space-y-4">
+            {reviews.map(review => (
+              <ReviewItem key={review._id} review={review} canReply={canReply} onChanged={fetchReviews} />
+            ))}
+          </div>
+          {pagination.total > reviews.length && (
+            <button
+              onClick={() => setLimit(limit + 5)}
+              className="mt-4 text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              Show more reviews
+            </button>
+          )}
+        </>
+      ) : (
+        <p className="text-gray-600 text-sm">No reviews yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default CourseReviews;
@@ -21,6 +21,7 @@ const Navbar = () => {
           <>
             <Link to="/" className="mr-4 hover:text-yellow-300">Dashboard</Link>
             <Link to="/courses" className="mr-4 hover:text-yellow-300">Courses</Link>
+            <Link to="/learning-paths" className="mr-4 hover:text-yellow-300">Learning Paths</Link>
             <Link to="/course-modules" className="mr-4 hover:text-yellow-300">Manage Modules</Link>
             {user.role === 'admin' && (
               <>
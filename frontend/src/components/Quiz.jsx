@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axiosInstance from '../axiosConfig';
 
+// Wait this long after the last change before saving answers to the server
+const AUTOSAVE_DELAY_MS = 1500;
+
 const Quiz = ({
   quizData,
   onQuizComplete,
@@ -11,24 +14,84 @@ const Quiz = ({
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [answers, setAnswers] = useState({});
   const [timeRemaining, setTimeRemaining] = useState(null);
-  const [quizStatus, setQuizStatus] = useState('not_started'); // 'not_started', 'in_progress', 'completed', 'submitted'
+  const [quizStatus, setQuizStatus] = useState('not_started'); // 'not_started', 'in_progress', 'paused', 'completed', 'submitted'
   const [showReview, setShowReview] = useState(false);
   const [attemptId, setAttemptId] = useState(null);
   const [apiError, setApiError] = useState('');
   const [validationErrors, setValidationErrors] = useState({});
   const [showValidation, setShowValidation] = useState(false);
+  const [attemptQuestions, setAttemptQuestions] = useState(null);
+
+  const quizId = quizData?._id || quizData?.id;
+  // The attempt decides which questions are shown and in what order
+  const questions = attemptQuestions || quizData?.questions || [];
+
+  // Restore the player from the attempt state kept on the server
+  const applySession = (session) => {
+    setAttemptId(session.attemptId);
+    setQuizStatus(session.status);
+    setCurrentQuestion(session.currentQuestion || 0);
+    setTimeRemaining(session.timeRemaining);
+    if (session.questions) {
+      setAttemptQuestions(session.questions);
+    }
 
-  // Initialize quiz timer
-  useEffect(() => {
-    if (quizData?.timeLimit && quizStatus === 'in_progress') {
-      setTimeRemaining(quizData.timeLimit * 60); // Convert minutes to seconds
+    const existingAnswers = {};
+    (session.answers || []).forEach(answer => {
+      existingAnswers[answer.questionId] = answer.selectedAnswer;
+    });
+    setAnswers(existingAnswers);
+  };
+
+  // The server graded the attempt on its own (e.g. the time limit ran out)
+  const finishWithResults = useCallback((data) => {
+    setQuizStatus('submitted');
+    if (onQuizComplete) {
+      onQuizComplete({
+        ...data.results,
+        attempt: data.attempt,
+        status: data.attempt?.status
+      });
     }
-  }, [quizData?.timeLimit, quizStatus]);
+  }, [onQuizComplete]);
+
+  const handleAutoSubmit = useCallback(async () => {
+    if (!attemptId) return;
+
+    try {
+      const response = await axiosInstance.post(`/api/quiz/attempt/${attemptId}/submit`, {
+        answers
+      });
+
+      setQuizStatus('submitted');
 
-  // Timer countdown effect
+      if (onQuizComplete) {
+        onQuizComplete({
+          ...response.data.results,
+          answers,
+          timeSpent: quizData?.timeLimit * 60,
+          status: response.data.attempt?.status || 'auto_submitted'
+        });
+      }
+    } catch (error) {
+      console.error('Error auto-submitting quiz:', error);
+      // Still mark as submitted locally; the server sweep submits the saved answers
+      setQuizStatus('submitted');
+      if (onQuizComplete) {
+        onQuizComplete({
+          answers,
+          timeSpent: quizData?.timeLimit * 60,
+          status: 'auto_submitted',
+          error: 'Submission may have failed due to connection issues'
+        });
+      }
+    }
+  }, [attemptId, answers, quizData?.timeLimit, onQuizComplete]);
+
+  // Timer countdown effect, seeded from the server's remaining time
   useEffect(() => {
     let timer;
-    if (quizStatus === 'in_progress' && timeRemaining > 0) {
+    if (['in_progress', 'completed'].includes(quizStatus) && timeRemaining > 0) {
       timer = setInterval(() => {
         setTimeRemaining(prev => {
           if (prev <= 1) {
@@ -45,35 +108,85 @@ const Quiz = ({
     };
   }, [quizStatus, timeRemaining, handleAutoSubmit]);
 
+  // Save answers and position so a refreshed tab can pick up where it left off
+  useEffect(() => {
+    if (quizStatus !== 'in_progress' || !attemptId) return undefined;
 
+    const saveTimer = setTimeout(async () => {
+      try {
+        await axiosInstance.put(`/api/quiz/attempt/${attemptId}/answers`, {
+          answers,
+          currentQuestion
+        });
+      } catch (error) {
+        if (error.response?.data?.results) {
+          finishWithResults(error.response.data);
+          return;
+        }
+        console.error('Error saving quiz answers:', error);
+      }
+    }, AUTOSAVE_DELAY_MS);
 
+    return () => clearTimeout(saveTimer);
+  }, [answers, currentQuestion, attemptId, quizStatus, finishWithResults]);
 
   const handleStartQuiz = async () => {
     try {
       setApiError('');
-      const response = await axiosInstance.post(`/api/quiz/${quizData.id}/attempt`);
-
-      setAttemptId(response.data.attemptId);
-      setQuizStatus(response.data.status);
-      setCurrentQuestion(response.data.currentQuestion || 0);
-      setTimeRemaining(response.data.timeRemaining);
+      // Starts a new attempt, or resumes the unfinished one
+      const response = await axiosInstance.post(`/api/quiz/${quizId}/start`);
 
-      // If resuming, load existing answers
-      if (response.data.answers && response.data.answers.length > 0) {
-        const existingAnswers = {};
-        response.data.answers.forEach(answer => {
-          existingAnswers[answer.questionId] = answer.selectedAnswer;
-        });
-        setAnswers(existingAnswers);
-      } else {
-        setAnswers({});
+      if (response.data.results) {
+        finishWithResults(response.data);
+        return;
       }
+
+      applySession(response.data);
     } catch (error) {
       console.error('Error starting quiz:', error);
       setApiError(error.response?.data?.message || 'Failed to start quiz. Please try again.');
     }
   };
 
+  const handlePauseQuiz = async () => {
+    if (!attemptId) return;
+
+    try {
+      setApiError('');
+      const response = await axiosInstance.post(`/api/quiz/attempt/${attemptId}/pause`, {
+        answers,
+        currentQuestion
+      });
+
+      setQuizStatus('paused');
+      setTimeRemaining(response.data.timeRemaining);
+
+      if (onQuizPause) {
+        onQuizPause(response.data);
+      }
+    } catch (error) {
+      if (error.response?.data?.results) {
+        finishWithResults(error.response.data);
+        return;
+      }
+      console.error('Error pausing quiz:', error);
+      setApiError(error.response?.data?.message || 'Failed to pause quiz. Please try again.');
+    }
+  };
+
+  const handleResumeQuiz = async () => {
+    if (!attemptId) return;
+
+    try {
+      setApiError('');
+      const response = await axiosInstance.post(`/api/quiz/attempt/${attemptId}/resume`);
+      applySession(response.data);
+    } catch (error) {
+      console.error('Error resuming quiz:', error);
+      setApiError(error.response?.data?.message || 'Failed to resume quiz. Please try again.');
+    }
+  };
+
   const handleAnswerSelect = (questionId, selectedOption) => {
     setAnswers(prev => ({
       ...prev,
@@ -99,7 +212,7 @@ const Quiz = ({
   };
 
   const validateCurrentAnswer = () => {
-    const currentQuestionData = quizData.questions[currentQuestion];
+    const currentQuestionData = questions[currentQuestion];
     const currentAnswer = answers[currentQuestionData.id];
 
     switch (currentQuestionData.type) {
@@ -111,7 +224,10 @@ const Quiz = ({
         return Array.isArray(currentAnswer) && currentAnswer.length > 0;
 
       case 'text':
-        return currentAnswer !== undefined && currentAnswer.trim().length > 0;
+      case 'short_answer':
+      case 'numeric':
+      case 'essay':
+        return currentAnswer !== undefined && String(currentAnswer).trim().length > 0;
 
       default:
         return false;
@@ -122,7 +238,7 @@ const Quiz = ({
     const errors = {};
     let hasErrors = false;
 
-    quizData.questions.forEach((question, index) => {
+    questions.forEach((question, index) => {
       const answer = answers[question.id];
       let isValid = false;
 
@@ -137,7 +253,10 @@ const Quiz = ({
           break;
 
         case 'text':
-          isValid = answer !== undefined && answer.trim().length > 0;
+        case 'short_answer':
+        case 'numeric':
+        case 'essay':
+          isValid = answer !== undefined && String(answer).trim().length > 0;
           break;
 
         default:
@@ -157,7 +276,7 @@ const Quiz = ({
 
   const handleNextQuestion = () => {
     if (showValidation && !validateCurrentAnswer()) {
-      const currentQuestionData = quizData.questions[currentQuestion];
+      const currentQuestionData = questions[currentQuestion];
       setValidationErrors({
         [currentQuestionData.id]: `Please answer question ${currentQuestion + 1} before proceeding`
       });
@@ -165,7 +284,7 @@ const Quiz = ({
     }
 
     setValidationErrors({});
-    if (currentQuestion < quizData.questions.length - 1) {
+    if (currentQuestion < questions.length - 1) {
       setCurrentQuestion(prev => prev + 1);
     }
   };
@@ -195,12 +314,12 @@ const Quiz = ({
   const handleFinalSubmit = async () => {
     if (!attemptId) return;
 
+    const timeSpent = quizData?.timeLimit ? (quizData.timeLimit * 60) - timeRemaining : null;
+
     try {
       setApiError('');
       const response = await axiosInstance.post(`/api/quiz/attempt/${attemptId}/submit`, {
-        answers,
-        timeSpent: quizData?.timeLimit ? (quizData.timeLimit * 60) - timeRemaining : null,
-        status: 'completed'
+        answers
       });
 
       setQuizStatus('submitted');
@@ -209,50 +328,20 @@ const Quiz = ({
         onQuizComplete({
           ...response.data.results,
           answers,
-          timeSpent: quizData?.timeLimit ? (quizData.timeLimit * 60) - timeRemaining : null
+          timeSpent,
+          status: response.data.attempt?.status
         });
       }
     } catch (error) {
+      if (error.response?.data?.results) {
+        finishWithResults(error.response.data);
+        return;
+      }
       console.error('Error submitting quiz:', error);
       setApiError(error.response?.data?.message || 'Failed to submit quiz. Please try again.');
     }
   };
 
-  const handleAutoSubmit = useCallback(async () => {
-    if (!attemptId) return;
-
-    try {
-      const response = await axiosInstance.post(`/api/quiz/attempt/${attemptId}/submit`, {
-        answers,
-        timeSpent: quizData?.timeLimit * 60,
-        status: 'auto_submitted'
-      });
-
-      setQuizStatus('submitted');
-
-      if (onQuizComplete) {
-        onQuizComplete({
-          ...response.data.results,
-          answers,
-          timeSpent: quizData?.timeLimit * 60,
-          status: 'auto_submitted'
-        });
-      }
-    } catch (error) {
-      console.error('Error auto-submitting quiz:', error);
-      // Still mark as submitted locally even if API call fails
-      setQuizStatus('submitted');
-      if (onQuizComplete) {
-        onQuizComplete({
-          answers,
-          timeSpent: quizData?.timeLimit * 60,
-          status: 'auto_submitted',
-          error: 'Submission may have failed due to connection issues'
-        });
-      }
-    }
-  }, [attemptId, answers, quizData?.timeLimit, onQuizComplete]);
-
   const formatTime = (seconds) => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -269,7 +358,7 @@ const Quiz = ({
   };
 
   const isQuestionAnswered = (questionIndex) => {
-    const question = quizData?.questions[questionIndex];
+    const question = questions[questionIndex];
     if (!question) return false;
 
     const answer = answers[question.id];
@@ -282,7 +371,10 @@ const Quiz = ({
         return Array.isArray(answer) && answer.length > 0;
 
       case 'text':
-        return answer !== undefined && answer.trim().length > 0;
+      case 'short_answer':
+      case 'numeric':
+      case 'essay':
+        return answer !== undefined && String(answer).trim().length > 0;
 
       default:
         return false;
@@ -335,7 +427,7 @@ const Quiz = ({
               <div>
                 <span className="font-medium text-gray-700">Questions Answered:</span>
                 <span className="ml-2 text-gray-900">
-                  {getAnsweredQuestionsCount()} of {quizData.questions.length}
+                  {getAnsweredQuestionsCount()} of {questions.length}
                 </span>
               </div>
               {timeRemaining !== null && (
@@ -353,8 +445,11 @@ const Quiz = ({
     );
   }
 
-  // Quiz not started state
-  if (quizStatus === 'not_started') {
+  // Quiz not started (or paused) state
+  if (quizStatus === 'not_started' || quizStatus === 'paused') {
+    const hasActiveAttempt = quizStatus === 'paused' || !!quizData.activeAttempt;
+    const pausedTimeRemaining = quizStatus === 'paused' ? timeRemaining : quizData.activeAttempt?.timeRemaining;
+
     return (
       <div className={`bg-white rounded-lg shadow-md p-6 ${className}`}>
         <div className="text-center">
@@ -369,7 +464,7 @@ const Quiz = ({
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
               <div>
                 <span className="font-medium text-gray-700">Questions:</span>
-                <span className="ml-2 text-gray-900">{quizData.questions?.length || 0}</span>
+                <span className="ml-2 text-gray-900">{quizData.questionCount ?? questions.length}</span>
               </div>
               {quizData.timeLimit && (
                 <div>
@@ -379,7 +474,7 @@ const Quiz = ({
               )}
               <div>
                 <span className="font-medium text-gray-700">Attempts:</span>
-                <span className="ml-2 text-gray-900">{quizData.attempts || 'Unlimited'}</span>
+                <span className="ml-2 text-gray-900">{quizData.maxAttempts || 'Unlimited'}</span>
               </div>
             </div>
           </div>
@@ -397,18 +492,27 @@ const Quiz = ({
             </div>
           )}
 
+          {hasActiveAttempt && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+              <p className="text-yellow-800 text-sm">
+                You have an unfinished attempt. Your saved answers will be restored.
+                {pausedTimeRemaining != null && ` Time remaining: ${formatTime(pausedTimeRemaining)}.`}
+              </p>
+            </div>
+          )}
+
           <button
-            onClick={handleStartQuiz}
+            onClick={quizStatus === 'paused' ? handleResumeQuiz : handleStartQuiz}
             className="bg-blue-600 text-white px-8 py-3 rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-200"
           >
-            Start Quiz
+            {hasActiveAttempt ? 'Resume Quiz' : 'Start Quiz'}
           </button>
         </div>
       </div>
     );
   }
 
-  const currentQuestionData = quizData.questions[currentQuestion];
+  const currentQuestionData = questions[currentQuestion];
 
   return (
     <div className={`bg-white rounded-lg shadow-md ${className}`}>
@@ -418,7 +522,7 @@ const Quiz = ({
           <div>
             <h2 className="text-xl font-bold text-gray-900">{quizData.title}</h2>
             <p className="text-sm text-gray-600 mt-1">
-              Question {currentQuestion + 1} of {quizData.questions.length}
+              Question {currentQuestion + 1} of {questions.length}
             </p>
           </div>
 
@@ -431,6 +535,13 @@ const Quiz = ({
               </div>
             )}
 
+            <button
+              onClick={handlePauseQuiz}
+              className="px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-full hover:bg-gray-50 transition duration-200"
+            >
+              Pause
+            </button>
+
           </div>
         </div>
 
@@ -439,13 +550,13 @@ const Quiz = ({
           <div className="flex justify-between items-center mb-2">
             <span className="text-sm text-gray-600">Progress</span>
             <span className="text-sm text-gray-600">
-              {getAnsweredQuestionsCount()}/{quizData.questions.length} answered
+              {getAnsweredQuestionsCount()}/{questions.length} answered
             </span>
           </div>
           <div className="w-full bg-gray-200 rounded-full h-2">
             <div
               className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${(getAnsweredQuestionsCount() / quizData.questions.length) * 100}%` }}
+              style={{ width: `${(getAnsweredQuestionsCount() / questions.length) * 100}%` }}
             ></div>
           </div>
         </div>
@@ -566,8 +677,24 @@ const Quiz = ({
                 </div>
               )}
 
-              {/* Text Input Questions */}
-              {currentQuestionData.type === 'text' && (
+              {/* Numeric Questions */}
+              {currentQuestionData.type === 'numeric' && (
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={answers[currentQuestionData.id] || ''}
+                  onChange={(e) => handleAnswerSelect(currentQuestionData.id, e.target.value)}
+                  className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    validationErrors[currentQuestionData.id]
+                      ? 'border-red-300 bg-red-50'
+                      : 'border-gray-300'
+                  }`}
+                  placeholder="Enter a number..."
+                />
+              )}
+
+              {/* Text Input Questions (short answer and essay) */}
+              {['text', 'short_answer', 'essay'].includes(currentQuestionData.type) && (
                 <textarea
                   value={answers[currentQuestionData.id] || ''}
                   onChange={(e) => handleAnswerSelect(currentQuestionData.id, e.target.value)}
@@ -576,8 +703,8 @@ const Quiz = ({
                       ? 'border-red-300 bg-red-50'
                       : 'border-gray-300'
                   }`}
-                  rows="4"
-                  placeholder="Enter your answer..."
+                  rows={currentQuestionData.type === 'essay' ? 10 : 4}
+                  placeholder={currentQuestionData.type === 'essay' ? 'Write your essay...' : 'Enter your answer...'}
                 />
               )}
             </div>
@@ -602,7 +729,7 @@ const Quiz = ({
 
             <button
               onClick={handleNextQuestion}
-              disabled={currentQuestion === quizData.questions.length - 1}
+              disabled={currentQuestion === questions.length - 1}
               className="px-4 py-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
             >
               Next
@@ -613,7 +740,7 @@ const Quiz = ({
 
             {/* Jump to first unanswered question */}
             {(() => {
-              const unansweredIndex = quizData.questions.findIndex((_, index) => !isQuestionAnswered(index));
+              const unansweredIndex = questions.findIndex((_, index) => !isQuestionAnswered(index));
               return unansweredIndex !== -1 && unansweredIndex !== currentQuestion ? (
                 <button
                   onClick={() => handleGoToQuestion(unansweredIndex)}
@@ -629,7 +756,7 @@ const Quiz = ({
           </div>
 
           <div className="flex items-center space-x-4">
-            {currentQuestion === quizData.questions.length - 1 && (
+            {currentQuestion === questions.length - 1 && (
               <button
                 onClick={handleSubmitQuiz}
                 disabled={Object.keys(validationErrors).length > 0}
@@ -649,7 +776,7 @@ const Quiz = ({
         <div className="mt-4 pt-4 border-t border-gray-100">
           <p className="text-sm text-gray-600 mb-2">Quick navigation:</p>
           <div className="flex flex-wrap gap-2">
-            {quizData.questions.map((_, index) => (
+            {questions.map((_, index) => (
               <button
                 key={index}
                 onClick={() => handleGoToQuestion(index)}
@@ -673,17 +800,17 @@ const Quiz = ({
             <h3 className="text-lg font-bold text-gray-900 mb-4">Submit Quiz?</h3>
             <div className="mb-6">
               <p className="text-gray-600 mb-4">
-                You have answered {getAnsweredQuestionsCount()} out of {quizData.questions.length} questions.
+                You have answered {getAnsweredQuestionsCount()} out of {questions.length} questions.
               </p>
 
-              {getAnsweredQuestionsCount() < quizData.questions.length && (
+              {getAnsweredQuestionsCount() < questions.length && (
                 <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
                   <div className="flex items-center">
                     <svg className="w-5 h-5 text-yellow-400 mr-2" fill="currentColor" viewBox="0 0 20 20">
                       <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                     </svg>
                     <p className="text-yellow-800 text-sm">
-                      Warning: {quizData.questions.length - getAnsweredQuestionsCount()} question(s) remain unanswered.
+                      Warning: {questions.length - getAnsweredQuestionsCount()} question(s) remain unanswered.
                     </p>
                   </div>
                 </div>
@@ -711,7 +838,10 @@ const Quiz = ({
             </div>
             <div className="flex space-x-4">
               <button
-                onClick={() => setShowReview(false)}
+                onClick={() => {
+                  setShowReview(false);
+                  setQuizStatus('in_progress');
+                }}
                 className="flex-1 px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition duration-200"
               >
                 Continue Quiz
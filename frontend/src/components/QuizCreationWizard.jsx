@@ -2,6 +2,46 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axiosInstance from '../axiosConfig';
 
+const CHOICE_TYPES = ['multiple_choice', 'multiple_select'];
+
+const blankOptions = () => [
+  { id: 'a', text: '', isCorrect: false },
+  { id: 'b', text: '', isCorrect: false },
+  { id: 'c', text: '', isCorrect: false },
+  { id: 'd', text: '', isCorrect: false }
+];
+
+// Whether a question has what its grader needs (essays are graded by hand)
+const hasAnswerKey = (question) => {
+  switch (question.type) {
+    case 'multiple_choice':
+    case 'multiple_select':
+      return question.options.some(opt => opt.isCorrect && opt.text.trim());
+    case 'true_false':
+      return typeof question.correctAnswer === 'boolean';
+    case 'short_answer':
+      return Array.isArray(question.correctAnswer) && question.correctAnswer.some(answer => answer.trim());
+    case 'numeric':
+      return Number.isFinite(question.correctAnswer);
+    case 'essay':
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Switching type resets the answer key to the shape the new type expects
+const changeQuestionType = (question, type) => ({
+  ...question,
+  type,
+  options: CHOICE_TYPES.includes(type)
+    ? (question.options && question.options.length > 0 ? question.options : blankOptions())
+    : [],
+  correctAnswer: undefined,
+  matchMode: type === 'short_answer' ? 'normalized' : undefined,
+  tolerance: type === 'numeric' ? 0 : undefined
+});
+
 const QuizCreationWizard = ({ userRole = 'admin', onClose, onSuccess }) => {
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState(1);
@@ -19,6 +59,8 @@ const QuizCreationWizard = ({ userRole = 'admin', onClose, onSuccess }) => {
     maxAttempts: 3,
     passingScore: 70,
     difficulty: 1,
+    randomizeQuestions: false,
+    randomizeOptions: false,
     status: 'draft'
   });
 
@@ -61,12 +103,7 @@ const QuizCreationWizard = ({ userRole = 'admin', onClose, onSuccess }) => {
       id: `q${questions.length + 1}`,
       type: 'multiple_choice',
       question: '',
-      options: [
-        { id: 'a', text: '', isCorrect: false },
-        { id: 'b', text: '', isCorrect: false },
-        { id: 'c', text: '', isCorrect: false },
-        { id: 'd', text: '', isCorrect: false }
-      ],
+      options: blankOptions(),
       points: 1
     };
     setQuestions([...questions, newQuestion]);
@@ -130,7 +167,7 @@ const QuizCreationWizard = ({ userRole = 'admin', onClose, onSuccess }) => {
       case 1:
         return quizData.courseId && quizData.title.trim();
       case 2:
-        return questions.length > 0 && questions.every(q => q.question.trim());
+        return questions.length > 0 && questions.every(q => q.question.trim() && hasAnswerKey(q));
       case 3:
         return true;
       default:
@@ -349,6 +386,27 @@ const QuizBasicInfoStep = ({ quizData, setQuizData, courses }) => (
         </select>
       </div>
     </div>
+
+    <div className="space-y-2">
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={quizData.randomizeQuestions}
+          onChange={(e) => setQuizData({...quizData, randomizeQuestions: e.target.checked})}
+          className="mr-2"
+        />
+        Shuffle question order for each attempt
+      </label>
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={quizData.randomizeOptions}
+          onChange={(e) => setQuizData({...quizData, randomizeOptions: e.target.checked})}
+          className="mr-2"
+        />
+        Shuffle answer options for each attempt
+      </label>
+    </div>
   </div>
 );
 
@@ -518,13 +576,15 @@ const QuestionPreview = ({ question, index, onUpdate, onDelete }) => {
             </label>
             <select
               value={localQuestion.type}
-              onChange={(e) => setLocalQuestion({...localQuestion, type: e.target.value})}
+              onChange={(e) => setLocalQuestion(changeQuestionType(localQuestion, e.target.value))}
               className="border border-gray-300 rounded px-3 py-2"
             >
               <option value="multiple_choice">Multiple Choice</option>
               <option value="multiple_select">Multiple Select</option>
               <option value="true_false">True/False</option>
-              <option value="text">Text Answer</option>
+              <option value="short_answer">Short Answer</option>
+              <option value="numeric">Numeric</option>
+              <option value="essay">Essay (graded manually)</option>
             </select>
           </div>
           <div>
@@ -541,6 +601,8 @@ const QuestionPreview = ({ question, index, onUpdate, onDelete }) => {
           </div>
         </div>
 
+        <AnswerKeyEditor question={localQuestion} onChange={setLocalQuestion} />
+
         <div className="flex space-x-2">
           <button
             onClick={handleSave}
@@ -560,4 +622,144 @@ const QuestionPreview = ({ question, index, onUpdate, onDelete }) => {
   );
 };
 
+// Answer key inputs for the selected question type
+const AnswerKeyEditor = ({ question, onChange }) => {
+  const updateOption = (optionIndex, changes) => {
+    const options = question.options.map((option, i) => {
+      if (i === optionIndex) return { ...option, ...changes };
+      // Only one correct option for single-choice questions
+      if (changes.isCorrect && question.type === 'multiple_choice') return { ...option, isCorrect: false };
+      return option;
+    });
+    onChange({ ...question, options });
+  };
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    return (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Options ({question.type === 'multiple_choice' ? 'mark the correct answer' : 'mark every correct answer'})
+        </label>
+        <div className="space-y-2">
+          {question.options.map((option, optionIndex) => (
+            <div key={option.id} className="flex items-center space-x-2">
+              <input
+                type={question.type === 'multiple_choice' ? 'radio' : 'checkbox'}
+                name={`correct_${question.id}`}
+                checked={option.isCorrect}
+                onChange={(e) => updateOption(optionIndex, { isCorrect: e.target.checked })}
+                className="h-4 w-4"
+              />
+              <input
+                type="text"
+                value={option.text}
+                onChange={(e) => updateOption(optionIndex, { text: e.target.value })}
+                className="flex-1 border border-gray-300 rounded px-3 py-1"
+                placeholder={`Option ${option.id.toUpperCase()}`}
+              />
+            </div>
+          ))}
+        </div>
+        {question.type === 'multiple_select' && (
+          <label className="flex items-center mt-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={question.partialCredit !== false}
+              onChange={(e) => onChange({ ...question, partialCredit: e.target.checked })}
+              className="mr-2"
+            />
+            Award partial credit (wrong picks cancel right ones)
+          </label>
+        )}
+      </div>
+    );
+  }
+
+  if (question.type === 'true_false') {
+    return (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Correct Answer
+        </label>
+        <select
+          value={typeof question.correctAnswer === 'boolean' ? String(question.correctAnswer) : ''}
+          onChange={(e) => onChange({ ...question, correctAnswer: e.target.value === 'true' })}
+          className="border border-gray-300 rounded px-3 py-2"
+        >
+          <option value="" disabled>Select...</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      </div>
+    );
+  }
+
+  if (question.type === 'short_answer') {
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Accepted Answers (one per line)
+        </label>
+        <textarea
+          value={(question.correctAnswer || []).join('\n')}
+          onChange={(e) => onChange({
+            ...question,
+            correctAnswer: e.target.value.split('\n')
+          })}
+          rows="3"
+          className="w-full border border-gray-300 rounded px-3 py-2"
+        />
+        <select
+          value={question.matchMode || 'normalized'}
+          onChange={(e) => onChange({ ...question, matchMode: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          <option value="normalized">Ignore case, spacing and punctuation</option>
+          <option value="exact">Exact match</option>
+          <option value="regex">Regular expression (whole answer)</option>
+          <option value="regex-partial">Regular expression (anywhere in the answer)</option>
+        </select>
+      </div>
+    );
+  }
+
+  if (question.type === 'numeric') {
+    return (
+      <div className="flex items-center space-x-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Correct Value
+          </label>
+          <input
+            type="number"
+            step="any"
+            value={question.correctAnswer ?? ''}
+            onChange={(e) => onChange({ ...question, correctAnswer: e.target.value === '' ? undefined : parseFloat(e.target.value) })}
+            className="w-32 border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Tolerance (±)
+          </label>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={question.tolerance || 0}
+            onChange={(e) => onChange({ ...question, tolerance: parseFloat(e.target.value) || 0 })}
+            className="w-32 border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <p className="text-sm text-gray-500">
+      Essay answers are sent to the manual grading queue after submission.
+    </p>
+  );
+};
+
 export default QuizCreationWizard;
\ No newline at end of file
@@ -1,64 +1,83 @@
 ﻿/**
  * LearningGoalsAnalytics.jsx - Combined functional learning goals and analytics component
- * Displays real-time learning progress, goals, and analytical insights
+ * Displays structured learning goals with their computed status, trends and analytical insights
  */
 
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from '../../axiosConfig';
+import TrendChart from '../progress/TrendChart';
+
+const GOAL_TYPES = [
+    { value: 'hours_per_week', label: 'Hours per week', unit: 'h' },
+    { value: 'modules_per_week', label: 'Modules per week', unit: 'modules' },
+    { value: 'courses_completed', label: 'Courses completed', unit: 'courses' },
+    { value: 'quiz_average', label: 'Quiz average', unit: '%' }
+];
+
+const STATUS_STYLES = {
+    'met': { badge: 'bg-green-100 text-green-800', bar: 'bg-green-500', label: 'Met' },
+    'on-track': { badge: 'bg-blue-100 text-blue-800', bar: 'bg-blue-500', label: 'On track' },
+    'at-risk': { badge: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-500', label: 'At risk' },
+    'missed': { badge: 'bg-red-100 text-red-800', bar: 'bg-red-500', label: 'Missed' }
+};
+
+const EMPTY_FORM = { type: 'hours_per_week', target: '', deadline: '', courseId: '' };
 
 const LearningGoalsAnalytics = ({ className = "" }) => {
     const [analytics, setAnalytics] = useState(null);
-    const [goals, setGoals] = useState({
-        daily: { target: 30, completed: 0 }, // minutes
-        weekly: { target: 300, completed: 0 }, // minutes
-        monthly: { target: 1200, completed: 0 } // minutes
-    });
+    const [goals, setGoals] = useState([]);
+    const [legacyGoals, setLegacyGoals] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [formErrors, setFormErrors] = useState([]);
+    const [saving, setSaving] = useState(false);
     const [streaks, setStreaks] = useState({
         current: 0,
         longest: 0,
         weeklyActive: 0
     });
+    const [series, setSeries] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
     useEffect(() => {
         fetchLearningData();
     }, []);
 
+    const fetchGoals = async () => {
+        const response = await axios.get('/api/progress/learning-goals', { params: { timezone } });
+        setGoals(response.data.goals || []);
+        setLegacyGoals(response.data.legacyGoals || []);
+    };
+
     const fetchLearningData = async () => {
         try {
             setLoading(true);
-            const [analyticsRes, streaksRes] = await Promise.all([
+            const [analyticsRes, streaksRes, seriesRes, coursesRes] = await Promise.all([
                 axios.get('/api/progress/analytics').catch(() => ({ data: null })),
-                axios.get('/api/progress/streaks').catch(() => ({ data: null }))
+                axios.get('/api/progress/streaks', {
+                    params: { timezone }
+                }).catch(() => ({ data: null })),
+                axios.get('/api/progress/activity/series', {
+                    params: { timezone }
+                }).catch(() => ({ data: null })),
+                axios.get('/api/students/courses').catch(() => ({ data: null })),
+                fetchGoals().catch(() => setGoals([]))
             ]);
 
             if (analyticsRes.data) {
                 setAnalytics(analyticsRes.data);
-                
-                // Calculate goals based on actual data
-                const totalMinutes = (analyticsRes.data.totalTimeSpent || 0) * 60;
-                const today = new Date();
-                const startOfWeek = new Date(today);
-                startOfWeek.setDate(today.getDate() - today.getDay());
-                const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-                
-                // Simulated progress for demo - in real app, this would come from backend
-                setGoals({
-                    daily: { 
-                        target: 30, 
-                        completed: Math.min(25, totalMinutes % 30) 
-                    },
-                    weekly: { 
-                        target: 300, 
-                        completed: Math.min(180, (totalMinutes * 0.6) % 300) 
-                    },
-                    monthly: { 
-                        target: 1200, 
-                        completed: Math.min(420, totalMinutes % 1200) 
-                    }
-                });
+            }
+
+            if (seriesRes.data) {
+                setSeries(seriesRes.data);
+            }
+
+            if (coursesRes.data) {
+                setCourses((coursesRes.data.data || []).filter(progress => progress.courseId));
             }
 
             if (streaksRes.data) {
@@ -77,8 +96,34 @@ const LearningGoalsAnalytics = ({ className = "" }) => {
         }
     };
 
-    const calculatePercentage = (completed, target) => {
-        return Math.min(100, Math.round((completed / target) * 100));
+    const handleCreateGoal = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            setFormErrors([]);
+            await axios.post('/api/progress/learning-goals', {
+                type: form.type,
+                target: Number(form.target),
+                deadline: form.deadline,
+                courseId: form.courseId || undefined
+            });
+            setForm(EMPTY_FORM);
+            await fetchGoals();
+        } catch (error) {
+            const data = error.response?.data;
+            setFormErrors(data?.errors || [data?.message || 'Failed to create goal']);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteGoal = async (goalId) => {
+        try {
+            await axios.delete(`/api/progress/learning-goals/${goalId}`);
+            setGoals(current => current.filter(goal => goal._id !== goalId));
+        } catch (error) {
+            console.error('Error deleting learning goal:', error);
+        }
     };
 
     const formatTime = (minutes) => {
@@ -88,14 +133,20 @@ const LearningGoalsAnalytics = ({ className = "" }) => {
         return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
     };
 
-    const getGoalStatus = (completed, target) => {
-        const percentage = calculatePercentage(completed, target);
-        if (percentage >= 100) return { color: 'green', status: 'completed' };
-        if (percentage >= 75) return { color: 'blue', status: 'on-track' };
-        if (percentage >= 50) return { color: 'yellow', status: 'behind' };
-        return { color: 'red', status: 'needs-attention' };
+    const typeOf = (value) => GOAL_TYPES.find(type => type.value === value) || GOAL_TYPES[0];
+
+    const formatGoalValue = (goal, value) => {
+        if (value === null || value === undefined) return '-';
+        const { unit } = typeOf(goal.type);
+        return unit === '%' ? `${value}%` : `${value} ${unit}`;
     };
 
+    // The first overall hours-per-week goal still running is drawn over the charts
+    const hoursGoal = goals.find(goal =>
+        goal.type === 'hours_per_week' && !goal.courseId && goal.progress?.status !== 'missed'
+    );
+    const weeklyTargetMinutes = hoursGoal ? hoursGoal.target * 60 : null;
+
     if (loading) {
         return (
             <div className={`bg-white p-6 rounded-lg shadow-md ${className}`}>
@@ -146,96 +197,142 @@ const LearningGoalsAnalytics = ({ className = "" }) => {
                     Learning Goals
                 </h3>
                 
-                <div className="space-y-4">
-                    {/* Daily Goal */}
-                    <div>
-                        <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
-                            <span className="font-medium">Daily Goal</span>
-                            <div className="flex items-center space-x-2">
-                                <span>{formatTime(goals.daily.completed)} / {formatTime(goals.daily.target)}</span>
-                                <span className={`px-2 py-1 text-xs rounded-full ${
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'green' ? 'bg-green-100 text-green-800' :
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'blue' ? 'bg-blue-100 text-blue-800' :
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'yellow' ? 'bg-yellow-100 text-yellow-800' :
-                                    'bg-red-100 text-red-800'
-                                }`}>
-                                    {calculatePercentage(goals.daily.completed, goals.daily.target)}%
-                                </span>
-                            </div>
-                        </div>
-                        <div className="w-full bg-gray-200 rounded-full h-3">
-                            <div 
-                                className={`h-3 rounded-full transition-all duration-500 ${
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'green' ? 'bg-green-500' :
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'blue' ? 'bg-blue-500' :
-                                    getGoalStatus(goals.daily.completed, goals.daily.target).color === 'yellow' ? 'bg-yellow-500' :
-                                    'bg-red-500'
-                                }`}
-                                style={{ width: `${calculatePercentage(goals.daily.completed, goals.daily.target)}%` }}
-                            />
-                        </div>
+                {goals.length === 0 ? (
+                    <p className="text-sm text-gray-500 mb-4">No goals yet. Set one below to track it automatically.</p>
+                ) : (
+                    <div className="space-y-4 mb-4">
+                        {goals.map(goal => {
+                            const style = STATUS_STYLES[goal.progress.status] || STATUS_STYLES['on-track'];
+                            return (
+                                <div key={goal._id}>
+                                    <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
+                                        <div>
+                                            <span className="font-medium">{goal.title || typeOf(goal.type).label}</span>
+                                            <span className="text-xs text-gray-500 ml-2">
+                                                {goal.course ? `${goal.course.title} · ` : ''}by {goal.deadline}
+                                            </span>
+                                        </div>
+                                        <div className="flex items-center space-x-2">
+                                            <span>
+                                                {formatGoalValue(goal, goal.progress.current)} / {formatGoalValue(goal, goal.target)}
+                                            </span>
+                                            <span className={`px-2 py-1 text-xs rounded-full ${style.badge}`}>
+                                                {style.label}
+                                            </span>
+                                            <button
+                                                onClick={() => handleDeleteGoal(goal._id)}
+                                                className="text-xs text-gray-400 hover:text-red-600"
+                                                title="Delete goal"
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="w-full bg-gray-200 rounded-full h-3">
+                                        <div
+                                            className={`h-3 rounded-full transition-all duration-500 ${style.bar}`}
+                                            style={{ width: `${goal.progress.percentage}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            );
+                        })}
                     </div>
+                )}
 
-                    {/* Weekly Goal */}
-                    <div>
-                        <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
-                            <span className="font-medium">Weekly Goal</span>
-                            <div className="flex items-center space-x-2">
-                                <span>{formatTime(goals.weekly.completed)} / {formatTime(goals.weekly.target)}</span>
-                                <span className={`px-2 py-1 text-xs rounded-full ${
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'green' ? 'bg-green-100 text-green-800' :
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'blue' ? 'bg-blue-100 text-blue-800' :
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'yellow' ? 'bg-yellow-100 text-yellow-800' :
-                                    'bg-red-100 text-red-800'
-                                }`}>
-                                    {calculatePercentage(goals.weekly.completed, goals.weekly.target)}%
-                                </span>
-                            </div>
-                        </div>
-                        <div className="w-full bg-gray-200 rounded-full h-3">
-                            <div 
-                                className={`h-3 rounded-full transition-all duration-500 ${
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'green' ? 'bg-green-500' :
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'blue' ? 'bg-blue-500' :
-                                    getGoalStatus(goals.weekly.completed, goals.weekly.target).color === 'yellow' ? 'bg-yellow-500' :
-                                    'bg-red-500'
-                                }`}
-                                style={{ width: `${calculatePercentage(goals.weekly.completed, goals.weekly.target)}%` }}
-                            />
-                        </div>
+                {legacyGoals.length > 0 && (
+                    <div className="mb-4 p-3 bg-gray-50 rounded-md">
+                        <p className="text-xs text-gray-500 mb-1">
+                            Earlier goals (not tracked). Set them up again below to follow their progress:
+                        </p>
+                        <ul className="list-disc list-inside text-sm text-gray-600">
+                            {legacyGoals.map((goal, index) => (
+                                <li key={index}>{goal}</li>
+                            ))}
+                        </ul>
                     </div>
+                )}
 
-                    {/* Monthly Goal */}
-                    <div>
-                        <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
-                            <span className="font-medium">Monthly Goal</span>
-                            <div className="flex items-center space-x-2">
-                                <span>{formatTime(goals.monthly.completed)} / {formatTime(goals.monthly.target)}</span>
-                                <span className={`px-2 py-1 text-xs rounded-full ${
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'green' ? 'bg-green-100 text-green-800' :
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'blue' ? 'bg-blue-100 text-blue-800' :
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'yellow' ? 'bg-yellow-100 text-yellow-800' :
-                                    'bg-red-100 text-red-800'
-                                }`}>
-                                    {calculatePercentage(goals.monthly.completed, goals.monthly.target)}%
-                                </span>
-                            </div>
-                        </div>
-                        <div className="w-full bg-gray-200 rounded-full h-3">
-                            <div 
-                                className={`h-3 rounded-full transition-all duration-500 ${
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'green' ? 'bg-green-500' :
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'blue' ? 'bg-blue-500' :
-                                    getGoalStatus(goals.monthly.completed, goals.monthly.target).color === 'yellow' ? 'bg-yellow-500' :
-                                    'bg-red-500'
-                                }`}
-                                style={{ width: `${calculatePercentage(goals.monthly.completed, goals.monthly.target)}%` }}
-                            />
-                        </div>
-                    </div>
-                </div>
+                {/* New Goal */}
+                <form onSubmit={handleCreateGoal} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+                    <select
+                        value={form.type}
+                        onChange={(e) => setForm({ ...form, type: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        aria-label="Goal type"
+                    >
+                        {GOAL_TYPES.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="number"
+                        min="1"
+                        max={form.type === 'quiz_average' ? 100 : undefined}
+                        step={form.type === 'hours_per_week' ? '0.5' : '1'}
+                        value={form.target}
+                        onChange={(e) => setForm({ ...form, target: e.target.value })}
+                        placeholder={`Target (${typeOf(form.type).unit})`}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        required
+                    />
+                    <input
+                        type="date"
+                        value={form.deadline}
+                        onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        aria-label="Deadline"
+                        required
+                    />
+                    <select
+                        value={form.courseId}
+                        onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        aria-label="Course"
+                    >
+                        <option value="">All courses</option>
+                        {courses.map(progress => (
+                            <option key={progress.courseId._id} value={progress.courseId._id}>
+                                {progress.courseId.title}
+                            </option>
+                        ))}
+                    </select>
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Add Goal'}
+                    </button>
+                </form>
+                {formErrors.length > 0 && (
+                    <ul className="mt-2 text-xs text-red-600">
+                        {formErrors.map(message => <li key={message}>{message}</li>)}
+                    </ul>
+                )}
             </div>
 
+            {/* Goal Trends - the same series with the goal targets overlaid */}
+            {series && (
+                <div className="mb-8 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <TrendChart
+                        title="Daily Minutes (last 14 days)"
+                        data={series.daily.slice(-14).map(day => ({ label: day.date, value: day.minutes }))}
+                        target={weeklyTargetMinutes && weeklyTargetMinutes / 7}
+                        targetLabel="Daily share of weekly goal"
+                        formatValue={formatTime}
+                    />
+                    <TrendChart
+                        title="Weekly Minutes"
+                        data={series.weekly.map(week => ({ label: `Week of ${week.weekStart}`, value: week.minutes }))}
+                        target={weeklyTargetMinutes}
+                        targetLabel="Weekly goal"
+                        barClassName="fill-green-500"
+                        formatValue={formatTime}
+                    />
+                </div>
+            )}
+
             {/* Analytics Section */}
             <div className="mb-6">
                 <h3 className="text-lg font-medium text-gray-700 mb-4 flex items-center">
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import axiosInstance from '../../axiosConfig';
 import { Link } from 'react-router-dom';
+import ReviewModerationPanel from './ReviewModerationPanel';
+import ModuleReviewPanel from './ModuleReviewPanel';
 
 const AdminDashboard = () => {
   const { user } = useAuth();
@@ -254,6 +256,12 @@ const AdminDashboard = () => {
           </div>
         </div>
       </div>
+
+      {/* Course reviews waiting for moderation */}
+      <ReviewModerationPanel />
+
+      {/* Modules submitted for approval */}
+      <ModuleReviewPanel />
     </div>
   );
 };
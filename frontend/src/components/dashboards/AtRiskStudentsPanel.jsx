@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const LEVEL_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800'
+};
+
+// Early-warning list: students flagged by the risk scoring job across the instructor's courses
+const AtRiskStudentsPanel = ({ courses = [] }) => {
+  const [flagged, setFlagged] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchFlagged = useCallback(async (refresh = false) => {
+    if (courses.length === 0) return;
+    setLoading(true);
+    try {
+      const results = await Promise.all(courses.map(course =>
+        axiosInstance.get(`/api/instructor/courses/${course._id}/at-risk`, {
+          params: refresh ? { refresh: true } : {}
+        })
+          .then(response => response.data.data.map(entry => ({ ...entry, course })))
+          .catch(() => [])
+      ));
+      setFlagged(results.flat().sort((a, b) => b.risk.score - a.risk.score));
+    } catch (error) {
+      console.error('Error fetching at-risk students:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [courses]);
+
+  useEffect(() => {
+    fetchFlagged();
+  }, [fetchFlagged]);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          Students at Risk {flagged.length > 0 && <span className="text-sm text-gray-500">({flagged.length})</span>}
+        </h2>
+        <button
+          onClick={() => fetchFlagged(true)}
+          disabled={loading || courses.length === 0}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+        >
+          Rescore now
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Checking students...</p>
+      ) : flagged.length === 0 ? (
+        <p className="text-sm text-gray-500">No students are flagged right now</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {flagged.map(entry => {
+            const key = `${entry.course._id}-${entry.student._id}`;
+            return (
+              <div key={key} className="py-3">
+                <button
+                  onClick={() => setExpanded(expanded === key ? null : key)}
+                  className="w-full flex items-center justify-between text-left"
+                >
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">{entry.student.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {entry.course.title} · {entry.completionPercentage || 0}% complete
+                    </p>
+                  </div>
+                  <span className={`px-2 py-1 text-xs rounded-full ${LEVEL_STYLES[entry.risk.level] || LEVEL_STYLES.medium}`}>
+                    {entry.risk.level} risk · {entry.risk.score}
+                  </span>
+                </button>
+
+                <ul className="mt-2 ml-4 list-disc text-xs text-gray-600">
+                  {entry.risk.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                </ul>
+
+                {expanded === key && (
+                  <div className="mt-2 ml-4 text-xs">
+                    {entry.strugglingModules.length > 0 ? (
+                      <>
+                        <p className="font-medium text-gray-700 mb-1">Struggling modules</p>
+                        <ul className="space-y-1">
+                          {entry.strugglingModules.map(module => (
+                            <li key={module.moduleId?._id || module.moduleId} className="text-gray-600">
+                              <span className="font-medium">{module.moduleId?.title || 'Module'}</span>: {module.reason}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    ) : (
+                      <p className="text-gray-500">No struggling modules detected</p>
+                    )}
+                    <a href={`mailto:${entry.student.email}`} className="inline-block mt-2 text-blue-600 hover:text-blue-800">
+                      Email {entry.student.name}
+                    </a>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AtRiskStudentsPanel;
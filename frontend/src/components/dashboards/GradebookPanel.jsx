@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const ROW_STYLES = {
+  update: 'text-blue-700',
+  unchanged: 'text-gray-500',
+  error: 'text-red-600'
+};
+
+const describeChanges = (row) => {
+  if (row.status === 'error') return row.errors.join('; ');
+  const parts = [];
+  if (row.changes.grade) parts.push(`grade ${row.changes.grade.from ?? '–'} → ${row.changes.grade.to}`);
+  if (row.changes.notes) parts.push('notes updated');
+  return parts.join(', ') || 'no changes';
+};
+
+// Gradebook spreadsheet export, and CSV import with a dry-run preview before saving
+const GradebookPanel = ({ courses = [] }) => {
+  const [courseId, setCourseId] = useState('');
+  const [csv, setCsv] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const selectedCourse = courses.find(course => course._id === courseId);
+
+  const exportCsv = async () => {
+    setMessage('');
+    try {
+      const response = await axiosInstance.get(`/api/instructor/courses/${courseId}/gradebook.csv`, {
+        responseType: 'blob'
+      });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = `${selectedCourse?.title || 'course'}-gradebook.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      setMessage('Could not export the gradebook');
+    }
+  };
+
+  const runImport = async (dryRun) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const response = await axiosInstance.post(`/api/instructor/courses/${courseId}/gradebook/import`, { csv, dryRun });
+      setPreview(dryRun ? response.data.data : null);
+      setMessage(response.data.message);
+      if (!dryRun) setCsv('');
+    } catch (error) {
+      setPreview(error.response?.data?.data || null);
+      setMessage(error.response?.data?.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setMessage('');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setCsv(reader.result);
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Gradebook</h2>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={courseId}
+          onChange={(e) => { setCourseId(e.target.value); setPreview(null); setMessage(''); }}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Select a course</option>
+          {courses.map(course => (
+            <option key={course._id} value={course._id}>{course.title}</option>
+          ))}
+        </select>
+        <button
+          onClick={exportCsv}
+          disabled={!courseId}
+          className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {courseId && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-sm text-gray-700" />
+            <button
+              onClick={() => runImport(true)}
+              disabled={!csv || busy}
+              className="border border-blue-600 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-50 disabled:opacity-50"
+            >
+              Preview Import
+            </button>
+            {preview && preview.summary.errors === 0 && preview.summary.updates > 0 && (
+              <button
+                onClick={() => runImport(false)}
+                disabled={busy}
+                className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+              >
+                Apply {preview.summary.updates} Updates
+              </button>
+            )}
+          </div>
+
+          {message && <p className="text-sm text-gray-700">{message}</p>}
+
+          {preview && (
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-700">
+                  <tr>
+                    <th className="text-left px-3 py-2">Row</th>
+                    <th className="text-left px-3 py-2">Student</th>
+                    <th className="text-left px-3 py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => (
+                    <tr key={row.row} className="border-t border-gray-100">
+                      <td className="px-3 py-1 text-gray-600">{row.row}</td>
+                      <td className="px-3 py-1 text-gray-800">{row.name || row.email || row.studentId}</td>
+                      <td className={`px-3 py-1 ${ROW_STYLES[row.status]}`}>{describeChanges(row)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradebookPanel;
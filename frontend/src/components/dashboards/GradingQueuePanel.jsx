@@ -0,0 +1,289 @@
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const STATUS_STYLES = {
+  submitted: 'bg-yellow-100 text-yellow-800',
+  grading: 'bg-blue-100 text-blue-800'
+};
+
+const formatSubmission = (item) => {
+  const data = item.submissionData;
+  if (!data) return 'No content';
+  if (typeof data === 'string') return data;
+  return data.text || data.code || data.url || data.originalName || JSON.stringify(data);
+};
+
+// Grade form for one queue item: rubric criteria for assignments that have a rubric,
+// otherwise a single score; essays are scored against the question's points
+const GradeForm = ({ item, onDone, onCancel }) => {
+  const rubric = item.kind === 'assignment' ? item.content.rubric || [] : [];
+  const [rubricScores, setRubricScores] = useState(
+    rubric.map(criterion => ({ criterion: criterion.criterion, level: '', points: '', comment: '' }))
+  );
+  const [score, setScore] = useState('');
+  const [feedback, setFeedback] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateCriterion = (index, field, value) => {
+    setRubricScores(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const downloadFile = async () => {
+    try {
+      const response = await axiosInstance.get(
+        `/api/instructor/grading/submissions/${item.submissionId}/file`,
+        { responseType: 'blob' }
+      );
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = item.submissionData.originalName || 'submission';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      setError('Could not download the file');
+    }
+  };
+
+  const submitGrade = async (returnToStudent) => {
+    setSaving(true);
+    setError('');
+    try {
+      if (item.kind === 'essay') {
+        await axiosInstance.post(
+          `/api/instructor/grading/quiz-attempts/${item.attemptId}/answers/${item.questionId}/grade`,
+          { pointsEarned: Number(score), feedback }
+        );
+      } else {
+        await axiosInstance.post(`/api/instructor/grading/submissions/${item.submissionId}/grade`, {
+          rubricScores: rubricScores.map(entry => (entry.level
+            ? { criterion: entry.criterion, level: entry.level, comment: entry.comment }
+            : { criterion: entry.criterion, points: Number(entry.points), comment: entry.comment })),
+          score: rubric.length === 0 ? Number(score) : undefined,
+          feedback,
+          returnToStudent
+        });
+      }
+      onDone();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save grade');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 border-t border-gray-200 pt-3 space-y-3">
+      <div className="bg-gray-50 p-3 rounded text-sm text-gray-800 whitespace-pre-wrap">
+        {item.kind === 'essay' ? item.answer || 'No answer' : formatSubmission(item)}
+        {item.submissionData?.storagePath && (
+          <button onClick={downloadFile} className="ml-2 text-blue-600 hover:text-blue-800 font-medium">
+            Download
+          </button>
+        )}
+        {item.isLate && <span className="ml-2 text-red-600">Late</span>}
+      </div>
+
+      {rubric.length > 0 ? (
+        rubric.map((criterion, index) => (
+          <div key={criterion.criterion} className="grid grid-cols-3 gap-2 items-start">
+            <div className="text-sm">
+              <p className="font-medium text-gray-800">
+                {criterion.criterion}
+                {criterion.weight !== 1 && <span className="ml-1 text-xs text-gray-500">×{criterion.weight}</span>}
+              </p>
+              <p className="text-xs text-gray-500">{criterion.description}</p>
+            </div>
+            {criterion.levels?.length > 0 ? (
+              <select
+                value={rubricScores[index].level}
+                onChange={(e) => updateCriterion(index, 'level', e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                <option value="">Select level</option>
+                {criterion.levels.map(level => (
+                  <option key={level.level} value={level.level}>
+                    {level.level} ({level.points} pts)
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="number"
+                min="0"
+                max={criterion.maxPoints}
+                value={rubricScores[index].points}
+                onChange={(e) => updateCriterion(index, 'points', e.target.value)}
+                placeholder={`/ ${criterion.maxPoints}`}
+                className="border border-gray-300 rounded px-2 py-1 text-sm"
+              />
+            )}
+            <input
+              type="text"
+              value={rubricScores[index].comment}
+              onChange={(e) => updateCriterion(index, 'comment', e.target.value)}
+              placeholder="Comment"
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+          </div>
+        ))
+      ) : (
+        <input
+          type="number"
+          min="0"
+          max={item.kind === 'essay' ? item.maxPoints : 100}
+          value={score}
+          onChange={(e) => setScore(e.target.value)}
+          placeholder={item.kind === 'essay' ? `Points (out of ${item.maxPoints})` : 'Score (out of 100)'}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+      )}
+
+      <textarea
+        value={feedback}
+        onChange={(e) => setFeedback(e.target.value)}
+        placeholder="Feedback for the student"
+        rows={2}
+        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => submitGrade(false)}
+          disabled={saving}
+          className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save Grade
+        </button>
+        {item.kind === 'assignment' && (
+          <button
+            onClick={() => submitGrade(true)}
+            disabled={saving}
+            className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+          >
+            Grade &amp; Return
+          </button>
+        )}
+        <button onClick={onCancel} className="text-gray-600 px-3 py-1 text-sm hover:text-gray-800">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const GradingQueuePanel = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeKey, setActiveKey] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/instructor/grading/queue');
+      setItems(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching grading queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const itemKey = (item) => (item.kind === 'essay' ? `${item.attemptId}-${item.questionId}` : item.submissionId);
+
+  const openItem = async (item) => {
+    setMessage('');
+    if (item.kind === 'assignment' && item.status === 'submitted') {
+      try {
+        await axiosInstance.post(`/api/instructor/grading/submissions/${item.submissionId}/claim`);
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Could not claim submission');
+        fetchQueue();
+        return;
+      }
+    }
+    setActiveKey(itemKey(item));
+  };
+
+  const closeItem = async (item) => {
+    if (item.kind === 'assignment') {
+      try {
+        await axiosInstance.delete(`/api/instructor/grading/submissions/${item.submissionId}/claim`);
+      } catch (error) {
+        console.error('Error releasing submission:', error);
+      }
+    }
+    setActiveKey(null);
+    fetchQueue();
+  };
+
+  const finishItem = () => {
+    setActiveKey(null);
+    setMessage('Grade saved');
+    fetchQueue();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Grading Queue</h2>
+        <span className="text-sm text-gray-600">{items.length} waiting</span>
+      </div>
+
+      {message && <p className="text-sm text-gray-700 mb-3">{message}</p>}
+
+      {loading ? (
+        <p className="text-gray-600">Loading…</p>
+      ) : items.length === 0 ? (
+        <p className="text-gray-600">Nothing to grade right now.</p>
+      ) : (
+        <div className="space-y-3">
+          {items.map((item) => (
+            <div key={itemKey(item)} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {item.kind === 'essay' ? item.quiz.title : item.content.title}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {item.student?.name} •{' '}
+                    {item.kind === 'essay' ? 'Essay answer' : `${item.module.title} • attempt ${item.attempt || 1}`}
+                    {' '}• {item.submittedAt ? new Date(item.submittedAt).toLocaleString() : 'Not submitted'}
+                  </p>
+                  {item.kind === 'essay' && <p className="text-sm text-gray-700 mt-1">{item.question}</p>}
+                </div>
+                <div className="flex items-center space-x-2">
+                  {item.kind === 'assignment' && (
+                    <span className={`text-xs px-2 py-1 rounded-full ${STATUS_STYLES[item.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {item.status}
+                    </span>
+                  )}
+                  {activeKey !== itemKey(item) && (
+                    <button
+                      onClick={() => openItem(item)}
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                    >
+                      Grade →
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {activeKey === itemKey(item) && (
+                <GradeForm item={item} onDone={finishItem} onCancel={() => closeItem(item)} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingQueuePanel;
@@ -2,6 +2,11 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import axiosInstance from '../../axiosConfig';
 import { Link } from 'react-router-dom';
+import GradingQueuePanel from './GradingQueuePanel';
+import GradebookPanel from './GradebookPanel';
+import ModuleReviewPanel from './ModuleReviewPanel';
+import ModuleAnalyticsPanel from './ModuleAnalyticsPanel';
+import AtRiskStudentsPanel from './AtRiskStudentsPanel';
 
 const InstructorDashboard = () => {
   const { user } = useAuth();
@@ -250,6 +255,21 @@ const InstructorDashboard = () => {
           </div>
         </div>
       </div>
+
+      {/* Students the risk scoring job flagged, so instructors can step in early */}
+      <AtRiskStudentsPanel courses={myCourses} />
+
+      {/* Submissions and essay answers waiting for manual grading */}
+      <GradingQueuePanel />
+
+      {/* Gradebook spreadsheet export and bulk grade import */}
+      <GradebookPanel courses={myCourses} />
+
+      {/* Per-module completion and where students abandon each module */}
+      <ModuleAnalyticsPanel courses={myCourses} />
+
+      {/* Modules in review, approved or sent back with comments */}
+      <ModuleReviewPanel />
     </div>
   );
 };
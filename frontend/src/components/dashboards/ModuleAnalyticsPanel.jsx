@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+// Drop-off rates at or above this are highlighted as abandonment points
+const HIGH_DROPOFF = 20;
+
+// Per-module completion stats and the content funnel showing where students abandon a module
+const ModuleAnalyticsPanel = ({ courses = [] }) => {
+  const [courseId, setCourseId] = useState('');
+  const [modules, setModules] = useState([]);
+  const [moduleId, setModuleId] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const selectCourse = async (id) => {
+    setCourseId(id);
+    setModuleId('');
+    setModules([]);
+    setAnalytics(null);
+    setMessage('');
+    if (!id) return;
+
+    try {
+      const response = await axiosInstance.get(`/api/modules/course/${id}`);
+      setModules(response.data.modules || []);
+    } catch (error) {
+      setMessage('Could not load modules for this course');
+    }
+  };
+
+  const loadAnalytics = async (id, refresh = false) => {
+    setModuleId(id);
+    setMessage('');
+    if (!id) {
+      setAnalytics(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/api/modules/${id}/analytics`, {
+        params: refresh ? { refresh: true } : {}
+      });
+      setAnalytics(response.data.analytics);
+    } catch (error) {
+      setAnalytics(null);
+      setMessage(error.response?.data?.message || 'Could not load module analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const funnel = analytics?.dropoffPoints || [];
+  const enrolled = analytics?.totalEnrollments || 0;
+  const neverStarted = funnel.length > 0 ? enrolled - funnel[0].reached : 0;
+  const worst = funnel.reduce((max, point) => (point.stopped > (max?.stopped || 0) ? point : max), null);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Module Drop-off</h2>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={courseId}
+          onChange={(e) => selectCourse(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Select a course</option>
+          {courses.map(course => (
+            <option key={course._id} value={course._id}>{course.title}</option>
+          ))}
+        </select>
+        <select
+          value={moduleId}
+          onChange={(e) => loadAnalytics(e.target.value)}
+          disabled={modules.length === 0}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Select a module</option>
+          {modules.map(module => (
+            <option key={module._id} value={module._id}>{module.title}</option>
+          ))}
+        </select>
+        {analytics && (
+          <button
+            onClick={() => loadAnalytics(moduleId, true)}
+            disabled={loading}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+          >
+            Recompute now
+          </button>
+        )}
+      </div>
+
+      {message && <p className="text-sm text-red-600 mb-3">{message}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading analytics...</p>}
+
+      {analytics && !loading && (
+        <div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-xs text-gray-500">Learners</p>
+              <p className="text-lg font-semibold text-gray-800">{enrolled}</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-xs text-gray-500">Completion rate</p>
+              <p className="text-lg font-semibold text-gray-800">{analytics.completionRate}%</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-xs text-gray-500">Avg. time</p>
+              <p className="text-lg font-semibold text-gray-800">{analytics.averageTimeSpent} min</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-xs text-gray-500">Avg. score</p>
+              <p className="text-lg font-semibold text-gray-800">{analytics.averageScore}%</p>
+            </div>
+          </div>
+
+          {funnel.length === 0 ? (
+            <p className="text-sm text-gray-500">This module has no content yet</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-3">
+                {worst
+                  ? <>Most students abandon at <span className="font-medium">{worst.title}</span> ({worst.stopped} stopped there).</>
+                  : 'No students have abandoned this module.'}
+                {neverStarted > 0 && ` ${neverStarted} opened the module without starting any content.`}
+              </p>
+              <div className="space-y-3">
+                {funnel.map(point => {
+                  const reachedWidth = enrolled > 0 ? (point.reached / enrolled) * 100 : 0;
+                  const completedWidth = enrolled > 0 ? (point.completed / enrolled) * 100 : 0;
+                  return (
+                    <div key={point.contentId}>
+                      <div className="flex justify-between text-sm mb-1">
+                        <span className="text-gray-700">
+                          {point.order}. {point.title} <span className="text-xs text-gray-500">({point.type})</span>
+                        </span>
+                        <span className={point.dropoffRate >= HIGH_DROPOFF ? 'text-red-600 font-medium' : 'text-gray-500'}>
+                          {point.stopped} stopped · {point.dropoffRate}% drop-off
+                        </span>
+                      </div>
+                      <div className="relative w-full bg-gray-100 rounded h-3" title={`${point.reached} reached, ${point.started} started, ${point.completed} completed`}>
+                        <div className="absolute h-3 rounded bg-blue-200" style={{ width: `${reachedWidth}%` }} />
+                        <div className="absolute h-3 rounded bg-blue-500" style={{ width: `${completedWidth}%` }} />
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {point.reached} reached · {point.started} started · {point.completed} completed
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+              {analytics.lastComputedAt && (
+                <p className="text-xs text-gray-400 mt-3">
+                  Computed {new Date(analytics.lastComputedAt).toLocaleString()}; students inactive for a week count as stopped
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModuleAnalyticsPanel;
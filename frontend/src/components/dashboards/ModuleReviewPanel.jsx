@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const ACTION_LABELS = {
+  submit: 'Submit for review',
+  approve: 'Approve',
+  reject: 'Request changes',
+  publish: 'Publish'
+};
+
+const SECTIONS = [
+  { key: 'awaitingReview', title: 'Awaiting review' },
+  { key: 'readyToPublish', title: 'Approved - ready to publish' },
+  { key: 'changesRequested', title: 'Changes requested' }
+];
+
+// Module publishing inbox: admins review submitted modules, instructors follow their own
+const ModuleReviewPanel = () => {
+  const [inbox, setInbox] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchInbox = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/modules/review/inbox');
+      setInbox(response.data);
+    } catch (error) {
+      console.error('Error fetching module review inbox:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInbox();
+  }, [fetchInbox]);
+
+  const transition = async (module, action) => {
+    let comment;
+    if (action === 'reject') {
+      comment = window.prompt(`What needs to change in "${module.title}"?`);
+      if (!comment) return;
+    }
+
+    try {
+      const response = await axiosInstance.post(`/api/modules/${module._id}/${action}`, { comment });
+      setMessage(response.data.message);
+      fetchInbox();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Could not update module');
+    }
+  };
+
+  const sections = SECTIONS.filter(section => inbox[section.key]);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">
+        Module Review {inbox.count > 0 && <span className="text-sm text-gray-500">({inbox.count})</span>}
+      </h2>
+
+      {message && <p className="text-sm text-gray-700 mb-3">{message}</p>}
+
+      {loading ? (
+        <p className="text-gray-600">Loading…</p>
+      ) : !inbox.count ? (
+        <p className="text-gray-600">Nothing waiting on review.</p>
+      ) : (
+        sections.map(section => inbox[section.key].length > 0 && (
+          <div key={section.key} className="mb-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">{section.title}</h3>
+            <div className="space-y-3">
+              {inbox[section.key].map(module => (
+                <div key={module._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between">
+                    <div>
+                      <p className="font-medium text-gray-800">
+                        Module {module.moduleNumber}: {module.title}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {module.courseId?.title}
+                        {module.submittedBy?.name && ` • submitted by ${module.submittedBy.name}`}
+                        {module.submittedAt && ` on ${new Date(module.submittedAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    <div className="space-x-3 text-sm">
+                      {(module.availableActions || []).filter(action => ACTION_LABELS[action]).map(action => (
+                        <button
+                          key={action}
+                          onClick={() => transition(module, action)}
+                          className={action === 'reject' ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}
+                        >
+                          {ACTION_LABELS[action]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {module.changesRequested?.comment && (
+                    <p className="text-sm text-gray-700 mt-2">
+                      Reviewer: “{module.changesRequested.comment}”
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ModuleReviewPanel;
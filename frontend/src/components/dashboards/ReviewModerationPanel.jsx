@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const FILTERS = [
+  { value: 'flagged', label: 'Flagged' },
+  { value: 'reported', label: 'Reported' },
+  { value: 'hidden', label: 'Hidden' }
+];
+
+// Admin queue for reviews that were flagged by reports or hidden
+const ReviewModerationPanel = () => {
+  const [status, setStatus] = useState('flagged');
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/reviews/moderation', { params: { status } });
+      setReviews(response.data.reviews || []);
+    } catch (error) {
+      console.error('Error fetching review moderation queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const moderate = async (review, nextStatus) => {
+    try {
+      const response = await axiosInstance.put(`/api/reviews/${review._id}/moderation`, {
+        status: nextStatus,
+        clearReports: nextStatus === 'published'
+      });
+      setMessage(response.data.message);
+      fetchQueue();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Could not update review');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Review Moderation</h2>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {message && <p className="text-sm text-gray-700 mb-3">{message}</p>}
+
+      {loading ? (
+        <p className="text-gray-600">Loading…</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-600">No reviews need attention.</p>
+      ) : (
+        <div className="space-y-3">
+          {reviews.map(review => (
+            <div key={review._id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {'★'.repeat(review.rating)} {review.title}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {review.userId?.name} • {review.courseId?.title} • {review.status}
+                  </p>
+                </div>
+                <div className="space-x-3 text-sm">
+                  {review.status !== 'published' && (
+                    <button onClick={() => moderate(review, 'published')} className="text-green-600 hover:text-green-800">
+                      Publish
+                    </button>
+                  )}
+                  {review.status !== 'hidden' && (
+                    <button onClick={() => moderate(review, 'hidden')} className="text-red-600 hover:text-red-800">
+                      Hide
+                    </button>
+                  )}
+                </div>
+              </div>
+              {review.text && <p className="text-sm text-gray-700 mt-2">{review.text}</p>}
+              {review.reports?.length > 0 && (
+                <ul className="mt-2 text-xs text-gray-600 list-disc list-inside">
+                  {review.reports.map((report, index) => (
+                    <li key={index}>Reported: {report.reason || 'no reason given'}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModerationPanel;
@@ -18,7 +18,10 @@ const StudentDashboard = () => {
     try {
       const [analyticsRes, streaksRes, enrolledRes] = await Promise.all([
         axiosInstance.get('/api/students/dashboard'),
-        axiosInstance.get('/api/progress/streaks'),
+        // Streak days are counted in the learner's own timezone
+        axiosInstance.get('/api/progress/streaks', {
+          params: { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+        }),
         axiosInstance.get('/api/students/courses')
       ]);
       setAnalytics(analyticsRes.data);
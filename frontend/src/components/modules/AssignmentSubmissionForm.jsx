@@ -0,0 +1,219 @@
+/**
+ * AssignmentSubmissionForm.jsx - Submit work for assignment content
+ * Renders an input that matches the content's submission format (text, file, url or code)
+ * and lists earlier attempts with their grading status
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../axiosConfig';
+import RubricBreakdown from './RubricBreakdown';
+
+const STATUS_LABELS = {
+    submitted: 'Awaiting grading',
+    grading: 'Being graded',
+    graded: 'Graded',
+    returned: 'Returned'
+};
+
+const AssignmentSubmissionForm = ({ moduleId, contentId, rubric = [], onSubmitted }) => {
+    const [info, setInfo] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [text, setText] = useState('');
+    const [url, setUrl] = useState('');
+    const [code, setCode] = useState('');
+    const [language, setLanguage] = useState('');
+    const [file, setFile] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const submissionsUrl = `/api/module-progress/${moduleId}/content/${contentId}/submissions`;
+
+    const fetchSubmissions = useCallback(async () => {
+        try {
+            const response = await axios.get(submissionsUrl);
+            setInfo(response.data);
+        } catch (error) {
+            console.error('Error fetching submissions:', error.response?.data || error.message);
+        }
+    }, [submissionsUrl]);
+
+    useEffect(() => {
+        fetchSubmissions();
+    }, [fetchSubmissions]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setMessage(null);
+
+        try {
+            let response;
+            if (info.submissionFormat === 'file') {
+                const formData = new FormData();
+                formData.append('file', file);
+                response = await axios.post(submissionsUrl, formData, {
+                    headers: { 'Content-Type': 'multipart/form-data' }
+                });
+            } else {
+                const payload = info.submissionFormat === 'url' ? { url }
+                    : info.submissionFormat === 'code' ? { code, language }
+                    : { text };
+                response = await axios.post(submissionsUrl, payload);
+            }
+
+            setMessage({ type: response.data.submission.isLate ? 'warning' : 'success', text: response.data.message });
+            setText('');
+            setUrl('');
+            setCode('');
+            setFile(null);
+            await fetchSubmissions();
+            if (onSubmitted) onSubmitted();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.message || 'Submission failed' });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (!info) {
+        return <p className="text-sm text-gray-500 mt-4">Loading submission details...</p>;
+    }
+
+    const isPastDue = info.dueDate && new Date(info.dueDate) < new Date();
+    const canSubmit = info.attemptsRemaining > 0;
+    const hasInput = info.submissionFormat === 'file' ? !!file
+        : info.submissionFormat === 'url' ? url.trim() !== ''
+        : info.submissionFormat === 'code' ? code.trim() !== ''
+        : text.trim() !== '';
+
+    return (
+        <div className="mt-6 bg-white border border-orange-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="font-medium text-gray-800">Your Submission</h4>
+                <span className="text-sm text-gray-600">
+                    {info.attemptsRemaining} of {info.maxAttempts} attempts remaining
+                </span>
+            </div>
+
+            {isPastDue && canSubmit && (
+                <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-2 mb-3">
+                    The due date has passed. You can still submit, but it will be marked late.
+                </p>
+            )}
+
+            {canSubmit ? (
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    {info.submissionFormat === 'file' && (
+                        <input
+                            type="file"
+                            onChange={(e) => setFile(e.target.files[0] || null)}
+                            className="block w-full text-sm text-gray-700"
+                        />
+                    )}
+
+                    {info.submissionFormat === 'url' && (
+                        <input
+                            type="url"
+                            value={url}
+                            onChange={(e) => setUrl(e.target.value)}
+                            placeholder="https://..."
+                            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                        />
+                    )}
+
+                    {info.submissionFormat === 'code' && (
+                        <>
+                            <input
+                                type="text"
+                                value={language}
+                                onChange={(e) => setLanguage(e.target.value)}
+                                placeholder="Language (e.g. JavaScript)"
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                            />
+                            <textarea
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                rows={10}
+                                placeholder="Paste your code here"
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm font-mono"
+                            />
+                        </>
+                    )}
+
+                    {info.submissionFormat === 'text' && (
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            rows={6}
+                            placeholder="Write your answer here"
+                            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                        />
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={submitting || !hasInput}
+                        className="bg-orange-600 text-white px-4 py-2 rounded-md hover:bg-orange-700 transition duration-200 disabled:opacity-50"
+                    >
+                        {submitting ? 'Submitting...' : info.submissions.length > 0 ? 'Resubmit' : 'Submit'}
+                    </button>
+                </form>
+            ) : (
+                <p className="text-sm text-gray-600">You have used all submission attempts for this assignment.</p>
+            )}
+
+            {message && (
+                <p className={`text-sm mt-3 ${
+                    message.type === 'error' ? 'text-red-600' :
+                    message.type === 'warning' ? 'text-yellow-700' :
+                    'text-green-600'
+                }`}>
+                    {message.text}
+                </p>
+            )}
+
+            {rubric.length > 0 && info.submissions.length === 0 && (
+                <div className="mt-4">
+                    <p className="text-sm font-medium text-gray-700">How this assignment is assessed</p>
+                    <RubricBreakdown rubric={rubric} />
+                </div>
+            )}
+
+            {info.submissions.length > 0 && (
+                <div className="mt-4 border-t pt-3 space-y-2">
+                    {info.submissions.map((submission) => (
+                        <div key={submission.submissionId} className="text-sm">
+                            <div className="flex items-center justify-between">
+                                <span className="text-gray-700">
+                                    Attempt {submission.attempt} • {new Date(submission.submittedAt).toLocaleString()}
+                                    {submission.isLate && <span className="ml-2 text-red-600">Late</span>}
+                                </span>
+                                <span className="text-gray-600">
+                                    {STATUS_LABELS[submission.status] || submission.status}
+                                    {submission.status === 'returned' && (
+                                        <button
+                                            onClick={() => setExpandedId(expandedId === submission.submissionId ? null : submission.submissionId)}
+                                            className="ml-2 text-blue-600 hover:text-blue-800 font-medium"
+                                        >
+                                            {submission.percentage}% {expandedId === submission.submissionId ? '▲' : '▼'}
+                                        </button>
+                                    )}
+                                </span>
+                            </div>
+                            {expandedId === submission.submissionId && (
+                                <RubricBreakdown
+                                    rubric={rubric}
+                                    scores={submission.rubricScores?.length > 0 ? submission.rubricScores : undefined}
+                                    percentage={submission.percentage}
+                                    feedback={submission.feedback}
+                                />
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AssignmentSubmissionForm;
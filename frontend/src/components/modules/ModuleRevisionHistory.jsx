@@ -0,0 +1,136 @@
+/**
+ * ModuleRevisionHistory.jsx - Version history of a module for its instructor
+ * Lists revisions, shows what changed between a revision and the current version,
+ * and rolls back to an earlier version (saved as a new version)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../../axiosConfig';
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+const ModuleRevisionHistory = ({ moduleId, onRolledBack }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [currentVersion, setCurrentVersion] = useState('');
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchRevisions = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await axiosInstance.get(`/api/modules/${moduleId}/revisions`);
+            setRevisions(response.data.revisions || []);
+            setCurrentVersion(response.data.currentVersion);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load version history');
+        } finally {
+            setLoading(false);
+        }
+    }, [moduleId]);
+
+    useEffect(() => {
+        fetchRevisions();
+    }, [fetchRevisions]);
+
+    const compare = async (version) => {
+        try {
+            const response = await axiosInstance.get(`/api/modules/${moduleId}/revisions/diff`, {
+                params: { from: version }
+            });
+            setDiff(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not compare versions');
+        }
+    };
+
+    const rollback = async (version) => {
+        if (!window.confirm(`Restore the content of version ${version}? It will be saved as a new version.`)) {
+            return;
+        }
+        try {
+            const response = await axiosInstance.post(`/api/modules/${moduleId}/revisions/${version}/rollback`);
+            setDiff(null);
+            fetchRevisions();
+            if (onRolledBack) onRolledBack(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not roll back');
+        }
+    };
+
+    if (loading) {
+        return <p className="text-sm text-gray-600 mt-3">Loading version history…</p>;
+    }
+
+    return (
+        <div className="mt-4 border-t border-gray-200 pt-3">
+            <h4 className="text-sm font-semibold text-gray-800 mb-2">
+                Version history (current: v{currentVersion})
+            </h4>
+            {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+            {revisions.length === 0 ? (
+                <p className="text-sm text-gray-600">No revisions recorded yet.</p>
+            ) : (
+                <ul className="space-y-2 text-sm">
+                    {revisions.map((revision) => (
+                        <li key={revision._id} className="flex items-start justify-between">
+                            <div>
+                                <span className="font-medium text-gray-800">v{revision.version}</span>
+                                <span className="text-xs text-gray-500 ml-2">
+                                    {revision.changeType} • {new Date(revision.createdAt).toLocaleString()}
+                                    {revision.createdBy?.name && ` • ${revision.createdBy.name}`}
+                                </span>
+                                {revision.changedFields?.length > 0 && (
+                                    <p className="text-xs text-gray-600">Changed: {revision.changedFields.join(', ')}</p>
+                                )}
+                                {revision.changeNote && <p className="text-xs text-gray-600 italic">{revision.changeNote}</p>}
+                            </div>
+                            {revision.version !== currentVersion && (
+                                <div className="space-x-3 whitespace-nowrap">
+                                    <button onClick={() => compare(revision.version)} className="text-blue-600 hover:text-blue-800">
+                                        Compare
+                                    </button>
+                                    <button onClick={() => rollback(revision.version)} className="text-red-600 hover:text-red-800">
+                                        Roll back
+                                    </button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {diff && (
+                <div className="mt-3 bg-gray-50 rounded p-3 text-xs text-gray-700">
+                    <p className="font-medium mb-1">
+                        v{diff.from} → v{diff.to} {diff.changeType && `(${diff.changeType} change)`}
+                    </p>
+                    {!diff.hasChanges && <p>No differences.</p>}
+                    {diff.fields.map((change) => (
+                        <p key={change.path}>
+                            <span className="font-medium">{change.path}:</span> {formatValue(change.from)} → {formatValue(change.to)}
+                        </p>
+                    ))}
+                    {diff.contents.added.map((content) => (
+                        <p key={`added-${content.contentId}`} className="text-green-700">+ {content.title} ({content.type})</p>
+                    ))}
+                    {diff.contents.removed.map((content) => (
+                        <p key={`removed-${content.contentId}`} className="text-red-700">− {content.title} ({content.type})</p>
+                    ))}
+                    {diff.contents.changed.map((content) => (
+                        <p key={`changed-${content.contentId}`}>
+                            ~ {content.title}: {content.fields.map((change) => change.path).join(', ')}
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ModuleRevisionHistory;
@@ -0,0 +1,77 @@
+/**
+ * RubricBreakdown.jsx - Rubric criteria with performance levels
+ * Without scores it previews how work will be assessed; with the scores of a
+ * returned submission it shows the level and points awarded per criterion
+ */
+
+import React from 'react';
+
+const RubricBreakdown = ({ rubric = [], scores, percentage, feedback }) => {
+    const rows = scores || rubric;
+    if (rows.length === 0) return null;
+
+    const levelsFor = (criterionName) =>
+        (rubric.find(criterion => criterion.criterion === criterionName) || {}).levels || [];
+
+    return (
+        <div className="mt-3 border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-700">
+                    <tr>
+                        <th className="text-left px-3 py-2">Criterion</th>
+                        <th className="text-left px-3 py-2">{scores ? 'Result' : 'Levels'}</th>
+                        <th className="text-right px-3 py-2">Points</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => (
+                        <tr key={row.criterion} className="border-t border-gray-100 align-top">
+                            <td className="px-3 py-2">
+                                <p className="font-medium text-gray-800">{row.criterion}</p>
+                                {row.weight !== undefined && row.weight !== 1 && (
+                                    <p className="text-xs text-gray-500">Weight ×{row.weight}</p>
+                                )}
+                                {row.description && <p className="text-xs text-gray-500">{row.description}</p>}
+                            </td>
+                            <td className="px-3 py-2 text-gray-700">
+                                {scores ? (
+                                    <>
+                                        {row.level && <p className="font-medium">{row.level}</p>}
+                                        {row.comment && <p className="text-xs text-gray-600 italic">{row.comment}</p>}
+                                    </>
+                                ) : (
+                                    <ul className="text-xs space-y-1">
+                                        {levelsFor(row.criterion).map(level => (
+                                            <li key={level.level}>
+                                                <strong>{level.level}</strong> ({level.points})
+                                                {level.description && ` – ${level.description}`}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </td>
+                            <td className="px-3 py-2 text-right text-gray-800">
+                                {scores ? `${row.points} / ${row.maxPoints}` : row.maxPoints || Math.max(0, ...levelsFor(row.criterion).map(l => l.points))}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+                {scores && percentage !== undefined && (
+                    <tfoot className="bg-gray-50">
+                        <tr className="border-t border-gray-200">
+                            <td className="px-3 py-2 font-medium text-gray-800" colSpan={2}>Overall</td>
+                            <td className="px-3 py-2 text-right font-medium text-gray-800">{percentage}%</td>
+                        </tr>
+                    </tfoot>
+                )}
+            </table>
+            {feedback && (
+                <p className="px-3 py-2 text-sm text-gray-700 border-t border-gray-200 bg-white">
+                    <strong>Feedback:</strong> {feedback}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default RubricBreakdown;
@@ -0,0 +1,105 @@
+/**
+ * ActivityHeatmap.jsx - Calendar heatmap of daily learning minutes
+ * One column per week (Monday first), like a GitHub contribution graph
+ */
+
+const LEVELS = [
+  { min: 60, className: 'bg-green-700' },
+  { min: 30, className: 'bg-green-500' },
+  { min: 15, className: 'bg-green-400' },
+  { min: 0.01, className: 'bg-green-200' }
+];
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Days are local calendar dates from the backend (YYYY-MM-DD)
+const weekdayOf = (date) => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+const itemCount = (items = {}) =>
+  (items.contentCompleted || 0) + (items.quizzesSubmitted || 0) + (items.modulesCompleted || 0);
+
+const cellClass = (day) => {
+  if (!day) return 'bg-transparent';
+  const level = LEVELS.find(entry => day.minutes >= entry.min);
+  if (level) return level.className;
+  return itemCount(day.items) > 0 ? 'bg-green-200' : 'bg-gray-100';
+};
+
+const describeDay = (day) => {
+  const items = itemCount(day.items);
+  return `${day.date}: ${Math.round(day.minutes)} min, ${items} item${items === 1 ? '' : 's'} completed`;
+};
+
+const ActivityHeatmap = ({ days = [] }) => {
+  if (days.length === 0) {
+    return <p className="text-gray-600">No learning activity yet</p>;
+  }
+
+  // Pad the first week so every column starts on a Monday
+  const cells = [...Array(weekdayOf(days[0].date)).fill(null), ...days];
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+
+  const activeDays = days.filter(day => day.minutes > 0 || itemCount(day.items) > 0).length;
+  const totalMinutes = days.reduce((sum, day) => sum + day.minutes, 0);
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <div className="inline-flex flex-col">
+          {/* Month labels over the week where each month starts */}
+          <div className="flex ml-8 mb-1 text-xs text-gray-500">
+            {weeks.map((week, index) => {
+              const firstOfMonth = week.find(day => day && day.date.endsWith('-01'));
+              const label = index === 0 ? week.find(Boolean).date : firstOfMonth && firstOfMonth.date;
+              return (
+                <div key={index} className="w-3.5 mr-0.5 overflow-visible whitespace-nowrap">
+                  {label ? MONTHS[Number(label.slice(5, 7)) - 1] : ''}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex">
+            <div className="flex flex-col mr-1 text-xs text-gray-500 w-7">
+              {WEEKDAY_LABELS.map((label, index) => (
+                <div key={index} className="h-3.5 mb-0.5 leading-3">{label}</div>
+              ))}
+            </div>
+            {weeks.map((week, weekIndex) => (
+              <div key={weekIndex} className="flex flex-col mr-0.5">
+                {[...Array(7)].map((_, dayIndex) => {
+                  const day = week[dayIndex];
+                  return (
+                    <div
+                      key={dayIndex}
+                      className={`w-3.5 h-3.5 mb-0.5 rounded-sm ${cellClass(day)}`}
+                      title={day ? describeDay(day) : undefined}
+                    />
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between mt-3 text-xs text-gray-500 gap-2">
+        <span>
+          {activeDays} active day{activeDays === 1 ? '' : 's'}, {Math.round(totalMinutes / 60)}h total
+        </span>
+        <div className="flex items-center space-x-1">
+          <span>Less</span>
+          {['bg-gray-100', 'bg-green-200', 'bg-green-400', 'bg-green-500', 'bg-green-700'].map(className => (
+            <div key={className} className={`w-3 h-3 rounded-sm ${className}`} />
+          ))}
+          <span>More</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,87 @@
+/**
+ * TrendChart.jsx - Bar chart for a daily or weekly series
+ * Points without a value (e.g. weeks without quizzes) leave a gap; an optional
+ * target is drawn as a dashed line across the chart
+ */
+
+const CHART_HEIGHT = 100;
+
+const TrendChart = ({
+  title,
+  data = [],
+  target,
+  targetLabel = 'Goal',
+  barClassName = 'fill-blue-500',
+  formatValue = (value) => value,
+  maxValue,
+  emptyText = 'No data for this period'
+}) => {
+  const values = data.map(point => point.value).filter(value => value !== null && value !== undefined);
+  const hasData = values.some(value => value > 0);
+  const scaleMax = maxValue || Math.max(...values, target || 0, 1);
+  const barWidth = 10;
+  const width = Math.max(data.length, 1) * barWidth;
+  const toY = (value) => CHART_HEIGHT - (Math.min(value, scaleMax) / scaleMax) * CHART_HEIGHT;
+
+  return (
+    <div className="bg-white p-4 rounded-lg">
+      <div className="flex justify-between items-center mb-3">
+        <h5 className="text-sm font-semibold text-gray-700">{title}</h5>
+        {target !== undefined && target !== null && (
+          <span className="flex items-center text-xs text-gray-500">
+            <span className="inline-block w-4 border-t-2 border-dashed border-red-400 mr-1" />
+            {targetLabel}: {formatValue(target)}
+          </span>
+        )}
+      </div>
+
+      {hasData ? (
+        <>
+          <svg
+            viewBox={`0 0 ${width} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full h-32"
+            role="img"
+            aria-label={title}
+          >
+            {data.map((point, index) => (
+              point.value === null || point.value === undefined ? null : (
+                <rect
+                  key={point.label}
+                  x={index * barWidth + 1}
+                  y={toY(point.value)}
+                  width={barWidth - 2}
+                  height={CHART_HEIGHT - toY(point.value)}
+                  className={barClassName}
+                >
+                  <title>{`${point.label}: ${formatValue(point.value)}`}</title>
+                </rect>
+              )
+            ))}
+            {target !== undefined && target !== null && (
+              <line
+                x1={0}
+                x2={width}
+                y1={toY(target)}
+                y2={toY(target)}
+                className="stroke-red-400"
+                strokeWidth={1}
+                strokeDasharray="4 3"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+          <div className="flex justify-between mt-1 text-xs text-gray-500">
+            <span>{data[0].label}</span>
+            <span>max {formatValue(Math.max(...values))}</span>
+            <span>{data[data.length - 1].label}</span>
+          </div>
+        </>
+      ) : (
+        <div className="h-32 flex items-center justify-center text-sm text-gray-500">{emptyText}</div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
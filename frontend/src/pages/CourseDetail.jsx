@@ -1,10 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import axiosInstance from '../axiosConfig';
 import QuizCard from '../components/QuizCard';
 import ModuleStatusSummary from '../components/modules/ModuleStatusSummary';
 import ModuleCompletionStatus from '../components/modules/ModuleCompletionStatus';
+import CourseReviews from '../components/CourseReviews';
 const CourseDetail = () => {
   const { courseId } = useParams();
   const navigate = useNavigate();
@@ -18,6 +19,21 @@ const CourseDetail = () => {
   const [isEnrolled, setIsEnrolled] = useState(false);
   const [quizzesLoading, setQuizzesLoading] = useState(false);
   const [quizzes, setQuizzes] = useState([]);
+  const [enrollmentStatus, setEnrollmentStatus] = useState(null);
+
+  // Seats, enrollment window and any pending request or waitlist place
+  const fetchEnrollmentStatus = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get(`/api/courses/${courseId}/enrollment-status`);
+      setEnrollmentStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching enrollment status:', error);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchEnrollmentStatus();
+  }, [fetchEnrollmentStatus]);
 
   useEffect(() => {
     const fetchCourseData = async () => {
@@ -113,16 +129,20 @@ const CourseDetail = () => {
     try {
       console.log('🔄 Attempting to enroll in course:', courseId);
       const response = await axiosInstance.post(`/api/courses/${courseId}/enroll`);
-      console.log('✅ Enrollment successful:', response.data);
+      console.log('✅ Enrollment response:', response.data);
       
       // Refresh course data
       await refetchData();
-      alert('Successfully enrolled in course!');
+      await fetchEnrollmentStatus();
+      // 202 means the request is waiting for approval or on the waitlist
+      alert(response.status === 202 ? response.data.message : 'Successfully enrolled in course!');
     } catch (error) {
       console.error('❌ Error enrolling in course:', error);
       
       if (error.response?.status === 400) {
-        alert('You are already enrolled in this course!');
+        alert(error.response.data?.message || 'You are already enrolled in this course!');
+      } else if (error.response?.status === 403 && error.response.data?.missing) {
+        alert(`${error.response.data.message}:\n${error.response.data.missing.map(entry => `• ${entry.message}`).join('\n')}`);
       } else if (error.response?.status === 401) {
         alert('Please log in to enroll in courses.');
       } else {
@@ -131,6 +151,17 @@ const CourseDetail = () => {
     }
   };
 
+  // Withdraw a pending request or leave the waitlist
+  const handleCancelRequest = async () => {
+    try {
+      const response = await axiosInstance.delete(`/api/courses/${courseId}/enrollment-request`);
+      alert(response.data.message);
+      fetchEnrollmentStatus();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Could not cancel your request. Please try again.');
+    }
+  };
+
   // Handle course unenrollment
   const handleUnenrollment = async () => {
     // Show confirmation dialog
@@ -524,6 +555,9 @@ const CourseDetail = () => {
               )}
             </div>
           )}
+
+          {/* Ratings and reviews */}
+          <CourseReviews courseId={courseId} />
         </div>
 
         {/* Sidebar */}
@@ -596,13 +630,52 @@ const CourseDetail = () => {
                   </p>
                 </div>
               </div>
+            ) : enrollmentStatus?.status === 'pending' || enrollmentStatus?.status === 'waitlisted' ? (
+              <div className="space-y-3">
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  <p className="text-sm text-blue-800 text-center">
+                    {enrollmentStatus.status === 'pending'
+                      ? 'Your enrollment request is waiting for instructor approval.'
+                      : `You are number ${enrollmentStatus.position} on the waitlist. You'll be enrolled automatically when a seat opens.`}
+                  </p>
+                </div>
+                <button
+                  onClick={handleCancelRequest}
+                  className="w-full bg-gray-100 text-gray-700 py-2 px-6 rounded-lg font-medium hover:bg-gray-200 transition-colors"
+                >
+                  {enrollmentStatus.status === 'pending' ? 'Withdraw Request' : 'Leave Waitlist'}
+                </button>
+              </div>
             ) : (
-              <button
-                onClick={handleEnrollment}
-                className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-green-700 transition-colors"
-              >
-                Enroll in Course
-              </button>
+              <div className="space-y-3">
+                <button
+                  onClick={handleEnrollment}
+                  disabled={(enrollmentStatus?.window && !enrollmentStatus.window.isOpen) || enrollmentStatus?.prerequisites?.met === false}
+                  className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {enrollmentStatus?.requiresApproval
+                    ? 'Request Enrollment'
+                    : enrollmentStatus?.seats?.isFull && enrollmentStatus.waitlistEnabled ? 'Join Waitlist' : 'Enroll in Course'}
+                </button>
+                {enrollmentStatus?.prerequisites && !enrollmentStatus.prerequisites.met && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                    <p className="text-sm font-medium text-yellow-800 mb-1">Before you can enroll:</p>
+                    <ul className="text-sm text-yellow-800 list-disc list-inside">
+                      {enrollmentStatus.prerequisites.missing.map(entry => (
+                        <li key={entry.courseId}>{entry.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {enrollmentStatus?.window && !enrollmentStatus.window.isOpen && (
+                  <p className="text-sm text-gray-600 text-center">{enrollmentStatus.window.reason}</p>
+                )}
+                {enrollmentStatus?.seats?.maxSeats != null && (
+                  <p className="text-sm text-gray-600 text-center">
+                    {enrollmentStatus.seats.available} of {enrollmentStatus.seats.maxSeats} seats available
+                  </p>
+                )}
+              </div>
             )}
           </div>
 
@@ -681,6 +754,26 @@ const CourseDetail = () => {
                   </div>
                 </div>
               )}
+              {course.prerequisiteCourses?.length > 0 && (
+                <div>
+                  <span className="text-gray-600">Required Courses:</span>
+                  <ul className="mt-1 space-y-1">
+                    {course.prerequisiteCourses.map((prerequisite, index) => (
+                      <li key={index}>
+                        <button
+                          onClick={() => navigate(`/courses/${prerequisite.courseId?._id}`)}
+                          className="text-blue-600 hover:text-blue-800 font-medium"
+                        >
+                          {prerequisite.courseId?.title || 'Course unavailable'}
+                        </button>
+                        {prerequisite.minimumGrade != null && (
+                          <span className="text-gray-500"> (at least {prerequisite.minimumGrade}%)</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
         </div>
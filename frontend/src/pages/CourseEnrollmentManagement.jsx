@@ -3,11 +3,28 @@ import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import './CourseEnrollmentManagement.css';
 
+// Date inputs want yyyy-mm-dd; the API sends ISO dates or null
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const toSettingsForm = (settings = {}) => ({
+  maxSeats: settings?.maxSeats ?? '',
+  opensAt: toDateInput(settings?.opensAt),
+  closesAt: toDateInput(settings?.closesAt),
+  requiresApproval: !!settings?.requiresApproval,
+  waitlistEnabled: settings?.waitlistEnabled !== false
+});
+
 const CourseEnrollmentManagement = () => {
   const { user, isAdmin, isInstructor } = useAuth();
   const [courses, setCourses] = useState([]);
+  const [allCourses, setAllCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [enrollments, setEnrollments] = useState([]);
+  const [pendingRequests, setPendingRequests] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [seats, setSeats] = useState(null);
+  const [enrollmentSettings, setEnrollmentSettings] = useState(null);
+  const [prerequisiteCourses, setPrerequisiteCourses] = useState([]);
 
   const [instructors, setInstructors] = useState([]);
   const [students, setStudents] = useState([]);
@@ -29,6 +46,10 @@ const CourseEnrollmentManagement = () => {
   useEffect(() => {
     if (selectedCourse) {
       fetchEnrollments(selectedCourse._id);
+      setPrerequisiteCourses((selectedCourse.prerequisiteCourses || []).map(prerequisite => ({
+        courseId: prerequisite.courseId?._id || prerequisite.courseId,
+        minimumGrade: prerequisite.minimumGrade ?? ''
+      })));
     }
   }, [selectedCourse]);
 
@@ -40,6 +61,7 @@ const CourseEnrollmentManagement = () => {
       });
 
       const coursesData = response.data?.courses || response.data || [];
+      setAllCourses(coursesData);
 
       // Filter courses based on role
       let filteredCourses = coursesData;
@@ -85,6 +107,10 @@ const CourseEnrollmentManagement = () => {
 
       if (response.data.success) {
         setEnrollments(response.data.data);
+        setPendingRequests(response.data.pending || []);
+        setWaitlist(response.data.waitlist || []);
+        setSeats(response.data.seats || null);
+        setEnrollmentSettings(toSettingsForm(response.data.settings));
       }
     } catch (error) {
       console.error('Error fetching enrollments:', error);
@@ -98,7 +124,7 @@ const CourseEnrollmentManagement = () => {
     setSuccess('');
   };
 
-  const handleEnrollStudent = async (e) => {
+  const handleEnrollStudent = async (e, overrideCapacity = false, prerequisiteOverrideReason) => {
     e.preventDefault();
     setError('');
     setSuccess('');
@@ -114,7 +140,9 @@ const CourseEnrollmentManagement = () => {
         `${API_URL}/courses/enroll-student`,
         {
           courseId: selectedCourse._id,
-          studentId: selectedStudent
+          studentId: selectedStudent,
+          overrideCapacity,
+          prerequisiteOverrideReason
         },
         {
           headers: { Authorization: `Bearer ${token}` }
@@ -132,10 +160,121 @@ const CourseEnrollmentManagement = () => {
       }
     } catch (error) {
       console.error('Error enrolling student:', error);
+      // Course is full - staff may go over the seat limit on purpose
+      if (error.response?.status === 409 && window.confirm('This course is full. Enroll the student anyway, above the seat limit?')) {
+        return handleEnrollStudent(e, true, prerequisiteOverrideReason);
+      }
+      // Missing prerequisites - staff may override with a reason that is kept on the enrollment
+      const missing = error.response?.data?.missing;
+      if (missing?.length > 0) {
+        const reason = window.prompt(
+          `This student is missing:\n${missing.map(entry => `• ${entry.message}`).join('\n')}\n\nEnter a reason to enroll them anyway:`
+        );
+        if (reason && reason.trim()) {
+          return handleEnrollStudent(e, overrideCapacity, reason.trim());
+        }
+      }
       setError(error.response?.data?.message || 'Failed to enroll student');
     }
   };
 
+  const handleRequestDecision = async (request, decision) => {
+    const name = request.userId?.name || 'this student';
+    if (decision === 'reject' && !window.confirm(`Reject the enrollment request from ${name}?`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_URL}/courses/${selectedCourse._id}/enrollment-requests/${request._id}`,
+        { decision },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      setSuccess(response.data.message);
+      fetchEnrollments(selectedCourse._id);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error updating enrollment request:', error);
+      setError(error.response?.data?.message || 'Failed to update enrollment request');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_URL}/courses/${selectedCourse._id}`,
+        {
+          enrollmentSettings: {
+            maxSeats: enrollmentSettings.maxSeats === '' ? null : Number(enrollmentSettings.maxSeats),
+            opensAt: enrollmentSettings.opensAt || null,
+            closesAt: enrollmentSettings.closesAt || null,
+            requiresApproval: enrollmentSettings.requiresApproval,
+            waitlistEnabled: enrollmentSettings.waitlistEnabled
+          }
+        },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      // Changing the selected course refetches enrollments, which picks up any waitlist promotions
+      setSelectedCourse(response.data);
+      setSuccess('Enrollment settings saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error saving enrollment settings:', error);
+      setError(error.response?.data?.message || 'Failed to save enrollment settings');
+    }
+  };
+
+  const handleSavePrerequisites = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_URL}/courses/${selectedCourse._id}`,
+        {
+          prerequisiteCourses: prerequisiteCourses
+            .filter(prerequisite => prerequisite.courseId)
+            .map(prerequisite => ({
+              courseId: prerequisite.courseId,
+              minimumGrade: prerequisite.minimumGrade === '' ? null : Number(prerequisite.minimumGrade)
+            }))
+        },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      setSelectedCourse(response.data);
+      setSuccess('Prerequisites saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error saving prerequisites:', error);
+      setError(error.response?.data?.message || 'Failed to save prerequisites');
+    }
+  };
+
+  const updatePrerequisite = (index, field, value) => {
+    setPrerequisiteCourses(prev => prev.map((prerequisite, i) => (i === index ? { ...prerequisite, [field]: value } : prerequisite)));
+  };
+
+  const updateSetting = (field, value) => {
+    setEnrollmentSettings(prev => ({ ...prev, [field]: value }));
+  };
+
   const handleUnenrollStudent = async (studentId, studentName) => {
     if (!window.confirm(`Are you sure you want to unenroll ${studentName} from this course?`)) {
       return;
@@ -203,6 +342,141 @@ const CourseEnrollmentManagement = () => {
     }
   };
 
+  const handleCloneCourse = async () => {
+    const title = window.prompt('Title for the new offering:', `${selectedCourse.title} (Copy)`);
+    if (title === null) return;
+    const offset = window.prompt('Shift all dates by how many days? (e.g. 120 for next term)', '0');
+    if (offset === null) return;
+
+    const offsetDays = Number(offset);
+    if (!Number.isInteger(offsetDays)) {
+      setError('The date shift must be a whole number of days');
+      setTimeout(() => setError(''), 3000);
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/courses/${selectedCourse._id}/clone`,
+        { title, offsetDays },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const { course, counts } = response.data;
+      setSuccess(`Created draft "${course.title}" with ${counts.modules} modules and ${counts.quizzes} quizzes`);
+      await fetchCourses();
+      setSelectedCourse(course);
+      setTimeout(() => setSuccess(''), 4000);
+    } catch (error) {
+      console.error('Error cloning course:', error);
+      setError(error.response?.data?.message || 'Failed to clone course');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleExportCourse = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(
+        `${API_URL}/courses/${selectedCourse._id}/export`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${selectedCourse.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error('Error exporting course:', error);
+      setError(error.response?.data?.message || 'Failed to export course');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleImportCourse = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const coursePackage = JSON.parse(await file.text());
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/courses/import`,
+        { package: coursePackage },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const { course, counts, conflicts } = response.data;
+      const notes = conflicts.map(conflict => conflict.message).join('; ');
+      setSuccess(`Imported draft "${course.title}" with ${counts.modules} modules and ${counts.quizzes} quizzes${notes ? ` (${notes})` : ''}`);
+      await fetchCourses();
+      setSelectedCourse(course);
+      setTimeout(() => setSuccess(''), 6000);
+    } catch (error) {
+      console.error('Error importing course:', error);
+      const details = error.response?.data?.errors;
+      setError(details
+        ? `${error.response.data.message}: ${details.slice(0, 3).join('; ')}`
+        : error.response?.data?.message || 'Failed to import course - is this a course package file?');
+      setTimeout(() => setError(''), 6000);
+    }
+  };
+
+  const handleImportContentPackage = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await axios.post(
+        `${API_URL}/courses/import/content-package`,
+        formData,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const { course, counts, report } = response.data;
+      const skipped = report.unsupported.length > 0 ? ` - ${report.unsupported.length} item(s) could not be imported` : '';
+      setSuccess(`Imported ${report.packageType} package as draft "${course.title}" with ${counts.modules} modules and ${counts.questions} questions${skipped}`);
+      await fetchCourses();
+      setSelectedCourse(course);
+      setTimeout(() => setSuccess(''), 6000);
+    } catch (error) {
+      console.error('Error importing content package:', error);
+      const details = error.response?.data?.errors;
+      setError(details
+        ? `${error.response.data.message}: ${details.slice(0, 3).join('; ')}`
+        : error.response?.data?.message || 'Failed to import package');
+      setTimeout(() => setError(''), 6000);
+    }
+  };
+
+  const handlePublishCourse = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_URL}/courses/${selectedCourse._id}`,
+        { status: 'published' },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      setSelectedCourse(response.data);
+      setSuccess('Course published - students can now enroll');
+      fetchCourses();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      console.error('Error publishing course:', error);
+      setError(error.response?.data?.message || 'Failed to publish course');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
   const openEnrollModal = () => {
     setShowEnrollModal(true);
     setError('');
@@ -258,10 +532,18 @@ const CourseEnrollmentManagement = () => {
           <option value="">-- Choose a course --</option>
           {courses.map((course) => (
             <option key={course._id} value={course._id}>
-              {course.title} - {course.instructor?.name || 'No instructor'} ({course.enrollmentCount || 0} students)
+              {course.title}{course.status === 'draft' ? ' [Draft]' : ''} - {course.instructor?.name || 'No instructor'} ({course.enrollmentCount || 0} students)
             </option>
           ))}
         </select>
+        <label className="btn btn-secondary">
+          Import Course
+          <input type="file" accept="application/json,.json" onChange={handleImportCourse} hidden />
+        </label>
+        <label className="btn btn-secondary">
+          Import SCORM / Cartridge
+          <input type="file" accept=".zip,.imscc" onChange={handleImportContentPackage} hidden />
+        </label>
       </div>
 
       <div className="management-container">
@@ -275,6 +557,26 @@ const CourseEnrollmentManagement = () => {
                 </p>
               </div>
               <div className="panel-actions">
+                {selectedCourse.status === 'draft' && (
+                  <button
+                    className="btn btn-primary"
+                    onClick={handlePublishCourse}
+                  >
+                    Publish
+                  </button>
+                )}
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleCloneCourse}
+                >
+                  Clone Course
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleExportCourse}
+                >
+                  Export
+                </button>
                 {isAdmin() && (
                   <button
                     className="btn btn-secondary"
@@ -292,6 +594,211 @@ const CourseEnrollmentManagement = () => {
               </div>
             </div>
 
+            {enrollmentSettings && (
+              <form className="enrollments-section enrollment-settings" onSubmit={handleSaveSettings}>
+                <h3>
+                  Enrollment Settings
+                  {seats && (
+                    <span className="seat-summary">
+                      {seats.maxSeats === null
+                        ? `${seats.taken} enrolled, unlimited seats`
+                        : `${seats.taken} / ${seats.maxSeats} seats taken`}
+                    </span>
+                  )}
+                </h3>
+                <div className="settings-grid">
+                  <div className="form-group">
+                    <label htmlFor="max-seats">Maximum Seats</label>
+                    <input
+                      id="max-seats"
+                      type="number"
+                      min="1"
+                      placeholder="Unlimited"
+                      value={enrollmentSettings.maxSeats}
+                      onChange={(e) => updateSetting('maxSeats', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="opens-at">Enrollment Opens</label>
+                    <input
+                      id="opens-at"
+                      type="date"
+                      value={enrollmentSettings.opensAt}
+                      onChange={(e) => updateSetting('opensAt', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="closes-at">Enrollment Closes</label>
+                    <input
+                      id="closes-at"
+                      type="date"
+                      value={enrollmentSettings.closesAt}
+                      onChange={(e) => updateSetting('closesAt', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="settings-toggles">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={enrollmentSettings.requiresApproval}
+                      onChange={(e) => updateSetting('requiresApproval', e.target.checked)}
+                    />
+                    Require instructor approval
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={enrollmentSettings.waitlistEnabled}
+                      onChange={(e) => updateSetting('waitlistEnabled', e.target.checked)}
+                    />
+                    Waitlist students when the course is full
+                  </label>
+                  <button type="submit" className="btn btn-primary btn-sm">Save Settings</button>
+                </div>
+              </form>
+            )}
+
+            <div className="enrollments-section enrollment-settings">
+              <h3>Prerequisite Courses</h3>
+              {prerequisiteCourses.length === 0 && (
+                <p className="seat-summary">No prerequisites - any student can enroll.</p>
+              )}
+              {prerequisiteCourses.map((prerequisite, index) => (
+                <div key={index} className="settings-grid">
+                  <div className="form-group">
+                    <label htmlFor={`prerequisite-${index}`}>Course</label>
+                    <select
+                      id={`prerequisite-${index}`}
+                      value={prerequisite.courseId}
+                      onChange={(e) => updatePrerequisite(index, 'courseId', e.target.value)}
+                    >
+                      <option value="">Choose a course...</option>
+                      {allCourses
+                        .filter(course => course._id !== selectedCourse._id)
+                        .map(course => (
+                          <option key={course._id} value={course._id}>
+                            {course.title} ({course.difficulty})
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor={`minimum-grade-${index}`}>Minimum Grade (%)</label>
+                    <input
+                      id={`minimum-grade-${index}`}
+                      type="number"
+                      min="0"
+                      max="100"
+                      placeholder="Completion only"
+                      value={prerequisite.minimumGrade}
+                      onChange={(e) => updatePrerequisite(index, 'minimumGrade', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>&nbsp;</label>
+                    <button
+                      type="button"
+                      className="btn btn-delete btn-sm"
+                      onClick={() => setPrerequisiteCourses(prev => prev.filter((_, i) => i !== index))}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="settings-toggles">
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setPrerequisiteCourses(prev => [...prev, { courseId: '', minimumGrade: '' }])}
+                >
+                  Add Prerequisite
+                </button>
+                <button type="button" className="btn btn-primary btn-sm" onClick={handleSavePrerequisites}>
+                  Save Prerequisites
+                </button>
+              </div>
+            </div>
+
+            {pendingRequests.length > 0 && (
+              <div className="enrollments-section">
+                <h3>Pending Requests ({pendingRequests.length})</h3>
+                <div className="enrollments-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Requested</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pendingRequests.map((request) => (
+                        <tr key={request._id}>
+                          <td>{request.userId?.name || 'N/A'}</td>
+                          <td>{request.userId?.email || 'N/A'}</td>
+                          <td>{new Date(request.createdAt).toLocaleDateString()}</td>
+                          <td>
+                            <button
+                              className="btn btn-primary btn-sm"
+                              onClick={() => handleRequestDecision(request, 'approve')}
+                            >
+                              Approve
+                            </button>{' '}
+                            <button
+                              className="btn btn-delete btn-sm"
+                              onClick={() => handleRequestDecision(request, 'reject')}
+                            >
+                              Reject
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {waitlist.length > 0 && (
+              <div className="enrollments-section">
+                <h3>Waitlist ({waitlist.length})</h3>
+                <div className="enrollments-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Waitlisted</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {waitlist.map((request) => (
+                        <tr key={request._id}>
+                          <td>{request.position}</td>
+                          <td>{request.userId?.name || 'N/A'}</td>
+                          <td>{request.userId?.email || 'N/A'}</td>
+                          <td>{new Date(request.waitlistedAt).toLocaleDateString()}</td>
+                          <td>
+                            <button
+                              className="btn btn-delete btn-sm"
+                              onClick={() => handleRequestDecision(request, 'reject')}
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             <div className="enrollments-section">
               <h3>Enrolled Students ({enrollments.length})</h3>
 
@@ -313,7 +820,14 @@ const CourseEnrollmentManagement = () => {
                     <tbody>
                       {enrollments.map((enrollment) => (
                         <tr key={enrollment._id}>
-                          <td>{enrollment.userId?.name || 'N/A'}</td>
+                          <td>
+                            {enrollment.userId?.name || 'N/A'}
+                            {enrollment.prerequisiteOverride?.reason && (
+                              <span className="override-badge" title={enrollment.prerequisiteOverride.reason}>
+                                Prerequisites overridden
+                              </span>
+                            )}
+                          </td>
                           <td>{enrollment.userId?.email || 'N/A'}</td>
                           <td>{new Date(enrollment.enrollmentDate).toLocaleDateString()}</td>
                           <td>
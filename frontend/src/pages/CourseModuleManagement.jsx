@@ -6,6 +6,24 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import axiosInstance from '../axiosConfig';
+import ModuleRevisionHistory from '../components/modules/ModuleRevisionHistory';
+
+const STATUS_BADGES = {
+    draft: 'bg-gray-100 text-gray-700',
+    review: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-blue-100 text-blue-800',
+    published: 'bg-green-100 text-green-800',
+    archived: 'bg-red-100 text-red-800'
+};
+
+const WORKFLOW_ACTION_LABELS = {
+    submit: 'Submit for Review',
+    approve: 'Approve',
+    reject: 'Request Changes',
+    publish: 'Publish',
+    archive: 'Archive',
+    restore: 'Restore to Draft'
+};
 
 const CourseModuleManagement = () => {
     const { user } = useAuth();
@@ -17,6 +35,7 @@ const CourseModuleManagement = () => {
     const [editingModule, setEditingModule] = useState(null);
     const [submitting, setSubmitting] = useState(false);
     const [generatingContent, setGeneratingContent] = useState(null)
+    const [historyModuleId, setHistoryModuleId] = useState(null);
     const [formData, setFormData] = useState({
         title: '',
         description: '',
@@ -162,8 +181,10 @@ const CourseModuleManagement = () => {
         try {
 
             if (editingModule) {
-                await axiosInstance.put(`/api/modules/${editingModule._id}`, moduleData);
-                alert('Module updated successfully!');
+                const response = await axiosInstance.put(`/api/modules/${editingModule._id}`, moduleData);
+                alert(editingModule.status === 'published' && response.data.module?.status === 'review'
+                    ? 'Module updated. It is hidden from students until the changes are approved and published again.'
+                    : 'Module updated successfully!');
             } else {
                 await axiosInstance.post('/api/modules', moduleData);
                 alert('Module created successfully!');
@@ -229,6 +250,27 @@ const CourseModuleManagement = () => {
         }
     };
 
+    // Publishing workflow - the backend decides which actions this role may take
+    const handleTransition = async (module, action) => {
+        let comment;
+        if (action === 'reject') {
+            comment = window.prompt('What needs to change before this module can be approved?');
+            if (!comment) return;
+        }
+        if (action === 'archive' && !window.confirm('Archive this module? Students will no longer see it.')) {
+            return;
+        }
+
+        try {
+            const response = await axiosInstance.post(`/api/modules/${module._id}/${action}`, { comment });
+            alert(response.data.message);
+            fetchModules(selectedCourse);
+        } catch (error) {
+            console.error(`Error running ${action} on module:`, error);
+            alert(error.response?.data?.message || 'Could not change module status');
+        }
+    };
+
     const resetForm = () => {
         setFormData({
             title: '',
@@ -635,9 +677,19 @@ const CourseModuleManagement = () => {
                                                 }`}>
                                                     {module.difficulty}
                                                 </span>
+                                                <span className={`text-xs px-2 py-1 rounded ${STATUS_BADGES[module.status] || 'bg-gray-100 text-gray-700'}`}>
+                                                    {module.status}
+                                                </span>
+                                                <span className="text-xs text-gray-500">v{module.version || '1.0.0'}</span>
                                             </div>
                                             
                                             <p className="text-gray-600 mb-3">{module.description}</p>
+
+                                            {module.changesRequested?.comment && (
+                                                <p className="text-sm text-red-700 bg-red-50 rounded px-3 py-2 mb-3">
+                                                    Changes requested: {module.changesRequested.comment}
+                                                </p>
+                                            )}
                                             
                                             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
                                                 <div>
@@ -698,6 +750,21 @@ const CourseModuleManagement = () => {
                                                     'Generate Content'
                                                 )}
                                             </button>
+                                            <button
+                                                onClick={() => setHistoryModuleId(historyModuleId === module._id ? null : module._id)}
+                                                className="bg-gray-100 text-gray-800 px-3 py-1 rounded text-sm hover:bg-gray-200 transition duration-200"
+                                            >
+                                                {historyModuleId === module._id ? 'Hide History' : 'History'}
+                                            </button>
+                                            {(module.availableActions || []).map(action => (
+                                                <button
+                                                    key={action}
+                                                    onClick={() => handleTransition(module, action)}
+                                                    className="bg-gray-100 text-gray-800 px-3 py-1 rounded text-sm hover:bg-gray-200 transition duration-200"
+                                                >
+                                                    {WORKFLOW_ACTION_LABELS[action]}
+                                                </button>
+                                            ))}
                                             <button
                                                 onClick={() => handleDelete(module._id)}
                                                 className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700 transition duration-200"
@@ -706,6 +773,16 @@ const CourseModuleManagement = () => {
                                             </button>
                                         </div>
                                     </div>
+
+                                    {historyModuleId === module._id && (
+                                        <ModuleRevisionHistory
+                                            moduleId={module._id}
+                                            onRolledBack={(message) => {
+                                                alert(message);
+                                                fetchModules(selectedCourse);
+                                            }}
+                                        />
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -138,12 +138,15 @@ const Courses = () => {
       
       // Refresh enrolled courses
       await fetchEnrolledCourses();
-      alert('Successfully enrolled in course!');
+      // 202 means the request is waiting for approval or on the waitlist
+      alert(response.status === 202 ? response.data.message : 'Successfully enrolled in course!');
     } catch (error) {
       console.error('❌ Error enrolling in course:', error);
       
       if (error.response?.status === 400) {
-        alert('You are already enrolled in this course!');
+        alert(error.response.data?.message || 'You are already enrolled in this course!');
+      } else if (error.response?.status === 403 && error.response.data?.missing) {
+        alert(`${error.response.data.message}:\n${error.response.data.missing.map(entry => `• ${entry.message}`).join('\n')}`);
       } else if (error.response?.status === 401) {
         alert('Please log in to enroll in courses.');
       } else {
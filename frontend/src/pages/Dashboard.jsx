@@ -4,12 +4,26 @@ import axiosInstance from '../axiosConfig';
 import { Link } from 'react-router-dom';
 import { useAnalyticsListener } from '../utils/analyticsHelper';
 
+const GOAL_LABELS = {
+  hours_per_week: 'Hours per week',
+  modules_per_week: 'Modules per week',
+  courses_completed: 'Courses completed',
+  quiz_average: 'Quiz average'
+};
+
+const GOAL_STATUS_COLORS = {
+  'met': { bar: 'bg-green-500', text: 'text-green-600' },
+  'on-track': { bar: 'bg-blue-500', text: 'text-blue-600' },
+  'at-risk': { bar: 'bg-yellow-500', text: 'text-yellow-600' },
+  'missed': { bar: 'bg-red-500', text: 'text-red-600' }
+};
+
 const Dashboard = () => {
   const { user } = useAuth();
   const [analytics, setAnalytics] = useState(null);
   const [streaks, setStreaks] = useState(null);
   const [enrolledCourses, setEnrolledCourses] = useState([]);
-  const [learningGoals, setLearningGoals] = useState(null);
+  const [learningGoals, setLearningGoals] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const fetchDashboardData = async () => {
@@ -23,7 +37,9 @@ const Dashboard = () => {
       const [analyticsRes, streaksRes, goalsRes] = await Promise.all([
         axiosInstance.get('/api/progress/analytics').catch(() => ({ data: null })),
         axiosInstance.get('/api/progress/streaks').catch(() => ({ data: null })),
-        axiosInstance.get('/api/progress/learning-goals').catch(() => ({ data: null }))
+        axiosInstance.get('/api/progress/learning-goals', {
+          params: { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+        }).catch(() => ({ data: null }))
       ]);
       
       setAnalytics(analyticsRes.data || {
@@ -42,11 +58,7 @@ const Dashboard = () => {
       
       setEnrolledCourses(enrolledRes.data || []);
       
-      setLearningGoals(goalsRes.data || {
-        daily: { target: 30, completed: 0, percentage: 0 },
-        weekly: { target: 300, completed: 0, percentage: 0 },
-        monthly: { target: 1200, completed: 0, percentage: 0 }
-      });
+      setLearningGoals(goalsRes.data?.goals || []);
       
       console.log('📊 Dashboard data loaded:', {
         analytics: analyticsRes.data,
@@ -69,11 +81,7 @@ const Dashboard = () => {
         longestStreak: 0,
         weeklyStreak: 0
       });
-      setLearningGoals({
-        daily: { target: 30, completed: 0, percentage: 0 },
-        weekly: { target: 300, completed: 0, percentage: 0 },
-        monthly: { target: 1200, completed: 0, percentage: 0 }
-      });
+      setLearningGoals([]);
     } finally {
       setLoading(false);
     }
@@ -349,53 +357,31 @@ const Dashboard = () => {
             {/* Learning Goals Section */}
             <div className="mb-6">
               <h3 className="text-lg font-medium text-gray-700 mb-4">Progress Goals</h3>
-              <div className="space-y-4">
-                <div>
-                  <div className="flex justify-between text-sm text-gray-600 mb-1">
-                    <span>Daily Goal</span>
-                    <span>{learningGoals?.daily?.target || 30} min</span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                      className="bg-green-500 h-2 rounded-full transition-all duration-300" 
-                      style={{ width: `${Math.min(learningGoals?.daily?.percentage || 0, 100)}%` }}
-                    ></div>
-                  </div>
-                  <p className="text-xs text-green-600 mt-1">
-                    {learningGoals?.daily?.completed || 0} min completed today
-                  </p>
-                </div>
-                <div>
-                  <div className="flex justify-between text-sm text-gray-600 mb-1">
-                    <span>Weekly Goal</span>
-                    <span>{Math.round((learningGoals?.weekly?.target || 300) / 60)} hours</span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                      className="bg-blue-500 h-2 rounded-full transition-all duration-300" 
-                      style={{ width: `${Math.min(learningGoals?.weekly?.percentage || 0, 100)}%` }}
-                    ></div>
-                  </div>
-                  <p className="text-xs text-blue-600 mt-1">
-                    {Math.round((learningGoals?.weekly?.completed || 0) / 60 * 100) / 100} hours completed this week
-                  </p>
-                </div>
-                <div>
-                  <div className="flex justify-between text-sm text-gray-600 mb-1">
-                    <span>Monthly Goal</span>
-                    <span>{Math.round((learningGoals?.monthly?.target || 1200) / 60)} hours</span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                      className="bg-purple-500 h-2 rounded-full transition-all duration-300" 
-                      style={{ width: `${Math.min(learningGoals?.monthly?.percentage || 0, 100)}%` }}
-                    ></div>
-                  </div>
-                  <p className="text-xs text-purple-600 mt-1">
-                    {Math.round((learningGoals?.monthly?.completed || 0) / 60 * 100) / 100} hours completed this month
-                  </p>
+              {learningGoals.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No goals yet. <Link to="/progress" className="text-blue-600 hover:text-blue-800">Set a learning goal</Link>
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  {learningGoals.slice(0, 3).map(goal => (
+                    <div key={goal._id}>
+                      <div className="flex justify-between text-sm text-gray-600 mb-1">
+                        <span>{goal.title || GOAL_LABELS[goal.type]}</span>
+                        <span>{goal.target} {goal.progress.unit === 'percent' ? '%' : goal.progress.unit}</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div 
+                          className={`${GOAL_STATUS_COLORS[goal.progress.status]?.bar || 'bg-blue-500'} h-2 rounded-full transition-all duration-300`} 
+                          style={{ width: `${goal.progress.percentage}%` }}
+                        ></div>
+                      </div>
+                      <p className={`text-xs mt-1 ${GOAL_STATUS_COLORS[goal.progress.status]?.text || 'text-blue-600'}`}>
+                        {goal.progress.current ?? 0} so far · {goal.progress.status.replace('-', ' ')} · due {goal.deadline}
+                      </p>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
 
             {/* Analytics Section */}
@@ -0,0 +1,365 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import axiosInstance from '../axiosConfig';
+
+const STATUS_STYLES = {
+  completed: { label: 'Completed', className: 'bg-green-100 text-green-800' },
+  'in-progress': { label: 'In progress', className: 'bg-blue-100 text-blue-800' },
+  available: { label: 'Unlocked', className: 'bg-yellow-100 text-yellow-800' },
+  pending: { label: 'Awaiting approval', className: 'bg-purple-100 text-purple-800' },
+  waitlisted: { label: 'Waitlisted', className: 'bg-orange-100 text-orange-800' },
+  locked: { label: 'Locked', className: 'bg-gray-100 text-gray-600' }
+};
+
+const emptyForm = {
+  title: '',
+  description: '',
+  estimatedTime: '',
+  courseIds: [],
+  sequentialOrder: true,
+  autoEnroll: true
+};
+
+// Create form for instructors and admins: courses are added in path order
+const LearningPathForm = ({ courses, onCreated, onCancel }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [nextCourse, setNextCourse] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const courseTitle = (id) => courses.find(course => course._id === id)?.title || 'Unknown course';
+
+  const moveCourse = (index, direction) => {
+    const courseIds = [...form.courseIds];
+    const target = index + direction;
+    if (target < 0 || target >= courseIds.length) return;
+    [courseIds[index], courseIds[target]] = [courseIds[target], courseIds[index]];
+    setForm({ ...form, courseIds });
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await axiosInstance.post('/api/learning-paths', {
+        title: form.title,
+        description: form.description,
+        estimatedTime: form.estimatedTime === '' ? undefined : Number(form.estimatedTime),
+        courses: form.courseIds.map(courseId => ({ courseId })),
+        settings: { sequentialOrder: form.sequentialOrder, autoEnroll: form.autoEnroll }
+      });
+      setForm(emptyForm);
+      onCreated();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not create the learning path');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">New Learning Path</h2>
+      <input
+        type="text"
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        placeholder="Title"
+        required
+        className="w-full px-3 py-2 border border-gray-300 rounded-md"
+      />
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        placeholder="Description"
+        rows={2}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md"
+      />
+      <input
+        type="number"
+        min="0"
+        value={form.estimatedTime}
+        onChange={(e) => setForm({ ...form, estimatedTime: e.target.value })}
+        placeholder="Estimated hours"
+        className="w-48 px-3 py-2 border border-gray-300 rounded-md"
+      />
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Courses (in order)</p>
+        <ol className="space-y-1 mb-2">
+          {form.courseIds.map((courseId, index) => (
+            <li key={courseId} className="flex items-center text-sm">
+              <span className="w-6 text-gray-500">{index + 1}.</span>
+              <span className="flex-1">{courseTitle(courseId)}</span>
+              <button type="button" onClick={() => moveCourse(index, -1)} className="px-2 text-gray-500 hover:text-gray-800">↑</button>
+              <button type="button" onClick={() => moveCourse(index, 1)} className="px-2 text-gray-500 hover:text-gray-800">↓</button>
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, courseIds: form.courseIds.filter(id => id !== courseId) })}
+                className="px-2 text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ol>
+        <div className="flex space-x-2">
+          <select
+            value={nextCourse}
+            onChange={(e) => setNextCourse(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Choose a course...</option>
+            {courses
+              .filter(course => !form.courseIds.includes(course._id))
+              .map(course => (
+                <option key={course._id} value={course._id}>{course.title} ({course.difficulty})</option>
+              ))}
+          </select>
+          <button
+            type="button"
+            disabled={!nextCourse}
+            onClick={() => {
+              setForm({ ...form, courseIds: [...form.courseIds, nextCourse] });
+              setNextCourse('');
+            }}
+            className="bg-gray-200 text-gray-800 px-4 py-2 rounded text-sm hover:bg-gray-300 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={form.sequentialOrder}
+            onChange={(e) => setForm({ ...form, sequentialOrder: e.target.checked })}
+          />
+          <span>Unlock courses one at a time</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={form.autoEnroll}
+            onChange={(e) => setForm({ ...form, autoEnroll: e.target.checked })}
+          />
+          <span>Enroll students in each course as it unlocks</span>
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={saving || form.courseIds.length === 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          Create Path
+        </button>
+        <button type="button" onClick={onCancel} className="text-gray-600 px-4 py-2 hover:text-gray-800">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const LearningPaths = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [paths, setPaths] = useState([]);
+  const [myPaths, setMyPaths] = useState({});
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const canManage = user?.role === 'admin' || user?.role === 'instructor';
+
+  const fetchPaths = useCallback(async () => {
+    try {
+      const [pathsRes, myRes] = await Promise.all([
+        axiosInstance.get('/api/learning-paths'),
+        axiosInstance.get('/api/learning-paths/my')
+      ]);
+      setPaths(pathsRes.data || []);
+
+      // /my re-checks course progress, so prefer its enrollment over the list's
+      const enrollments = {};
+      (myRes.data || []).forEach(({ path, enrollment }) => {
+        enrollments[path._id] = enrollment;
+      });
+      setMyPaths(enrollments);
+    } catch (error) {
+      console.error('Error fetching learning paths:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPaths();
+  }, [fetchPaths]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    axiosInstance.get('/api/courses')
+      .then(response => setCourses(response.data?.courses || response.data || []))
+      .catch(error => console.error('Error fetching courses:', error));
+  }, [canManage]);
+
+  const enroll = async (path) => {
+    try {
+      await axiosInstance.post(`/api/learning-paths/${path._id}/enroll`);
+      fetchPaths();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Could not enroll in this learning path');
+    }
+  };
+
+  const leave = async (path) => {
+    if (!window.confirm(`Leave "${path.title}"? Your progress in its courses is kept.`)) return;
+    try {
+      await axiosInstance.delete(`/api/learning-paths/${path._id}/enroll`);
+      fetchPaths();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Could not leave this learning path');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-900"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Learning Paths</h1>
+          <p className="text-gray-600">Programs of courses taken in order</p>
+        </div>
+        {canManage && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            Create Path
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <LearningPathForm
+          courses={courses}
+          onCreated={() => {
+            setShowForm(false);
+            fetchPaths();
+          }}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {paths.length === 0 ? (
+        <p className="text-gray-600">No learning paths yet.</p>
+      ) : (
+        <div className="space-y-6">
+          {paths.map(path => {
+            const enrollment = myPaths[path._id] || path.myEnrollment;
+            const statusByCourse = {};
+            (enrollment?.courses || []).forEach(course => {
+              statusByCourse[course.courseId] = course;
+            });
+
+            return (
+              <div key={path._id} className="bg-white rounded-lg shadow-md p-6">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-800">{path.title}</h2>
+                    {path.description && <p className="text-gray-600 text-sm mt-1">{path.description}</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {path.courses.length} course{path.courses.length === 1 ? '' : 's'}
+                      {path.estimatedTime ? ` • ${path.estimatedTime} hours` : ''}
+                      {path.settings?.sequentialOrder !== false ? ' • taken in order' : ''}
+                    </p>
+                  </div>
+                  {user?.role === 'student' && (
+                    enrollment ? (
+                      <button onClick={() => leave(path)} className="text-sm text-gray-600 hover:text-red-600">
+                        Leave path
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => enroll(path)}
+                        className="bg-green-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-green-700"
+                      >
+                        Start Path
+                      </button>
+                    )
+                  )}
+                </div>
+
+                {enrollment && (
+                  <div className="mb-4">
+                    <div className="flex justify-between text-sm text-gray-600 mb-1">
+                      <span>
+                        {enrollment.status === 'completed'
+                          ? 'Path completed 🎉'
+                          : `${enrollment.completedCourses} of ${path.courses.length} courses completed`}
+                      </span>
+                      <span>{enrollment.completionPercentage}%</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div className="bg-green-600 h-2 rounded-full" style={{ width: `${enrollment.completionPercentage}%` }}></div>
+                    </div>
+                  </div>
+                )}
+
+                <ol className="space-y-2">
+                  {path.courses.map((entry, index) => {
+                    const course = entry.courseId;
+                    const status = statusByCourse[course?._id];
+                    const style = status ? STATUS_STYLES[status.status] || STATUS_STYLES.locked : null;
+                    const canOpen = !enrollment || (status && status.status !== 'locked');
+
+                    return (
+                      <li key={course?._id || index} className="flex items-center justify-between border border-gray-100 rounded p-3">
+                        <div className="flex items-center">
+                          <span className="w-8 h-8 rounded-full bg-gray-100 text-gray-700 flex items-center justify-center text-sm font-medium mr-3">
+                            {index + 1}
+                          </span>
+                          <div>
+                            <button
+                              onClick={() => canOpen && course && navigate(`/courses/${course._id}`)}
+                              className={canOpen ? 'font-medium text-blue-600 hover:text-blue-800' : 'font-medium text-gray-500 cursor-default'}
+                            >
+                              {course?.title || 'Course unavailable'}
+                            </button>
+                            <p className="text-xs text-gray-500">{course?.difficulty}</p>
+                          </div>
+                        </div>
+                        {style && (
+                          <span className={`text-xs px-2 py-1 rounded ${style.className}`}>
+                            {style.label}
+                            {status.status === 'in-progress' ? ` • ${status.completionPercentage}%` : ''}
+                          </span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LearningPaths;
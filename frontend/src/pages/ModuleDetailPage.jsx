@@ -6,6 +6,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 
 import axios from '../axiosConfig';
+import AssignmentSubmissionForm from '../components/modules/AssignmentSubmissionForm';
 
 const ModuleDetailPage = () => {
     const { courseId, moduleId } = useParams();
@@ -356,7 +357,8 @@ const ModuleDetailPage = () => {
                             </div>
                         </div>
                         
-                        {!isCompleted && (
+                        {/* Assignments are completed by grading, not by the student */}
+                        {!isCompleted && selectedContent.type !== 'assignment' && (
                             <button
                                 onClick={() => handleContentComplete(selectedContent.contentId)}
                                 className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition duration-200"
@@ -465,6 +467,13 @@ const ModuleDetailPage = () => {
                                         <strong>Max Score:</strong> {contentData.maxScore} points
                                     </div>
                                 )}
+
+                                <AssignmentSubmissionForm
+                                    key={selectedContent.contentId}
+                                    moduleId={moduleId}
+                                    contentId={selectedContent.contentId}
+                                    rubric={contentData.rubric || []}
+                                />
                             </div>
                         </div>
                     )}
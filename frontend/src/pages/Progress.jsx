@@ -2,12 +2,24 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import axiosInstance from '../axiosConfig';
 import { Link } from 'react-router-dom';
+import ActivityHeatmap from '../components/progress/ActivityHeatmap';
+import TrendChart from '../components/progress/TrendChart';
+import LearningGoalsAnalytics from '../components/dashboard/LearningGoalsAnalytics';
+
+// Activity days are counted in the learner's own timezone
+const timezoneParams = () => ({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+
+const seriesLabel = (point, interval) =>
+  interval === 'weekly' ? `Week of ${point.weekStart}` : point.date;
 
 const Progress = () => {
   // const { user } = useAuth(); // Not currently used
   const [analytics, setAnalytics] = useState(null);
   const [enrolledCourses, setEnrolledCourses] = useState([]);
   const [streaks, setStreaks] = useState(null);
+  const [heatmap, setHeatmap] = useState(null);
+  const [series, setSeries] = useState(null);
+  const [seriesInterval, setSeriesInterval] = useState('daily');
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
 
@@ -20,15 +32,19 @@ const Progress = () => {
       setLoading(true);
       
       // Fetch analytics data
-      const [analyticsRes, coursesRes, streaksRes] = await Promise.all([
+      const [analyticsRes, coursesRes, streaksRes, heatmapRes, seriesRes] = await Promise.all([
         axiosInstance.get('/api/progress/analytics'),
         axiosInstance.get('/api/courses/enrolled/my'),
-        axiosInstance.get('/api/progress/streaks')
+        axiosInstance.get('/api/progress/streaks', { params: timezoneParams() }),
+        axiosInstance.get('/api/progress/activity', { params: timezoneParams() }),
+        axiosInstance.get('/api/progress/activity/series', { params: timezoneParams() })
       ]);
 
       setAnalytics(analyticsRes.data);
       setEnrolledCourses(coursesRes.data);
       setStreaks(streaksRes.data);
+      setHeatmap(heatmapRes.data);
+      setSeries(seriesRes.data);
     } catch (error) {
       console.error('Error fetching progress data:', error);
     } finally {
@@ -44,6 +60,12 @@ const Progress = () => {
     );
   }
 
+  const seriesPoints = (series?.[seriesInterval] || []).map(point => ({ ...point, label: seriesLabel(point, seriesInterval) }));
+  const chartData = (key) => seriesPoints.map(point => ({ label: point.label, value: point[key] }));
+  const activeDaysThisYear = (heatmap?.days || []).filter(day =>
+    day.minutes > 0 || Object.values(day.items || {}).some(count => count > 0)
+  ).length;
+
   const getProgressColor = (percentage) => {
     if (percentage >= 80) return 'bg-green-500';
     if (percentage >= 60) return 'bg-blue-500';
@@ -132,6 +154,7 @@ const Progress = () => {
               { id: 'overview', label: 'Overview', icon: '📊' },
               { id: 'courses', label: 'Course Progress', icon: '📚' },
               { id: 'achievements', label: 'Achievements', icon: '🏆' },
+              { id: 'goals', label: 'Goals', icon: '🎯' },
               { id: 'analytics', label: 'Analytics', icon: '📈' }
             ].map((tab) => (
               <button
@@ -154,6 +177,12 @@ const Progress = () => {
           {/* Overview Tab */}
           {activeTab === 'overview' && (
             <div className="space-y-6">
+              {/* Activity Heatmap */}
+              <div className="bg-gray-50 p-6 rounded-lg">
+                <h3 className="text-lg font-semibold text-gray-800 mb-4">Learning Activity</h3>
+                <ActivityHeatmap days={heatmap?.days} />
+              </div>
+
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Recent Activity */}
                 <div className="bg-gray-50 p-6 rounded-lg">
@@ -195,8 +224,8 @@ const Progress = () => {
                       <span className="text-xl font-semibold text-gray-800">{streaks?.longestStreak || 0} days</span>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span className="text-gray-600">Total Learning Days</span>
-                      <span className="text-xl font-semibold text-gray-800">{streaks?.totalDays || 0} days</span>
+                      <span className="text-gray-600">Learning Days This Year</span>
+                      <span className="text-xl font-semibold text-gray-800">{activeDaysThisYear} days</span>
                     </div>
                   </div>
                 </div>
@@ -344,6 +373,11 @@ const Progress = () => {
             </div>
           )}
 
+          {/* Goals Tab */}
+          {activeTab === 'goals' && (
+            <LearningGoalsAnalytics className="shadow-none p-0" />
+          )}
+
           {/* Analytics Tab */}
           {activeTab === 'analytics' && (
             <div className="space-y-6">
@@ -374,21 +408,55 @@ const Progress = () => {
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Active Days This Week</span>
-                      <span className="font-semibold">{analytics?.recentActivity || 0}</span>
+                      <span className="font-semibold">{streaks?.weeklyActiveDays || 0}</span>
                     </div>
                   </div>
                 </div>
 
-                {/* Progress Chart Placeholder */}
-                <div className="bg-gray-50 p-6 rounded-lg">
-                  <h4 className="text-md font-semibold text-gray-800 mb-4">Progress Over Time</h4>
-                  <div className="h-40 bg-white rounded-lg flex items-center justify-center">
-                    <div className="text-center">
-                      <div className="text-4xl mb-2">📈</div>
-                      <p className="text-gray-600">Chart visualization</p>
-                      <p className="text-sm text-gray-500">Coming soon</p>
+                {/* Learning Trends */}
+                <div className="bg-gray-50 p-6 rounded-lg lg:col-span-2">
+                  <div className="flex justify-between items-center mb-4">
+                    <h4 className="text-md font-semibold text-gray-800">Progress Over Time</h4>
+                    <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                      {[
+                        { id: 'daily', label: 'Daily' },
+                        { id: 'weekly', label: 'Weekly' }
+                      ].map(option => (
+                        <button
+                          key={option.id}
+                          onClick={() => setSeriesInterval(option.id)}
+                          className={`px-3 py-1 ${
+                            seriesInterval === option.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
                     </div>
                   </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <TrendChart
+                      title="Minutes Spent"
+                      data={chartData('minutes')}
+                      formatValue={(value) => `${Math.round(value)} min`}
+                    />
+                    <TrendChart
+                      title="Content Completed"
+                      data={chartData('contentCompleted')}
+                      barClassName="fill-green-500"
+                    />
+                    <TrendChart
+                      title="Average Quiz Score"
+                      data={chartData('quizAverage')}
+                      barClassName="fill-purple-500"
+                      maxValue={100}
+                      formatValue={(value) => `${Math.round(value)}%`}
+                      emptyText="No quizzes in this period"
+                    />
+                  </div>
+                  {series && (
+                    <p className="mt-3 text-xs text-gray-500">{series.from} to {series.to} ({series.timezone})</p>
+                  )}
                 </div>
               </div>
             </div>
@@ -51,9 +51,8 @@ const QuizPage = () => {
   };
 
   const handleQuizPause = (quizState) => {
+    // Answers and remaining time are already saved on the attempt by the pause endpoint
     console.log('Quiz paused:', quizState);
-    // This will be connected to the backend API in step 13.2
-    // Save quiz state to backend
   };
 
   if (loading) {